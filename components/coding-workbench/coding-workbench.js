@@ -0,0 +1,493 @@
+```javascript
+/* ============================================
+   صوت حضرموت - منضدة ترميز الإجابات المفتوحة
+   ============================================ */
+
+/**
+ * واجهة المحللين لبناء دليل الرموز وترميز الإجابات النصية
+ * @namespace CodingWorkbench
+ */
+const CodingWorkbench = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        containerId: 'codingWorkbench',
+        pageSize: 20,
+        defaultCoder: 'محلل 1',
+        filters: {
+            all: 'كل الإجابات',
+            uncoded: 'غير المرمّزة بعد',
+            disagreements: 'المختلف عليها'
+        }
+    };
+
+    // الحالة
+    const state = {
+        survey: null,
+        responses: [],
+        questionId: null,
+        coder: null,
+        filter: 'all',
+        page: 0,
+        suggestions: {},
+        isSuggesting: false,
+        container: null
+    };
+
+    /**
+     * تهيئة المنضدة لاستبيان
+     * @method init
+     */
+    async function init(containerId = config.containerId, surveyId = Utils.getUrlParams().survey) {
+        state.container = document.getElementById(containerId);
+        if (!state.container) return;
+
+        renderLoading();
+
+        state.survey = surveyId ? await SurveyRunner.loadSurvey(surveyId) : null;
+        const questions = state.survey ? getTextQuestions() : [];
+        if (questions.length === 0) {
+            state.container.innerHTML = '<p class="text-muted text-center py-5">لا توجد أسئلة مفتوحة قابلة للترميز في هذا الاستبيان</p>';
+            return;
+        }
+
+        // الترميز المشترك يُحمَّل من الخادم ليظهر عمل المرمّزين الآخرين في حساب الاتفاق
+        const [responses] = await Promise.all([
+            SurveyResponses.load(state.survey.id),
+            SurveyCoding.load(state.survey.id)
+        ]);
+        state.responses = responses;
+        state.questionId = questions[0].id;
+        state.coder = getDefaultCoder();
+
+        state.container.addEventListener('change', handleChange);
+        state.container.addEventListener('click', handleClick);
+
+        render();
+    }
+
+    /**
+     * الأسئلة النصية في الاستبيان
+     * @method getTextQuestions
+     */
+    function getTextQuestions() {
+        return (state.survey.questions || []).filter(question => question.type === SurveyEngine.QUESTION_TYPES.TEXT);
+    }
+
+    /**
+     * اسم المرمّز الافتراضي من المستخدم الحالي
+     * @method getDefaultCoder
+     */
+    function getDefaultCoder() {
+        const user = typeof AuthenticationSystem !== 'undefined' ? AuthenticationSystem.getCurrentUser() : null;
+        return user ? (user.name || user.email || user.id) : config.defaultCoder;
+    }
+
+    /**
+     * معالجة تغيير الحقول وخانات الرموز
+     * @method handleChange
+     */
+    function handleChange(event) {
+        const checkbox = event.target.closest('[data-code]');
+        if (checkbox) {
+            const responseId = checkbox.dataset.response;
+            const checked = [...state.container.querySelectorAll(`[data-response="${responseId}"][data-code]:checked`)]
+                .map(input => input.dataset.code);
+            SurveyCoding.assign(state.survey.id, state.questionId, responseId, state.coder, checked);
+            render();
+            return;
+        }
+
+        const field = event.target.closest('[data-field]');
+        if (!field) return;
+
+        switch (field.dataset.field) {
+            case 'question':
+                state.questionId = field.value;
+                state.suggestions = {};
+                state.page = 0;
+                break;
+            case 'coder':
+                state.coder = field.value.trim() || getDefaultCoder();
+                break;
+            case 'filter':
+                state.filter = field.value;
+                state.page = 0;
+                break;
+            default:
+                return;
+        }
+
+        render();
+    }
+
+    /**
+     * معالجة أزرار المنضدة
+     * @method handleClick
+     */
+    async function handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const codebook = SurveyCoding.getCodebook(state.survey.id, state.questionId);
+
+        switch (button.dataset.action) {
+            case 'add-code': {
+                const value = name => state.container.querySelector(`[data-new-code="${name}"]`).value;
+                const result = SurveyCoding.saveCode(state.survey.id, state.questionId, {
+                    label: value('label'),
+                    description: value('description'),
+                    keywords: value('keywords').split(/[,،]/)
+                });
+                if (!result.success) {
+                    App.showToast(result.errors.join('، '), 'error');
+                    return;
+                }
+                break;
+            }
+
+            case 'remove-code':
+                if (!window.confirm('سيُحذف الرمز من جميع الإجابات المرمّزة. هل تريد المتابعة؟')) return;
+                SurveyCoding.removeCode(state.survey.id, state.questionId, button.dataset.code);
+                break;
+
+            case 'suggest':
+                await suggestFor([button.dataset.response], codebook);
+                break;
+
+            case 'suggest-page':
+                await suggestFor(getPageAnswers().map(answer => answer.id), codebook);
+                break;
+
+            case 'accept-suggestion': {
+                const responseId = button.dataset.response;
+                const current = getAssigned(responseId) || [];
+                SurveyCoding.assign(state.survey.id, state.questionId, responseId, state.coder,
+                    [...current, ...(state.suggestions[responseId] || [])]);
+                break;
+            }
+
+            case 'page':
+                state.page = Number(button.dataset.page);
+                break;
+
+            case 'apply-coding': {
+                const draft = await ResultPipeline.applyCoding(state.survey);
+                App.showToast(draft ? 'تم تحديث رسوم مسودة النتيجة' : 'لا توجد مسودة نتيجة قيد المراجعة لهذا الاستبيان',
+                    draft ? 'success' : 'warning');
+                return;
+            }
+
+            default:
+                return;
+        }
+
+        render();
+    }
+
+    /**
+     * طلب اقتراحات لمجموعة ردود بالتتابع
+     * @method suggestFor
+     */
+    async function suggestFor(responseIds, codebook) {
+        if (state.isSuggesting) return;
+        if (codebook.length === 0) {
+            App.showToast('أضف رموزاً إلى الدليل أولاً', 'warning');
+            return;
+        }
+
+        state.isSuggesting = true;
+        render();
+
+        try {
+            const answers = SurveyCoding.getTextAnswers(state.responses, state.questionId);
+            for (const responseId of responseIds) {
+                const answer = answers.find(item => item.id === responseId);
+                if (answer) state.suggestions[responseId] = await SurveyCoding.suggest(answer.text, codebook);
+            }
+        } finally {
+            state.isSuggesting = false;
+        }
+    }
+
+    /**
+     * رموز المرمّز الحالي لرد
+     * @method getAssigned
+     */
+    function getAssigned(responseId) {
+        const byCoder = SurveyCoding.getQuestionCoding(state.survey.id, state.questionId).assignments[responseId];
+        return byCoder ? byCoder[state.coder] : null;
+    }
+
+    /**
+     * الإجابات بعد التصفية
+     * @method getFilteredAnswers
+     */
+    function getFilteredAnswers() {
+        const answers = SurveyCoding.getTextAnswers(state.responses, state.questionId);
+
+        if (state.filter === 'uncoded') {
+            return answers.filter(answer => !getAssigned(answer.id));
+        }
+        if (state.filter === 'disagreements') {
+            const disputed = new Set(SurveyCoding.getDisagreements(state.survey.id, state.questionId));
+            return answers.filter(answer => disputed.has(answer.id));
+        }
+        return answers;
+    }
+
+    /**
+     * إجابات الصفحة الحالية
+     * @method getPageAnswers
+     */
+    function getPageAnswers() {
+        const start = state.page * config.pageSize;
+        return getFilteredAnswers().slice(start, start + config.pageSize);
+    }
+
+    /**
+     * عرض المنضدة
+     * @method render
+     */
+    function render() {
+        const coding = SurveyCoding.getQuestionCoding(state.survey.id, state.questionId);
+        const coders = SurveyCoding.getCoders(state.survey.id, state.questionId);
+
+        state.container.innerHTML = `
+            <div class="coding-workbench">
+                <div class="d-flex justify-content-between align-items-center mb-4">
+                    <div>
+                        <h2>ترميز الإجابات المفتوحة</h2>
+                        <small class="text-muted">${Utils.escapeHtml(state.survey.title)}</small>
+                    </div>
+                </div>
+                <div class="row g-4">
+                    <div class="col-lg-4">
+                        <div class="coding-panel">
+                            <label class="form-label small">السؤال</label>
+                            <select class="form-select form-select-sm mb-2" data-field="question">
+                                ${getTextQuestions().map(question => `
+                                    <option value="${Utils.escapeHtml(question.id)}" ${question.id === state.questionId ? 'selected' : ''}>
+                                        ${Utils.escapeHtml(Utils.truncateText(question.text, 60))}
+                                    </option>
+                                `).join('')}
+                            </select>
+                            <label class="form-label small">المرمّز</label>
+                            <input type="text" class="form-control form-control-sm" list="codingCoders" data-field="coder" value="${Utils.escapeHtml(state.coder)}">
+                            <datalist id="codingCoders">
+                                ${coders.map(coder => `<option value="${Utils.escapeHtml(coder)}">`).join('')}
+                            </datalist>
+                        </div>
+                        ${renderCodebook(coding.codebook)}
+                        ${renderAgreement()}
+                        ${renderCounts()}
+                    </div>
+                    <div class="col-lg-8">
+                        ${renderAnswers(coding)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * دليل الرموز ونموذج الإضافة
+     * @method renderCodebook
+     */
+    function renderCodebook(codebook) {
+        return `
+            <div class="coding-panel">
+                <h5>دليل الرموز</h5>
+                ${codebook.length === 0 ? '<p class="text-muted small">لم تُضف رموز بعد</p>' : `
+                    <ul class="list-unstyled coding-codebook">
+                        ${codebook.map(code => `
+                            <li>
+                                <div class="d-flex justify-content-between align-items-start">
+                                    <strong>${Utils.escapeHtml(code.label)}</strong>
+                                    <button type="button" class="btn btn-sm btn-link text-danger p-0" data-action="remove-code" data-code="${Utils.escapeHtml(code.id)}" aria-label="حذف">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                </div>
+                                ${code.description ? `<small class="d-block text-muted">${Utils.escapeHtml(code.description)}</small>` : ''}
+                                ${code.keywords.length ? `<small class="d-block text-muted">كلمات: ${code.keywords.map(Utils.escapeHtml).join('، ')}</small>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+                <input type="text" class="form-control form-control-sm mb-1" data-new-code="label" placeholder="اسم الرمز">
+                <input type="text" class="form-control form-control-sm mb-1" data-new-code="keywords" placeholder="كلمات مفتاحية مفصولة بفواصل">
+                <input type="text" class="form-control form-control-sm mb-2" data-new-code="description" placeholder="تعريف الرمز (اختياري)">
+                <button type="button" class="btn btn-sm btn-outline-primary w-100" data-action="add-code">
+                    <i class="fas fa-plus"></i> إضافة رمز
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * اتفاق المرمّزين
+     * @method renderAgreement
+     */
+    function renderAgreement() {
+        const pairs = SurveyCoding.agreementMatrix(state.survey.id, state.questionId);
+
+        return `
+            <div class="coding-panel">
+                <h5>اتفاق المرمّزين</h5>
+                ${pairs.length === 0 ? '<p class="text-muted small">يظهر الاتفاق عندما يرمّز محللان الإجابات نفسها</p>' :
+                    pairs.map(pair => `
+                        <div class="mb-2">
+                            <div class="d-flex justify-content-between">
+                                <span>${Utils.escapeHtml(pair.coders[0])} و${Utils.escapeHtml(pair.coders[1])}</span>
+                                <span class="badge ${pair.acceptable ? 'bg-success' : 'bg-warning text-dark'}">κ = ${pair.kappa}</span>
+                            </div>
+                            <small class="text-muted">
+                                ${pair.level} • ${Utils.formatNumber(pair.items)} إجابة مشتركة • تطابق تام ${pair.exactMatch}%
+                            </small>
+                            ${pair.byCode.filter(code => code.kappa !== null && code.kappa < SurveyCoding.config.minimumKappa).map(code => `
+                                <small class="d-block text-warning">
+                                    <i class="fas fa-exclamation-triangle"></i> راجع تعريف "${Utils.escapeHtml(code.label)}" (κ = ${code.kappa})
+                                </small>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * تكرارات الرموز المتفق عليها
+     * @method renderCounts
+     */
+    function renderCounts() {
+        const counts = SurveyCoding.countCodes(state.survey.id, state.questionId, state.responses);
+
+        return `
+            <div class="coding-panel">
+                <h5>التكرارات</h5>
+                <small class="text-muted d-block mb-2">
+                    ${Utils.formatNumber(counts.coded)} من ${Utils.formatNumber(counts.total)} إجابة مرمّزة
+                </small>
+                ${counts.frequencies.map(row => `
+                    <div class="d-flex justify-content-between small">
+                        <span>${Utils.escapeHtml(row.label)}</span>
+                        <span>${Utils.formatNumber(row.count)} (${row.percentage}%)</span>
+                    </div>
+                `).join('')}
+                ${typeof ResultPipeline !== 'undefined' ? `
+                    <button type="button" class="btn btn-sm btn-primary w-100 mt-3" data-action="apply-coding" ${counts.coded === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-chart-bar"></i> تحديث رسوم مسودة النتيجة
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * قائمة الإجابات مع خانات الرموز
+     * @method renderAnswers
+     */
+    function renderAnswers(coding) {
+        const filtered = getFilteredAnswers();
+        const pages = Math.ceil(filtered.length / config.pageSize);
+        const codebook = coding.codebook;
+
+        return `
+            <div class="d-flex gap-2 mb-3">
+                <select class="form-select form-select-sm w-auto" data-field="filter">
+                    ${Object.entries(config.filters).map(([value, label]) =>
+                        `<option value="${value}" ${state.filter === value ? 'selected' : ''}>${label}</option>`
+                    ).join('')}
+                </select>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="suggest-page" ${state.isSuggesting ? 'disabled' : ''}>
+                    <i class="fas fa-magic"></i> ${state.isSuggesting ? 'جاري التحليل...' : 'اقتراح رموز لهذه الصفحة'}
+                </button>
+            </div>
+            ${filtered.length === 0 ? '<p class="text-muted">لا توجد إجابات</p>' :
+                getPageAnswers().map(answer => renderAnswer(answer, codebook, coding.assignments[answer.id] || {})).join('')}
+            ${pages > 1 ? `
+                <nav class="d-flex gap-1 flex-wrap">
+                    ${Array.from({ length: pages }, (_, page) => `
+                        <button type="button" class="btn btn-sm ${page === state.page ? 'btn-primary' : 'btn-light'}" data-action="page" data-page="${page}">
+                            ${Utils.formatNumber(page + 1)}
+                        </button>
+                    `).join('')}
+                </nav>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * إجابة واحدة
+     * @method renderAnswer
+     */
+    function renderAnswer(answer, codebook, byCoder) {
+        const assigned = byCoder[state.coder] || [];
+        const suggested = (state.suggestions[answer.id] || []).filter(codeId => !assigned.includes(codeId));
+        const others = Object.keys(byCoder).filter(coder => coder !== state.coder);
+        const label = codeId => (codebook.find(code => code.id === codeId) || {}).label || codeId;
+        const id = Utils.escapeHtml(answer.id);
+
+        return `
+            <div class="coding-answer ${byCoder[state.coder] ? 'coded' : ''}">
+                <p>${Utils.escapeHtml(answer.text)}</p>
+                <div class="d-flex flex-wrap gap-3">
+                    ${codebook.map(code => `
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" id="code_${id}_${Utils.escapeHtml(code.id)}"
+                                data-response="${id}" data-code="${Utils.escapeHtml(code.id)}" ${assigned.includes(code.id) ? 'checked' : ''}>
+                            <label class="form-check-label small ${suggested.includes(code.id) ? 'coding-suggested' : ''}" for="code_${id}_${Utils.escapeHtml(code.id)}">
+                                ${Utils.escapeHtml(code.label)}
+                            </label>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="d-flex justify-content-between align-items-center mt-2">
+                    <small class="text-muted">
+                        ${others.map(coder => `${Utils.escapeHtml(coder)}: ${byCoder[coder].map(label).map(Utils.escapeHtml).join('، ') || 'بدون رمز'}`).join(' • ')}
+                    </small>
+                    <div class="d-flex gap-1">
+                        ${suggested.length ? `
+                            <button type="button" class="btn btn-sm btn-outline-success" data-action="accept-suggestion" data-response="${id}">
+                                <i class="fas fa-check"></i> قبول الاقتراح
+                            </button>
+                        ` : ''}
+                        <button type="button" class="btn btn-sm btn-light" data-action="suggest" data-response="${id}" ${state.isSuggesting ? 'disabled' : ''}>
+                            <i class="fas fa-magic"></i> اقتراح
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض مؤشر التحميل
+     * @method renderLoading
+     */
+    function renderLoading() {
+        state.container.innerHTML = `
+            <div class="text-center py-5">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">جاري التحميل...</span>
+                </div>
+            </div>
+        `;
+    }
+
+    return {
+        init,
+        config,
+        getState: () => ({ ...state })
+    };
+})();
+
+/**
+ * تصدير منضدة الترميز للاستخدام العام
+ */
+window.CodingWorkbench = CodingWorkbench;
+
+// تصدير افتراضي
+export default CodingWorkbench;
+```
@@ -0,0 +1,322 @@
+```javascript
+/* ============================================
+   صوت حضرموت - مستكشف الجداول المتقاطعة
+   ============================================ */
+
+/**
+ * واجهة الجداول المتقاطعة في صفحة النتيجة
+ * @namespace CrossTabExplorer
+ */
+const CrossTabExplorer = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        containerId: 'crossTabExplorer',
+        defaultColumn: 'city',
+        percentModes: {
+            column: 'نسبة العمود',
+            row: 'نسبة الصف',
+            count: 'العدد'
+        }
+    };
+
+    // الحالة
+    const state = {
+        survey: null,
+        records: [],
+        variables: [],
+        spec: { row: null, column: config.defaultColumn, layer: '' },
+        percentMode: 'column',
+        weighted: false,
+        weighting: null,
+        result: null,
+        container: null
+    };
+
+    /**
+     * تهيئة المستكشف لاستبيان
+     * @method init
+     */
+    async function init(containerId = config.containerId, surveyId) {
+        state.container = document.getElementById(containerId);
+        if (!state.container) return;
+
+        renderLoading();
+
+        state.survey = await SurveyRunner.loadSurvey(surveyId);
+        if (!state.survey) {
+            state.container.innerHTML = '<p class="text-muted">بيانات الاستبيان غير متاحة للتحليل</p>';
+            return;
+        }
+
+        const [responses, users] = await Promise.all([
+            SurveyResponses.load(state.survey.id),
+            SurveyCrossTab.loadProfiles(state.survey.id)
+        ]);
+
+        state.records = SurveyCrossTab.join(responses, users);
+        state.variables = SurveyCrossTab.getVariables(state.survey);
+        state.spec.row = (state.variables.find(variable => variable.source === 'question') || state.variables[0]).id;
+
+        state.container.addEventListener('change', handleChange);
+        state.container.addEventListener('click', event => {
+            if (event.target.closest('[data-action="export-crosstab"]')) exportTable();
+        });
+
+        update();
+    }
+
+    /**
+     * معالجة تغيير الاختيارات
+     * @method handleChange
+     */
+    function handleChange(event) {
+        const field = event.target.closest('[data-field]');
+        if (!field) return;
+
+        if (field.dataset.field === 'percentMode') {
+            state.percentMode = field.value;
+        } else if (field.dataset.field === 'weighted') {
+            state.weighted = field.checked;
+        } else {
+            state.spec[field.dataset.field] = field.value;
+        }
+
+        update();
+    }
+
+    /**
+     * إعادة حساب الجدول وعرضه
+     * @method update
+     */
+    function update() {
+        let records = state.records;
+
+        // الأوزان تُحسب مرة واحدة وتُعاد عند التبديل
+        if (state.weighted && typeof SurveyWeighting !== 'undefined') {
+            state.weighting = state.weighting || SurveyWeighting.rake(state.records, SurveyWeighting.getTargets(state.survey));
+            records = state.weighting.records;
+        }
+
+        try {
+            state.result = state.spec.row === state.spec.column ? null :
+                SurveyCrossTab.crossTab(state.survey, records, {
+                    row: state.spec.row,
+                    column: state.spec.column,
+                    layer: state.spec.layer || null
+                });
+        } catch (error) {
+            console.error('❌ فشل حساب الجدول المتقاطع:', error);
+            state.result = null;
+        }
+
+        render();
+    }
+
+    /**
+     * عرض المستكشف
+     * @method render
+     */
+    function render() {
+        const result = state.result;
+
+        state.container.innerHTML = `
+            <div class="crosstab-explorer">
+                <div class="crosstab-controls row g-2 mb-3">
+                    ${renderSelect('row', 'الصفوف', state.spec.row)}
+                    ${renderSelect('column', 'الأعمدة', state.spec.column)}
+                    ${renderSelect('layer', 'التقسيم حسب', state.spec.layer, true)}
+                    <div class="col-md-3">
+                        <label class="form-label small">العرض</label>
+                        <select class="form-select form-select-sm" data-field="percentMode">
+                            ${Object.entries(config.percentModes).map(([value, label]) =>
+                                `<option value="${value}" ${state.percentMode === value ? 'selected' : ''}>${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    ${typeof SurveyWeighting !== 'undefined' ? `
+                        <div class="col-12">
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="crossTabWeighted" data-field="weighted" ${state.weighted ? 'checked' : ''}>
+                                <label class="form-check-label small" for="crossTabWeighted">
+                                    ترجيح النتائج حسب التوزيع السكاني للمديريات والجنس والعمر
+                                </label>
+                            </div>
+                            ${state.weighted && state.weighting ? `
+                                <small class="text-muted">
+                                    أثر التصميم ${state.weighting.designEffect} • حجم العينة الفعّال ${Utils.formatNumber(state.weighting.effectiveSampleSize)}
+                                </small>
+                            ` : ''}
+                        </div>
+                    ` : ''}
+                </div>
+                ${!result ?
+                    '<p class="text-muted">اختر متغيرين مختلفين للصفوف والأعمدة</p>' :
+                    `
+                        ${renderTable(result.table, result.layer ? 'الكل' : '')}
+                        ${result.layers.map(layer => renderTable(layer.table, `${result.layer.label}: ${layer.label}`)).join('')}
+                        <div class="d-flex justify-content-between align-items-center">
+                            <small class="text-muted">
+                                تُحجب الخلايا التي يقل عددها عن ${Utils.formatNumber(result.minCount)} حفاظاً على خصوصية المشاركين
+                            </small>
+                            <button type="button" class="btn btn-sm btn-outline-secondary" data-action="export-crosstab">
+                                <i class="fas fa-download"></i> تصدير الجدول
+                            </button>
+                        </div>
+                    `}
+            </div>
+        `;
+    }
+
+    /**
+     * عرض قائمة اختيار متغير
+     * @method renderSelect
+     */
+    function renderSelect(field, label, selected, optional = false) {
+        const groups = [
+            { label: 'أسئلة الاستبيان', source: 'question' },
+            { label: 'بيانات المشاركين', source: 'profile' }
+        ];
+
+        return `
+            <div class="col-md-3">
+                <label class="form-label small">${label}</label>
+                <select class="form-select form-select-sm" data-field="${field}">
+                    ${optional ? `<option value="" ${!selected ? 'selected' : ''}>بدون</option>` : ''}
+                    ${groups.map(group => `
+                        <optgroup label="${group.label}">
+                            ${state.variables.filter(variable => variable.source === group.source).map(variable => `
+                                <option value="${Utils.escapeHtml(variable.id)}" ${selected === variable.id ? 'selected' : ''}>
+                                    ${Utils.escapeHtml(variable.label)}
+                                </option>
+                            `).join('')}
+                        </optgroup>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض جدول متقاطع
+     * @method renderTable
+     */
+    function renderTable(table, caption) {
+        if (table.total === 0) {
+            return `${caption ? `<h6>${Utils.escapeHtml(caption)}</h6>` : ''}<p class="text-muted small">لا توجد بيانات كافية</p>`;
+        }
+
+        const suppressed = `<span class="crosstab-suppressed" title="عدد صغير محجوب">&lt;${Utils.formatNumber(state.result.minCount)}</span>`;
+        const complementary = '<span class="crosstab-suppressed" title="محجوب حتى لا يُستنتج عدد صغير بالطرح">x</span>';
+        const formatCell = cell => {
+            if (cell.suppressed) return cell.complementary ? complementary : suppressed;
+            if (state.percentMode === 'count') return Utils.formatNumber(cell.count);
+            const value = state.percentMode === 'row' ? cell.rowPercent : cell.columnPercent;
+            return value === null ? complementary : `${value}%`;
+        };
+        const formatBase = item => {
+            if (item.base === null) return item.complementary ? complementary : suppressed;
+            return Utils.formatNumber(item.base);
+        };
+
+        return `
+            <div class="table-responsive mb-2">
+                <table class="table table-sm table-bordered crosstab-table">
+                    ${caption ? `<caption>${Utils.escapeHtml(caption)}</caption>` : ''}
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${table.columns.map(column => `<th>${Utils.escapeHtml(column.label)}</th>`).join('')}
+                            <th>العدد</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${table.rows.map((row, r) => `
+                            <tr>
+                                <th>${Utils.escapeHtml(row.label)}</th>
+                                ${table.cells[r].map(cell => `<td>${formatCell(cell)}</td>`).join('')}
+                                <td class="text-muted">${formatBase(row)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>العدد</th>
+                            ${table.columns.map(column => `<td class="text-muted">${formatBase(column)}</td>`).join('')}
+                            <td class="text-muted">${formatBase({ base: table.total, complementary: false })}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+            ${renderChiSquare(table.chiSquare)}
+        `;
+    }
+
+    /**
+     * عرض نتيجة اختبار مربع كاي
+     * @method renderChiSquare
+     */
+    function renderChiSquare(test) {
+        if (test.reason === 'multiple_response') {
+            return '<p class="crosstab-test text-muted">اختبار مربع كاي غير متاح لأسئلة الاختيار المتعدد</p>';
+        }
+        if (test.statistic === null) return '';
+
+        return `
+            <p class="crosstab-test">
+                χ² = ${test.statistic}، درجات الحرية ${test.df}، p = ${test.pValue < 0.001 ? '&lt; 0.001' : test.pValue}،
+                V كرامر = ${test.cramersV}
+                <span class="badge ${test.significant ? 'bg-success' : 'bg-secondary'}">
+                    ${test.significant ? 'فرق دال إحصائياً' : 'لا يوجد فرق دال'}
+                </span>
+                ${!test.reliable ? '<br><small class="text-warning"><i class="fas fa-exclamation-triangle"></i> التكرارات المتوقعة صغيرة في كثير من الخلايا، فسّر النتيجة بحذر</small>' : ''}
+            </p>
+        `;
+    }
+
+    /**
+     * تصدير الجدول الحالي
+     * @method exportTable
+     */
+    async function exportTable() {
+        if (!state.result || typeof AnalyticsSystem === 'undefined') return;
+
+        const exported = await AnalyticsSystem.exportData('csv', {
+            surveyId: state.survey.id,
+            crossTabs: [state.result]
+        });
+
+        if (!exported) App.showToast('تعذر تصدير الجدول', 'error');
+    }
+
+    /**
+     * عرض مؤشر التحميل
+     * @method renderLoading
+     */
+    function renderLoading() {
+        state.container.innerHTML = `
+            <div class="text-center py-4">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">جاري التحميل...</span>
+                </div>
+            </div>
+        `;
+    }
+
+    return {
+        init,
+        config,
+        update,
+        getState: () => ({ ...state })
+    };
+})();
+
+/**
+ * تصدير مستكشف الجداول المتقاطعة للاستخدام العام
+ */
+window.CrossTabExplorer = CrossTabExplorer;
+
+// تصدير افتراضي
+export default CrossTabExplorer;
+```
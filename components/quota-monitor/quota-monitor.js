@@ -0,0 +1,244 @@
+```javascript
+/* ============================================
+   صوت حضرموت - متابعة امتلاء حصص العينة
+   ============================================ */
+
+/**
+ * لوحة متابعة الحصص في لوحة التحكم
+ * @namespace QuotaMonitor
+ */
+const QuotaMonitor = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        containerId: 'quotaMonitor',
+        localData: '../../data/surveys.json',
+        refreshInterval: 60000,
+        stateLabels: {
+            open: 'متاحة',
+            below_min: 'دون الحد الأدنى',
+            met: 'مكتملة الحد الأدنى',
+            full: 'ممتلئة'
+        },
+        stateClasses: {
+            open: 'bg-info',
+            below_min: 'bg-warning text-dark',
+            met: 'bg-success',
+            full: 'bg-danger'
+        }
+    };
+
+    // الحالة
+    const state = {
+        surveys: [],
+        statuses: {},
+        isLoading: false,
+        container: null,
+        timer: null
+    };
+
+    /**
+     * تهيئة اللوحة
+     * @method init
+     */
+    async function init(containerId = config.containerId) {
+        state.container = document.getElementById(containerId);
+        if (!state.container) return;
+
+        state.container.addEventListener('click', event => {
+            if (event.target.closest('[data-action="refresh"]')) refresh();
+        });
+
+        await refresh();
+
+        // تحديث دوري لأعداد المشاركين
+        state.timer = setInterval(refresh, config.refreshInterval);
+    }
+
+    /**
+     * تحميل الاستبيانات وامتلاء حصصها
+     * @method refresh
+     */
+    async function refresh() {
+        if (state.isLoading) return;
+        state.isLoading = true;
+
+        if (state.surveys.length === 0) renderLoading();
+
+        try {
+            const surveys = await loadSurveys();
+            state.surveys = surveys.filter(survey =>
+                SurveyQuotas.getQuotas(survey).length > 0 && !['archived', 'draft'].includes(getSurveyState(survey))
+            );
+
+            const statuses = await Promise.all(state.surveys.map(survey => SurveyQuotas.getStatus(survey)));
+            state.surveys.forEach((survey, index) => {
+                state.statuses[survey.id] = statuses[index];
+            });
+
+            render();
+        } finally {
+            state.isLoading = false;
+        }
+    }
+
+    /**
+     * تحميل قائمة الاستبيانات
+     * @method loadSurveys
+     */
+    async function loadSurveys() {
+        try {
+            const response = await ApiManager.getSurveys();
+            if (Array.isArray(response.data)) return response.data;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل الاستبيانات من API:', error);
+        }
+
+        try {
+            const response = await fetch(config.localData);
+            const data = await response.json();
+            return data.surveys || [];
+        } catch (error) {
+            console.error('❌ فشل تحميل البيانات المحلية:', error);
+            return [];
+        }
+    }
+
+    /**
+     * الحالة الفعلية للاستبيان في دورة الحياة
+     * @method getSurveyState
+     */
+    function getSurveyState(survey) {
+        if (typeof SurveyLifecycle === 'undefined') return survey.status;
+        return SurveyLifecycle.getState(SurveyLifecycle.applySchedule([survey]).surveys[0]);
+    }
+
+    /**
+     * عرض اللوحة
+     * @method render
+     */
+    function render() {
+        state.container.innerHTML = `
+            <div class="quota-monitor">
+                <div class="d-flex justify-content-between align-items-center mb-4">
+                    <h2>امتلاء حصص العينة</h2>
+                    <button type="button" class="btn btn-outline-primary" data-action="refresh">
+                        <i class="fas fa-sync-alt"></i> تحديث
+                    </button>
+                </div>
+                ${state.surveys.length === 0 ?
+                    '<p class="text-muted text-center py-5">لا توجد استبيانات بحصص عينة محددة</p>' :
+                    state.surveys.map(renderSurvey).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * عرض حصص استبيان واحد
+     * @method renderSurvey
+     */
+    function renderSurvey(survey) {
+        const fill = SurveyQuotas.getFill(survey, state.statuses[survey.id] || {});
+        const surveyState = getSurveyState(survey);
+        const stateLabel = typeof SurveyLifecycle !== 'undefined' ?
+            SurveyLifecycle.STATE_LABELS[surveyState] : surveyState;
+
+        return `
+            <div class="quota-survey">
+                <div class="quota-survey-header">
+                    <div>
+                        <h4>${Utils.escapeHtml(survey.title)}</h4>
+                        <small class="text-muted">${Utils.escapeHtml(survey.id)} • ${Utils.escapeHtml(stateLabel)}</small>
+                    </div>
+                    <a href="survey-builder.html?id=${encodeURIComponent(survey.id)}" class="btn btn-sm btn-light">
+                        <i class="fas fa-pen"></i> تعديل
+                    </a>
+                </div>
+
+                <div class="quota-target">
+                    <div class="survey-progress-meta">
+                        <small>المشاركون: ${Utils.formatNumber(fill.total)} من ${Utils.formatNumber(fill.target)}</small>
+                        <small>${fill.percentage}%</small>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${fill.percentage}%"></div>
+                    </div>
+                    ${fill.targetMet ? '<small class="text-success"><i class="fas fa-check-circle"></i> تم بلوغ العدد المستهدف وأُغلق الاستبيان تلقائياً</small>' : ''}
+                </div>
+
+                <div class="table-responsive">
+                    <table class="table table-sm align-middle quota-table">
+                        <thead>
+                            <tr>
+                                <th>الحصة</th>
+                                <th>الحد</th>
+                                <th>العدد الحالي</th>
+                                <th class="w-25">الامتلاء</th>
+                                <th>الحالة</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${fill.quotas.map(renderQuotaRow).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض صف حصة
+     * @method renderQuotaRow
+     */
+    function renderQuotaRow(quota) {
+        const limits = [];
+        if (quota.min !== null) limits.push(`حد أدنى ${Utils.formatNumber(quota.min)}`);
+        if (quota.max !== null) limits.push(`حد أقصى ${Utils.formatNumber(quota.max)}`);
+
+        return `
+            <tr>
+                <td>${Utils.escapeHtml(quota.label)}</td>
+                <td><small>${limits.join(' • ')}</small></td>
+                <td>${Utils.formatNumber(quota.count)}</td>
+                <td>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${quota.percentage}%"></div>
+                    </div>
+                    <small class="text-muted">${quota.percentage}%</small>
+                </td>
+                <td><span class="badge ${config.stateClasses[quota.state]}">${config.stateLabels[quota.state]}</span></td>
+            </tr>
+        `;
+    }
+
+    /**
+     * عرض مؤشر التحميل
+     * @method renderLoading
+     */
+    function renderLoading() {
+        state.container.innerHTML = `
+            <div class="text-center py-5">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">جاري التحميل...</span>
+                </div>
+            </div>
+        `;
+    }
+
+    return {
+        init,
+        config,
+        refresh,
+        getState: () => ({ ...state })
+    };
+})();
+
+/**
+ * تصدير لوحة متابعة الحصص للاستخدام العام
+ */
+window.QuotaMonitor = QuotaMonitor;
+
+// تصدير افتراضي
+export default QuotaMonitor;
+```
@@ -0,0 +1,773 @@
+```javascript
+/* ============================================
+   صوت حضرموت - صفحة تفاصيل النتيجة
+   ============================================ */
+
+/**
+ * عرض تقرير نتيجة منشورة كاملاً من سجل results.json
+ * @namespace ResultDetail
+ */
+const ResultDetail = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        containerId: 'resultDetail',
+        localResults: '../data/results.json',
+        crossTabContainerId: 'crossTabExplorer',
+        forecastHorizon: 2,
+        trendIcons: {
+            up: 'fa-arrow-up text-success',
+            down: 'fa-arrow-down text-danger',
+            stable: 'fa-minus text-muted'
+        },
+        genderLabels: {
+            male: 'ذكر',
+            female: 'أنثى'
+        },
+        demographicSections: {
+            gender: 'الجنس',
+            ageGroups: 'الفئات العمرية',
+            regions: 'المناطق'
+        },
+        sentimentLabels: {
+            positive: { label: 'إيجابي', className: 'bg-success' },
+            neutral: { label: 'محايد', className: 'bg-info' },
+            negative: { label: 'سلبي', className: 'bg-danger' }
+        },
+        methodologyLabels: {
+            dataCollection: 'طريقة جمع البيانات',
+            sampleSize: 'حجم العينة',
+            marginOfError: 'هامش الخطأ',
+            designEffect: 'أثر التصميم',
+            analysisTools: 'أدوات التحليل',
+            qualityAssurance: 'ضمان الجودة'
+        },
+        downloads: [
+            { key: 'fullReportUrl', label: 'التقرير الكامل', icon: 'fa-file-pdf' },
+            { key: 'executiveSummaryUrl', label: 'الملخص التنفيذي', icon: 'fa-file-alt' },
+            { key: 'rawData', label: 'البيانات الخام', icon: 'fa-file-csv', dataFile: true, restricted: true },
+            { key: 'processedData', label: 'البيانات المعالجة', icon: 'fa-file-excel', dataFile: true },
+            { key: 'chartsData', label: 'بيانات الرسوم البيانية', icon: 'fa-file-code', dataFile: true }
+        ],
+        reports: [
+            { type: 'full', label: 'التقرير الكامل' },
+            { type: 'executive', label: 'الملخص التنفيذي' }
+        ],
+        reportFormats: {
+            pdf: { label: 'PDF', icon: 'fa-file-pdf' },
+            html: { label: 'HTML', icon: 'fa-file-code' }
+        },
+        researchFormats: {
+            spss: { label: 'SPSS (.sps + CSV)', icon: 'fa-table' },
+            r: { label: 'R (CSV + دليل الترميز)', icon: 'fa-code' },
+            dictionary: { label: 'قاموس البيانات (JSON)', icon: 'fa-book' }
+        }
+    };
+
+    // الحالة
+    const state = {
+        result: null,
+        previousResult: null,
+        results: [],
+        methodology: null,
+        downloadOptions: null,
+        compareMode: false,
+        container: null
+    };
+
+    /**
+     * تهيئة الصفحة
+     * @method init
+     */
+    async function init(containerId = config.containerId, resultId = Utils.getUrlParams().id) {
+        state.container = document.getElementById(containerId);
+        if (!state.container) return;
+
+        renderLoading();
+
+        state.result = resultId ? await loadResult(resultId) : null;
+        if (!state.result) {
+            renderNotFound();
+            return;
+        }
+
+        // الاتجاه والتغير يُحسبان من الموجة السابقة بدلاً من القيم المدخلة يدوياً
+        state.previousResult = await loadPreviousResult(state.result);
+        if (state.previousResult && typeof SurveySeries !== 'undefined') {
+            state.result = {
+                ...state.result,
+                keyFindings: SurveySeries.compareResults(state.result, state.previousResult)
+            };
+        }
+
+        document.title = `${state.result.title} - صوت حضرموت`;
+        state.container.addEventListener('click', handleClick);
+
+        render();
+        App.trackEvent('result_viewed', { result_id: state.result.id });
+
+        // الجداول المتقاطعة متاحة عند ربط النتيجة باستبيان محمّل
+        if (state.result.surveyId && typeof CrossTabExplorer !== 'undefined') {
+            await CrossTabExplorer.init(config.crossTabContainerId, state.result.surveyId);
+        }
+    }
+
+    /**
+     * تحميل سجل النتيجة
+     * @method loadResult
+     */
+    async function loadResult(resultId) {
+        let result = null;
+
+        try {
+            const response = await ApiManager.getResult(resultId);
+            if (response && response.data) result = response.data;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل النتيجة من API:', error);
+        }
+
+        // المنهجية العامة محفوظة في الملف المحلي خارج سجلات النتائج
+        try {
+            const response = await fetch(config.localResults);
+            const data = await response.json();
+            state.methodology = data.methodology || null;
+            state.downloadOptions = data.downloadOptions || null;
+            state.results = data.results || [];
+            result = result || state.results.find(item => item.id === resultId) || null;
+        } catch (error) {
+            console.error('❌ فشل تحميل النتائج المحلية:', error);
+        }
+
+        return result;
+    }
+
+    /**
+     * تحميل نتيجة الموجة السابقة
+     * @method loadPreviousResult
+     */
+    async function loadPreviousResult(result) {
+        if (!result.previousResultId) return null;
+
+        const local = state.results.find(item => item.id === result.previousResultId);
+        if (local) return local;
+
+        try {
+            const response = await ApiManager.getResult(result.previousResultId);
+            return (response && response.data) || null;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل نتيجة الموجة السابقة:', error);
+            return null;
+        }
+    }
+
+    /**
+     * معالجة روابط التحميل وتبديل وضع المقارنة
+     * @method handleClick
+     */
+    function handleClick(event) {
+        if (event.target.closest('[data-action="toggle-compare"]')) {
+            state.compareMode = !state.compareMode;
+
+            // إعادة رسم قسم الرسوم فقط حتى لا يُفقد مستكشف الجداول المتقاطعة
+            state.container.querySelector('[data-section="charts"]').innerHTML = renderCharts(state.result);
+            drawCharts();
+            return;
+        }
+
+        const research = event.target.closest('[data-research]');
+        if (research) {
+            exportResearchData(research.dataset.research);
+            return;
+        }
+
+        const exportButton = event.target.closest('[data-export]');
+        if (exportButton) {
+            exportData(exportButton.dataset.export);
+            return;
+        }
+
+        const report = event.target.closest('[data-report]');
+        if (report) {
+            generateReport(report.dataset.report, report.dataset.format);
+            return;
+        }
+
+        const link = event.target.closest('[data-download]');
+        if (!link) return;
+
+        App.trackEvent('result_download', {
+            result_id: state.result.id,
+            file: link.dataset.download
+        });
+    }
+
+    /**
+     * توليد التقرير محلياً وتصديره
+     * @method generateReport
+     */
+    async function generateReport(type, format) {
+        const options = { type, methodology: state.methodology };
+
+        try {
+            const exported = format === 'html' ?
+                await ReportGenerator.exportHtml(state.result, options) :
+                await ReportGenerator.exportPdf(state.result, options);
+
+            if (!exported) {
+                App.showToast('اسمح بالنوافذ المنبثقة لحفظ التقرير PDF', 'warning');
+                return;
+            }
+
+            App.trackEvent('result_report_generated', {
+                result_id: state.result.id,
+                report: type,
+                format
+            });
+        } catch (error) {
+            console.error('❌ فشل توليد التقرير:', error);
+            App.showToast('تعذر توليد التقرير', 'error');
+        }
+    }
+
+    /**
+     * تصدير الأقسام المختارة بالصيغة المطلوبة
+     * @method exportData
+     */
+    async function exportData(format) {
+        const sections = [...state.container.querySelectorAll('[data-export-section]:checked')].map(input => input.value);
+        if (sections.length === 0) {
+            App.showToast('اختر قسماً واحداً على الأقل للتصدير', 'warning');
+            return;
+        }
+
+        try {
+            const exported = await DataExport.exportResult(state.result, {
+                format,
+                sections,
+                methodology: state.methodology,
+                license: (state.downloadOptions || {}).license
+            });
+            if (!exported) {
+                App.showToast('تعذر التصدير بهذه الصيغة', 'error');
+                return;
+            }
+
+            App.trackEvent('result_export', { result_id: state.result.id, format, sections });
+        } catch (error) {
+            console.error('❌ فشل تصدير البيانات:', error);
+            App.showToast('تعذر تصدير البيانات', 'error');
+        }
+    }
+
+    /**
+     * تصدير بيانات الاستبيان مرمّزة للتحليل الإحصائي
+     * @method exportResearchData
+     */
+    async function exportResearchData(format) {
+        try {
+            const exported = await SurveyCodebook.exportSurvey(state.result.surveyId, format);
+            if (!exported) {
+                App.showToast('لا توجد ردود متاحة لهذا الاستبيان', 'warning');
+                return;
+            }
+
+            App.trackEvent('result_research_export', { result_id: state.result.id, format });
+        } catch (error) {
+            console.error('❌ فشل تصدير البيانات الإحصائية:', error);
+            App.showToast('تعذر تصدير البيانات', 'error');
+        }
+    }
+
+    /**
+     * عرض الصفحة
+     * @method render
+     */
+    function render() {
+        const result = state.result;
+
+        state.container.innerHTML = `
+            <article class="result-detail">
+                ${renderHeader(result)}
+                ${renderFindings(result)}
+                <div data-section="charts">${renderCharts(result)}</div>
+                <div class="row g-4">
+                    <div class="col-lg-6">${renderDemographics(result.demographics)}</div>
+                    <div class="col-lg-6">${renderRecommendations(result.recommendations)}</div>
+                </div>
+                ${renderInsights(result.aiInsights)}
+                ${result.surveyId && typeof CrossTabExplorer !== 'undefined' ? `
+                    <section class="result-section">
+                        <h3>تحليل حسب الفئات</h3>
+                        <div id="${config.crossTabContainerId}"></div>
+                    </section>
+                ` : ''}
+                ${renderMethodology(result)}
+                ${renderDownloads(result)}
+            </article>
+        `;
+
+        drawCharts();
+    }
+
+    /**
+     * رسم الرسوم البيانية في حاوياتها
+     * @method drawCharts
+     */
+    function drawCharts() {
+        getCharts(state.result).forEach((chart, index) => {
+            ChartManager.renderResultChart(
+                state.container.querySelector(`[data-chart="${index}"]`),
+                chart,
+                `result_${index}`
+            );
+        });
+    }
+
+    /**
+     * رأس التقرير
+     * @method renderHeader
+     */
+    function renderHeader(result) {
+        return `
+            <header class="result-detail-header">
+                <div class="mb-2">
+                    ${result.category ? `<span class="badge bg-primary">${Utils.escapeHtml(result.category)}</span>` : ''}
+                    ${result.subcategory ? `<span class="badge bg-light text-dark">${Utils.escapeHtml(result.subcategory)}</span>` : ''}
+                </div>
+                <h1>${Utils.escapeHtml(result.title)}</h1>
+                ${result.description ? `<p class="lead">${Utils.escapeHtml(result.description)}</p>` : ''}
+                <div class="result-meta">
+                    ${result.publishedDate ? `<span><i class="far fa-calendar"></i> ${ResultsManager.formatPublishedDate(result.publishedDate)}</span>` : ''}
+                    ${result.author ? `<span><i class="far fa-user"></i> ${Utils.escapeHtml(result.author)}</span>` : ''}
+                    <span><i class="far fa-eye"></i> ${Utils.formatNumber(result.views || 0)}</span>
+                    <span><i class="fas fa-download"></i> ${Utils.formatNumber(result.downloads || 0)}</span>
+                    <span><i class="fas fa-share-alt"></i> ${Utils.formatNumber(result.shares || 0)}</span>
+                    ${result.rating ? `<span><i class="fas fa-star text-warning"></i> ${result.rating}</span>` : ''}
+                </div>
+                ${(result.tags || []).length ? `
+                    <div class="result-tags">
+                        ${result.tags.map(tag => `<span class="badge bg-light text-dark">#${Utils.escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
+                <div class="result-summary">${Utils.escapeHtml(result.summary || '')}</div>
+            </header>
+        `;
+    }
+
+    /**
+     * النتائج الرئيسية مع اتجاه التغير
+     * @method renderFindings
+     */
+    function renderFindings(result) {
+        const findings = getFindings(result);
+        if (findings.length === 0) return '';
+
+        return `
+            <section class="result-section">
+                <h3>النتائج الرئيسية</h3>
+                <div class="row g-3">
+                    ${findings.map(finding => `
+                        <div class="col-md-4">
+                            <div class="result-finding">
+                                <div class="result-finding-value">
+                                    ${Utils.escapeHtml(finding.value)}
+                                    ${finding.trend ? `<i class="fas ${config.trendIcons[finding.trend] || config.trendIcons.stable}"></i>` : ''}
+                                </div>
+                                <h5>${Utils.escapeHtml(finding.title)}</h5>
+                                <p>${Utils.escapeHtml(finding.description || '')}</p>
+                                ${finding.change ? `<small class="d-block">${Utils.escapeHtml(finding.change)}</small>` : ''}
+                                ${renderSignificance(finding.comparison)}
+                                ${finding.marginOfError ? `<small class="text-muted d-block">هامش الخطأ ${Utils.escapeHtml(finding.marginOfError)}</small>` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * دلالة الفرق عن الموجة السابقة
+     * @method renderSignificance
+     */
+    function renderSignificance(comparison) {
+        if (!comparison) return '';
+
+        const previous = `${Utils.escapeHtml(comparison.previousWave)}: ${Utils.escapeHtml(comparison.previousValue)}`;
+        if (comparison.significant === null) {
+            return `<small class="text-muted d-block">${previous}</small>`;
+        }
+
+        return `
+            <small class="text-muted d-block">
+                ${previous}
+                <span class="badge ${comparison.significant ? 'bg-success' : 'bg-secondary'}">
+                    ${comparison.significant ? 'فرق دال إحصائياً' : 'فرق غير دال'}
+                </span>
+            </small>
+        `;
+    }
+
+    /**
+     * النتائج الرئيسية مع هامش الخطأ إن لم يكن منشوراً
+     * @method getFindings
+     */
+    function getFindings(result) {
+        const findings = result.keyFindings || [];
+        if (typeof SurveyWeighting === 'undefined' || findings.every(finding => finding.marginOfError)) return findings;
+
+        return SurveyWeighting.annotateFindings(result).map((finding, index) => ({
+            ...finding,
+            marginOfError: findings[index].marginOfError || finding.marginOfError
+        }));
+    }
+
+    /**
+     * حاويات الرسوم البيانية
+     * @method renderCharts
+     */
+    function renderCharts(result) {
+        const charts = getCharts(result);
+        if (charts.length === 0) return '';
+
+        const comparable = state.previousResult && typeof SurveySeries !== 'undefined';
+
+        return `
+            <section class="result-section">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <h3>الرسوم البيانية</h3>
+                    ${comparable ? `
+                        <button type="button" class="btn btn-sm ${state.compareMode ? 'btn-primary' : 'btn-outline-primary'}" data-action="toggle-compare">
+                            <i class="fas fa-code-compare"></i>
+                            ${state.compareMode ? 'عرض الموجة الحالية فقط' : `مقارنة مع ${Utils.escapeHtml(SurveySeries.getWaveLabel(state.previousResult))}`}
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="row g-4">
+                    ${charts.map((chart, index) => `
+                        <div class="col-lg-6">
+                            <div class="result-chart">
+                                <h5>${Utils.escapeHtml(chart.title || '')}</h5>
+                                <div class="result-chart-canvas">
+                                    <canvas data-chart="${index}" aria-label="${Utils.escapeHtml(chart.title || '')}" role="img"></canvas>
+                                </div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * الرسوم المعروضة حسب وضع المقارنة
+     * @method getCharts
+     */
+    function getCharts(result) {
+        // الرسوم الخطية تمتد بتوقع متقطع للفترات التالية
+        const charts = (result.charts || []).map(chart =>
+            typeof Forecasting !== 'undefined' ? Forecasting.extendChart(chart, { horizon: config.forecastHorizon, min: 0 }) : chart);
+        if (!state.compareMode || !state.previousResult || typeof SurveySeries === 'undefined') return charts;
+
+        const summary = SurveySeries.buildComparisonChart(result, state.previousResult);
+        return [
+            ...(summary ? [summary] : []),
+            ...charts.map(chart => SurveySeries.compareChart(chart, state.previousResult, result) || chart)
+        ];
+    }
+
+    /**
+     * توزيع المشاركين
+     * @method renderDemographics
+     */
+    function renderDemographics(demographics) {
+        if (!demographics) return '';
+
+        return `
+            <section class="result-section">
+                <h3>المشاركون</h3>
+                ${demographics.totalParticipants ? `
+                    <p class="result-participants">
+                        <strong>${Utils.formatNumber(demographics.totalParticipants)}</strong> مشارك
+                    </p>
+                ` : ''}
+                ${Object.entries(config.demographicSections).map(([key, title]) => {
+                    const shares = demographics[key];
+                    if (!shares || Object.keys(shares).length === 0) return '';
+
+                    return `
+                        <h6>${title}</h6>
+                        ${Object.entries(shares).map(([label, share]) => `
+                            <div class="result-bar">
+                                <span>${Utils.escapeHtml(key === 'gender' ? (config.genderLabels[label] || label) : label)}</span>
+                                <div class="progress">
+                                    <div class="progress-bar" role="progressbar" style="width: ${Number(share) || 0}%"
+                                        aria-valuenow="${Number(share) || 0}" aria-valuemin="0" aria-valuemax="100"></div>
+                                </div>
+                                <span>${share}%</span>
+                            </div>
+                        `).join('')}
+                    `;
+                }).join('')}
+            </section>
+        `;
+    }
+
+    /**
+     * التوصيات
+     * @method renderRecommendations
+     */
+    function renderRecommendations(recommendations) {
+        if (!(recommendations || []).length) return '';
+
+        return `
+            <section class="result-section">
+                <h3>التوصيات</h3>
+                <ol class="result-recommendations">
+                    ${recommendations.map(item => `<li>${Utils.escapeHtml(item)}</li>`).join('')}
+                </ol>
+            </section>
+        `;
+    }
+
+    /**
+     * رؤى التحليل الذكي
+     * @method renderInsights
+     */
+    function renderInsights(insights) {
+        if (!insights) return '';
+
+        const sentiment = insights.sentimentAnalysis || {};
+        const hasSentiment = Object.keys(config.sentimentLabels).some(key => sentiment[key] !== undefined);
+
+        return `
+            <section class="result-section">
+                <h3><i class="fas fa-brain"></i> رؤى التحليل الذكي</h3>
+                ${hasSentiment ? `
+                    <h6>تحليل المشاعر في الإجابات المفتوحة</h6>
+                    <div class="progress result-sentiment mb-3">
+                        ${Object.entries(config.sentimentLabels).map(([key, item]) => `
+                            <div class="progress-bar ${item.className}" role="progressbar" style="width: ${Number(sentiment[key]) || 0}%">
+                                ${item.label} ${Number(sentiment[key]) || 0}%
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${(insights.keyTopics || []).length ? `
+                    <h6>أبرز المواضيع</h6>
+                    <div class="result-tags mb-3">
+                        ${insights.keyTopics.map(topic => typeof topic === 'string' ?
+                            `<span class="badge bg-secondary">${Utils.escapeHtml(topic)}</span>` :
+                            `<span class="badge bg-secondary">${Utils.escapeHtml(topic.label)} (${topic.percentage}%)</span>`).join('')}
+                    </div>
+                    ${renderTopicQuotes(insights.keyTopics)}
+                ` : ''}
+                ${insights.trendPrediction ? `
+                    <h6>توقع الاتجاه</h6>
+                    <p>${Utils.escapeHtml(insights.trendPrediction)}</p>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    /**
+     * اقتباسات المواضيع المستخرجة تلقائياً من الإجابات المفتوحة
+     * @method renderTopicQuotes
+     */
+    function renderTopicQuotes(topics) {
+        const quoted = topics.filter(topic => topic && Array.isArray(topic.quotes) && topic.quotes.length > 0);
+        if (quoted.length === 0) return '';
+
+        return `
+            <div class="result-topics mb-3">
+                ${quoted.map(topic => `
+                    <div class="result-topic">
+                        <strong>${Utils.escapeHtml(topic.label)}</strong>
+                        <small class="text-muted">${Utils.formatNumber(topic.count)} إجابة</small>
+                        ${topic.quotes.map(quote => `<blockquote>«${Utils.escapeHtml(quote)}»</blockquote>`).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * المنهجية
+     * @method renderMethodology
+     */
+    function renderMethodology(result) {
+        const methodology = { ...(state.methodology || {}), ...(result.methodology || {}) };
+        const demographics = result.demographics || {};
+
+        // هامش الخطأ الفعلي لهذه النتيجة بدلاً من القيمة العامة
+        if (typeof SurveyWeighting !== 'undefined' && demographics.totalParticipants && !(result.methodology || {}).marginOfError) {
+            const designEffect = SurveyWeighting.estimateDesignEffect(demographics);
+            methodology.marginOfError = SurveyWeighting.formatMarginOfError(demographics.totalParticipants / designEffect);
+            methodology.designEffect = methodology.designEffect || designEffect;
+        }
+        if (demographics.totalParticipants && !(result.methodology || {}).sampleSize) {
+            methodology.sampleSize = demographics.totalParticipants;
+        }
+        if (typeof methodology.sampleSize === 'number') {
+            methodology.sampleSize = `${Utils.formatNumber(methodology.sampleSize)} مشارك`;
+        }
+
+        const rows = Object.entries(config.methodologyLabels)
+            .filter(([key]) => methodology[key] !== undefined && methodology[key] !== null && methodology[key] !== '');
+        if (rows.length === 0) return '';
+
+        return `
+            <section class="result-section">
+                <h3>المنهجية</h3>
+                <dl class="row result-methodology">
+                    ${rows.map(([key, label]) => `
+                        <dt class="col-sm-3">${label}</dt>
+                        <dd class="col-sm-9">
+                            ${Array.isArray(methodology[key]) ?
+                                methodology[key].map(Utils.escapeHtml).join('، ') :
+                                Utils.escapeHtml(methodology[key])}
+                        </dd>
+                    `).join('')}
+                </dl>
+            </section>
+        `;
+    }
+
+    /**
+     * روابط التحميل
+     * @method renderDownloads
+     */
+    function renderDownloads(result) {
+        const files = result.dataFiles || {};
+        // الردود الفردية لا تُعرض إلا للأدوار المخولة
+        const canAccessRespondentData = typeof DataExport !== 'undefined' && DataExport.canAccessRespondentData();
+        const links = config.downloads
+            .filter(item => canAccessRespondentData || !item.restricted)
+            .map(item => ({ ...item, url: item.dataFile ? files[item.key] : result[item.key] }))
+            .filter(item => item.url);
+        // التقارير تُولَّد محلياً من السجل حتى لو لم تُرفع ملفاتها
+        const canGenerate = typeof ReportGenerator !== 'undefined';
+        const exportOptions = getExportOptions();
+        const canExportResearch = canAccessRespondentData && Boolean(result.surveyId) && typeof SurveyCodebook !== 'undefined';
+        if (links.length === 0 && !canGenerate && !exportOptions && !canExportResearch) return '';
+
+        return `
+            <section class="result-section">
+                <h3>التحميلات</h3>
+                ${links.length ? `
+                    <div class="result-downloads">
+                        ${links.map(item => `
+                            <a href="${Utils.escapeHtml(item.url)}" class="btn btn-outline-primary" download data-download="${item.key}">
+                                <i class="fas ${item.icon}"></i> ${item.label}
+                            </a>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${canGenerate ? `
+                    <h6 class="mt-3">توليد التقرير</h6>
+                    <div class="result-downloads">
+                        ${config.reports.map(report => Object.entries(config.reportFormats).map(([format, item]) => `
+                            <button type="button" class="btn btn-outline-secondary" data-report="${report.type}" data-format="${format}">
+                                <i class="fas ${item.icon}"></i> ${report.label} (${item.label})
+                            </button>
+                        `).join('')).join('')}
+                    </div>
+                ` : ''}
+                ${exportOptions ? `
+                    <h6 class="mt-3">تصدير البيانات</h6>
+                    <div class="result-export-sections mb-2">
+                        ${exportOptions.sections.map(([key, label]) => `
+                            <label class="form-check form-check-inline">
+                                <input type="checkbox" class="form-check-input" value="${key}" data-export-section checked>
+                                <span class="form-check-label">${Utils.escapeHtml(label)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div class="result-downloads">
+                        ${exportOptions.formats.map(format => `
+                            <button type="button" class="btn btn-outline-secondary" data-export="${format}">
+                                <i class="fas fa-file-export"></i> ${Utils.escapeHtml(DataExport.FORMATS[format].label)}
+                            </button>
+                        `).join('')}
+                    </div>
+                    ${state.downloadOptions && state.downloadOptions.license ? `
+                        <small class="text-muted d-block mt-2">الترخيص: ${Utils.escapeHtml(state.downloadOptions.license)}</small>
+                    ` : ''}
+                ` : ''}
+                ${canExportResearch ? `
+                    <h6 class="mt-3">بيانات للتحليل الإحصائي</h6>
+                    <div class="result-downloads">
+                        ${Object.entries(config.researchFormats).map(([format, item]) => `
+                            <button type="button" class="btn btn-outline-secondary" data-research="${format}">
+                                <i class="fas ${item.icon}"></i> ${item.label}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    /**
+     * صيغ التصدير وأقسامه المعلنة في "downloadOptions"
+     * @method getExportOptions
+     */
+    function getExportOptions() {
+        if (typeof DataExport === 'undefined') return null;
+
+        const options = state.downloadOptions || {};
+        const formats = (options.formats || Object.keys(DataExport.FORMATS))
+            .map(DataExport.resolveFormat)
+            .filter(format => format && (format !== 'pdf' || typeof ReportGenerator !== 'undefined'));
+        const sections = DataExport.getAllowedSections(options.sections)
+            .map(key => [key, DataExport.SECTIONS[key]]);
+
+        return formats.length && sections.length ? { formats, sections } : null;
+    }
+
+    /**
+     * عرض حالة عدم العثور على النتيجة
+     * @method renderNotFound
+     */
+    function renderNotFound() {
+        state.container.innerHTML = `
+            <div class="text-center py-5">
+                <i class="fas fa-search fa-3x text-muted mb-3"></i>
+                <h3>النتيجة غير موجودة</h3>
+                <p class="text-muted">ربما حُذفت النتيجة أو لم تُنشر بعد</p>
+                <a href="../index.html" class="btn btn-primary">العودة إلى الصفحة الرئيسية</a>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض مؤشر التحميل
+     * @method renderLoading
+     */
+    function renderLoading() {
+        state.container.innerHTML = `
+            <div class="text-center py-5">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">جاري التحميل...</span>
+                </div>
+            </div>
+        `;
+    }
+
+    return {
+        init,
+        config,
+        loadResult,
+        getState: () => ({ ...state })
+    };
+})();
+
+/**
+ * تصدير صفحة تفاصيل النتيجة للاستخدام العام
+ */
+window.ResultDetail = ResultDetail;
+
+// تصدير افتراضي
+export default ResultDetail;
+```
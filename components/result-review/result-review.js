@@ -0,0 +1,359 @@
+```javascript
+/* ============================================
+   صوت حضرموت - مراجعة مسودات النتائج ونشرها
+   ============================================ */
+
+/**
+ * لوحة المحرر لمراجعة سجلات النتائج المبنية من الاستبيانات المغلقة
+ * @namespace ResultReview
+ */
+const ResultReview = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        containerId: 'resultReview',
+        localData: '../../data/surveys.json',
+        stageClasses: {
+            data_collection: 'bg-secondary',
+            data_processing: 'bg-info',
+            analysis: 'bg-info',
+            review: 'bg-warning text-dark',
+            published: 'bg-success'
+        },
+        trendIcons: {
+            up: 'fa-arrow-up text-success',
+            down: 'fa-arrow-down text-danger',
+            stable: 'fa-minus text-muted'
+        }
+    };
+
+    // الحالة
+    const state = {
+        surveys: [],
+        isLoading: false,
+        container: null
+    };
+
+    /**
+     * تهيئة اللوحة
+     * @method init
+     */
+    async function init(containerId = config.containerId) {
+        state.container = document.getElementById(containerId);
+        if (!state.container) return;
+
+        state.container.addEventListener('click', handleClick);
+
+        await refresh();
+    }
+
+    /**
+     * تحميل الاستبيانات وإعداد مسودات المغلقة منها
+     * @method refresh
+     */
+    async function refresh() {
+        if (state.isLoading) return;
+        state.isLoading = true;
+
+        renderLoading();
+
+        try {
+            state.surveys = await loadSurveys();
+            const created = await ResultPipeline.syncClosedSurveys(state.surveys);
+            if (created > 0) App.showToast(`تم إعداد ${created} مسودة نتيجة جديدة`, 'info');
+
+            render();
+        } finally {
+            state.isLoading = false;
+        }
+    }
+
+    /**
+     * تحميل قائمة الاستبيانات
+     * @method loadSurveys
+     */
+    async function loadSurveys() {
+        try {
+            const response = await ApiManager.getSurveys();
+            if (Array.isArray(response.data)) return response.data;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل الاستبيانات من API:', error);
+        }
+
+        try {
+            const response = await fetch(config.localData);
+            const data = await response.json();
+            return data.surveys || [];
+        } catch (error) {
+            console.error('❌ فشل تحميل البيانات المحلية:', error);
+            return [];
+        }
+    }
+
+    /**
+     * معالجة أزرار اللوحة
+     * @method handleClick
+     */
+    async function handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const surveyId = button.dataset.surveyId;
+
+        switch (button.dataset.action) {
+            case 'refresh':
+                await refresh();
+                break;
+
+            case 'save':
+                ResultPipeline.updateDraft(surveyId, readForm(surveyId));
+                App.showToast('تم حفظ التعديلات', 'success');
+                render();
+                break;
+
+            case 'rebuild': {
+                if (!window.confirm('ستُستبدل التعديلات الحالية بمسودة جديدة من الردود. هل تريد المتابعة؟')) return;
+
+                const survey = state.surveys.find(item => item.id === surveyId);
+                if (survey) await ResultPipeline.rebuild(survey);
+                render();
+                break;
+            }
+
+            case 'preview-report': {
+                // معاينة التقرير المطبوع من المسودة بتعديلاتها قبل النشر
+                ResultPipeline.updateDraft(surveyId, readForm(surveyId));
+                const opened = await ReportGenerator.exportPdf(ResultPipeline.getDraft(surveyId), { type: 'full' });
+                if (!opened) App.showToast('اسمح بالنوافذ المنبثقة لمعاينة التقرير', 'warning');
+                break;
+            }
+
+            case 'publish': {
+                ResultPipeline.updateDraft(surveyId, readForm(surveyId));
+                if (!window.confirm('سيُنشر التقرير للعامة. هل تريد المتابعة؟')) return;
+
+                button.disabled = true;
+                const result = await ResultPipeline.publish(surveyId);
+                App.showToast(result.message, result.success ? 'success' : 'error');
+                render();
+                break;
+            }
+        }
+    }
+
+    /**
+     * قراءة تعديلات المحرر من النموذج
+     * @method readForm
+     */
+    function readForm(surveyId) {
+        const form = state.container.querySelector(`[data-draft="${surveyId}"]`);
+        const draft = ResultPipeline.getDraft(surveyId);
+        const value = field => form.querySelector(`[data-field="${field}"]`).value.trim();
+
+        return {
+            title: value('title'),
+            summary: value('summary'),
+            expectedDate: value('expectedDate') || null,
+            keyFindings: draft.keyFindings.map((finding, index) => ({
+                ...finding,
+                title: value(`finding-${index}-title`),
+                value: value(`finding-${index}-value`),
+                description: value(`finding-${index}-description`)
+            })),
+            charts: draft.charts.map((chart, index) => ({
+                ...chart,
+                title: value(`chart-${index}-title`)
+            })),
+            recommendations: value('recommendations').split('\n').map(line => line.trim()).filter(Boolean),
+            aiInsights: { ...(draft.aiInsights || {}), trendPrediction: value('trendPrediction') || undefined }
+        };
+    }
+
+    /**
+     * عرض اللوحة
+     * @method render
+     */
+    function render() {
+        const drafts = Object.values(ResultPipeline.getDrafts())
+            .sort((a, b) => (a.pipeline.stage === 'published') - (b.pipeline.stage === 'published'));
+
+        state.container.innerHTML = `
+            <div class="result-review">
+                <div class="d-flex justify-content-between align-items-center mb-4">
+                    <h2>مراجعة النتائج قبل النشر</h2>
+                    <button type="button" class="btn btn-outline-primary" data-action="refresh">
+                        <i class="fas fa-sync-alt"></i> تحديث
+                    </button>
+                </div>
+                ${drafts.length === 0 ?
+                    '<p class="text-muted text-center py-5">لا توجد استبيانات مغلقة بانتظار إعداد نتائجها</p>' :
+                    drafts.map(renderDraft).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * عرض مسودة واحدة
+     * @method renderDraft
+     */
+    function renderDraft(draft) {
+        const stage = draft.pipeline.stage;
+        const editable = stage === ResultPipeline.STAGES.REVIEW;
+        const id = Utils.escapeHtml(draft.surveyId);
+
+        return `
+            <div class="result-draft" data-draft="${id}">
+                <div class="result-draft-header">
+                    <div>
+                        <h4>${Utils.escapeHtml(draft.title)}</h4>
+                        <small class="text-muted">${id}
+                            ${draft.demographics ? ` • ${Utils.formatNumber(draft.demographics.totalParticipants)} مشارك` : ''}
+                            ${draft.methodology && draft.methodology.marginOfError ? ` • ${Utils.escapeHtml(draft.methodology.marginOfError)}` : ''}
+                        </small>
+                    </div>
+                    <span class="badge ${config.stageClasses[stage]}">${ResultPipeline.STAGE_LABELS[stage]}</span>
+                </div>
+
+                ${draft.error ? `<div class="alert alert-danger">${Utils.escapeHtml(draft.error)}</div>` : ''}
+
+                ${editable ? renderForm(draft) : ''}
+
+                ${stage === ResultPipeline.STAGES.PUBLISHED && draft.id ? `
+                    <a href="../result.html?id=${encodeURIComponent(draft.id)}" class="btn btn-sm btn-light">
+                        <i class="fas fa-eye"></i> عرض النتيجة المنشورة
+                    </a>
+                ` : ''}
+
+                ${editable ? `
+                    <div class="d-flex gap-2 justify-content-end">
+                        <a href="coding.html?survey=${encodeURIComponent(draft.surveyId)}" class="btn btn-light">
+                            <i class="fas fa-tags"></i> ترميز الإجابات المفتوحة
+                        </a>
+                        <button type="button" class="btn btn-light" data-action="rebuild" data-survey-id="${id}">
+                            <i class="fas fa-redo"></i> إعادة البناء من الردود
+                        </button>
+                        ${typeof ReportGenerator !== 'undefined' ? `
+                            <button type="button" class="btn btn-light" data-action="preview-report" data-survey-id="${id}">
+                                <i class="fas fa-file-pdf"></i> معاينة التقرير
+                            </button>
+                        ` : ''}
+                        <button type="button" class="btn btn-outline-primary" data-action="save" data-survey-id="${id}">
+                            <i class="fas fa-save"></i> حفظ التعديلات
+                        </button>
+                        <button type="button" class="btn btn-primary" data-action="publish" data-survey-id="${id}">
+                            <i class="fas fa-paper-plane"></i> اعتماد ونشر
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * نموذج تعديل المسودة
+     * @method renderForm
+     */
+    function renderForm(draft) {
+        const demographics = draft.demographics || {};
+
+        return `
+            <div class="row g-3 mb-3">
+                <div class="col-md-8">
+                    <label class="form-label">عنوان التقرير</label>
+                    <input type="text" class="form-control" data-field="title" value="${Utils.escapeHtml(draft.title)}">
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label">موعد النشر المتوقع</label>
+                    <input type="date" class="form-control" data-field="expectedDate" value="${Utils.escapeHtml(draft.expectedDate || '')}">
+                </div>
+                <div class="col-12">
+                    <label class="form-label">الملخص</label>
+                    <textarea class="form-control" rows="3" data-field="summary">${Utils.escapeHtml(draft.summary)}</textarea>
+                </div>
+            </div>
+
+            <h5>النتائج الرئيسية</h5>
+            ${draft.keyFindings.map((finding, index) => `
+                <div class="result-draft-finding row g-2 mb-2">
+                    <div class="col-md-4">
+                        <input type="text" class="form-control form-control-sm" data-field="finding-${index}-title" value="${Utils.escapeHtml(finding.title)}">
+                    </div>
+                    <div class="col-md-2">
+                        <input type="text" class="form-control form-control-sm" dir="ltr" data-field="finding-${index}-value" value="${Utils.escapeHtml(finding.value)}">
+                    </div>
+                    <div class="col-md-6">
+                        <input type="text" class="form-control form-control-sm" data-field="finding-${index}-description" value="${Utils.escapeHtml(finding.description)}">
+                    </div>
+                    <small class="text-muted">
+                        ${finding.trend ? `<i class="fas ${config.trendIcons[finding.trend]}"></i> ${Utils.escapeHtml(finding.change)}` : 'لا توجد موجة سابقة للمقارنة'}
+                        ${finding.comparison && finding.comparison.pValue !== null ?
+                            ` (p ${finding.comparison.pValue < 0.001 ? '&lt; 0.001' : `= ${finding.comparison.pValue}`}، ${finding.comparison.significant ? 'فرق دال إحصائياً' : 'فرق غير دال'})` : ''}
+                        ${finding.marginOfError ? ` • هامش الخطأ ${Utils.escapeHtml(finding.marginOfError)}` : ''}
+                    </small>
+                </div>
+            `).join('')}
+
+            <h5 class="mt-3">الرسوم البيانية</h5>
+            ${draft.charts.map((chart, index) => `
+                <div class="input-group input-group-sm mb-2">
+                    <span class="input-group-text">${Utils.escapeHtml(chart.type)}</span>
+                    <input type="text" class="form-control" data-field="chart-${index}-title" value="${Utils.escapeHtml(chart.title)}">
+                </div>
+            `).join('')}
+
+            <h5 class="mt-3">التوصيات</h5>
+            <textarea class="form-control mb-1" rows="4" data-field="recommendations">${Utils.escapeHtml((draft.recommendations || []).join('\n'))}</textarea>
+            <small class="text-muted d-block mb-3">توصية واحدة في كل سطر</small>
+
+            <h5>توقع الاتجاه</h5>
+            <textarea class="form-control mb-1" rows="2" data-field="trendPrediction">${Utils.escapeHtml((draft.aiInsights && draft.aiInsights.trendPrediction) || '')}</textarea>
+            <small class="text-muted d-block mb-3">يُقترح تلقائياً من الموجات السابقة إذا توفرت موجتان على الأقل</small>
+
+            ${draft.aiInsights && (draft.aiInsights.keyTopics || []).length ? `
+                <h5>مواضيع الإجابات المفتوحة</h5>
+                <p class="small text-muted">
+                    ${draft.aiInsights.keyTopics.map(topic => typeof topic === 'string' ? Utils.escapeHtml(topic) :
+                        `${Utils.escapeHtml(topic.label)} (${Utils.formatNumber(topic.count)})`).join('، ')}
+                </p>
+            ` : ''}
+
+            <h5>المشاركون</h5>
+            <p class="small text-muted">
+                ${['gender', 'ageGroups', 'regions'].map(key => Object.entries(demographics[key] || {})
+                    .map(([label, share]) => `${Utils.escapeHtml(label)} ${share}%`).join('، ')).filter(Boolean).join(' • ') ||
+                    'لا تتوفر بيانات ديموغرافية للمشاركين'}
+            </p>
+        `;
+    }
+
+    /**
+     * عرض مؤشر التحميل
+     * @method renderLoading
+     */
+    function renderLoading() {
+        state.container.innerHTML = `
+            <div class="text-center py-5">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">جاري التحميل...</span>
+                </div>
+            </div>
+        `;
+    }
+
+    return {
+        init,
+        config,
+        refresh,
+        getState: () => ({ ...state })
+    };
+})();
+
+/**
+ * تصدير لوحة مراجعة النتائج للاستخدام العام
+ */
+window.ResultReview = ResultReview;
+
+// تصدير افتراضي
+export default ResultReview;
+```
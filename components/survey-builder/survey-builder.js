@@ -0,0 +1,1814 @@
+```javascript
+/* ============================================
+   صوت حضرموت - منشئ الاستبيانات بالسحب والإفلات
+   ============================================ */
+
+/**
+ * منشئ الاستبيانات
+ * @namespace SurveyBuilder
+ */
+const SurveyBuilder = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        containerId: 'surveyBuilder',
+        localData: '../../data/surveys.json',
+        typeLabels: {
+            single_choice: 'اختيار واحد',
+            multiple_choice: 'اختيار متعدد',
+            likert: 'مقياس ليكرت',
+            rating: 'تقييم',
+            text: 'نص حر',
+            number: 'رقم',
+            date: 'تاريخ',
+            ranking: 'ترتيب',
+            matrix: 'مصفوفة'
+        },
+        typeIcons: {
+            single_choice: 'fa-dot-circle',
+            multiple_choice: 'fa-check-square',
+            likert: 'fa-sliders-h',
+            rating: 'fa-star',
+            text: 'fa-align-right',
+            number: 'fa-hashtag',
+            date: 'fa-calendar-alt',
+            ranking: 'fa-sort-amount-down',
+            matrix: 'fa-table'
+        },
+        operatorLabels: {
+            equals: 'يساوي',
+            not_equals: 'لا يساوي',
+            in: 'أحد القيم',
+            not_in: 'ليس أحد القيم',
+            contains: 'يتضمن',
+            not_contains: 'لا يتضمن',
+            greater_than: 'أكبر من',
+            greater_or_equal: 'أكبر من أو يساوي',
+            less_than: 'أصغر من',
+            less_or_equal: 'أصغر من أو يساوي',
+            answered: 'تمت الإجابة',
+            not_answered: 'لم تتم الإجابة'
+        },
+        textFormatLabels: {
+            phone: 'رقم هاتف',
+            email: 'بريد إلكتروني',
+            arabic_name: 'اسم بالحروف العربية',
+            name: 'اسم',
+            digits: 'أرقام فقط'
+        },
+        actionLabels: {
+            show: 'إظهار',
+            skip: 'تخطي',
+            end: 'إنهاء الاستبيان'
+        },
+        statusActionLabels: {
+            draft: 'إعادة إلى المسودة',
+            scheduled: 'جدولة',
+            active: 'تفعيل',
+            paused: 'إيقاف مؤقت',
+            closed: 'إغلاق',
+            archived: 'أرشفة'
+        },
+        settingLabels: {
+            allowMultipleAttempts: 'السماح بالمشاركة أكثر من مرة',
+            showProgress: 'إظهار شريط التقدم',
+            randomizeQuestions: 'ترتيب الأسئلة عشوائياً',
+            showResults: 'عرض النتائج بعد الإرسال',
+            shareable: 'قابل للمشاركة'
+        }
+    };
+
+    // الحالة
+    const state = {
+        survey: null,
+        isNew: true,
+        selectedId: null,
+        mode: 'edit',
+        dragSource: null,
+        serverErrors: [],
+        isSaving: false,
+        isDirty: false,
+        queuedCreation: false,
+        container: null
+    };
+
+    /**
+     * تهيئة المنشئ
+     * @method init
+     */
+    async function init(containerId = config.containerId) {
+        state.container = document.getElementById(containerId);
+        if (!state.container) return;
+
+        setupEventListeners();
+
+        const { id } = Utils.getUrlParams();
+        if (id) {
+            state.container.innerHTML = `
+                <div class="text-center py-5">
+                    <div class="spinner-border text-primary" role="status">
+                        <span class="visually-hidden">جاري التحميل...</span>
+                    </div>
+                </div>
+            `;
+
+            const survey = await loadSurvey(id);
+            if (survey) {
+                state.survey = prepareSurvey(survey);
+                state.isNew = false;
+            } else {
+                App.showToast('تعذر العثور على الاستبيان، تم إنشاء مسودة جديدة', 'warning');
+            }
+        }
+
+        if (!state.survey) {
+            state.survey = createEmptySurvey();
+        }
+
+        state.selectedId = state.survey.questions.length > 0 ? state.survey.questions[0].id : null;
+        render();
+    }
+
+    /**
+     * إعداد مستمعي الأحداث
+     * @method setupEventListeners
+     */
+    function setupEventListeners() {
+        state.container.addEventListener('click', handleClick);
+        state.container.addEventListener('input', handleInput);
+        state.container.addEventListener('change', handleChange);
+        state.container.addEventListener('dragstart', handleDragStart);
+        state.container.addEventListener('dragover', handleDragOver);
+        state.container.addEventListener('dragleave', handleDragLeave);
+        state.container.addEventListener('drop', handleDrop);
+        state.container.addEventListener('dragend', clearDropIndicators);
+
+        // التنبيه عند مغادرة الصفحة مع تغييرات غير محفوظة
+        window.addEventListener('beforeunload', event => {
+            if (state.isDirty) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        });
+    }
+
+    /**
+     * تحميل استبيان موجود للتعديل
+     * @method loadSurvey
+     */
+    async function loadSurvey(surveyId) {
+        try {
+            const response = await ApiManager.getSurvey(surveyId);
+            const survey = response.data || response;
+            if (survey && survey.id) return survey;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل الاستبيان من API:', error);
+        }
+
+        const cached = LocalDataService.getSurveys();
+        const cachedSurvey = Array.isArray(cached) ? cached.find(survey => survey.id === surveyId) : null;
+        if (cachedSurvey) return cachedSurvey;
+
+        try {
+            const response = await fetch(config.localData);
+            const data = await response.json();
+            return (data.surveys || []).find(survey => survey.id === surveyId) || null;
+        } catch (error) {
+            console.error('❌ فشل تحميل البيانات المحلية:', error);
+            return null;
+        }
+    }
+
+    /**
+     * تجهيز نسخة قابلة للتعديل من الاستبيان
+     * @method prepareSurvey
+     */
+    function prepareSurvey(survey) {
+        const copy = JSON.parse(JSON.stringify(survey));
+
+        copy.schemaVersion = copy.schemaVersion || SurveyEngine.config.schemaVersion;
+        copy.questions = copy.questions || [];
+        copy.sections = copy.sections || [];
+        copy.rules = copy.rules || [];
+        copy.settings = { ...createEmptySurvey().settings, ...copy.settings };
+        copy.eligibility = copy.eligibility || {};
+
+        // عرض الحالة الفعلية بعد تطبيق مواعيد البدء والإغلاق
+        return typeof SurveyLifecycle !== 'undefined' ? SurveyLifecycle.applySchedule([copy]).surveys[0] : copy;
+    }
+
+    /**
+     * إنشاء مسودة استبيان فارغة
+     * @method createEmptySurvey
+     */
+    function createEmptySurvey() {
+        return {
+            id: `survey_${Utils.generateId()}`,
+            schemaVersion: SurveyEngine.config.schemaVersion,
+            title: '',
+            description: '',
+            category: '',
+            status: 'draft',
+            createdDate: new Date().toISOString().split('T')[0],
+            plannedDate: '',
+            endDate: '',
+            language: 'عربي',
+            region: 'حضرموت',
+            requiresLogin: true,
+            eligibility: {},
+            settings: {
+                allowMultipleAttempts: false,
+                showProgress: true,
+                randomizeQuestions: false,
+                showResults: true,
+                shareable: true
+            },
+            sections: [],
+            rules: [],
+            questions: []
+        };
+    }
+
+    // ========== إدارة الأسئلة ==========
+
+    /**
+     * توليد معرف سؤال جديد
+     * @method nextQuestionId
+     */
+    function nextQuestionId() {
+        const numbers = state.survey.questions
+            .map(question => parseInt(String(question.id).replace(/^q/, ''), 10))
+            .filter(number => !isNaN(number));
+
+        return `q${numbers.length > 0 ? Math.max(...numbers) + 1 : 1}`;
+    }
+
+    /**
+     * إنشاء قائمة خيارات افتراضية
+     * @method createOptions
+     */
+    function createOptions(prefix, count) {
+        return Array.from({ length: count }, (_, index) => ({
+            value: `${prefix}_${index + 1}`,
+            label: `${prefix === 'row' ? 'البند' : prefix === 'column' ? 'العمود' : 'الخيار'} ${index + 1}`
+        }));
+    }
+
+    /**
+     * الحقول الافتراضية لكل نوع سؤال
+     * @method getTypeDefaults
+     */
+    function getTypeDefaults(type) {
+        const types = SurveyEngine.QUESTION_TYPES;
+
+        switch (type) {
+            case types.SINGLE_CHOICE:
+            case types.MULTIPLE_CHOICE:
+            case types.RANKING:
+                return { options: createOptions('option', 3) };
+            case types.LIKERT:
+                return { scale: SurveyEngine.config.defaultLikertScale };
+            case types.RATING:
+                return { max: SurveyEngine.config.defaultRatingMax };
+            case types.TEXT:
+                return { multiline: true };
+            case types.MATRIX:
+                return { rows: createOptions('row', 3), columns: createOptions('column', 3) };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * إنشاء سؤال جديد
+     * @method createQuestion
+     */
+    function createQuestion(type) {
+        return {
+            id: nextQuestionId(),
+            type,
+            text: '',
+            required: true,
+            ...getTypeDefaults(type)
+        };
+    }
+
+    /**
+     * إضافة سؤال في موضع محدد
+     * @method addQuestion
+     */
+    function addQuestion(type, index = state.survey.questions.length) {
+        const question = createQuestion(type);
+        state.survey.questions.splice(index, 0, question);
+        state.selectedId = question.id;
+        markDirty();
+        render();
+    }
+
+    /**
+     * نقل سؤال إلى موضع جديد
+     * @method moveQuestion
+     */
+    function moveQuestion(fromIndex, toIndex) {
+        const questions = state.survey.questions;
+        if (fromIndex === toIndex || toIndex < 0 || toIndex > questions.length) return;
+
+        const [question] = questions.splice(fromIndex, 1);
+        questions.splice(toIndex > fromIndex ? toIndex - 1 : toIndex, 0, question);
+        markDirty();
+        render();
+    }
+
+    /**
+     * نسخ سؤال
+     * @method duplicateQuestion
+     */
+    function duplicateQuestion(questionId) {
+        const index = findQuestionIndex(questionId);
+        if (index === -1) return;
+
+        const copy = JSON.parse(JSON.stringify(state.survey.questions[index]));
+        copy.id = nextQuestionId();
+        // النسخة سؤال جديد لا يقابل سؤال الأصل في الموجات السابقة
+        delete copy.seriesKey;
+        state.survey.questions.splice(index + 1, 0, copy);
+        state.selectedId = copy.id;
+        markDirty();
+        render();
+    }
+
+    /**
+     * حذف سؤال مع القواعد المرتبطة به
+     * @method removeQuestion
+     */
+    function removeQuestion(questionId) {
+        const index = findQuestionIndex(questionId);
+        if (index === -1) return;
+
+        const relatedRules = getRulesReferencing(questionId);
+        const message = relatedRules.length > 0 ?
+            `سيتم حذف السؤال و${relatedRules.length} من قواعد التفرع المرتبطة به. هل تريد المتابعة؟` :
+            'هل تريد حذف هذا السؤال؟';
+        if (!window.confirm(message)) return;
+
+        state.survey.questions.splice(index, 1);
+        state.survey.rules = state.survey.rules.filter(rule => !relatedRules.includes(rule));
+
+        if (state.selectedId === questionId) {
+            const next = state.survey.questions[Math.min(index, state.survey.questions.length - 1)];
+            state.selectedId = next ? next.id : null;
+        }
+
+        markDirty();
+        render();
+    }
+
+    /**
+     * تغيير نوع السؤال مع الحفاظ على الحقول المشتركة
+     * @method changeQuestionType
+     */
+    function changeQuestionType(questionId, type) {
+        const index = findQuestionIndex(questionId);
+        if (index === -1) return;
+
+        const { id, text, description, required, section } = state.survey.questions[index];
+        state.survey.questions[index] = {
+            id,
+            type,
+            text,
+            ...(description ? { description } : {}),
+            required,
+            ...(section ? { section } : {}),
+            ...getTypeDefaults(type)
+        };
+
+        markDirty();
+        render();
+    }
+
+    /**
+     * البحث عن موضع سؤال
+     * @method findQuestionIndex
+     */
+    function findQuestionIndex(questionId) {
+        return state.survey.questions.findIndex(question => question.id === questionId);
+    }
+
+    /**
+     * الحصول على السؤال المحدد
+     * @method getSelectedQuestion
+     */
+    function getSelectedQuestion() {
+        return state.survey.questions.find(question => question.id === state.selectedId) || null;
+    }
+
+    // ========== إدارة الخيارات ==========
+
+    /**
+     * إضافة خيار أو بند
+     * @method addOption
+     */
+    function addOption(questionId, key) {
+        const question = state.survey.questions[findQuestionIndex(questionId)];
+        if (!question) return;
+
+        const list = question[key] || (question[key] = []);
+        const prefix = key === 'rows' ? 'row' : key === 'columns' ? 'column' : 'option';
+        let number = list.length + 1;
+        while (list.some(option => option.value === `${prefix}_${number}`)) number++;
+
+        list.push(createOptions(prefix, number)[number - 1]);
+        markDirty();
+        render();
+    }
+
+    /**
+     * حذف خيار أو بند
+     * @method removeOption
+     */
+    function removeOption(questionId, key, index) {
+        const question = state.survey.questions[findQuestionIndex(questionId)];
+        if (!question || !question[key]) return;
+
+        question[key].splice(index, 1);
+        markDirty();
+        render();
+    }
+
+    /**
+     * تحريك خيار لأعلى أو لأسفل
+     * @method moveOption
+     */
+    function moveOption(questionId, key, index, direction) {
+        const question = state.survey.questions[findQuestionIndex(questionId)];
+        if (!question || !question[key]) return;
+
+        const list = question[key];
+        const target = index + direction;
+        if (target < 0 || target >= list.length) return;
+
+        [list[index], list[target]] = [list[target], list[index]];
+        markDirty();
+        render();
+    }
+
+    // ========== إدارة الأقسام وقواعد التفرع ==========
+
+    /**
+     * إضافة قسم جديد
+     * @method addSection
+     */
+    function addSection() {
+        let number = state.survey.sections.length + 1;
+        while (state.survey.sections.some(section => section.id === `section_${number}`)) number++;
+
+        state.survey.sections.push({ id: `section_${number}`, title: `القسم ${number}` });
+        markDirty();
+        render();
+    }
+
+    /**
+     * حذف قسم وإزالة ارتباط الأسئلة به
+     * @method removeSection
+     */
+    function removeSection(index) {
+        const section = state.survey.sections[index];
+        if (!section) return;
+
+        state.survey.sections.splice(index, 1);
+        state.survey.questions.forEach(question => {
+            if (question.section === section.id) delete question.section;
+        });
+        state.survey.rules = state.survey.rules.filter(rule => !(rule.then && rule.then.section === section.id));
+
+        markDirty();
+        render();
+    }
+
+    /**
+     * الحصول على القواعد المرتبطة بسؤال
+     * @method getRulesReferencing
+     */
+    function getRulesReferencing(questionId) {
+        return state.survey.rules.filter(rule =>
+            (rule.if && rule.if.question === questionId) || (rule.then && rule.then.question === questionId)
+        );
+    }
+
+    /**
+     * توليد معرف قاعدة جديدة
+     * @method nextRuleId
+     */
+    function nextRuleId() {
+        let number = state.survey.rules.length + 1;
+        while (state.survey.rules.some(rule => rule.id === `r${number}`)) number++;
+        return `r${number}`;
+    }
+
+    /**
+     * إضافة قاعدة تفرع للسؤال المحدد
+     * @method addRule
+     */
+    function addRule(questionId, action = 'show') {
+        const index = findQuestionIndex(questionId);
+        const rule = { id: nextRuleId(), then: { action } };
+
+        if (action === 'end') {
+            // قاعدة الإنهاء تعتمد على إجابة السؤال نفسه
+            const question = state.survey.questions[index];
+            rule.if = { question: question.id, operator: 'equals', value: getDefaultConditionValue(question) };
+            normalizeRuleTarget(rule);
+        } else {
+            const previous = state.survey.questions[index - 1];
+            if (!previous) {
+                App.showToast('يجب أن تعتمد القاعدة على سؤال سابق', 'warning');
+                return;
+            }
+
+            rule.if = { question: previous.id, operator: 'equals', value: getDefaultConditionValue(previous) };
+            rule.then.question = questionId;
+        }
+
+        state.survey.rules.push(rule);
+        markDirty();
+        render();
+    }
+
+    /**
+     * حذف قاعدة
+     * @method removeRule
+     */
+    function removeRule(ruleIndex) {
+        state.survey.rules.splice(ruleIndex, 1);
+        markDirty();
+        render();
+    }
+
+    /**
+     * القيمة الافتراضية لشرط حسب نوع السؤال
+     * @method getDefaultConditionValue
+     */
+    function getDefaultConditionValue(question) {
+        if (question.options && question.options.length > 0) return question.options[0].value;
+        if (['likert', 'rating', 'number'].includes(question.type)) return 1;
+        return '';
+    }
+
+    // ========== الربط بين الحقول والبيانات ==========
+
+    /**
+     * تعيين قيمة حسب المسار
+     * @method setPath
+     */
+    function setPath(target, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => object[key], target);
+
+        if (value === undefined) {
+            delete parent[last];
+        } else {
+            parent[last] = value;
+        }
+    }
+
+    /**
+     * قراءة قيمة الحقل حسب نوعه
+     * @method readFieldValue
+     */
+    function readFieldValue(field) {
+        const valueType = field.getAttribute('data-value-type');
+
+        if (field.type === 'checkbox') return field.checked;
+
+        switch (valueType) {
+            case 'number':
+                return field.value === '' ? undefined : Number(field.value);
+            case 'list':
+                return field.value.split(/[,،]/).map(item => item.trim()).filter(Boolean);
+            case 'optional':
+                return field.value.trim() === '' ? undefined : field.value;
+            default:
+                return field.value;
+        }
+    }
+
+    /**
+     * التعامل مع الكتابة في الحقول
+     * @method handleInput
+     */
+    function handleInput(event) {
+        const field = event.target;
+        const path = field.getAttribute('data-bind');
+        if (!path || field.type === 'checkbox' || field.tagName === 'SELECT') return;
+
+        setPath(state.survey, path, readFieldValue(field));
+        markDirty();
+
+        // تحديث خفيف دون إعادة بناء المحرر للحفاظ على التركيز
+        if (path.endsWith('.text')) {
+            const question = getSelectedQuestion();
+            const item = state.container.querySelector(`.builder-question[data-id="${question.id}"] .builder-question-text`);
+            if (item) item.textContent = question.text || 'سؤال بدون نص';
+        }
+        renderValidation();
+    }
+
+    /**
+     * التعامل مع تغيير القوائم ومربعات الاختيار
+     * @method handleChange
+     */
+    function handleChange(event) {
+        const field = event.target;
+
+        if (field.getAttribute('data-action') === 'change-type') {
+            changeQuestionType(field.getAttribute('data-id'), field.value);
+            return;
+        }
+
+        if (field.getAttribute('data-action') === 'rule-target') {
+            setRuleTarget(parseInt(field.getAttribute('data-index'), 10), field.value);
+            return;
+        }
+
+        const path = field.getAttribute('data-bind');
+        if (!path || (field.type !== 'checkbox' && field.tagName !== 'SELECT')) return;
+
+        setPath(state.survey, path, readFieldValue(field));
+
+        // تعديل قيمة الشرط عند تغيير السؤال أو العامل
+        const rulePath = path.match(/^rules\.(\d+)\.if\.(question|operator)$/);
+        if (rulePath) {
+            resetConditionValue(state.survey.rules[parseInt(rulePath[1], 10)]);
+        }
+
+        // تحويل هدف القاعدة بين السؤال والقسم
+        const targetPath = path.match(/^rules\.(\d+)\.then\.action$/);
+        if (targetPath) {
+            normalizeRuleTarget(state.survey.rules[parseInt(targetPath[1], 10)]);
+        }
+
+        markDirty();
+        render();
+    }
+
+    /**
+     * إعادة ضبط قيمة الشرط لتناسب السؤال والعامل
+     * @method resetConditionValue
+     */
+    function resetConditionValue(rule) {
+        const condition = rule.if;
+        const question = state.survey.questions.find(item => item.id === condition.question);
+
+        if (['answered', 'not_answered'].includes(condition.operator)) {
+            delete condition.value;
+        } else if (['in', 'not_in'].includes(condition.operator)) {
+            condition.value = Array.isArray(condition.value) ? condition.value : [];
+        } else if (question) {
+            condition.value = getDefaultConditionValue(question);
+        }
+    }
+
+    /**
+     * ضبط هدف القاعدة حسب الإجراء
+     * @method normalizeRuleTarget
+     */
+    function normalizeRuleTarget(rule) {
+        if (rule.then.action === 'end') {
+            delete rule.then.question;
+            delete rule.then.section;
+            rule.then.message = rule.then.message || 'شكراً لاهتمامك، هذا الاستبيان غير موجه لفئتك.';
+
+            // إبقاء القاعدة مع السؤال المحدد في المحرر
+            if (state.selectedId && rule.if && rule.if.question !== state.selectedId) {
+                rule.if.question = state.selectedId;
+                resetConditionValue(rule);
+            }
+        } else {
+            delete rule.then.message;
+            if (!rule.then.question && !rule.then.section) {
+                rule.then.question = state.selectedId;
+            }
+        }
+    }
+
+    /**
+     * تحديد هدف القاعدة كسؤال أو قسم
+     * @method setRuleTarget
+     */
+    function setRuleTarget(ruleIndex, value) {
+        const rule = state.survey.rules[ruleIndex];
+        const [kind, id] = value.split(':');
+
+        delete rule.then.question;
+        delete rule.then.section;
+        rule.then[kind] = id;
+
+        markDirty();
+        render();
+    }
+
+    // ========== السحب والإفلات ==========
+
+    /**
+     * بداية السحب من لوحة الأنواع أو قائمة الأسئلة
+     * @method handleDragStart
+     */
+    function handleDragStart(event) {
+        const item = event.target.closest('[data-drag]');
+        if (!item) return;
+
+        state.dragSource = {
+            kind: item.getAttribute('data-drag'),
+            type: item.getAttribute('data-type'),
+            index: parseInt(item.getAttribute('data-index'), 10)
+        };
+
+        event.dataTransfer.effectAllowed = state.dragSource.kind === 'new' ? 'copy' : 'move';
+        event.dataTransfer.setData('text/plain', state.dragSource.type || String(state.dragSource.index));
+        item.classList.add('dragging');
+    }
+
+    /**
+     * حساب موضع الإفلات في قائمة الأسئلة
+     * @method getDropIndex
+     */
+    function getDropIndex(event) {
+        const item = event.target.closest('.builder-question');
+        if (!item) return state.survey.questions.length;
+
+        const rect = item.getBoundingClientRect();
+        const index = parseInt(item.getAttribute('data-index'), 10);
+        return event.clientY < rect.top + rect.height / 2 ? index : index + 1;
+    }
+
+    /**
+     * المرور فوق منطقة الإفلات
+     * @method handleDragOver
+     */
+    function handleDragOver(event) {
+        if (!state.dragSource || !event.target.closest('.builder-canvas')) return;
+
+        event.preventDefault();
+        clearDropIndicators(false);
+
+        const item = event.target.closest('.builder-question');
+        if (item) {
+            const rect = item.getBoundingClientRect();
+            item.classList.add(event.clientY < rect.top + rect.height / 2 ? 'drop-before' : 'drop-after');
+        } else {
+            event.target.closest('.builder-canvas').classList.add('drop-active');
+        }
+    }
+
+    /**
+     * مغادرة منطقة الإفلات
+     * @method handleDragLeave
+     */
+    function handleDragLeave(event) {
+        const item = event.target.closest('.builder-question');
+        if (item) item.classList.remove('drop-before', 'drop-after');
+    }
+
+    /**
+     * الإفلات في قائمة الأسئلة
+     * @method handleDrop
+     */
+    function handleDrop(event) {
+        if (!state.dragSource || !event.target.closest('.builder-canvas')) return;
+
+        event.preventDefault();
+        const source = state.dragSource;
+        const dropIndex = getDropIndex(event);
+        clearDropIndicators();
+
+        if (source.kind === 'new') {
+            addQuestion(source.type, dropIndex);
+        } else if (source.kind === 'move') {
+            moveQuestion(source.index, dropIndex);
+        }
+    }
+
+    /**
+     * إزالة مؤشرات الإفلات
+     * @method clearDropIndicators
+     */
+    function clearDropIndicators(resetSource = true) {
+        state.container.querySelectorAll('.drop-before, .drop-after, .drop-active, .dragging').forEach(element => {
+            element.classList.remove('drop-before', 'drop-after', 'drop-active');
+            if (resetSource) element.classList.remove('dragging');
+        });
+
+        if (resetSource) state.dragSource = null;
+    }
+
+    // ========== النقر والأوامر ==========
+
+    /**
+     * التعامل مع النقر داخل المنشئ
+     * @method handleClick
+     */
+    function handleClick(event) {
+        // أزرار المعاينة يتولاها مشغل الاستبيانات
+        if (event.target.closest('.builder-preview-frame')) return;
+
+        const button = event.target.closest('[data-action]');
+        if (!button || button.tagName === 'SELECT') return;
+
+        const action = button.getAttribute('data-action');
+        const id = button.getAttribute('data-id');
+        const key = button.getAttribute('data-key');
+        const index = parseInt(button.getAttribute('data-index'), 10);
+
+        switch (action) {
+            case 'add-question':
+                addQuestion(button.getAttribute('data-type'));
+                break;
+            case 'select-question':
+                state.selectedId = id;
+                render();
+                break;
+            case 'question-up':
+                moveQuestion(index, index - 1);
+                break;
+            case 'question-down':
+                moveQuestion(index, index + 2);
+                break;
+            case 'duplicate-question':
+                duplicateQuestion(id);
+                break;
+            case 'remove-question':
+                removeQuestion(id);
+                break;
+            case 'add-option':
+                addOption(id, key);
+                break;
+            case 'remove-option':
+                removeOption(id, key, index);
+                break;
+            case 'option-up':
+            case 'option-down':
+                moveOption(id, key, index, action === 'option-up' ? -1 : 1);
+                break;
+            case 'add-section':
+                addSection();
+                break;
+            case 'remove-section':
+                removeSection(index);
+                break;
+            case 'add-rule':
+                addRule(id, button.getAttribute('data-rule-action') || 'show');
+                break;
+            case 'remove-rule':
+                removeRule(index);
+                break;
+            case 'set-mode':
+                state.mode = button.getAttribute('data-mode');
+                render();
+                break;
+            case 'change-status':
+                changeSurveyStatus(button.getAttribute('data-status'));
+                break;
+            case 'save':
+                save();
+                break;
+        }
+    }
+
+    // ========== دورة الحياة ==========
+
+    /**
+     * تغيير حالة الاستبيان مع تسجيلها في سجل التدقيق
+     * @method changeSurveyStatus
+     */
+    async function changeSurveyStatus(status) {
+        const labels = SurveyLifecycle.STATE_LABELS;
+        const reasonField = state.container.querySelector('.builder-status-reason');
+        const reason = reasonField ? reasonField.value.trim() : '';
+
+        if (['closed', 'archived'].includes(status) &&
+            !window.confirm(`سيتم نقل الاستبيان إلى حالة "${labels[status]}" ولا يمكن التراجع عن ذلك. هل تريد المتابعة؟`)) {
+            return;
+        }
+
+        // الاستبيان الجديد يحفظ بحالته مع أول حفظ
+        const result = state.isNew ?
+            SurveyLifecycle.transition(state.survey, status, { reason }) :
+            await SurveyLifecycle.changeStatus(state.survey, status, { reason });
+
+        if (!result.success) {
+            App.showToast(result.message, 'error');
+            return;
+        }
+
+        state.survey = result.survey;
+        if (state.isNew) markDirty();
+
+        App.showToast(`تم نقل الاستبيان إلى حالة "${labels[status]}"`, 'success');
+        render();
+    }
+
+    // ========== التحقق والحفظ ==========
+
+    /**
+     * بناء بيانات الاستبيان للحفظ
+     * @method buildSurveyData
+     */
+    function buildSurveyData() {
+        const data = JSON.parse(JSON.stringify(state.survey));
+
+        data.schemaVersion = SurveyEngine.config.schemaVersion;
+        data.questionsCount = data.questions.length;
+        data.updatedDate = new Date().toISOString();
+
+        if (data.sections.length === 0) delete data.sections;
+        if (data.rules.length === 0) delete data.rules;
+        if (!data.plannedDate) delete data.plannedDate;
+
+        // حذف شروط الأهلية الفارغة
+        Object.keys(data.eligibility).forEach(key => {
+            const value = data.eligibility[key];
+            if (value === false || (Array.isArray(value) && value.length === 0)) delete data.eligibility[key];
+        });
+        if (Object.keys(data.eligibility).length === 0) delete data.eligibility;
+
+        data.questions.forEach(question => {
+            if (!question.description) delete question.description;
+        });
+
+        return data;
+    }
+
+    /**
+     * جمع أخطاء تعريف الاستبيان
+     * @method getValidationErrors
+     */
+    function getValidationErrors(data = buildSurveyData()) {
+        const errors = [];
+
+        if (!data.title || !data.title.trim()) {
+            errors.push('عنوان الاستبيان مطلوب');
+        }
+
+        errors.push(...SurveyEngine.validateSurvey(data).errors);
+
+        if (typeof SurveyLogic !== 'undefined') {
+            errors.push(...SurveyLogic.checkRules(data).errors);
+        }
+
+        if (typeof SurveyQuotas !== 'undefined') {
+            errors.push(...SurveyQuotas.checkQuotas(data).errors);
+        }
+
+        if (typeof SurveySeries !== 'undefined') {
+            errors.push(...SurveySeries.checkSeries(data).errors);
+        }
+
+        if (typeof AuthenticationSystem !== 'undefined') {
+            errors.push(...AuthenticationSystem.validateEligibilityCriteria(data.eligibility).errors);
+        }
+
+        if (typeof SurveyI18n !== 'undefined') {
+            errors.push(...SurveyI18n.checkTranslations(data).errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * حفظ الاستبيان على الخادم أو في طابور عدم الاتصال
+     * @method save
+     */
+    async function save() {
+        if (state.isSaving) return;
+
+        const data = buildSurveyData();
+        const errors = getValidationErrors(data);
+        if (errors.length > 0) {
+            App.showToast('يرجى تصحيح أخطاء الاستبيان قبل الحفظ', 'error');
+            renderValidation();
+            return;
+        }
+
+        state.isSaving = true;
+        state.serverErrors = [];
+        renderToolbar();
+
+        try {
+            if (!navigator.onLine) {
+                throw new ApiManager.NetworkError('لا يوجد اتصال بالإنترنت');
+            }
+
+            // إنشاء المسودة المرفوعة من الطابور تم عند المزامنة فيصبح الحفظ تحديثاً
+            if (state.isNew && state.queuedCreation && !findPendingSave(LocalDataService.getOfflineData(), data.id)) {
+                state.isNew = false;
+            }
+
+            const response = state.isNew ?
+                await ApiManager.createSurvey(data) :
+                await ApiManager.updateSurvey(data.id, data);
+
+            // النسخة المعلقة في الطابور أصبحت قديمة ورفعها سينشئ نسخة مكررة
+            removePendingSave(data.id);
+
+            const saved = response.data || {};
+            if (saved.id) state.survey.id = saved.id;
+
+            state.isNew = false;
+            state.queuedCreation = false;
+            state.isDirty = false;
+            App.showToast('تم حفظ الاستبيان بنجاح', 'success');
+        } catch (error) {
+            if (error instanceof ApiManager.ValidationError) {
+                state.serverErrors = Object.values(error.fieldErrors || {}).flat();
+                App.showToast(error.message, 'error');
+            } else if (error instanceof ApiManager.ApiError && error.status >= 400 && error.status < 500) {
+                console.error('❌ رفض الخادم حفظ الاستبيان:', error);
+                state.serverErrors = Object.values(error.errors || {}).flat();
+                App.showToast(error.message || 'تعذر حفظ الاستبيان', 'error');
+            } else {
+                console.warn('⚠️ فشل حفظ الاستبيان، سيتم رفعه عند المزامنة:', error);
+                queueOfflineSave(data);
+                state.isDirty = false;
+                App.showToast('تم حفظ الاستبيان على جهازك وسيتم رفعه عند عودة الاتصال', 'warning');
+            }
+        } finally {
+            state.isSaving = false;
+            render();
+        }
+    }
+
+    /**
+     * إضافة الاستبيان لطابور المزامنة دون تكرار
+     * @method queueOfflineSave
+     */
+    function queueOfflineSave(data) {
+        const queue = LocalDataService.getOfflineData();
+        const pending = findPendingSave(queue, data.id);
+
+        if (pending) {
+            // تحديث النسخة المعلقة مع الحفاظ على نوع العملية الأصلي
+            pending.data = data;
+            pending.timestamp = new Date().toISOString();
+            LocalDataService.setOfflineData(queue);
+        } else {
+            LocalDataService.saveOfflineData(state.isNew ? 'survey_creation' : 'survey_update', data);
+        }
+
+        if (state.isNew) state.queuedCreation = true;
+    }
+
+    /**
+     * النسخة المعلقة من الاستبيان في طابور المزامنة
+     * @method findPendingSave
+     */
+    function findPendingSave(queue, surveyId) {
+        return queue.find(item =>
+            ['survey_creation', 'survey_update'].includes(item.type) && item.data && item.data.id === surveyId
+        );
+    }
+
+    /**
+     * حذف النسخة المعلقة بعد حفظ أحدث منها على الخادم
+     * @method removePendingSave
+     */
+    function removePendingSave(surveyId) {
+        const queue = LocalDataService.getOfflineData();
+        const pending = findPendingSave(queue, surveyId);
+        if (pending) {
+            LocalDataService.setOfflineData(queue.filter(item => item !== pending));
+        }
+    }
+
+    /**
+     * تعليم المسودة كمعدلة
+     * @method markDirty
+     */
+    function markDirty() {
+        state.isDirty = true;
+        state.serverErrors = [];
+    }
+
+    // ========== العرض ==========
+
+    /**
+     * عرض المنشئ
+     * @method render
+     */
+    function render() {
+        state.container.innerHTML = `
+            <div class="survey-builder">
+                <div class="builder-toolbar"></div>
+                ${state.mode === 'preview' ? renderPreviewLayout() : renderEditLayout()}
+            </div>
+        `;
+
+        renderToolbar();
+
+        if (state.mode === 'preview') {
+            startPreview();
+        } else {
+            renderValidation();
+        }
+    }
+
+    /**
+     * عرض شريط الأدوات
+     * @method renderToolbar
+     */
+    function renderToolbar() {
+        const toolbar = state.container.querySelector('.builder-toolbar');
+        if (!toolbar) return;
+
+        toolbar.innerHTML = `
+            <div class="builder-title">
+                <h2>${state.isNew ? 'استبيان جديد' : 'تعديل الاستبيان'}</h2>
+                <small class="text-muted">${Utils.escapeHtml(state.survey.id)} ${state.isDirty ? '• تغييرات غير محفوظة' : ''}</small>
+            </div>
+            <div class="builder-toolbar-actions">
+                <div class="btn-group" role="group">
+                    <button type="button" class="btn ${state.mode === 'edit' ? 'btn-primary' : 'btn-outline-primary'}" data-action="set-mode" data-mode="edit">
+                        <i class="fas fa-pen"></i> تحرير
+                    </button>
+                    <button type="button" class="btn ${state.mode === 'preview' ? 'btn-primary' : 'btn-outline-primary'}" data-action="set-mode" data-mode="preview">
+                        <i class="fas fa-eye"></i> معاينة
+                    </button>
+                </div>
+                <button type="button" class="btn btn-success" data-action="save" ${state.isSaving ? 'disabled' : ''}>
+                    ${state.isSaving ?
+                        '<i class="fas fa-spinner fa-spin"></i> جاري الحفظ...' :
+                        '<i class="fas fa-save"></i> حفظ الاستبيان'}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض تخطيط التحرير
+     * @method renderEditLayout
+     */
+    function renderEditLayout() {
+        const question = getSelectedQuestion();
+
+        return `
+            <div class="row g-4">
+                <div class="col-lg-3">
+                    ${renderPalette()}
+                    ${renderSurveySettings()}
+                    ${typeof SurveyLifecycle !== 'undefined' ? renderLifecycle() : ''}
+                </div>
+                <div class="col-lg-5">
+                    ${renderCanvas()}
+                </div>
+                <div class="col-lg-4">
+                    <div class="builder-panel">
+                        ${question ? renderQuestionEditor(question) : '<p class="text-muted">اختر سؤالاً لتعديله أو اسحب نوع سؤال إلى القائمة.</p>'}
+                    </div>
+                    <div class="builder-panel builder-validation"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض لوحة أنواع الأسئلة
+     * @method renderPalette
+     */
+    function renderPalette() {
+        return `
+            <div class="builder-panel">
+                <h5>أنواع الأسئلة</h5>
+                <p class="text-muted small">اسحب النوع إلى قائمة الأسئلة أو انقر لإضافته في النهاية</p>
+                <div class="builder-palette">
+                    ${Object.values(SurveyEngine.QUESTION_TYPES).map(type => `
+                        <div class="builder-palette-item" role="button" tabindex="0" draggable="true"
+                            data-drag="new" data-type="${type}" data-action="add-question">
+                            <i class="fas ${config.typeIcons[type]}"></i>
+                            <span>${config.typeLabels[type]}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض إعدادات الاستبيان العامة
+     * @method renderSurveySettings
+     */
+    function renderSurveySettings() {
+        const survey = state.survey;
+
+        return `
+            <div class="builder-panel">
+                <h5>بيانات الاستبيان</h5>
+                <div class="mb-2">
+                    <label class="form-label">العنوان</label>
+                    <input type="text" class="form-control" data-bind="title" value="${Utils.escapeHtml(survey.title || '')}">
+                </div>
+                <div class="mb-2">
+                    <label class="form-label">الوصف</label>
+                    <textarea class="form-control" rows="3" data-bind="description">${Utils.escapeHtml(survey.description || '')}</textarea>
+                </div>
+                <div class="mb-2">
+                    <label class="form-label">التصنيف</label>
+                    <input type="text" class="form-control" data-bind="category" value="${Utils.escapeHtml(survey.category || '')}">
+                </div>
+                <div class="mb-2">
+                    <label class="form-label">تاريخ البدء المخطط</label>
+                    <input type="date" class="form-control" data-bind="plannedDate" value="${Utils.escapeHtml(survey.plannedDate || '')}">
+                </div>
+                <div class="mb-2">
+                    <label class="form-label">تاريخ الانتهاء</label>
+                    <input type="date" class="form-control" data-bind="endDate" value="${Utils.escapeHtml(survey.endDate || '')}">
+                </div>
+                <div class="form-check mb-2">
+                    <input class="form-check-input" type="checkbox" id="builderRequiresLogin" data-bind="requiresLogin" ${survey.requiresLogin ? 'checked' : ''}>
+                    <label class="form-check-label" for="builderRequiresLogin">يتطلب تسجيل الدخول</label>
+                </div>
+
+                <h6 class="mt-3">شروط الأهلية</h6>
+                <div class="mb-2">
+                    <label class="form-label">المحافظات</label>
+                    <input type="text" class="form-control form-control-sm" data-bind="eligibility.regions" data-value-type="list"
+                        value="${Utils.escapeHtml((survey.eligibility.regions || []).join('، '))}" placeholder="مثال: حضرموت">
+                </div>
+                <div class="mb-2">
+                    <label class="form-label">المدن</label>
+                    <input type="text" class="form-control form-control-sm" data-bind="eligibility.cities" data-value-type="list"
+                        value="${Utils.escapeHtml((survey.eligibility.cities || []).join('، '))}" placeholder="مثال: المكلا، سيئون">
+                </div>
+                <div class="row g-2 mb-2">
+                    <div class="col">
+                        <label class="form-label">أقل عمر</label>
+                        <input type="number" class="form-control form-control-sm" min="0" data-bind="eligibility.minAge" data-value-type="number"
+                            value="${survey.eligibility.minAge ?? ''}">
+                    </div>
+                    <div class="col">
+                        <label class="form-label">أكبر عمر</label>
+                        <input type="number" class="form-control form-control-sm" min="0" data-bind="eligibility.maxAge" data-value-type="number"
+                            value="${survey.eligibility.maxAge ?? ''}">
+                    </div>
+                </div>
+                <div class="mb-2">
+                    <label class="form-label">أنواع الحسابات</label>
+                    <input type="text" class="form-control form-control-sm" dir="ltr" data-bind="eligibility.accountTypes" data-value-type="list"
+                        value="${Utils.escapeHtml((survey.eligibility.accountTypes || []).join(', '))}" placeholder="${Object.keys(AuthenticationSystem.config.accountTypes).join(', ')}">
+                </div>
+                <div class="form-check mb-2">
+                    <input class="form-check-input" type="checkbox" id="builderRequireVerifiedPhone" data-bind="eligibility.requireVerifiedPhone" ${survey.eligibility.requireVerifiedPhone ? 'checked' : ''}>
+                    <label class="form-check-label" for="builderRequireVerifiedPhone">يتطلب رقم هاتف موثقاً</label>
+                </div>
+
+                <h6 class="mt-3">الإعدادات</h6>
+                ${Object.entries(config.settingLabels).map(([key, label]) => `
+                    <div class="form-check">
+                        <input class="form-check-input" type="checkbox" id="builderSetting_${key}"
+                            data-bind="settings.${key}" ${survey.settings[key] ? 'checked' : ''}>
+                        <label class="form-check-label" for="builderSetting_${key}">${label}</label>
+                    </div>
+                `).join('')}
+
+                <h6 class="mt-3">الأقسام</h6>
+                ${survey.sections.map((section, index) => `
+                    <div class="input-group input-group-sm mb-2">
+                        <input type="text" class="form-control" data-bind="sections.${index}.title" value="${Utils.escapeHtml(section.title)}">
+                        <button type="button" class="btn btn-outline-danger" data-action="remove-section" data-index="${index}" aria-label="حذف القسم">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                `).join('')}
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="add-section">
+                    <i class="fas fa-plus"></i> إضافة قسم
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض حالة الاستبيان وانتقالاتها وسجل التدقيق
+     * @method renderLifecycle
+     */
+    function renderLifecycle() {
+        const labels = SurveyLifecycle.STATE_LABELS;
+        const current = SurveyLifecycle.getState(state.survey);
+        const transitions = SurveyLifecycle.getAllowedTransitions(state.survey);
+        const history = SurveyLifecycle.getAuditTrail(state.survey);
+
+        return `
+            <div class="builder-panel builder-lifecycle">
+                <h5>حالة الاستبيان</h5>
+                <p>
+                    <span class="builder-status-badge builder-status-${current}">${labels[current]}</span>
+                </p>
+                ${transitions.length > 0 ? `
+                    <input type="text" class="form-control form-control-sm mb-2 builder-status-reason" placeholder="سبب التغيير (اختياري)">
+                    <div class="d-flex flex-wrap gap-2">
+                        ${transitions.map(status => `
+                            <button type="button" class="btn btn-sm btn-outline-primary" data-action="change-status" data-status="${status}">
+                                ${config.statusActionLabels[status]}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : '<p class="text-muted small mb-0">لا توجد انتقالات متاحة من هذه الحالة</p>'}
+
+                <h6 class="mt-3">سجل التغييرات</h6>
+                ${history.length === 0 ? '<p class="text-muted small mb-0">لا توجد تغييرات مسجلة</p>' : `
+                    <ul class="builder-audit-trail">
+                        ${history.map(entry => `
+                            <li>
+                                <strong>${labels[entry.from]} ← ${labels[entry.to]}</strong>
+                                <small class="text-muted d-block">
+                                    ${Utils.escapeHtml(entry.by ? entry.by.name : '')} • ${Utils.formatArabicDate(new Date(entry.at))}
+                                </small>
+                                ${entry.reason ? `<small class="d-block">${Utils.escapeHtml(entry.reason)}</small>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * عرض قائمة الأسئلة القابلة لإعادة الترتيب
+     * @method renderCanvas
+     */
+    function renderCanvas() {
+        const questions = state.survey.questions;
+
+        return `
+            <div class="builder-panel builder-canvas">
+                <h5>الأسئلة (${questions.length})</h5>
+                ${questions.length === 0 ? `
+                    <div class="builder-empty">
+                        <i class="fas fa-hand-pointer fa-2x mb-2"></i>
+                        <p>اسحب نوع سؤال إلى هنا للبدء</p>
+                    </div>
+                ` : questions.map((question, index) => renderCanvasItem(question, index)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * عرض عنصر سؤال في القائمة
+     * @method renderCanvasItem
+     */
+    function renderCanvasItem(question, index) {
+        const rulesCount = state.survey.rules.filter(rule => rule.then && rule.then.question === question.id).length;
+        const section = state.survey.sections.find(item => item.id === question.section);
+
+        return `
+            <div class="builder-question ${question.id === state.selectedId ? 'selected' : ''}"
+                draggable="true" data-drag="move" data-index="${index}" data-id="${question.id}">
+                <span class="builder-drag-handle" aria-hidden="true"><i class="fas fa-grip-vertical"></i></span>
+                <div class="builder-question-main" data-action="select-question" data-id="${question.id}">
+                    <div class="builder-question-meta">
+                        <span class="badge bg-light text-dark">${question.id}</span>
+                        <span><i class="fas ${config.typeIcons[question.type] || 'fa-question'}"></i> ${config.typeLabels[question.type] || question.type}</span>
+                        ${section ? `<span class="badge bg-info">${Utils.escapeHtml(section.title)}</span>` : ''}
+                        ${rulesCount > 0 ? `<span class="badge bg-warning text-dark"><i class="fas fa-code-branch"></i> ${rulesCount}</span>` : ''}
+                    </div>
+                    <div class="builder-question-text">${Utils.escapeHtml(question.text || 'سؤال بدون نص')}</div>
+                </div>
+                <div class="builder-question-actions">
+                    <button type="button" class="btn btn-sm btn-light" data-action="question-up" data-index="${index}" ${index === 0 ? 'disabled' : ''} aria-label="تحريك لأعلى">
+                        <i class="fas fa-chevron-up"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-light" data-action="question-down" data-index="${index}" ${index === state.survey.questions.length - 1 ? 'disabled' : ''} aria-label="تحريك لأسفل">
+                        <i class="fas fa-chevron-down"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-light" data-action="duplicate-question" data-id="${question.id}" aria-label="نسخ">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-light text-danger" data-action="remove-question" data-id="${question.id}" aria-label="حذف">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض محرر السؤال المحدد
+     * @method renderQuestionEditor
+     */
+    function renderQuestionEditor(question) {
+        const index = findQuestionIndex(question.id);
+        const path = `questions.${index}`;
+
+        return `
+            <h5>تعديل السؤال ${question.id}</h5>
+            <div class="mb-2">
+                <label class="form-label">نوع السؤال</label>
+                <select class="form-select" data-action="change-type" data-id="${question.id}">
+                    ${Object.values(SurveyEngine.QUESTION_TYPES).map(type => `
+                        <option value="${type}" ${type === question.type ? 'selected' : ''}>${config.typeLabels[type]}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="mb-2">
+                <label class="form-label">نص السؤال</label>
+                <textarea class="form-control" rows="2" data-bind="${path}.text">${Utils.escapeHtml(question.text || '')}</textarea>
+            </div>
+            <div class="mb-2">
+                <label class="form-label">وصف إضافي (اختياري)</label>
+                <input type="text" class="form-control" data-bind="${path}.description" data-value-type="optional" value="${Utils.escapeHtml(question.description || '')}">
+            </div>
+            <div class="form-check mb-2">
+                <input class="form-check-input" type="checkbox" id="builderRequired" data-bind="${path}.required" ${question.required !== false ? 'checked' : ''}>
+                <label class="form-check-label" for="builderRequired">سؤال إلزامي</label>
+            </div>
+            <div class="form-check mb-2">
+                <input class="form-check-input" type="checkbox" id="builderScreening" data-bind="${path}.screening" ${question.screening ? 'checked' : ''}>
+                <label class="form-check-label" for="builderScreening">سؤال فرز (يُعرض قبل الأسئلة الرئيسية للتحقق من الحصص)</label>
+            </div>
+            ${state.survey.sections.length > 0 ? `
+                <div class="mb-2">
+                    <label class="form-label">القسم</label>
+                    <select class="form-select" data-bind="${path}.section" data-value-type="optional">
+                        <option value="">بدون قسم</option>
+                        ${state.survey.sections.map(section => `
+                            <option value="${Utils.escapeHtml(section.id)}" ${section.id === question.section ? 'selected' : ''}>${Utils.escapeHtml(section.title)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            ` : ''}
+            ${renderTypeFields(question, path)}
+            ${renderRulesEditor(question)}
+        `;
+    }
+
+    /**
+     * عرض الحقول الخاصة بنوع السؤال
+     * @method renderTypeFields
+     */
+    function renderTypeFields(question, path) {
+        const types = SurveyEngine.QUESTION_TYPES;
+
+        switch (question.type) {
+            case types.SINGLE_CHOICE:
+            case types.RANKING:
+                return renderOptionList(question, path, 'options', 'الخيارات') + renderRandomizeOptions(question, path);
+
+            case types.MULTIPLE_CHOICE:
+                return `
+                    ${renderOptionList(question, path, 'options', 'الخيارات')}
+                    ${renderRandomizeOptions(question, path)}
+                    <div class="row g-2 mb-2">
+                        <div class="col">
+                            <label class="form-label">أقل عدد اختيارات</label>
+                            <input type="number" min="0" class="form-control" data-bind="${path}.minSelections" data-value-type="number" value="${question.minSelections || ''}">
+                        </div>
+                        <div class="col">
+                            <label class="form-label">أقصى عدد اختيارات</label>
+                            <input type="number" min="1" class="form-control" data-bind="${path}.maxSelections" data-value-type="number" value="${question.maxSelections || ''}">
+                        </div>
+                    </div>
+                `;
+
+            case types.LIKERT:
+                return `
+                    <div class="mb-2">
+                        <label class="form-label">طول المقياس</label>
+                        <select class="form-select" data-bind="${path}.scale" data-value-type="number">
+                            ${Object.keys(SurveyEngine.config.likertLabels).map(scale => `
+                                <option value="${scale}" ${Number(scale) === (question.scale || SurveyEngine.config.defaultLikertScale) ? 'selected' : ''}>${scale} درجات</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `;
+
+            case types.RATING:
+                return `
+                    <div class="mb-2">
+                        <label class="form-label">أعلى تقييم</label>
+                        <input type="number" min="2" max="10" class="form-control" data-bind="${path}.max" data-value-type="number" value="${question.max || SurveyEngine.config.defaultRatingMax}">
+                    </div>
+                `;
+
+            case types.TEXT:
+                return `
+                    <div class="form-check mb-2">
+                        <input class="form-check-input" type="checkbox" id="builderMultiline" data-bind="${path}.multiline" ${question.multiline ? 'checked' : ''}>
+                        <label class="form-check-label" for="builderMultiline">إجابة متعددة الأسطر</label>
+                    </div>
+                    <div class="row g-2 mb-2">
+                        <div class="col">
+                            <label class="form-label">أقل عدد أحرف</label>
+                            <input type="number" min="1" class="form-control" data-bind="${path}.minLength" data-value-type="number" value="${question.minLength || ''}">
+                        </div>
+                        <div class="col">
+                            <label class="form-label">أقصى عدد أحرف</label>
+                            <input type="number" min="1" class="form-control" data-bind="${path}.maxLength" data-value-type="number" value="${question.maxLength || ''}">
+                        </div>
+                    </div>
+                    <div class="mb-2">
+                        <label class="form-label">صيغة الإجابة</label>
+                        <select class="form-select" data-bind="${path}.format" data-value-type="optional">
+                            <option value="">نص حر</option>
+                            ${Object.entries(config.textFormatLabels).map(([format, label]) => `
+                                <option value="${format}" ${question.format === format ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="mb-2">
+                        <label class="form-label">تعبير نمطي (اختياري)</label>
+                        <input type="text" class="form-control" dir="ltr" data-bind="${path}.pattern" data-value-type="optional" value="${Utils.escapeHtml(question.pattern || '')}">
+                    </div>
+                    <div class="mb-2">
+                        <label class="form-label">رسالة عدم مطابقة التعبير النمطي</label>
+                        <input type="text" class="form-control" data-bind="${path}.patternMessage" data-value-type="optional" value="${Utils.escapeHtml(question.patternMessage || '')}">
+                    </div>
+                `;
+
+            case types.NUMBER:
+                return `
+                    <div class="row g-2 mb-2">
+                        <div class="col">
+                            <label class="form-label">الحد الأدنى</label>
+                            <input type="number" class="form-control" data-bind="${path}.min" data-value-type="number" value="${question.min !== undefined ? question.min : ''}">
+                        </div>
+                        <div class="col">
+                            <label class="form-label">الحد الأقصى</label>
+                            <input type="number" class="form-control" data-bind="${path}.max" data-value-type="number" value="${question.max !== undefined ? question.max : ''}">
+                        </div>
+                    </div>
+                    <div class="mb-2">
+                        <label class="form-label">الوحدة</label>
+                        <input type="text" class="form-control" data-bind="${path}.unit" data-value-type="optional" value="${Utils.escapeHtml(question.unit || '')}">
+                    </div>
+                    <div class="form-check mb-2">
+                        <input class="form-check-input" type="checkbox" id="builderInteger" data-bind="${path}.integer" ${question.integer ? 'checked' : ''}>
+                        <label class="form-check-label" for="builderInteger">أعداد صحيحة فقط</label>
+                    </div>
+                `;
+
+            case types.DATE:
+                return `
+                    <div class="row g-2 mb-2">
+                        <div class="col">
+                            <label class="form-label">من تاريخ</label>
+                            <input type="date" class="form-control" data-bind="${path}.min" data-value-type="optional" value="${question.min || ''}">
+                        </div>
+                        <div class="col">
+                            <label class="form-label">إلى تاريخ</label>
+                            <input type="date" class="form-control" data-bind="${path}.max" data-value-type="optional" value="${question.max || ''}">
+                        </div>
+                    </div>
+                `;
+
+            case types.MATRIX:
+                return renderOptionList(question, path, 'rows', 'البنود') +
+                    renderRandomizeOptions(question, path) +
+                    renderOptionList(question, path, 'columns', 'الأعمدة');
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * عرض خيار الترتيب العشوائي للخيارات
+     * @method renderRandomizeOptions
+     */
+    function renderRandomizeOptions(question, path) {
+        return `
+            <div class="form-check mb-2">
+                <input class="form-check-input" type="checkbox" id="builderRandomizeOptions" data-bind="${path}.randomizeOptions" ${question.randomizeOptions ? 'checked' : ''}>
+                <label class="form-check-label" for="builderRandomizeOptions">ترتيب الخيارات عشوائياً لكل مشارك</label>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض محرر قائمة خيارات
+     * @method renderOptionList
+     */
+    function renderOptionList(question, path, key, title) {
+        const list = question[key] || [];
+
+        return `
+            <div class="builder-options mb-2">
+                <label class="form-label">${title}</label>
+                ${list.map((option, index) => `
+                    <div class="builder-option-row">
+                        <input type="text" class="form-control form-control-sm" placeholder="التسمية"
+                            data-bind="${path}.${key}.${index}.label" value="${Utils.escapeHtml(option.label)}">
+                        <input type="text" class="form-control form-control-sm builder-option-value" placeholder="القيمة" dir="ltr"
+                            data-bind="${path}.${key}.${index}.value" value="${Utils.escapeHtml(option.value)}">
+                        <button type="button" class="btn btn-sm btn-light" data-action="option-up" data-id="${question.id}" data-key="${key}" data-index="${index}" ${index === 0 ? 'disabled' : ''} aria-label="تحريك لأعلى">
+                            <i class="fas fa-chevron-up"></i>
+                        </button>
+                        <button type="button" class="btn btn-sm btn-light" data-action="option-down" data-id="${question.id}" data-key="${key}" data-index="${index}" ${index === list.length - 1 ? 'disabled' : ''} aria-label="تحريك لأسفل">
+                            <i class="fas fa-chevron-down"></i>
+                        </button>
+                        <button type="button" class="btn btn-sm btn-light text-danger" data-action="remove-option" data-id="${question.id}" data-key="${key}" data-index="${index}" aria-label="حذف">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                `).join('')}
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="add-option" data-id="${question.id}" data-key="${key}">
+                    <i class="fas fa-plus"></i> إضافة
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض محرر قواعد التفرع للسؤال المحدد
+     * @method renderRulesEditor
+     */
+    function renderRulesEditor(question) {
+        const questionIndex = findQuestionIndex(question.id);
+        const sectionIds = question.section ? [question.section] : [];
+
+        // القواعد التي تستهدف السؤال أو قسمه أو تنهي الاستبيان بعده
+        const rules = state.survey.rules
+            .map((rule, index) => ({ rule, index }))
+            .filter(({ rule }) =>
+                (rule.then && rule.then.question === question.id) ||
+                (rule.then && sectionIds.includes(rule.then.section)) ||
+                (rule.then && rule.then.action === 'end' && rule.if && rule.if.question === question.id)
+            );
+
+        return `
+            <div class="builder-rules mt-3">
+                <h6><i class="fas fa-code-branch"></i> قواعد التفرع</h6>
+                ${rules.length === 0 ? '<p class="text-muted small">يظهر هذا السؤال لجميع المشاركين.</p>' : ''}
+                ${rules.map(({ rule, index }) => renderRule(rule, index, questionIndex)).join('')}
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="add-rule" data-id="${question.id}" ${questionIndex === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-plus"></i> شرط ظهور
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="add-rule" data-rule-action="end" data-id="${question.id}">
+                    <i class="fas fa-stop-circle"></i> إنهاء حسب الإجابة
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض قاعدة تفرع واحدة
+     * @method renderRule
+     */
+    function renderRule(rule, ruleIndex, questionIndex) {
+        const path = `rules.${ruleIndex}`;
+        const condition = rule.if || {};
+        const sourceQuestions = rule.then.action === 'end' ?
+            state.survey.questions.slice(0, questionIndex + 1) :
+            state.survey.questions.slice(0, Math.max(questionIndex, 1));
+        const conditionQuestion = state.survey.questions.find(item => item.id === condition.question);
+        const target = rule.then.section ? `section:${rule.then.section}` : `question:${rule.then.question}`;
+
+        return `
+            <div class="builder-rule">
+                <div class="builder-rule-row">
+                    <span>إذا كانت إجابة</span>
+                    <select class="form-select form-select-sm" data-bind="${path}.if.question">
+                        ${sourceQuestions.map(item => `
+                            <option value="${item.id}" ${item.id === condition.question ? 'selected' : ''}>${item.id}: ${Utils.escapeHtml(Utils.truncateText(item.text || '', 30))}</option>
+                        `).join('')}
+                    </select>
+                    <select class="form-select form-select-sm" data-bind="${path}.if.operator">
+                        ${Object.entries(config.operatorLabels).map(([operator, label]) => `
+                            <option value="${operator}" ${operator === condition.operator ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                    ${renderConditionValue(conditionQuestion, condition, path)}
+                </div>
+                <div class="builder-rule-row">
+                    <span>فإن</span>
+                    <select class="form-select form-select-sm" data-bind="${path}.then.action">
+                        ${Object.entries(config.actionLabels).map(([action, label]) => `
+                            <option value="${action}" ${action === rule.then.action ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                    ${rule.then.action === 'end' ? `
+                        <input type="text" class="form-control form-control-sm" placeholder="رسالة الإنهاء"
+                            data-bind="${path}.then.message" value="${Utils.escapeHtml(rule.then.message || '')}">
+                    ` : `
+                        <select class="form-select form-select-sm" data-action="rule-target" data-index="${ruleIndex}">
+                            ${state.survey.questions.map(item => `
+                                <option value="question:${item.id}" ${target === `question:${item.id}` ? 'selected' : ''}>السؤال ${item.id}</option>
+                            `).join('')}
+                            ${state.survey.sections.map(section => `
+                                <option value="section:${Utils.escapeHtml(section.id)}" ${target === `section:${section.id}` ? 'selected' : ''}>قسم: ${Utils.escapeHtml(section.title)}</option>
+                            `).join('')}
+                        </select>
+                    `}
+                    <button type="button" class="btn btn-sm btn-light text-danger" data-action="remove-rule" data-index="${ruleIndex}" aria-label="حذف القاعدة">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض حقل قيمة الشرط حسب نوع السؤال والعامل
+     * @method renderConditionValue
+     */
+    function renderConditionValue(question, condition, path) {
+        if (['answered', 'not_answered'].includes(condition.operator)) return '';
+
+        if (['in', 'not_in'].includes(condition.operator)) {
+            return `
+                <input type="text" class="form-control form-control-sm" dir="ltr" data-bind="${path}.if.value" data-value-type="list"
+                    placeholder="قيم مفصولة بفواصل" value="${Utils.escapeHtml((condition.value || []).join(', '))}">
+            `;
+        }
+
+        const options = question && (question.options || null);
+        if (options) {
+            return `
+                <select class="form-select form-select-sm" data-bind="${path}.if.value">
+                    ${options.map(option => `
+                        <option value="${Utils.escapeHtml(option.value)}" ${option.value === condition.value ? 'selected' : ''}>${Utils.escapeHtml(option.label)}</option>
+                    `).join('')}
+                </select>
+            `;
+        }
+
+        const isNumeric = question && ['likert', 'rating', 'number'].includes(question.type);
+        return `
+            <input type="${isNumeric ? 'number' : 'text'}" class="form-control form-control-sm"
+                data-bind="${path}.if.value" ${isNumeric ? 'data-value-type="number"' : ''}
+                value="${Utils.escapeHtml(condition.value !== undefined ? condition.value : '')}">
+        `;
+    }
+
+    /**
+     * عرض نتائج فحص الاستبيان
+     * @method renderValidation
+     */
+    function renderValidation() {
+        const panel = state.container.querySelector('.builder-validation');
+        if (!panel) return;
+
+        const errors = [...getValidationErrors(), ...state.serverErrors];
+
+        panel.innerHTML = errors.length === 0 ? `
+            <p class="text-success mb-0"><i class="fas fa-check-circle"></i> الاستبيان جاهز للحفظ</p>
+        ` : `
+            <h6 class="text-danger"><i class="fas fa-exclamation-triangle"></i> ملاحظات قبل الحفظ (${errors.length})</h6>
+            <ul class="small mb-0">
+                ${errors.map(error => `<li>${Utils.escapeHtml(error)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * عرض تخطيط المعاينة
+     * @method renderPreviewLayout
+     */
+    function renderPreviewLayout() {
+        return `
+            <div class="builder-preview">
+                <p class="text-muted text-center">هكذا سيظهر الاستبيان للمشاركين، ولن يتم حفظ إجابات المعاينة.</p>
+                <div class="builder-preview-frame"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * تشغيل المعاينة عبر مشغل الاستبيانات
+     * @method startPreview
+     */
+    function startPreview() {
+        const frame = state.container.querySelector('.builder-preview-frame');
+        const errors = getValidationErrors();
+
+        if (errors.length > 0) {
+            frame.innerHTML = `
+                <div class="alert alert-warning">
+                    <p>لا يمكن معاينة الاستبيان قبل تصحيح الأخطاء التالية:</p>
+                    <ul class="mb-0">${errors.map(error => `<li>${Utils.escapeHtml(error)}</li>`).join('')}</ul>
+                </div>
+            `;
+            return;
+        }
+
+        SurveyRunner.preview(buildSurveyData(), frame);
+    }
+
+    return {
+        init,
+        config,
+        save,
+        addQuestion,
+        moveQuestion,
+        buildSurveyData,
+        getValidationErrors,
+        getState: () => ({ ...state })
+    };
+})();
+
+/**
+ * تصدير منشئ الاستبيانات للاستخدام العام
+ */
+window.SurveyBuilder = SurveyBuilder;
+
+// تصدير افتراضي
+export default SurveyBuilder;
+```
@@ -272,86 +272,13 @@ const App = (function() {
     /**
      * تحديث واجهة المستخدم
      * @method updateUI
+     *
+     * قسما الاستبيانات النشطة والنتائج الحديثة يعرضهما SurveyManager وResultsManager
      */
     function updateUI() {
-        renderActiveSurveys();
-        renderRecentResults();
         updateActiveNav();
     }
 
-    /**
-     * عرض الاستبيانات النشطة
-     * @method renderActiveSurveys
-     */
-    function renderActiveSurveys() {
-        if (!elements.activeSurveys || state.surveys.length === 0) return;
-        
-        const surveysHTML = state.surveys.map(survey => `
-            <div class="col-lg-4 col-md-6 mb-4">
-                <div class="survey-card" data-id="${survey.id}">
-                    <div class="survey-header">
-                        <h4>${survey.title}</h4>
-                        <span class="survey-category">${getCategoryName(survey.category)}</span>
-                    </div>
-                    <div class="survey-body">
-                        <p class="survey-description">${survey.description}</p>
-                        
-                        <div class="survey-stats">
-                            <span><i class="fas fa-users"></i> ${survey.participants} مشارك</span>
-                            <span><i class="far fa-clock"></i> ${getTimeRemaining(survey.endDate)}</span>
-                        </div>
-                        
-                        <div class="survey-progress">
-                            <div class="progress-bar">
-                                <div class="progress-fill" style="width: ${survey.progress}%"></div>
-                            </div>
-                            <small>تم إكمال ${survey.progress}%</small>
-                        </div>
-                        
-                        <a href="pages/survey.html?id=${survey.id}" class="btn btn-primary w-100">
-                            <i class="fas fa-pen"></i> ابدأ الاستبيان
-                        </a>
-                    </div>
-                </div>
-            </div>
-        `).join('');
-        
-        elements.activeSurveys.innerHTML = surveysHTML;
-    }
-
-    /**
-     * عرض النتائج الحديثة
-     * @method renderRecentResults
-     */
-    function renderRecentResults() {
-        if (!elements.recentResults || state.results.length === 0) return;
-        
-        const resultsHTML = state.results.map(result => `
-            <div class="col-md-4 mb-4">
-                <div class="result-card" data-id="${result.id}">
-                    <div class="result-image">
-                        <i class="fas fa-chart-pie"></i>
-                    </div>
-                    <div class="result-content">
-                        <h4>${result.title}</h4>
-                        <p>${result.summary}</p>
-                        
-                        <div class="result-meta">
-                            <span><i class="far fa-calendar"></i> ${formatDate(result.date)}</span>
-                            <span><i class="fas fa-chart-bar"></i> ${result.views} مشاهدة</span>
-                        </div>
-                        
-                        <a href="pages/result.html?id=${result.id}" class="btn btn-outline-primary w-100 mt-3">
-                            <i class="fas fa-eye"></i> عرض التقرير
-                        </a>
-                    </div>
-                </div>
-            </div>
-        `).join('');
-        
-        elements.recentResults.innerHTML = resultsHTML;
-    }
-
     /**
      * التعامل مع التمرير
      * @method handleScroll
@@ -415,10 +342,10 @@ const App = (function() {
         event.preventDefault();
         
         const form = event.target;
-        const email = form.querySelector('input[type="email"]').value;
+        const result = Validator.validateEmail(form.querySelector('input[type="email"]').value);
         
-        if (!validateEmail(email)) {
-            showToast('يرجى إدخال بريد إلكتروني صحيح', 'error');
+        if (!result.valid) {
+            showToast(result.message, 'error');
             return;
         }
         
@@ -426,7 +353,7 @@ const App = (function() {
             const response = await fetch(`${config.apiUrl}/newsletter/subscribe`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ email })
+                body: JSON.stringify({ email: result.value })
             });
             
             const data = await response.json();
@@ -796,57 +723,7 @@ const App = (function() {
      * @method validateEmail
      */
     function validateEmail(email) {
-        const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return re.test(email);
-    }
-
-    /**
-     * الحصول على اسم الفئة
-     * @method getCategoryName
-     */
-    function getCategoryName(categoryId) {
-        const categories = {
-            'social': 'اجتماعي',
-            'economic': 'اقتصادي',
-            'political': 'سياسي',
-            'cultural': 'ثقافي',
-            'educational': 'تعليمي',
-            'environmental': 'بيئي'
-        };
-        
-        return categories[categoryId] || 'عام';
-    }
-
-    /**
-     * الحصول على الوقت المتبقي
-     * @method getTimeRemaining
-     */
-    function getTimeRemaining(endDate) {
-        const now = new Date();
-        const end = new Date(endDate);
-        const diff = end - now;
-        
-        if (diff <= 0) return 'منتهي';
-        
-        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-        const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-        
-        if (days > 0) return `${days} يوم`;
-        if (hours > 0) return `${hours} ساعة`;
-        return 'أقل من ساعة';
-    }
-
-    /**
-     * تنسيق التاريخ
-     * @method formatDate
-     */
-    function formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('ar-SA', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+        return Validator.validateEmail(email).valid;
     }
 
     /**
@@ -893,17 +770,22 @@ const SurveyManager = (function() {
     // التخزين المؤقت
     let surveysCache = null;
     
+    // سجل عمليات البحث المحلي
+    const SEARCHES_KEY = 'hadhramaut_searches';
+    
     /**
      * تحميل الاستبيانات النشطة
      * @method loadActiveSurveys
      */
     async function loadActiveSurveys() {
+        setupSearch();
+        
         try {
             // التحقق من التخزين المؤقت أولاً
             const cached = App.getCachedData('surveys');
             if (cached && cached.length > 0) {
-                surveysCache = cached;
-                renderSurveys(cached);
+                surveysCache = filterOpenSurveys(cached);
+                renderSurveys(surveysCache);
             }
             
             // تحميل من API
@@ -911,9 +793,14 @@ const SurveyManager = (function() {
             const data = await response.json();
             
             if (data.success) {
-                surveysCache = data.data;
+                surveysCache = filterOpenSurveys(data.data);
                 App.cacheData('surveys', data.data);
-                renderSurveys(data.data);
+                renderSurveys(surveysCache);
+            }
+            
+            // جلب المسودات المحفوظة من أجهزة أخرى
+            if (await syncServerDrafts()) {
+                renderSurveys(surveysCache || []);
             }
         } catch (error) {
             console.warn('⚠️ فشل تحميل الاستبيانات:', error);
@@ -922,6 +809,17 @@ const SurveyManager = (function() {
         }
     }
     
+    /**
+     * تصفية الاستبيانات حسب حالتها الفعلية في دورة الحياة
+     * @method filterOpenSurveys
+     */
+    function filterOpenSurveys(surveys) {
+        if (typeof SurveyLifecycle === 'undefined') return surveys;
+        
+        // لا نعتمد على تصنيف الخادم فقد يتأخر تطبيق مواعيد البدء والإغلاق
+        return SurveyLifecycle.filterByState(surveys, SurveyLifecycle.STATES.ACTIVE);
+    }
+    
     /**
      * عرض الاستبيانات
      * @method renderSurveys
@@ -930,6 +828,16 @@ const SurveyManager = (function() {
         const container = document.getElementById('activeSurveys');
         if (!container) return;
         
+        if (surveys.length === 0) {
+            container.innerHTML = `
+                <div class="col-12 text-center text-muted py-4">
+                    <i class="fas fa-clipboard-list fa-2x mb-2"></i>
+                    <p>لا توجد استبيانات مفتوحة للمشاركة حالياً</p>
+                </div>
+            `;
+            return;
+        }
+        
         const limitedSurveys = surveys.slice(0, App.config.maxSurveys);
         const surveysHTML = limitedSurveys.map(createSurveyCard).join('');
         
@@ -942,15 +850,20 @@ const SurveyManager = (function() {
      * @method createSurveyCard
      */
     function createSurveyCard(survey) {
+        const draft = getResumableDraft(survey.id);
+        const eligibility = getSurveyEligibility(survey);
+        const content = typeof SurveyI18n !== 'undefined' ?
+            SurveyI18n.localizeSurvey(survey, SurveyI18n.resolveLanguage(survey)) : survey;
+        
         return `
             <div class="col-lg-4 col-md-6 mb-4">
                 <div class="survey-card" data-id="${survey.id}">
                     <div class="survey-header">
-                        <h4>${survey.title}</h4>
+                        <h4>${content.title}</h4>
                         <span class="survey-category">${survey.category}</span>
                     </div>
                     <div class="survey-body">
-                        <p class="survey-description">${survey.description}</p>
+                        <p class="survey-description">${content.description}</p>
                         
                         <div class="survey-stats">
                             <span><i class="fas fa-users"></i> ${survey.participants} مشارك</span>
@@ -964,8 +877,25 @@ const SurveyManager = (function() {
                             <small>تم إكمال ${survey.progress}%</small>
                         </div>
                         
-                        <button class="btn btn-primary w-100 start-survey" data-id="${survey.id}">
-                            <i class="fas fa-pen"></i> ابدأ الاستبيان
+                        ${draft ? `
+                            <div class="survey-resume">
+                                <i class="fas fa-history"></i>
+                                لديك إجابات غير مكتملة (${draft.answeredCount} من ${draft.totalQuestions} سؤالاً)
+                            </div>
+                        ` : ''}
+                        
+                        ${eligibility && !eligibility.eligible ? `
+                            <div class="survey-ineligible">
+                                <i class="fas fa-info-circle"></i>
+                                ${eligibility.reasons.join('، ')}
+                            </div>
+                        ` : ''}
+                        
+                        <button class="btn btn-primary w-100 start-survey" data-id="${survey.id}"
+                            ${eligibility && !eligibility.eligible ? 'disabled' : ''}>
+                            ${draft ?
+                                '<i class="fas fa-play"></i> أكمل من حيث توقفت' :
+                                '<i class="fas fa-pen"></i> ابدأ الاستبيان'}
                         </button>
                     </div>
                 </div>
@@ -973,6 +903,67 @@ const SurveyManager = (function() {
         `;
     }
     
+    /**
+     * الحصول على المستخدم الحالي
+     * @method getCurrentUser
+     */
+    function getCurrentUser() {
+        return typeof AuthenticationSystem !== 'undefined' ? AuthenticationSystem.getCurrentUser() : App.state.user;
+    }
+    
+    /**
+     * التحقق من أهلية المستخدم الحالي لشروط الاستبيان
+     * @method getSurveyEligibility
+     */
+    function getSurveyEligibility(survey) {
+        const user = getCurrentUser();
+        if (!user || !survey.eligibility || typeof AuthenticationSystem === 'undefined') return null;
+        
+        return AuthenticationSystem.checkSurveyEligibility(survey, user);
+    }
+    
+    /**
+     * الحصول على أحدث مسودة إجابات للمشارك الحالي
+     * @method getResumableDraft
+     */
+    function getResumableDraft(surveyId) {
+        if (typeof LocalDataService === 'undefined') return null;
+        
+        const user = getCurrentUser();
+        const keys = [user && user.id, localStorage.getItem('hadhramaut_anonymous_id')].filter(Boolean);
+        
+        return Object.values(LocalDataService.getResponseDrafts())
+            .filter(draft => draft.surveyId === surveyId && keys.includes(draft.respondentKey))
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0] || null;
+    }
+    
+    /**
+     * مزامنة مسودات المستخدم المسجل من الخادم
+     * @method syncServerDrafts
+     */
+    async function syncServerDrafts() {
+        const user = getCurrentUser();
+        if (!user || typeof ApiManager === 'undefined' || !navigator.onLine) return false;
+        
+        try {
+            const response = await ApiManager.getResponseDrafts(user.id);
+            let updated = false;
+            
+            (response.data || []).forEach(draft => {
+                const local = LocalDataService.getResponseDraft(draft.surveyId, user.id);
+                if (!local || new Date(draft.updatedAt) > new Date(local.updatedAt)) {
+                    LocalDataService.saveResponseDraft(draft.surveyId, user.id, draft);
+                    updated = true;
+                }
+            });
+            
+            return updated;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل المسودات من الخادم:', error);
+            return false;
+        }
+    }
+    
     /**
      * إعداد تفاعلات الاستبيانات
      * @method setupSurveyInteractions
@@ -988,25 +979,133 @@ const SurveyManager = (function() {
      * @method handleSurveyStart
      */
     function handleSurveyStart(event) {
-        const surveyId = event.target.getAttribute('data-id');
+        const surveyId = event.currentTarget.getAttribute('data-id');
         const survey = surveysCache?.find(s => s.id === surveyId);
         
         if (survey) {
             App.trackEvent('survey_started', { survey_id: surveyId });
             
-            // التحقق إذا كان المستخدم مسجلاً
-            if (App.state.user) {
+            const eligibility = getSurveyEligibility(survey);
+            if (eligibility && !eligibility.eligible) {
+                App.showToast(`${eligibility.message}: ${eligibility.reasons.join('، ')}`, 'warning');
+                return;
+            }
+            
+            // الاستبيانات المفتوحة للمشاركة بدون حساب لا تتطلب تسجيل الدخول
+            const hasCriteria = survey.eligibility && Object.keys(survey.eligibility).length > 0;
+            if ((survey.requiresLogin === false && !hasCriteria) || getCurrentUser()) {
                 window.location.href = `pages/survey.html?id=${surveyId}`;
             } else {
                 // توجيه لتسجيل الدخول
                 App.showToast('يرجى تسجيل الدخول للمشاركة في الاستبيان', 'info');
                 setTimeout(() => {
-                    window.location.href = 'pages/dashboard/login.html?redirect=survey_' + surveyId;
+                    window.location.href = 'pages/dashboard/login.html?redirect=' +
+                        encodeURIComponent(`../survey.html?id=${surveyId}`);
                 }, 1500);
             }
         }
     }
     
+    // ========== البحث ==========
+    
+    /**
+     * ربط حقل البحث بقائمة الاستبيانات
+     * @method setupSearch
+     */
+    function setupSearch() {
+        const input = document.getElementById('surveySearch');
+        if (!input || input.dataset.bound) return;
+        input.dataset.bound = 'true';
+        
+        input.addEventListener('input', () => {
+            renderSurveys(searchSurveys(input.value));
+        });
+        
+        // يُسجَّل البحث عند تأكيده بالإدخال أو مغادرة الحقل لا مع كل حرف
+        input.addEventListener('change', () => {
+            trackSearch(input.value, searchSurveys(input.value).length);
+        });
+    }
+    
+    /**
+     * البحث في الاستبيانات مرتبة حسب الصلة
+     * @method searchSurveys
+     *
+     * تُقارن الكلمات بعد التوحيد والتجذيع، فتطابق "الخدمة الصحية" استبياناً عن "الخدمات الصحيه"
+     */
+    function searchSurveys(query, surveys = surveysCache || []) {
+        const terms = Utils.tokenizeArabic(query, { removeStopWords: true, stem: true });
+        if (terms.length === 0) return surveys;
+        
+        const stems = text => new Set(Utils.tokenizeArabic(text, { removeStopWords: true, stem: true }));
+        
+        return surveys
+            .map(survey => {
+                const fields = [
+                    { stems: stems(survey.title), weight: 3 },
+                    { stems: stems([survey.category, ...(survey.tags || [])].join(' ')), weight: 2 },
+                    { stems: stems(survey.description), weight: 1 }
+                ];
+                
+                let score = 0;
+                const matchesAll = terms.every(term => {
+                    const field = fields.find(item => item.stems.has(term));
+                    if (field) score += field.weight;
+                    return Boolean(field);
+                });
+                
+                return { survey, score: matchesAll ? score : 0 };
+            })
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(item => item.survey);
+    }
+    
+    /**
+     * تسجيل عملية بحث في "popularSearches"
+     * @method trackSearch
+     *
+     * تُجمع الصيغ المختلفة للعبارة نفسها تحت مفتاح موحد، ويُحتفظ بأول صيغة كُتبت للعرض
+     */
+    function trackSearch(query, resultsCount = null) {
+        const key = Utils.tokenizeArabic(query, { removeStopWords: true, stem: true }).join(' ');
+        if (!key) return null;
+        
+        const searches = getStoredSearches();
+        const entry = searches[key] || { term: query.trim().replace(/\s+/g, ' '), count: 0 };
+        entry.count++;
+        entry.lastSearched = new Date().toISOString();
+        searches[key] = entry;
+        localStorage.setItem(SEARCHES_KEY, JSON.stringify(searches));
+        
+        App.trackEvent('survey_search', { term: entry.term, normalized_term: key, results: resultsCount });
+        
+        return entry;
+    }
+    
+    /**
+     * أكثر عمليات البحث تكراراً بنفس بنية "popularSearches"
+     * @method getPopularSearches
+     */
+    function getPopularSearches(limit = 5) {
+        return Object.values(getStoredSearches())
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit)
+            .map(({ term, count }) => ({ term, count }));
+    }
+    
+    /**
+     * قراءة سجل البحث المحلي
+     * @method getStoredSearches
+     */
+    function getStoredSearches() {
+        try {
+            return JSON.parse(localStorage.getItem(SEARCHES_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
     /**
      * عرض استبيانات وهمية
      * @method renderMockSurveys
@@ -1048,7 +1147,10 @@ const SurveyManager = (function() {
     // الواجهة العامة
     return {
         loadActiveSurveys: loadActiveSurveys,
-        renderSurveys: renderSurveys
+        renderSurveys: renderSurveys,
+        searchSurveys: searchSurveys,
+        trackSearch: trackSearch,
+        getPopularSearches: getPopularSearches
     };
 })();
 
@@ -1100,14 +1202,14 @@ const ResultsManager = (function() {
             <div class="col-md-4 mb-4">
                 <div class="result-card" data-id="${result.id}">
                     <div class="result-image">
-                        <i class="fas fa-chart-${getChartIcon(result.type)}"></i>
+                        <i class="fas fa-chart-${getChartIcon(getPrimaryChartType(result))}"></i>
                     </div>
                     <div class="result-content">
                         <h4>${result.title}</h4>
                         <p>${result.summary}</p>
                         
                         <div class="result-meta">
-                            <span><i class="far fa-calendar"></i> ${result.date}</span>
+                            <span><i class="far fa-calendar"></i> ${formatPublishedDate(result.publishedDate)}</span>
                             <span><i class="fas fa-chart-bar"></i> ${result.views} مشاهدة</span>
                         </div>
                         
@@ -1147,13 +1249,37 @@ const ResultsManager = (function() {
      */
     function getChartIcon(type) {
         const icons = {
-            'bar': 'bar-chart',
-            'pie': 'pie-chart',
-            'line': 'line-chart',
-            'doughnut': 'chart-pie'
+            'bar': 'bar',
+            'horizontalBar': 'bar',
+            'pie': 'pie',
+            'doughnut': 'pie',
+            'line': 'line',
+            'radar': 'area'
         };
         
-        return icons[type] || 'chart-bar';
+        return icons[type] || 'bar';
+    }
+    
+    /**
+     * نوع أول رسم بياني في النتيجة
+     * @method getPrimaryChartType
+     */
+    function getPrimaryChartType(result) {
+        return Array.isArray(result.charts) && result.charts[0] ? result.charts[0].type : null;
+    }
+    
+    /**
+     * تنسيق تاريخ النشر
+     * @method formatPublishedDate
+     */
+    function formatPublishedDate(dateString) {
+        if (!dateString) return '';
+        
+        return new Date(dateString).toLocaleDateString('ar-SA', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
     }
     
     /**
@@ -1166,25 +1292,25 @@ const ResultsManager = (function() {
                 id: '1',
                 title: 'تقرير جودة التعليم 2024',
                 summary: 'تحليل شامل لواقع التعليم في محافظات حضرموت',
-                date: 'يناير 2024',
+                publishedDate: '2024-01-15',
                 views: 2450,
-                type: 'bar'
+                charts: [{ type: 'bar' }]
             },
             {
                 id: '2',
                 title: 'استطلاع الرأي السياسي',
                 summary: 'اتجاهات الرأي العام حول القضايا السياسية',
-                date: 'ديسمبر 2023',
+                publishedDate: '2023-12-10',
                 views: 3120,
-                type: 'pie'
+                charts: [{ type: 'pie' }]
             },
             {
                 id: '3',
                 title: 'دراسة البنية التحتية',
                 summary: 'تقييم حالة الطرق والخدمات الأساسية',
-                date: 'نوفمبر 2023',
+                publishedDate: '2023-11-20',
                 views: 1890,
-                type: 'line'
+                charts: [{ type: 'line' }]
             }
         ];
         
@@ -1194,7 +1320,11 @@ const ResultsManager = (function() {
     // الواجهة العامة
     return {
         loadRecentResults: loadRecentResults,
-        renderResults: renderResults
+        renderResults: renderResults,
+        createResultCard: createResultCard,
+        getChartIcon: getChartIcon,
+        getPrimaryChartType: getPrimaryChartType,
+        formatPublishedDate: formatPublishedDate
     };
 })();
 
@@ -1207,11 +1337,17 @@ const ChartManager = (function() {
     
     let charts = {};
     
+    const config = {
+        localResults: 'data/results.json'
+    };
+    
     /**
      * تهيئة مخطط المشاعر
      * @method initSentimentChart
+     *
+     * يُرسم فارغاً ثم يُحدَّث من تحليل المشاعر في النتائج المنشورة ما لم تُمرَّر النسب
      */
-    function initSentimentChart() {
+    function initSentimentChart(sentiment = null) {
         const ctx = document.getElementById('sentimentChart');
         if (!ctx) return;
         
@@ -1220,7 +1356,7 @@ const ChartManager = (function() {
             data: {
                 labels: ['إيجابي', 'محايد', 'سلبي'],
                 datasets: [{
-                    data: [65, 25, 10],
+                    data: sentiment ? toSentimentData(sentiment) : [0, 0, 0],
                     backgroundColor: [
                         '#48bb78', // أخضر
                         '#4299e1', // أزرق
@@ -1258,11 +1394,67 @@ const ChartManager = (function() {
                 }
             }
         });
+        
+        if (!sentiment) {
+            loadSentiment().then(data => {
+                if (data) updateCharts({ sentiment: toSentimentData(data) });
+            });
+        }
+    }
+    
+    /**
+     * تحويل نسب المشاعر إلى بيانات المخطط
+     * @method toSentimentData
+     */
+    function toSentimentData(sentiment) {
+        return [sentiment.positive || 0, sentiment.neutral || 0, sentiment.negative || 0];
+    }
+    
+    /**
+     * متوسط المشاعر في النتائج المنشورة مرجحاً بعدد المشاركين
+     * @method loadSentiment
+     */
+    async function loadSentiment() {
+        let results = [];
+        
+        try {
+            const response = await fetch(`${App.config.apiUrl}/results/recent`);
+            const data = await response.json();
+            if (data.success) results = data.data;
+        } catch (error) {
+            try {
+                const response = await fetch(config.localResults);
+                const data = await response.json();
+                results = data.results || [];
+            } catch (localError) {
+                console.warn('⚠️ فشل تحميل بيانات المشاعر:', localError);
+                return null;
+            }
+        }
+        
+        const totals = { positive: 0, neutral: 0, negative: 0 };
+        let weight = 0;
+        
+        results.forEach(result => {
+            const sentiment = result.aiInsights && result.aiInsights.sentimentAnalysis;
+            if (!sentiment) return;
+            
+            const participants = (result.demographics && result.demographics.totalParticipants) || 1;
+            Object.keys(totals).forEach(key => { totals[key] += (sentiment[key] || 0) * participants; });
+            weight += participants;
+        });
+        
+        if (weight === 0) return null;
+        
+        Object.keys(totals).forEach(key => { totals[key] = Math.round(totals[key] / weight); });
+        return totals;
     }
     
     /**
      * تهيئة المخطط العائم
      * @method initFloatingChart
+     *
+     * يعرض المشاركة الشهرية مع امتداد متقطع لتوقع الأشهر التالية
      */
     function initFloatingChart() {
         const container = document.getElementById('floatingChart');
@@ -1275,10 +1467,10 @@ const ChartManager = (function() {
         charts.floating = new Chart(canvas, {
             type: 'line',
             data: {
-                labels: ['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو'],
+                labels: [],
                 datasets: [{
                     label: 'معدل المشاركة',
-                    data: [65, 59, 80, 81, 56, 72],
+                    data: [],
                     borderColor: '#ffc107',
                     backgroundColor: 'rgba(255, 193, 7, 0.1)',
                     borderWidth: 3,
@@ -1310,6 +1502,105 @@ const ChartManager = (function() {
                 }
             }
         });
+        
+        loadParticipationTrend().then(trend => {
+            if (!trend || !charts.floating) return;
+            
+            const [dataset] = charts.floating.data.datasets;
+            let chart = { type: 'line', data: { labels: trend.labels, datasets: [{ ...dataset, data: trend.data }] } };
+            if (typeof Forecasting !== 'undefined') chart = Forecasting.extendChart(chart, { min: 0 });
+            
+            charts.floating.data = chart.data;
+            charts.floating.update();
+        });
+    }
+    
+    /**
+     * المشاركة الشهرية من نظام التحليلات أو من بيانات المشاهدات المحلية
+     * @method loadParticipationTrend
+     */
+    async function loadParticipationTrend() {
+        if (typeof AnalyticsSystem !== 'undefined') {
+            const trend = await AnalyticsSystem.getParticipationTrend();
+            if (trend && trend.data.some(value => value > 0)) return trend;
+        }
+        
+        try {
+            const response = await fetch(config.localResults);
+            const data = await response.json();
+            return (data.trends && data.trends.viewsByMonth) || null;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل بيانات المشاركة:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * رسم مخطط من سجل نتيجة منشورة
+     * @method renderResultChart
+     *
+     * تُدمج "overrides" في خيارات Chart.js، مثل إيقاف الحركة عند تصدير الرسم صورة
+     */
+    function renderResultChart(canvas, chart, key, overrides = {}) {
+        if (!canvas || !chart || !chart.data) return null;
+        
+        // Chart.js 4 لا يدعم horizontalBar فيُرسم كأعمدة أفقية
+        const horizontal = chart.type === 'horizontalBar';
+        const type = horizontal ? 'bar' : chart.type;
+        const datasets = chart.data.datasets || [];
+        
+        // الأعمدة متعددة الفئات التي مجموعها 100% تُكدّس كتوزيع نسبي
+        const stacked = type === 'bar' && datasets.length > 1 &&
+            chart.data.labels.every((label, index) => {
+                const sum = datasets.reduce((total, dataset) => total + (Number(dataset.data[index]) || 0), 0);
+                return Math.abs(sum - 100) <= 1;
+            });
+        
+        const font = { family: 'Cairo' };
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: datasets.length > 1 || type === 'pie' || type === 'doughnut',
+                    position: 'bottom',
+                    rtl: true,
+                    labels: {
+                        font: font,
+                        // حدود فترة التوقع تظهر كظل دون مفتاح مستقل
+                        filter: item => !(datasets[item.datasetIndex] || {}).forecastInterval
+                    }
+                },
+                tooltip: {
+                    rtl: true,
+                    titleFont: font,
+                    bodyFont: font
+                }
+            }
+        };
+        
+        if (type === 'bar' || type === 'line') {
+            options.indexAxis = horizontal ? 'y' : 'x';
+            options.scales = {
+                x: { stacked: stacked, ticks: { font: font } },
+                y: { stacked: stacked, beginAtZero: true, ticks: { font: font } }
+            };
+        } else if (type === 'radar') {
+            options.scales = {
+                r: { beginAtZero: true, pointLabels: { font: font } }
+            };
+        }
+        
+        const name = key || canvas.id || `result_${Object.keys(charts).length}`;
+        if (charts[name]) charts[name].destroy();
+        
+        charts[name] = new Chart(canvas, {
+            type: type,
+            data: chart.data,
+            options: { ...options, ...overrides }
+        });
+        
+        return charts[name];
     }
     
     /**
@@ -1338,8 +1629,11 @@ const ChartManager = (function() {
     return {
         initSentimentChart: initSentimentChart,
         initFloatingChart: initFloatingChart,
+        renderResultChart: renderResultChart,
         updateCharts: updateCharts,
+        loadSentiment: loadSentiment,
         destroyCharts: destroyCharts,
+        config: config,
         charts: charts
     };
 })();
@@ -1384,6 +1678,19 @@ const Utils = (function() {
         return text.substring(0, maxLength) + '...';
     }
     
+    /**
+     * تهريب النصوص قبل إدراجها في HTML
+     * @method escapeHtml
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
     /**
      * توليد معرف فريد
      * @method generateId
@@ -1485,17 +1792,104 @@ const Utils = (function() {
         return null;
     }
     
+    // ========== معالجة النصوص العربية ==========
+    
+    // كلمات الوصل والضمائر الشائعة في الفصحى واللهجة، تُحذف قبل البحث والتحليل
+    const ARABIC_STOP_WORDS = [
+        'في', 'من', 'الى', 'إلى', 'على', 'عن', 'مع', 'عند', 'منذ', 'حتى', 'بين', 'بعد', 'قبل', 'حول',
+        'و', 'ف', 'ثم', 'او', 'أو', 'أم', 'بل', 'لكن', 'ان', 'أن', 'إن', 'إذا', 'اذا', 'لو', 'كي', 'قد', 'لقد',
+        'هو', 'هي', 'هم', 'هن', 'انا', 'أنا', 'نحن', 'انت', 'أنت', 'انتم', 'أنتم',
+        'هذا', 'هذه', 'ذلك', 'تلك', 'هؤلاء', 'هنا', 'هناك', 'الذي', 'التي', 'الذين', 'اللي',
+        'كان', 'كانت', 'يكون', 'تكون', 'ليس', 'ما', 'ماذا', 'لا', 'لم', 'لن', 'كل', 'بعض', 'غير', 'أي', 'اي',
+        'كما', 'مثل', 'ايضا', 'أيضاً', 'جدا', 'جداً', 'فقط', 'به', 'بها', 'له', 'لها', 'لهم',
+        'فيه', 'فيها', 'منه', 'منها', 'عليه', 'عليها', 'عنه', 'عنها',
+        'ذا', 'هذي', 'حق', 'عشان', 'علشان', 'يعني', 'شي', 'شيء', 'وش', 'ايش', 'كذا'
+    ];
+    
+    // سوابق ولواحق التجذيع الخفيف بترتيب المحاولة
+    const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+    const ARABIC_SUFFIXES = ['ها', 'ان', 'ات', 'ون', 'ين', 'يه', 'ه', 'ي'];
+    
+    /**
+     * توحيد النص العربي: الأرقام والتشكيل والتطويل وأشكال الألف والياء والتاء المربوطة
+     * @method normalizeArabic
+     */
+    function normalizeArabic(text) {
+        return String(text ?? '')
+            .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+            .replace(/[\u064B-\u065F\u0670]/g, '')
+            .replace(/\u0640/g, '')
+            .replace(/[أإآٱ]/g, 'ا')
+            .replace(/ى/g, 'ي')
+            .replace(/ة/g, 'ه')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    const normalizedStopWords = new Set(ARABIC_STOP_WORDS.map(normalizeArabic));
+    
+    /**
+     * التحقق من كلمات الوصل
+     * @method isArabicStopWord
+     */
+    function isArabicStopWord(word) {
+        return normalizedStopWords.has(normalizeArabic(word));
+    }
+    
+    /**
+     * تجذيع خفيف يحذف أداة التعريف وأشهر اللواحق دون الوصول للجذر
+     * @method stemArabic
+     *
+     * "والخدمات" و"الخدمه" و"خدماتها" تصبح "خدم"، وهذا يكفي للبحث وتجميع الكلمات
+     */
+    function stemArabic(word) {
+        let stem = normalizeArabic(word);
+        
+        // الواو وحدها لا تُحذف حتى لا تتأثر كلمات مثل "وظيفه" و"وضع"
+        const prefix = ARABIC_PREFIXES.find(item => stem.startsWith(item) && stem.length - item.length >= 2);
+        if (prefix) stem = stem.slice(prefix.length);
+        
+        ARABIC_SUFFIXES.forEach(suffix => {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 2) {
+                stem = stem.slice(0, -suffix.length);
+            }
+        });
+        
+        return stem;
+    }
+    
+    /**
+     * تقسيم النص العربي إلى كلمات موحدة
+     * @method tokenizeArabic
+     */
+    function tokenizeArabic(text, options = {}) {
+        const { removeStopWords = false, stem = false } = options;
+        
+        let tokens = normalizeArabic(text).split(/[^\u0621-\u064A0-9a-z]+/).filter(Boolean);
+        if (removeStopWords) tokens = tokens.filter(token => !normalizedStopWords.has(token));
+        
+        return stem ? tokens.map(stemArabic) : tokens;
+    }
+    
     // الواجهة العامة
     return {
         formatNumber,
         formatArabicDate,
         truncateText,
+        escapeHtml,
         generateId,
         delay,
         checkBrowserSupport,
         copyToClipboard,
         getUrlParams,
-        measurePerformance
+        measurePerformance,
+        normalizeArabic,
+        tokenizeArabic,
+        stemArabic,
+        isArabicStopWord,
+        arabicStopWords: ARABIC_STOP_WORDS
     };
 })();
 
@@ -26,6 +26,14 @@ const AnalyticsSystem = (function() {
             user: '/analytics/user',
             export: '/analytics/export'
         },
+
+        // أنواع الملفات المصدَّرة حسب الامتداد
+        mimeTypes: {
+            csv: 'text/csv;charset=utf-8',
+            json: 'application/json;charset=utf-8',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            pdf: 'application/pdf'
+        },
         
         // إعدادات التخزين
         storageKey: 'hadhramaut_analytics',
@@ -818,6 +826,54 @@ const AnalyticsSystem = (function() {
         };
     }
 
+    /**
+     * المشاركة الشهرية في الاستبيانات
+     * @method getParticipationTrend
+     *
+     * تعيد {labels, data} لآخر الأشهر، ومحلياً تُعد الردود المحفوظة حسب شهر إرسالها
+     */
+    async function getParticipationTrend(months = 6) {
+        try {
+            const queryString = ApiManager.buildQueryString({ interval: 'month', months });
+            const response = await ApiManager.request(`${config.endpoints.survey}/participation${queryString}`, {
+                method: 'GET'
+            });
+            
+            if (response.data && Array.isArray(response.data.data)) return response.data;
+        } catch (error) {
+            console.warn('📊 تعذر تحميل المشاركة الشهرية من الخادم:', error);
+        }
+        
+        return getLocalParticipationTrend(months);
+    }
+
+    /**
+     * المشاركة الشهرية من الردود المحفوظة محلياً
+     * @method getLocalParticipationTrend
+     */
+    function getLocalParticipationTrend(months = 6) {
+        const now = new Date();
+        const formatter = new Intl.DateTimeFormat('ar', { month: 'long' });
+        const buckets = Array.from({ length: months }, (item, index) => {
+            const date = new Date(now.getFullYear(), now.getMonth() - (months - 1 - index), 1);
+            return { key: `${date.getFullYear()}-${date.getMonth()}`, label: formatter.format(date), count: 0 };
+        });
+        
+        const responses = typeof SurveyResponses !== 'undefined' ? SurveyResponses.getAllStored() : [];
+        responses.forEach(response => {
+            const date = new Date(response.submittedAt);
+            if (isNaN(date)) return;
+            
+            const bucket = buckets.find(item => item.key === `${date.getFullYear()}-${date.getMonth()}`);
+            if (bucket) bucket.count++;
+        });
+        
+        return {
+            labels: buckets.map(bucket => bucket.label),
+            data: buckets.map(bucket => bucket.count)
+        };
+    }
+
     /**
      * الحصول على إحصائيات المستخدم
      * @method getUserStats
@@ -844,30 +900,67 @@ const AnalyticsSystem = (function() {
      * @method exportData
      */
     async function exportData(format = 'json', filters = {}) {
+        const { crossTabs: crossTabSpecs, ...exportFilters } = filters;
+        const crossTabs = await buildCrossTabs(crossTabSpecs, exportFilters.surveyId);
+
         try {
             const response = await ApiManager.request(config.endpoints.export, {
                 method: 'POST',
-                body: JSON.stringify({ format, filters })
+                body: JSON.stringify({ format, filters: exportFilters, crossTabs })
             });
             
             if (response.success && response.data) {
                 // تنزيل الملف
-                downloadFile(response.data, `analytics_export.${format}`);
+                const content = typeof response.data === 'string' ? response.data : JSON.stringify(response.data, null, 2);
+                downloadFile(content, `analytics_export.${format}`);
                 return true;
             }
         } catch (error) {
             console.error('📊 خطأ في تصدير البيانات:', error);
         }
+
+        // تصدير الجداول المتقاطعة من المتصفح عند تعذر الخادم
+        if (crossTabs.length > 0) {
+            // علامة BOM حتى يقرأ Excel النص العربي بترميز UTF-8
+            const content = format === 'csv' ?
+                `\uFEFF${crossTabs.map(SurveyCrossTab.toCSV).join('\n\n')}` :
+                JSON.stringify(crossTabs, null, 2);
+            downloadFile(content, `crosstabs_${exportFilters.surveyId || 'export'}.${format === 'csv' ? 'csv' : 'json'}`);
+            return true;
+        }
         
         return false;
     }
 
+    /**
+     * حساب الجداول المتقاطعة المطلوبة في التصدير
+     * @method buildCrossTabs
+     */
+    async function buildCrossTabs(specs, surveyId) {
+        if (!Array.isArray(specs) || specs.length === 0 || typeof SurveyCrossTab === 'undefined') return [];
+
+        // الجداول المحسوبة مسبقاً تُصدَّر كما هي، والجدول المتعذر حسابه يُستبعد دون إيقاف التصدير
+        const crossTabs = await Promise.all(specs.map(async spec => {
+            if (spec.table) return spec;
+
+            try {
+                return await SurveyCrossTab.build(spec.surveyId || surveyId, spec);
+            } catch (error) {
+                console.error('📊 خطأ في حساب الجدول المتقاطع:', error);
+                return null;
+            }
+        }));
+
+        return crossTabs.filter(Boolean);
+    }
+
     /**
      * تنزيل الملف
      * @method downloadFile
      */
     function downloadFile(content, filename) {
-        const blob = new Blob([content], { type: 'application/octet-stream' });
+        const extension = filename.split('.').pop().toLowerCase();
+        const blob = new Blob([content], { type: config.mimeTypes[extension] || 'application/octet-stream' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         
@@ -1185,6 +1278,7 @@ const AnalyticsSystem = (function() {
         
         // التقارير
         getSurveyStats,
+        getParticipationTrend,
         getUserStats,
         exportData,
         
@@ -1200,7 +1294,8 @@ const AnalyticsSystem = (function() {
         // الحالة
         getState: () => ({ ...state }),
         getSessionId: () => state.sessionId,
-        getUserId: () => state.userId
+        getUserId: () => state.userId,
+        generateAnonymousId
     };
 })();
 
@@ -186,7 +186,19 @@ const ApiManager = (function() {
      */
     function generateCacheKey(endpoint, options) {
         const params = options.body ? JSON.stringify(options.body) : '';
-        return `${endpoint}_${options.method}_${params}`;
+        return `${endpoint}_${options.method}_${params}_${config.headers['Accept-Language']}`;
+    }
+
+    /**
+     * تعيين لغة المحتوى المطلوبة من الخادم مع اللغات البديلة
+     * @method setLanguage
+     */
+    function setLanguage(language, fallbacks = []) {
+        const weighted = fallbacks
+            .filter(item => item !== language)
+            .map((item, index) => `${item};q=${Math.max(0.1, 0.9 - index * 0.1).toFixed(1)}`);
+
+        config.headers['Accept-Language'] = [language, ...weighted].join(', ');
     }
 
     /**
@@ -253,6 +265,9 @@ const ApiManager = (function() {
      * @method createSurvey
      */
     async function createSurvey(surveyData) {
+        checkSurveyRules(surveyData);
+        checkSurveyQuotas(surveyData);
+
         return request(config.endpoints.surveys, {
             method: 'POST',
             body: JSON.stringify(surveyData)
@@ -264,12 +279,52 @@ const ApiManager = (function() {
      * @method updateSurvey
      */
     async function updateSurvey(id, surveyData) {
+        checkSurveyRules(surveyData);
+        checkSurveyQuotas(surveyData);
+
         return request(`${config.endpoints.surveys}/${id}`, {
             method: 'PUT',
             body: JSON.stringify(surveyData)
         });
     }
 
+    /**
+     * تغيير حالة استبيان مع قيد سجل التدقيق
+     * @method updateSurveyStatus
+     */
+    async function updateSurveyStatus(id, status, entry = null) {
+        return request(`${config.endpoints.surveys}/${id}/status`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status, entry })
+        });
+    }
+
+    /**
+     * الفحص الثابت لقواعد التفرع قبل الحفظ
+     * @method checkSurveyRules
+     */
+    function checkSurveyRules(surveyData) {
+        if (typeof SurveyLogic === 'undefined' || !surveyData || !surveyData.rules) return;
+
+        const result = SurveyLogic.checkRules(surveyData);
+        if (!result.valid) {
+            throw new ValidationError('قواعد التفرع في الاستبيان غير صالحة', { rules: result.errors });
+        }
+    }
+
+    /**
+     * الفحص الثابت لحصص العينة قبل الحفظ
+     * @method checkSurveyQuotas
+     */
+    function checkSurveyQuotas(surveyData) {
+        if (typeof SurveyQuotas === 'undefined' || !surveyData || !surveyData.quotas) return;
+
+        const result = SurveyQuotas.checkQuotas(surveyData);
+        if (!result.valid) {
+            throw new ValidationError('حصص العينة في الاستبيان غير صالحة', { quotas: result.errors });
+        }
+    }
+
     /**
      * حذف استبيان
      * @method deleteSurvey
@@ -285,9 +340,152 @@ const ApiManager = (function() {
      * @method submitSurveyResponse
      */
     async function submitSurveyResponse(surveyId, responses) {
-        return request(`${config.endpoints.surveys}/${surveyId}/responses`, {
+        try {
+            const result = await request(`${config.endpoints.surveys}/${surveyId}/responses`, {
+                method: 'POST',
+                body: JSON.stringify(responses)
+            });
+            recordResponse(surveyId, responses);
+            return result;
+        } catch (error) {
+            // الرد الذي رفضه الخادم لا يدخل في النتائج، أما فشل الاتصال فيُحفظ الرد لإرساله عند المزامنة
+            const rejected = error instanceof ValidationError ||
+                (error instanceof ApiError && error.status >= 400 && error.status < 500);
+            if (!rejected) recordResponse(surveyId, responses);
+            throw error;
+        }
+    }
+
+    /**
+     * حفظ نسخة خام من الرد محلياً لحساب النتائج دون اتصال
+     * @method recordResponse
+     */
+    function recordResponse(surveyId, responses) {
+        if (typeof SurveyResponses !== 'undefined') {
+            SurveyResponses.record(surveyId, responses);
+        }
+    }
+
+    /**
+     * التحقق من مشاركة سابقة في استبيان
+     * @method checkSurveyParticipation
+     */
+    async function checkSurveyParticipation(surveyId, respondentId) {
+        const queryString = buildQueryString({ respondentId });
+        return request(`${config.endpoints.surveys}/${surveyId}/responses/status${queryString}`);
+    }
+
+    /**
+     * الحصول على ملخص إجابات استبيان
+     * @method getSurveyResponseSummary
+     */
+    async function getSurveyResponseSummary(surveyId) {
+        return request(`${config.endpoints.surveys}/${surveyId}/responses/summary`);
+    }
+
+    /**
+     * الحصول على الردود الخام لاستبيان
+     * @method getSurveyResponses
+     */
+    async function getSurveyResponses(surveyId, params = {}) {
+        const queryString = buildQueryString(params);
+        return request(`${config.endpoints.surveys}/${surveyId}/responses${queryString}`);
+    }
+
+    /**
+     * الحصول على ملفات المشاركين في استبيان للتحليل الديموغرافي
+     * @method getSurveyRespondents
+     */
+    async function getSurveyRespondents(surveyId) {
+        return request(`${config.endpoints.surveys}/${surveyId}/respondents`);
+    }
+
+    /**
+     * ربط الردود المجهولة من الجهاز بحساب المستخدم
+     * @method claimAnonymousResponses
+     */
+    async function claimAnonymousResponses(anonymousId, surveyIds) {
+        return request(`${config.endpoints.surveys}/responses/claim`, {
             method: 'POST',
-            body: JSON.stringify(responses)
+            body: JSON.stringify({ anonymousId, surveyIds })
+        });
+    }
+
+    /**
+     * الحصول على امتلاء حصص العينة
+     * @method getSurveyQuotaStatus
+     */
+    async function getSurveyQuotaStatus(surveyId) {
+        return request(`${config.endpoints.surveys}/${surveyId}/quotas`);
+    }
+
+    /**
+     * حفظ مسودة إجابات غير مكتملة على الخادم
+     * @method saveResponseDraft
+     */
+    async function saveResponseDraft(surveyId, draft) {
+        return request(`${config.endpoints.surveys}/${surveyId}/responses/draft`, {
+            method: 'PUT',
+            body: JSON.stringify(draft)
+        });
+    }
+
+    /**
+     * الحصول على مسودة إجابات مشارك
+     * @method getResponseDraft
+     */
+    async function getResponseDraft(surveyId, respondentId) {
+        const queryString = buildQueryString({ respondentId });
+        return request(`${config.endpoints.surveys}/${surveyId}/responses/draft${queryString}`);
+    }
+
+    /**
+     * الحصول على جميع مسودات المشارك في الاستبيانات
+     * @method getResponseDrafts
+     */
+    async function getResponseDrafts(respondentId) {
+        const queryString = buildQueryString({ respondentId });
+        return request(`${config.endpoints.surveys}/responses/drafts${queryString}`);
+    }
+
+    /**
+     * حذف مسودة إجابات مشارك
+     * @method deleteResponseDraft
+     */
+    async function deleteResponseDraft(surveyId, respondentId) {
+        const queryString = buildQueryString({ respondentId });
+        return request(`${config.endpoints.surveys}/${surveyId}/responses/draft${queryString}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * الحصول على ترميز الإجابات المفتوحة المشترك بين المحللين
+     * @method getSurveyCoding
+     */
+    async function getSurveyCoding(surveyId) {
+        return request(`${config.endpoints.surveys}/${surveyId}/coding`);
+    }
+
+    /**
+     * حفظ دليل رموز سؤال نصي
+     * @method saveCodingCodebook
+     */
+    async function saveCodingCodebook(surveyId, questionId, codebook) {
+        return request(`${config.endpoints.surveys}/${surveyId}/coding/${questionId}/codebook`, {
+            method: 'PUT',
+            body: JSON.stringify({ codebook })
+        });
+    }
+
+    /**
+     * حفظ رموز مرمّز واحد لرد دون المساس بتعيينات غيره
+     * @method saveCodingAssignment
+     */
+    async function saveCodingAssignment(surveyId, questionId, responseId, coderId, codes) {
+        return request(`${config.endpoints.surveys}/${surveyId}/coding/${questionId}/assignments/${responseId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ coderId, codes })
         });
     }
 
@@ -573,12 +771,27 @@ const ApiManager = (function() {
     /**
      * تحليل المشاعر
      * @method analyzeSentiment
+     *
+     * يقبل نصاً أو مصفوفة نصوص، ويعود للمحلل المحلي عند انقطاع الاتصال أو فشل الخادم
      */
     async function analyzeSentiment(text) {
-        return request('/ai/sentiment', {
-            method: 'POST',
-            body: JSON.stringify({ text })
-        });
+        if (navigator.onLine || typeof ArabicSentiment === 'undefined') {
+            try {
+                return await request('/ai/sentiment', {
+                    method: 'POST',
+                    body: JSON.stringify({ text })
+                });
+            } catch (error) {
+                if (typeof ArabicSentiment === 'undefined') throw error;
+                console.warn('⚠️ تعذر الوصول لخدمة تحليل المشاعر، التحليل محلياً:', error);
+            }
+        }
+
+        return {
+            success: true,
+            offline: true,
+            data: Array.isArray(text) ? ArabicSentiment.summarize(text) : ArabicSentiment.analyze(text)
+        };
     }
 
     /**
@@ -586,17 +799,44 @@ const ApiManager = (function() {
      * @method analyzeArabicText
      */
     async function analyzeArabicText(text, options = {}) {
-        return request('/ai/analyze/arabic', {
-            method: 'POST',
-            body: JSON.stringify({ text, ...options })
-        });
+        if (navigator.onLine || typeof ArabicSentiment === 'undefined') {
+            try {
+                return await request('/ai/analyze/arabic', {
+                    method: 'POST',
+                    body: JSON.stringify({ text, ...options })
+                });
+            } catch (error) {
+                if (typeof ArabicSentiment === 'undefined') throw error;
+                console.warn('⚠️ تعذر الوصول لخدمة تحليل النصوص، التحليل محلياً:', error);
+            }
+        }
+
+        // المحلل المحلي يغطي المشاعر وكلماتها فقط، ولا يستخرج المواضيع
+        const texts = Array.isArray(text) ? text : [text];
+
+        return {
+            success: true,
+            offline: true,
+            data: {
+                language: 'ar',
+                sentiment: Array.isArray(text) ? ArabicSentiment.summarize(text) : ArabicSentiment.analyze(text),
+                keywords: [...new Set(texts.flatMap(item => ArabicSentiment.getSentimentWords(item)))],
+                topics: []
+            }
+        };
     }
 
     /**
      * توليد تقرير تلقائي
      * @method generateReport
+     *
+     * يُبنى التقرير محلياً من سجل النتيجة عند تحميل مولد التقارير دون الحاجة للخادم
      */
     async function generateReport(surveyId, options = {}) {
+        if (typeof ReportGenerator !== 'undefined') {
+            return ReportGenerator.generateForSurvey(surveyId, options);
+        }
+
         return request(`/ai/reports/generate/${surveyId}`, {
             method: 'POST',
             body: JSON.stringify(options)
@@ -744,6 +984,7 @@ const ApiManager = (function() {
         
         // الطلبات العامة
         request,
+        setLanguage,
         healthCheck,
         getSystemStatus,
         
@@ -753,8 +994,22 @@ const ApiManager = (function() {
         getSurvey,
         createSurvey,
         updateSurvey,
+        updateSurveyStatus,
         deleteSurvey,
         submitSurveyResponse,
+        checkSurveyParticipation,
+        getSurveyResponseSummary,
+        getSurveyResponses,
+        getSurveyRespondents,
+        getSurveyQuotaStatus,
+        claimAnonymousResponses,
+        saveResponseDraft,
+        getResponseDraft,
+        getResponseDrafts,
+        deleteResponseDraft,
+        getSurveyCoding,
+        saveCodingCodebook,
+        saveCodingAssignment,
         
         // النتائج
         getResults,
@@ -967,6 +1222,7 @@ const LocalDataService = (function() {
         SURVEYS: 'hadhramaut_surveys',
         RESULTS: 'hadhramaut_results',
         USER_RESPONSES: 'hadhramaut_user_responses',
+        RESPONSE_DRAFTS: 'hadhramaut_response_drafts',
         SETTINGS: 'hadhramaut_settings',
         OFFLINE_DATA: 'hadhramaut_offline_data'
     };
@@ -1031,12 +1287,13 @@ const LocalDataService = (function() {
      * حفظ رد المستخدم
      * @method saveUserResponse
      */
-    function saveUserResponse(surveyId, responses) {
+    function saveUserResponse(surveyId, responses, meta = {}) {
         try {
             const userResponses = getUserResponses();
             userResponses[surveyId] = {
                 responses,
-                timestamp: new Date().toISOString()
+                timestamp: new Date().toISOString(),
+                ...meta
             };
             
             localStorage.setItem(STORAGE_KEYS.USER_RESPONSES, JSON.stringify(userResponses));
@@ -1070,6 +1327,67 @@ const LocalDataService = (function() {
         return responses[surveyId] || null;
     }
     
+    /**
+     * حفظ مسودة إجابات غير مكتملة
+     * @method saveResponseDraft
+     */
+    function saveResponseDraft(surveyId, respondentKey, draft) {
+        try {
+            const drafts = getResponseDrafts();
+            drafts[`${surveyId}:${respondentKey}`] = {
+                ...draft,
+                surveyId,
+                respondentKey,
+                updatedAt: draft.updatedAt || new Date().toISOString()
+            };
+            
+            localStorage.setItem(STORAGE_KEYS.RESPONSE_DRAFTS, JSON.stringify(drafts));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ فشل حفظ مسودة الإجابات:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * الحصول على مسودات الإجابات
+     * @method getResponseDrafts
+     */
+    function getResponseDrafts() {
+        try {
+            const draftsJson = localStorage.getItem(STORAGE_KEYS.RESPONSE_DRAFTS);
+            return draftsJson ? JSON.parse(draftsJson) : {};
+        } catch (error) {
+            console.warn('⚠️ فشل قراءة مسودات الإجابات:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * الحصول على مسودة استبيان لمشارك محدد
+     * @method getResponseDraft
+     */
+    function getResponseDraft(surveyId, respondentKey) {
+        const drafts = getResponseDrafts();
+        return drafts[`${surveyId}:${respondentKey}`] || null;
+    }
+    
+    /**
+     * حذف مسودة الإجابات بعد الإرسال أو البدء من جديد
+     * @method removeResponseDraft
+     */
+    function removeResponseDraft(surveyId, respondentKey) {
+        try {
+            const drafts = getResponseDrafts();
+            delete drafts[`${surveyId}:${respondentKey}`];
+            localStorage.setItem(STORAGE_KEYS.RESPONSE_DRAFTS, JSON.stringify(drafts));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ فشل حذف مسودة الإجابات:', error);
+            return false;
+        }
+    }
+    
     /**
      * حفظ الإعدادات
      * @method saveSettings
@@ -1142,6 +1460,20 @@ const LocalDataService = (function() {
         }
     }
     
+    /**
+     * استبدال قائمة بيانات عدم الاتصال
+     * @method setOfflineData
+     */
+    function setOfflineData(items) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.OFFLINE_DATA, JSON.stringify(items));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ فشل حفظ بيانات عدم الاتصال:', error);
+            return false;
+        }
+    }
+    
     /**
      * مسح بيانات عدم الاتصال
      * @method clearOfflineData
@@ -1201,10 +1533,15 @@ const LocalDataService = (function() {
         saveUserResponse,
         getUserResponses,
         getUserResponse,
+        saveResponseDraft,
+        getResponseDrafts,
+        getResponseDraft,
+        removeResponseDraft,
         saveSettings,
         getSettings,
         saveOfflineData,
         getOfflineData,
+        setOfflineData,
         clearOfflineData,
         clearAllData,
         checkStorageQuota
@@ -1286,10 +1623,27 @@ const SyncService = (function() {
                 switch (item.type) {
                     case 'survey_response':
                         await ApiManager.submitSurveyResponse(item.data.surveyId, item.data.responses);
+                        markUserResponse(item.data.surveyId, item.data.responses, {
+                            synced: true,
+                            syncTime: new Date().toISOString()
+                        });
                         break;
                     case 'survey_creation':
                         await ApiManager.createSurvey(item.data);
                         break;
+                    case 'survey_update':
+                        await ApiManager.updateSurvey(item.data.id, item.data);
+                        break;
+                    case 'survey_status':
+                        await ApiManager.updateSurveyStatus(item.data.id, item.data.status, item.data.entry);
+                        break;
+                    case 'coding_codebook':
+                        await ApiManager.saveCodingCodebook(item.data.surveyId, item.data.questionId, item.data.codebook);
+                        break;
+                    case 'coding_assignment':
+                        await ApiManager.saveCodingAssignment(item.data.surveyId, item.data.questionId,
+                            item.data.responseId, item.data.coderId, item.data.codes);
+                        break;
                     case 'user_feedback':
                         await ApiManager.request('/feedback', {
                             method: 'POST',
@@ -1302,15 +1656,28 @@ const SyncService = (function() {
                 
                 successfulSyncs.push(item.id);
             } catch (error) {
+                // ما رفضه الخادم لن يُقبل بإعادة إرساله فيُحذف من الطابور
+                if (isRejection(error)) {
+                    console.warn(`⚠️ رفض الخادم العنصر ${item.id}:`, error);
+                    if (item.type === 'survey_response') {
+                        markUserResponse(item.data.surveyId, item.data.responses, {
+                            rejected: true,
+                            rejectedAt: new Date().toISOString()
+                        });
+                    }
+                    successfulSyncs.push(item.id);
+                    continue;
+                }
+
                 console.warn(`⚠️ فشل مزامنة العنصر ${item.id}:`, error);
                 failedSyncs.push(item);
             }
         }
         
-        // مسح العناصر التي تمت مزامنتها بنجاح
+        // مسح العناصر التي تمت مزامنتها أو رفضها الخادم
         if (successfulSyncs.length > 0) {
             const remainingData = offlineData.filter(item => !successfulSyncs.includes(item.id));
-            LocalDataService.saveOfflineData(remainingData);
+            LocalDataService.setOfflineData(remainingData);
         }
         
         // حفظ العناصر الفاشلة مرة أخرى
@@ -1340,9 +1707,33 @@ const SyncService = (function() {
         }
     }
     
+    /**
+     * التحقق من أن الخادم رفض الطلب رفضاً نهائياً
+     * @method isRejection
+     */
+    function isRejection(error) {
+        return error instanceof ApiManager.ApiError && error.status >= 400 && error.status < 500;
+    }
+
+    /**
+     * تحديث سجل مشاركة المستخدم إذا كان يخص الرد نفسه
+     * @method markUserResponse
+     *
+     * يحفظ السجل آخر مشاركة فقط، فلا يُعدل إذا تلتها مشاركة أحدث
+     */
+    function markUserResponse(surveyId, payload, changes) {
+        const entry = LocalDataService.getUserResponse(surveyId);
+        if (!entry || !entry.responses || entry.responses.submittedAt !== payload.submittedAt) return;
+
+        const { responses, ...meta } = entry;
+        LocalDataService.saveUserResponse(surveyId, responses, { ...meta, ...changes });
+    }
+
     /**
      * مزامنة ردود المستخدم
      * @method syncUserResponses
+     *
+     * الردود الجديدة غير المتزامنة تُرسل من طابور عدم الاتصال، وهنا تُرسل السجلات الأقدم منه فقط
      */
     async function syncUserResponses() {
         const userResponses = LocalDataService.getUserResponses();
@@ -1351,20 +1742,30 @@ const SyncService = (function() {
         for (const surveyId of surveyIds) {
             const response = userResponses[surveyId];
             
-            // التحقق إذا كان الرد قد تم إرساله مسبقاً
-            if (!response.synced) {
+            // التحقق إذا كان الرد قد تم إرساله أو رفضه أو كان في الطابور
+            if (!response.synced && !response.rejected && !response.queued) {
                 try {
                     await ApiManager.submitSurveyResponse(surveyId, response.responses);
                     
-                    // تحديث حالة المزامنة
-                    response.synced = true;
-                    response.syncTime = new Date().toISOString();
-                    userResponses[surveyId] = response;
-                    
-                    LocalDataService.saveUserResponse(surveyId, response.responses);
+                    // تحديث حالة المزامنة مع الإبقاء على بيانات الرد (مفتاح المشارك وإخفاء الهوية)
+                    const { responses, ...meta } = response;
+                    LocalDataService.saveUserResponse(surveyId, responses, {
+                        ...meta,
+                        synced: true,
+                        syncTime: new Date().toISOString()
+                    });
                     
                     console.log(`✅ تم مزامنة رد الاستبيان ${surveyId}`);
                 } catch (error) {
+                    if (isRejection(error)) {
+                        console.warn(`⚠️ رفض الخادم رد الاستبيان ${surveyId}، لن يُعاد إرساله:`, error);
+                        markUserResponse(surveyId, response.responses, {
+                            rejected: true,
+                            rejectedAt: new Date().toISOString()
+                        });
+                        continue;
+                    }
+
                     console.warn(`⚠️ فشل مزامنة رد الاستبيان ${surveyId}:`, error);
                 }
             }
@@ -1376,12 +1777,15 @@ const SyncService = (function() {
      * @method getSyncStatus
      */
     function getSyncStatus() {
+        const offlineData = LocalDataService.getOfflineData();
+        const pendingRecords = Object.values(LocalDataService.getUserResponses())
+            .filter(entry => !entry.synced && !entry.rejected && !entry.queued);
+
         return {
             isSyncing,
             lastSyncTime,
-            offlineDataCount: LocalDataService.getOfflineData().length,
-            unsyncedResponses: Object.keys(LocalDataService.getUserResponses())
-                .filter(surveyId => !LocalDataService.getUserResponses()[surveyId]?.synced).length
+            offlineDataCount: offlineData.length,
+            unsyncedResponses: offlineData.filter(item => item.type === 'survey_response').length + pendingRecords.length
         };
     }
     
@@ -0,0 +1,265 @@
+```javascript
+/* ============================================
+   صوت حضرموت - تحليل المشاعر العربي دون اتصال
+   ============================================ */
+
+/**
+ * مصنف مشاعر بالمعجم والقواعد يعمل في المتصفح عند تعذر الوصول لخدمة الذكاء الاصطناعي
+ * @namespace ArabicSentiment
+ *
+ * يعالج النفي ("مش زين")، والتوكيد ("زين حيل")، وكلمات اللهجة الحضرمية واليمنية،
+ * والرموز التعبيرية، والأرقام العربية الهندية في التقييمات ("٨ من ١٠")،
+ * ويعيد النسب بنفس بنية "aiInsights.sentimentAnalysis"
+ */
+const ArabicSentiment = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        // حد الدرجة المركبة للتصنيف محايداً
+        neutralThreshold: 0.05,
+        // ثابت تطبيع الدرجة المركبة إلى المدى (-1، 1)
+        normalizationAlpha: 15,
+        negationWindow: 3,
+        negationFactor: -0.75,
+        intensifierFactor: 1.5,
+        // وزن ما قبل "لكن" وما بعدها
+        contrastBefore: 0.5,
+        contrastAfter: 1.5
+    };
+
+    // كلمات إيجابية بوزنها، تشمل كلمات اللهجة الحضرمية واليمنية
+    const POSITIVE = {
+        'ممتاز': 2, 'رائع': 2, 'ممتع': 1.5, 'مذهل': 2, 'رهيب': 1.5, 'افضل': 1.5, 'احسن': 1.5,
+        'جيد': 1, 'جميل': 1.5, 'حلو': 1.5, 'طيب': 1, 'كويس': 1, 'زين': 1.5, 'مليح': 1.5,
+        'حالي': 1.5, 'حاليين': 1.5, 'تمام': 1, 'سابر': 1, 'عال': 1, 'نظيف': 1, 'سريع': 1, 'منظم': 1,
+        'مريح': 1, 'مرتاح': 1, 'مبسوط': 1.5, 'راضي': 1.5, 'سعيد': 1.5, 'فرحان': 1.5,
+        'محترم': 1, 'متعاون': 1, 'متوفر': 1, 'توفر': 0.5, 'متاح': 0.5, 'رخيص': 1, 'ارخص': 1,
+        'مناسب': 1, 'تحسن': 1.5, 'تطور': 1, 'نجاح': 1.5, 'ناجح': 1.5, 'مفيد': 1, 'امان': 1,
+        'امن': 1, 'شكرا': 1, 'مشكور': 1, 'مشكورين': 1, 'العافيه': 1, 'يعطيكم': 0.5,
+        'احب': 1.5, 'اعجبني': 1.5, 'ابداع': 1.5, 'متميز': 1.5, 'فخر': 1.5, 'نعمه': 1,
+        'دقيق': 1, 'سهل': 1, 'واضح': 0.5, 'انصح': 1, 'ثقه': 1, 'اثق': 1, 'مستقر': 1
+    };
+
+    // كلمات سلبية بوزنها
+    const NEGATIVE = {
+        'سيء': 2, 'سيئ': 2, 'زفت': 2.5, 'خايس': 2, 'خربان': 2, 'خراب': 2, 'مخرب': 1.5,
+        'معفن': 2, 'وسخ': 1.5, 'قذر': 2, 'فاشل': 2, 'فشل': 1.5, 'ضعيف': 1.5, 'بطيء': 1,
+        'بطء': 1, 'متاخر': 1, 'تاخير': 1, 'تاخر': 1, 'زحمه': 1, 'ازدحام': 1, 'غالي': 1,
+        'غلاء': 1.5, 'مكلف': 1, 'مشكله': 1, 'مشاكل': 1, 'معاناه': 1.5, 'صعب': 1, 'صعوبه': 1,
+        'مزعج': 1.5, 'مهمل': 1.5, 'اهمال': 1.5, 'فساد': 2, 'ظلم': 2, 'خطير': 1.5, 'خطر': 1,
+        'نقص': 1, 'ناقص': 1, 'انقطاع': 1.5, 'منقطع': 1.5, 'طافي': 1.5, 'طفي': 1.5,
+        'تعبان': 1, 'تعب': 1, 'زعلان': 1.5, 'حزين': 1.5, 'غاضب': 2, 'قلق': 1, 'خوف': 1,
+        'اكره': 2, 'للاسف': 1, 'مؤسف': 1.5, 'سوء': 1.5, 'رديء': 2, 'مقرف': 2, 'عشوائي': 1,
+        'فوضى': 1.5, 'مافيش': 1, 'معدوم': 2, 'محروم': 1.5, 'بهذله': 1.5, 'كارثه': 2.5
+    };
+
+    // أدوات النفي الفصيحة والعامية
+    const NEGATORS = ['لا', 'ما', 'مش', 'مو', 'مب', 'موب', 'ماهو', 'مهو', 'ليس', 'ليست', 'لم', 'لن',
+        'غير', 'بدون', 'دون', 'عدم', 'ماشي', 'مافي', 'ولا'];
+
+    // أدوات التوكيد
+    const INTENSIFIERS = ['جدا', 'مره', 'حيل', 'واجد', 'كثير', 'بالمره', 'للغايه', 'تماما', 'اكثر',
+        'كل', 'بزاف', 'بشده', 'قوي'];
+
+    // أدوات الاستدراك
+    const CONTRAST = ['لكن', 'لاكن', 'بس', 'الا'];
+
+    // الرموز التعبيرية
+    const EMOJI = {
+        '😀': 1.5, '😃': 1.5, '😄': 1.5, '😁': 1.5, '😊': 1.5, '🙂': 1, '😍': 2, '🥰': 2,
+        '😘': 1.5, '👍': 1.5, '👏': 1.5, '💯': 1.5, '❤': 2, '❤️': 2, '🌹': 1, '🙏': 1, '✅': 1, '🌟': 1.5,
+        '😞': -1.5, '😢': -1.5, '😭': -2, '😡': -2, '😠': -2, '🤬': -2.5, '😤': -1.5, '😒': -1,
+        '🙄': -1, '👎': -1.5, '💔': -2, '😩': -1.5, '😫': -1.5, '❌': -1
+    };
+
+    // ========== المعالجة المسبقة ==========
+
+    /**
+     * توحيد النص العربي
+     * @method normalize
+     */
+    function normalize(text) {
+        // الحروف المكررة للمبالغة: "حلوووو" ← "حلو"
+        return Utils.normalizeArabic(text).replace(/(.)\1{2,}/g, '$1');
+    }
+
+    // المعاجم بعد التوحيد حتى تُكتب الكلمات بإملائها الطبيعي
+    const lexicon = new Map();
+    Object.entries(POSITIVE).forEach(([word, weight]) => lexicon.set(normalize(word), weight));
+    Object.entries(NEGATIVE).forEach(([word, weight]) => lexicon.set(normalize(word), -weight));
+    const negators = new Set(NEGATORS.map(normalize));
+    const intensifiers = new Set(INTENSIFIERS.map(normalize));
+    const contrast = new Set(CONTRAST.map(normalize));
+
+    /**
+     * تقسيم النص إلى كلمات
+     * @method tokenize
+     */
+    function tokenize(text) {
+        // لا تُحذف كلمات الوصل لأن أدوات النفي والتوكيد منها
+        return Utils.tokenizeArabic(normalize(text));
+    }
+
+    /**
+     * وزن الكلمة في المعجم بعد تجريد السوابق واللواحق الشائعة
+     * @method lookup
+     */
+    function lookup(token) {
+        // واو العطف وفاؤه قبل الكلمة: "وزين" و"فممتاز"، وتاء التأنيث: "طافيه" و"غاليه"
+        const stripped = token.replace(/^(و|ف)(?=..)/, '');
+        const candidates = [token, stripped, stripped.replace(/ه$/, ''), Utils.stemArabic(token), Utils.stemArabic(stripped)];
+
+        const match = candidates.find(word => word.length > 1 && lexicon.has(word));
+        return match ? { word: match, weight: lexicon.get(match) } : null;
+    }
+
+    /**
+     * درجة تقييم رقمي مثل "8/10" أو "٤ من ٥"
+     * @method scoreRatings
+     */
+    function scoreRatings(text) {
+        const matches = [];
+        const pattern = /(\d+(?:\.\d+)?)\s*(?:\/|من)\s*(\d+)/g;
+        let match;
+
+        while ((match = pattern.exec(normalize(text))) !== null) {
+            const value = parseFloat(match[1]);
+            const max = parseFloat(match[2]);
+            if (max <= 0 || value > max) continue;
+
+            // المنتصف محايد والطرفان ±2
+            matches.push({ word: match[0], weight: Math.round(((value / max) - 0.5) * 4 * 10) / 10 });
+        }
+
+        return matches;
+    }
+
+    /**
+     * درجات الرموز التعبيرية
+     * @method scoreEmoji
+     */
+    function scoreEmoji(text) {
+        return Array.from(String(text || ''))
+            .filter(char => EMOJI[char] !== undefined)
+            .map(char => ({ word: char, weight: EMOJI[char] }));
+    }
+
+    // ========== التصنيف ==========
+
+    /**
+     * تحويل أوزان إلى نسب صحيحة مجموعها 100
+     * @method toPercentages
+     */
+    function toPercentages(values) {
+        const total = values.reduce((sum, value) => sum + value, 0);
+        if (total === 0) return values.map((value, index) => index === 1 ? 100 : 0);
+
+        // طريقة أكبر الباقي
+        const exact = values.map(value => value / total * 100);
+        const floors = exact.map(Math.floor);
+        let remaining = 100 - floors.reduce((sum, value) => sum + value, 0);
+        exact.map((value, index) => ({ index, rest: value - floors[index] }))
+            .sort((a, b) => b.rest - a.rest)
+            .forEach(item => {
+                if (remaining > 0) {
+                    floors[item.index]++;
+                    remaining--;
+                }
+            });
+
+        return floors;
+    }
+
+    /**
+     * تحليل مشاعر نص واحد
+     * @method analyze
+     */
+    function analyze(text) {
+        const tokens = tokenize(text);
+        const contrastIndex = tokens.findIndex(token => contrast.has(token));
+        const matches = [];
+
+        tokens.forEach((token, index) => {
+            const hit = lookup(token);
+            if (!hit) return;
+
+            let weight = hit.weight;
+            const window = tokens.slice(Math.max(0, index - config.negationWindow), index);
+
+            if (index > 0 && intensifiers.has(tokens[index - 1])) weight *= config.intensifierFactor;
+            if (intensifiers.has(tokens[index + 1])) weight *= config.intensifierFactor;
+            if (window.some(word => negators.has(word))) weight *= config.negationFactor;
+
+            if (contrastIndex !== -1) {
+                weight *= index < contrastIndex ? config.contrastBefore : config.contrastAfter;
+            }
+
+            matches.push({ word: hit.word, weight: Math.round(weight * 100) / 100 });
+        });
+
+        matches.push(...scoreEmoji(text), ...scoreRatings(text));
+
+        const sum = matches.reduce((total, match) => total + match.weight, 0);
+        const score = sum === 0 ? 0 : sum / Math.sqrt(sum * sum + config.normalizationAlpha);
+        const positive = matches.filter(match => match.weight > 0).reduce((total, match) => total + match.weight, 0);
+        const negative = matches.filter(match => match.weight < 0).reduce((total, match) => total - match.weight, 0);
+        // الكلمات الخالية من المشاعر تمثل النسبة المحايدة
+        const neutral = Math.max(0, tokens.length - matches.length);
+        const [positiveShare, neutralShare, negativeShare] = toPercentages([positive, neutral, negative]);
+
+        return {
+            label: score >= config.neutralThreshold ? 'positive' : (score <= -config.neutralThreshold ? 'negative' : 'neutral'),
+            score: Math.round(score * 1000) / 1000,
+            positive: positiveShare,
+            neutral: neutralShare,
+            negative: negativeShare,
+            matches,
+            method: 'lexicon'
+        };
+    }
+
+    /**
+     * توزيع المشاعر في مجموعة إجابات بنسب "aiInsights.sentimentAnalysis"
+     * @method summarize
+     */
+    function summarize(texts) {
+        const counts = { positive: 0, neutral: 0, negative: 0 };
+        const items = (texts || []).map(text => String(text || '').trim()).filter(Boolean);
+        items.forEach(text => { counts[analyze(text).label]++; });
+
+        const [positive, neutral, negative] = items.length === 0 ? [0, 0, 0] :
+            toPercentages([counts.positive, counts.neutral, counts.negative]);
+
+        return { positive, neutral, negative, total: items.length };
+    }
+
+    /**
+     * الكلمات الحاملة للمشاعر في نص، الأقوى أولاً
+     * @method getSentimentWords
+     */
+    function getSentimentWords(text) {
+        return analyze(text).matches
+            .slice()
+            .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+            .map(match => match.word);
+    }
+
+    return {
+        config,
+        normalize,
+        tokenize,
+        analyze,
+        summarize,
+        getSentimentWords
+    };
+})();
+
+/**
+ * تصدير محلل المشاعر العربي للاستخدام العام
+ */
+window.ArabicSentiment = ArabicSentiment;
+
+// تصدير افتراضي
+export default ArabicSentiment;
+```
@@ -41,7 +41,16 @@ const AuthenticationSystem = (function() {
         lockoutDuration: 15 * 60 * 1000, // 15 دقيقة
         passwordMinLength: 8,
         requireSpecialChars: true,
-        requireNumbers: true
+        requireNumbers: true,
+        
+        // أنواع الحسابات المعتمدة في شروط أهلية الاستبيانات
+        accountTypes: {
+            basic: 'أساسي',
+            premium: 'مميز',
+            researcher: 'باحث',
+            business: 'أعمال',
+            admin: 'مدير'
+        }
     };
 
     // الحالة
@@ -219,15 +228,10 @@ const AuthenticationSystem = (function() {
             if (result.success) {
                 showAuthSuccess('تم تسجيل الدخول بنجاح');
                 
+                await offerClaim();
+                
                 // إعادة توجيه أو إغلاق النافذة
-                setTimeout(() => {
-                    const redirectUrl = getRedirectUrl();
-                    if (redirectUrl) {
-                        window.location.href = redirectUrl;
-                    } else {
-                        window.location.reload();
-                    }
-                }, 1500);
+                setTimeout(redirectAfterAuth, 1500);
             } else {
                 showAuthError(result.message || 'فشل تسجيل الدخول');
                 recordLoginAttempt(false);
@@ -241,6 +245,31 @@ const AuthenticationSystem = (function() {
         }
     }
 
+    /**
+     * عرض ربط المشاركات المجهولة من هذا الجهاز بالحساب بعد تسجيل الدخول أو التسجيل
+     * @method offerClaim
+     */
+    async function offerClaim() {
+        const claimable = getClaimableResponses();
+        if (claimable.length > 0 &&
+            window.confirm(`لديك ${claimable.length} مشاركة في استبيانات بدون حساب على هذا الجهاز. هل تريد ربطها بحسابك؟`)) {
+            await claimAnonymousResponses();
+        }
+    }
+
+    /**
+     * إعادة التوجيه بعد تسجيل الدخول أو تحديث الصفحة
+     * @method redirectAfterAuth
+     */
+    function redirectAfterAuth() {
+        const redirectUrl = getRedirectUrl();
+        if (redirectUrl) {
+            window.location.href = redirectUrl;
+        } else {
+            window.location.reload();
+        }
+    }
+
     /**
      * التعامل مع التسجيل
      * @method handleRegister
@@ -265,8 +294,11 @@ const AuthenticationSystem = (function() {
             return;
         }
 
-        // إزالة تأكيد كلمة المرور قبل الإرسال
+        // إزالة تأكيد كلمة المرور قبل الإرسال وتوحيد صيغة البيانات
         delete userData.confirmPassword;
+        userData.name = Validator.validateName(userData.name, { allowLatin: true }).value;
+        userData.email = Validator.validateEmail(userData.email).value;
+        userData.phone = Validator.validatePhone(userData.phone).value;
 
         // عرض حالة التحميل
         showAuthLoading(true, 'register');
@@ -277,16 +309,16 @@ const AuthenticationSystem = (function() {
             if (result.success) {
                 showAuthSuccess('تم إنشاء الحساب بنجاح');
                 
-                // تسجيل الدخول تلقائياً
-                setTimeout(() => {
-                    const loginData = {
-                        email: userData.email,
-                        password: userData.password
-                    };
-                    
-                    // استخدام نفس النموذج لتسجيل الدخول
-                    handleLogin(new Event('submit', { target: form }));
-                }, 1500);
+                // تسجيل الدخول تلقائياً ثم عرض ربط المشاركات المجهولة كما بعد تسجيل الدخول
+                const loginResult = await login({ email: userData.email, password: userData.password })
+                    .catch(() => ({ success: false }));
+                
+                if (loginResult.success) {
+                    await offerClaim();
+                    setTimeout(redirectAfterAuth, 1500);
+                } else {
+                    showAuthError('تم إنشاء الحساب، يرجى تسجيل الدخول للمتابعة');
+                }
             } else {
                 showAuthError(result.message || 'فشل إنشاء الحساب');
             }
@@ -454,6 +486,184 @@ const AuthenticationSystem = (function() {
         }
     }
 
+    /**
+     * الحصول على الردود المجهولة غير المربوطة بحساب على هذا الجهاز
+     * @method getClaimableResponses
+     */
+    function getClaimableResponses() {
+        if (typeof LocalDataService === 'undefined') return [];
+        
+        const anonymousId = localStorage.getItem('hadhramaut_anonymous_id');
+        if (!anonymousId) return [];
+        
+        return Object.entries(LocalDataService.getUserResponses())
+            .filter(([, entry]) => entry.anonymous && entry.respondentKey === anonymousId)
+            .map(([surveyId, entry]) => ({ surveyId, ...entry }));
+    }
+
+    /**
+     * ربط الردود المجهولة بحساب المستخدم الحالي
+     * @method claimAnonymousResponses
+     */
+    async function claimAnonymousResponses() {
+        const claimable = getClaimableResponses();
+        if (!state.currentUser || claimable.length === 0) {
+            return { success: false, count: 0 };
+        }
+        
+        const anonymousId = localStorage.getItem('hadhramaut_anonymous_id');
+        const surveyIds = claimable.map(entry => entry.surveyId);
+        
+        try {
+            await ApiManager.claimAnonymousResponses(anonymousId, surveyIds);
+        } catch (error) {
+            console.error('❌ فشل ربط المشاركات بالحساب:', error);
+            showAuthError('تعذر ربط مشاركاتك السابقة بحسابك، يمكنك المحاولة لاحقاً');
+            return { success: false, count: 0 };
+        }
+        
+        // تحديث السجلات المحلية لتتبع الحساب
+        claimable.forEach(entry => {
+            LocalDataService.saveUserResponse(entry.surveyId, entry.responses, {
+                timestamp: entry.timestamp,
+                synced: entry.synced,
+                queued: entry.queued,
+                rejected: entry.rejected,
+                respondentKey: state.currentUser.id,
+                anonymous: false,
+                claimedAt: new Date().toISOString()
+            });
+        });
+        
+        trackAuthEvent('responses_claimed', { userId: state.currentUser.id, count: surveyIds.length });
+        showAuthSuccess(`تم ربط ${surveyIds.length} مشاركة بحسابك`);
+        
+        return { success: true, count: surveyIds.length };
+    }
+
+    /**
+     * حساب عمر المستخدم من ملفه الشخصي
+     * @method getUserAge
+     */
+    function getUserAge(user, now = new Date()) {
+        const profile = user.profile || {};
+        
+        if (profile.dateOfBirth) {
+            const birth = new Date(profile.dateOfBirth);
+            if (!isNaN(birth)) {
+                let age = now.getFullYear() - birth.getFullYear();
+                const beforeBirthday = now.getMonth() < birth.getMonth() ||
+                    (now.getMonth() === birth.getMonth() && now.getDate() < birth.getDate());
+                return beforeBirthday ? age - 1 : age;
+            }
+        }
+        
+        return typeof profile.age === 'number' ? profile.age : null;
+    }
+
+    /**
+     * التحقق من أهلية المستخدم للمشاركة في استبيان حسب شروطه
+     * @method checkSurveyEligibility
+     */
+    function checkSurveyEligibility(survey, user = state.currentUser) {
+        const criteria = survey.eligibility;
+        if (!criteria || Object.keys(criteria).length === 0) {
+            return { eligible: true, reasons: [], message: '' };
+        }
+        
+        if (!user) {
+            return {
+                eligible: false,
+                reasons: ['يتطلب التحقق من أهليتك لهذا الاستبيان تسجيل الدخول'],
+                message: 'يتطلب التحقق من أهليتك لهذا الاستبيان تسجيل الدخول'
+            };
+        }
+        
+        const reasons = [];
+        const location = user.location || {};
+        
+        if (Array.isArray(criteria.regions) && criteria.regions.length > 0 &&
+            !criteria.regions.includes(location.region)) {
+            reasons.push(`الاستبيان مخصص لسكان: ${criteria.regions.join('، ')}`);
+        }
+        
+        if (Array.isArray(criteria.cities) && criteria.cities.length > 0 &&
+            !criteria.cities.includes(location.city)) {
+            reasons.push(`الاستبيان مخصص لسكان مدن: ${criteria.cities.join('، ')}`);
+        }
+        
+        if (criteria.minAge !== undefined || criteria.maxAge !== undefined) {
+            const age = getUserAge(user);
+            if (age === null) {
+                reasons.push('يرجى إضافة تاريخ الميلاد في ملفك الشخصي للتحقق من الفئة العمرية');
+            } else if ((criteria.minAge !== undefined && age < criteria.minAge) ||
+                (criteria.maxAge !== undefined && age > criteria.maxAge)) {
+                reasons.push(`الاستبيان مخصص للفئة العمرية ${formatAgeBand(criteria)}`);
+            }
+        }
+        
+        if (criteria.requireVerifiedPhone && !user.phoneVerified) {
+            reasons.push('يتطلب الاستبيان رقم هاتف موثقاً في حسابك');
+        }
+        
+        if (Array.isArray(criteria.accountTypes) && criteria.accountTypes.length > 0 &&
+            !criteria.accountTypes.includes(user.account?.type)) {
+            const labels = criteria.accountTypes.map(type => config.accountTypes[type] || type);
+            reasons.push(`الاستبيان متاح لأصحاب الحسابات: ${labels.join('، ')}`);
+        }
+        
+        return {
+            eligible: reasons.length === 0,
+            reasons,
+            message: reasons.length === 0 ? '' : 'عذراً، لا تنطبق عليك شروط المشاركة في هذا الاستبيان'
+        };
+    }
+
+    /**
+     * صياغة الفئة العمرية للعرض
+     * @method formatAgeBand
+     */
+    function formatAgeBand(criteria) {
+        if (criteria.minAge !== undefined && criteria.maxAge !== undefined) {
+            return `من ${criteria.minAge} إلى ${criteria.maxAge} سنة`;
+        }
+        return criteria.minAge !== undefined ? `${criteria.minAge} سنة فأكثر` : `حتى ${criteria.maxAge} سنة`;
+    }
+
+    /**
+     * التحقق من صحة تعريف شروط الأهلية في الاستبيان
+     * @method validateEligibilityCriteria
+     */
+    function validateEligibilityCriteria(criteria) {
+        const errors = [];
+        if (!criteria) return { valid: true, errors };
+        
+        ['regions', 'cities', 'accountTypes'].forEach(key => {
+            if (criteria[key] !== undefined && !Array.isArray(criteria[key])) {
+                errors.push(`شروط الأهلية: الحقل ${key} يجب أن يكون قائمة`);
+            }
+        });
+        
+        ['minAge', 'maxAge'].forEach(key => {
+            const value = criteria[key];
+            if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > 120)) {
+                errors.push(`شروط الأهلية: قيمة ${key} غير صالحة`);
+            }
+        });
+        
+        if (criteria.minAge !== undefined && criteria.maxAge !== undefined && criteria.minAge > criteria.maxAge) {
+            errors.push('شروط الأهلية: الحد الأدنى للعمر أكبر من الحد الأقصى');
+        }
+        
+        if (Array.isArray(criteria.accountTypes)) {
+            criteria.accountTypes
+                .filter(type => !config.accountTypes[type])
+                .forEach(type => errors.push(`شروط الأهلية: نوع حساب غير معروف: ${type}`));
+        }
+        
+        return { valid: errors.length === 0, errors };
+    }
+
     /**
      * التحقق من الرمز
      * @method verifyToken
@@ -654,8 +864,7 @@ const AuthenticationSystem = (function() {
      * @method validateEmail
      */
     function validateEmail(email) {
-        const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return re.test(email);
+        return Validator.validateEmail(email).valid;
     }
 
     /**
@@ -663,19 +872,19 @@ const AuthenticationSystem = (function() {
      * @method validatePassword
      */
     function validatePassword(password) {
-        if (password.length < config.passwordMinLength) {
-            return false;
-        }
-
-        if (config.requireNumbers && !/\d/.test(password)) {
-            return false;
-        }
-
-        if (config.requireSpecialChars && !/[!@#$%^&*(),.?":{}|<>]/.test(password)) {
-            return false;
-        }
+        return checkPassword(password).valid;
+    }
 
-        return true;
+    /**
+     * التحقق من كلمة المرور مع سبب الرفض
+     * @method checkPassword
+     */
+    function checkPassword(password) {
+        return Validator.validatePassword(password, {
+            minLength: config.passwordMinLength,
+            requireNumbers: config.requireNumbers,
+            requireSpecialChars: config.requireSpecialChars
+        });
     }
 
     /**
@@ -683,20 +892,25 @@ const AuthenticationSystem = (function() {
      * @method validateRegistrationData
      */
     function validateRegistrationData(userData) {
-        if (!userData.name || userData.name.trim().length < 2) {
-            return { valid: false, message: 'الاسم يجب أن يكون على الأقل حرفين' };
+        // يُقبل الاسم بالحروف العربية أو اللاتينية لأبناء حضرموت في المهجر
+        const name = Validator.validateName(userData.name, { allowLatin: true });
+        if (!name.valid) {
+            return { valid: false, message: name.message };
         }
 
-        if (!validateEmail(userData.email)) {
-            return { valid: false, message: 'البريد الإلكتروني غير صحيح' };
+        const email = Validator.validateEmail(userData.email);
+        if (!email.valid) {
+            return { valid: false, message: email.message };
         }
 
-        if (!validatePassword(userData.password)) {
-            return { valid: false, message: 'كلمة المرور يجب أن تكون 8 أحرف على الأقل وتحتوي على أرقام وحروف خاصة' };
+        const password = checkPassword(userData.password);
+        if (!password.valid) {
+            return { valid: false, message: password.message };
         }
 
-        if (!userData.phone || !/^\d{10,}$/.test(userData.phone)) {
-            return { valid: false, message: 'رقم الهاتف غير صحيح' };
+        const phone = Validator.validatePhone(userData.phone);
+        if (!phone.valid) {
+            return { valid: false, message: phone.message };
         }
 
         if (!userData.region || !userData.city) {
@@ -1126,6 +1340,13 @@ const AuthenticationSystem = (function() {
         updateProfile,
         changePassword,
         resetPassword,
+        getClaimableResponses,
+        claimAnonymousResponses,
+        
+        // أهلية المشاركة
+        getUserAge,
+        checkSurveyEligibility,
+        validateEligibilityCriteria,
         
         // التحقق
         isAuthenticated: () => state.isAuthenticated,
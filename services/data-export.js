@@ -0,0 +1,820 @@
+```javascript
+/* ============================================
+   صوت حضرموت - تصدير البيانات
+   ============================================ */
+
+/**
+ * تصدير سجل النتيجة وبياناته بصيغ CSV وExcel وJSON من المتصفح
+ * @namespace DataExport
+ *
+ * تُبنى أقسام "downloadOptions.sections" كجداول، فيُكتب كل قسم كورقة في ملف XLSX
+ * أو ككتلة في ملف CSV، ويُكتب ملف JSON وفق المخطط JSON_SCHEMA
+ */
+const DataExport = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        localResults: '../data/results.json',
+        organization: 'صوت حضرموت',
+        schemaVersion: '1.0',
+        executiveFindings: 3,
+        executiveRecommendations: 3,
+        // حدود أسماء الأوراق في Excel
+        sheetNameLength: 31,
+        maxColumnWidth: 60,
+        genderLabels: {
+            male: 'ذكر',
+            female: 'أنثى'
+        },
+        demographicSections: {
+            gender: 'الجنس',
+            ageGroups: 'الفئات العمرية',
+            regions: 'المناطق'
+        },
+        sentimentLabels: {
+            positive: 'إيجابي',
+            neutral: 'محايد',
+            negative: 'سلبي'
+        },
+        methodologyLabels: {
+            dataCollection: 'طريقة جمع البيانات',
+            sampleSize: 'حجم العينة',
+            marginOfError: 'هامش الخطأ',
+            designEffect: 'أثر التصميم',
+            analysisTools: 'أدوات التحليل',
+            qualityAssurance: 'ضمان الجودة'
+        },
+        // أقسام بمستوى الرد الفردي لا تُصدَّر إلا للأدوار المخولة
+        restrictedSections: ['raw'],
+        respondentDataRoles: ['admin', 'moderator']
+    };
+
+    // الصيغ مع أسمائها في "downloadOptions.formats"
+    const FORMATS = {
+        csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8', aliases: ['csv'] },
+        excel: {
+            label: 'Excel',
+            extension: 'xlsx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            aliases: ['excel', 'xlsx']
+        },
+        json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8', aliases: ['json'] },
+        pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf', aliases: ['pdf'] }
+    };
+
+    // الأقسام مع أسمائها في "downloadOptions.sections"
+    const SECTIONS = {
+        full: 'النتائج الكاملة',
+        executive: 'الملخص التنفيذي',
+        raw: 'البيانات الخام',
+        charts: 'الرسوم البيانية'
+    };
+
+    // مخطط ملف JSON المصدَّر
+    const JSON_SCHEMA = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'تصدير نتيجة صوت حضرموت',
+        type: 'object',
+        required: ['schemaVersion', 'generatedAt', 'result', 'sections'],
+        properties: {
+            schemaVersion: { type: 'string', description: 'إصدار هذا المخطط' },
+            generatedAt: { type: 'string', format: 'date-time' },
+            source: { type: 'string' },
+            license: { type: ['string', 'null'] },
+            result: {
+                type: 'object',
+                required: ['id', 'title'],
+                properties: {
+                    id: { type: 'string' },
+                    surveyId: { type: ['string', 'null'] },
+                    title: { type: 'string' },
+                    category: { type: ['string', 'null'] },
+                    publishedDate: { type: ['string', 'null'] }
+                }
+            },
+            sections: {
+                type: 'object',
+                description: 'الأقسام المختارة فقط',
+                properties: {
+                    full: {
+                        type: 'object',
+                        description: 'النتائج الكاملة',
+                        properties: {
+                            summary: { type: 'string' },
+                            keyFindings: { type: 'array', items: { type: 'object' } },
+                            demographics: { type: ['object', 'null'] },
+                            recommendations: { type: 'array', items: { type: 'string' } },
+                            aiInsights: { type: ['object', 'null'] },
+                            methodology: { type: 'object' }
+                        }
+                    },
+                    executive: {
+                        type: 'object',
+                        description: 'الملخص التنفيذي',
+                        properties: {
+                            summary: { type: 'string' },
+                            participants: { type: ['number', 'null'] },
+                            marginOfError: { type: ['string', 'null'] },
+                            keyFindings: { type: 'array', items: { type: 'object' } },
+                            recommendations: { type: 'array', items: { type: 'string' } }
+                        }
+                    },
+                    raw: {
+                        type: 'object',
+                        description: 'البيانات الخام: الإجابات بقيمها المخزنة كما أُرسلت',
+                        properties: {
+                            questions: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['id', 'type'],
+                                    properties: { id: { type: 'string' }, text: { type: 'string' }, type: { type: 'string' } }
+                                }
+                            },
+                            responses: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['id', 'answers'],
+                                    properties: {
+                                        id: { type: 'string' },
+                                        submittedAt: { type: ['string', 'null'] },
+                                        answers: { type: 'object' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    charts: {
+                        type: 'array',
+                        description: 'بيانات الرسوم البيانية دون ألوانها',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                title: { type: 'string' },
+                                type: { type: 'string' },
+                                labels: { type: 'array' },
+                                datasets: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { label: { type: ['string', 'null'] }, data: { type: 'array' } }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    // ========== الأقسام ==========
+
+    /**
+     * مفاتيح الأقسام المطلوبة من مفاتيحها أو أسمائها العربية
+     * @method resolveSections
+     */
+    function resolveSections(sections) {
+        if (!Array.isArray(sections) || sections.length === 0) return Object.keys(SECTIONS);
+
+        return Object.keys(SECTIONS).filter(key => sections.includes(key) || sections.includes(SECTIONS[key]));
+    }
+
+    /**
+     * الأقسام المطلوبة التي يحق للمستخدم الحالي تصديرها
+     * @method getAllowedSections
+     */
+    function getAllowedSections(sections) {
+        const canExportRespondentData = canAccessRespondentData();
+        return resolveSections(sections).filter(key =>
+            canExportRespondentData || !config.restrictedSections.includes(key)
+        );
+    }
+
+    /**
+     * صلاحية المستخدم الحالي في تصدير الردود الفردية
+     * @method canAccessRespondentData
+     */
+    function canAccessRespondentData() {
+        if (typeof AuthenticationSystem === 'undefined') return false;
+
+        const user = AuthenticationSystem.getCurrentUser();
+        return Boolean(user && config.respondentDataRoles.includes(user.role));
+    }
+
+    /**
+     * مفتاح الصيغة من اسمها في "downloadOptions.formats"
+     * @method resolveFormat
+     */
+    function resolveFormat(format) {
+        const name = String(format || '').toLowerCase();
+        return Object.keys(FORMATS).find(key => FORMATS[key].aliases.includes(name)) || null;
+    }
+
+    /**
+     * بناء الأقسام المطلوبة مع بياناتها وجداولها
+     * @method buildSections
+     *
+     * يحتاج قسم البيانات الخام تعريف الاستبيان وردوده في "options.survey" و"options.responses"
+     */
+    function buildSections(result, options = {}) {
+        const builders = {
+            full: buildFullSection,
+            executive: buildExecutiveSection,
+            raw: buildRawSection,
+            charts: buildChartsSection
+        };
+
+        return resolveSections(options.sections).map(key => ({
+            key,
+            title: SECTIONS[key],
+            ...builders[key](result, options)
+        }));
+    }
+
+    /**
+     * النتائج الكاملة كجدول طويل بعمود للقسم
+     * @method buildFullSection
+     */
+    function buildFullSection(result, options) {
+        const methodology = getMethodology(result, options.methodology);
+        const insights = result.aiInsights || null;
+        const demographics = result.demographics || null;
+        const rows = [];
+
+        if (result.summary) rows.push(['الملخص', '', result.summary, '']);
+
+        (result.keyFindings || []).forEach(finding => {
+            rows.push(['النتائج الرئيسية', finding.title, finding.value,
+                [finding.description, finding.change, finding.marginOfError].filter(Boolean).join(' | ')]);
+        });
+
+        if (demographics) {
+            if (demographics.totalParticipants) {
+                rows.push(['المشاركون', 'إجمالي المشاركين', demographics.totalParticipants, '']);
+            }
+            Object.entries(config.demographicSections).forEach(([key, title]) => {
+                Object.entries(demographics[key] || {}).forEach(([label, share]) => {
+                    rows.push(['المشاركون', `${title}: ${key === 'gender' ? (config.genderLabels[label] || label) : label}`, share, '%']);
+                });
+            });
+        }
+
+        (result.recommendations || []).forEach((item, index) => rows.push(['التوصيات', index + 1, item, '']));
+
+        if (insights) {
+            const sentiment = insights.sentimentAnalysis || {};
+            Object.entries(config.sentimentLabels).forEach(([key, label]) => {
+                if (sentiment[key] !== undefined) rows.push(['تحليل المشاعر', label, sentiment[key], '%']);
+            });
+            (insights.keyTopics || []).forEach(topic => {
+                rows.push(typeof topic === 'string' ?
+                    ['المواضيع', topic, '', ''] :
+                    ['المواضيع', topic.label, topic.percentage !== undefined ? topic.percentage : '', topic.count ? `${topic.count} إجابة` : '']);
+            });
+            if (insights.trendPrediction) rows.push(['توقع الاتجاه', '', insights.trendPrediction, '']);
+        }
+
+        Object.entries(methodology).forEach(([key, value]) => {
+            rows.push(['المنهجية', config.methodologyLabels[key] || key, Array.isArray(value) ? value.join('، ') : value, '']);
+        });
+
+        return {
+            data: {
+                summary: result.summary || '',
+                keyFindings: result.keyFindings || [],
+                demographics,
+                recommendations: result.recommendations || [],
+                aiInsights: insights,
+                methodology
+            },
+            headers: ['القسم', 'البند', 'القيمة', 'التفاصيل'],
+            rows
+        };
+    }
+
+    /**
+     * الملخص التنفيذي
+     * @method buildExecutiveSection
+     */
+    function buildExecutiveSection(result, options) {
+        const methodology = getMethodology(result, options.methodology);
+        const data = {
+            summary: result.summary || '',
+            participants: (result.demographics || {}).totalParticipants || null,
+            marginOfError: methodology.marginOfError || null,
+            keyFindings: (result.keyFindings || []).slice(0, config.executiveFindings),
+            recommendations: (result.recommendations || []).slice(0, config.executiveRecommendations)
+        };
+
+        const rows = [
+            ['العنوان', result.title || ''],
+            ['الملخص', data.summary],
+            ['عدد المشاركين', data.participants === null ? '' : data.participants],
+            ['هامش الخطأ', data.marginOfError || ''],
+            ...data.keyFindings.map(finding => [finding.title, finding.value]),
+            ...data.recommendations.map((item, index) => [`توصية ${index + 1}`, item])
+        ];
+
+        return { data, headers: ['البند', 'القيمة'], rows };
+    }
+
+    /**
+     * البيانات الخام: صف لكل رد وعمود لكل سؤال
+     * @method buildRawSection
+     *
+     * الجدول يعرض تسميات الخيارات للقراءة، بينما يحتفظ JSON بالقيم المخزنة كما هي
+     */
+    function buildRawSection(result, options) {
+        const questions = options.survey ? (options.survey.questions || []) : [];
+        const responses = options.responses || [];
+
+        return {
+            data: {
+                questions: questions.map(question => ({ id: question.id, text: question.text || '', type: question.type })),
+                responses: responses.map(response => ({
+                    id: response.id,
+                    submittedAt: response.submittedAt || null,
+                    answers: response.answers || {}
+                }))
+            },
+            headers: ['معرف الرد', 'تاريخ الإرسال', ...questions.map(question => question.text || question.id)],
+            rows: responses.map(response => [
+                response.id,
+                response.submittedAt || '',
+                ...questions.map(question => formatAnswer(question, (response.answers || {})[question.id]))
+            ])
+        };
+    }
+
+    /**
+     * بيانات الرسوم البيانية
+     * @method buildChartsSection
+     */
+    function buildChartsSection(result) {
+        const charts = (result.charts || []).map(chart => ({
+            title: chart.title || '',
+            type: chart.type,
+            labels: (chart.data || {}).labels || [],
+            datasets: ((chart.data || {}).datasets || []).map(dataset => ({
+                label: dataset.label || null,
+                data: dataset.data || []
+            }))
+        }));
+
+        const rows = charts.flatMap(chart => chart.datasets.flatMap(dataset =>
+            chart.labels.map((label, index) => [chart.title, label, dataset.label || '', valueOrEmpty(dataset.data[index])])));
+
+        return { data: charts, headers: ['الرسم', 'الفئة', 'السلسلة', 'القيمة'], rows };
+    }
+
+    /**
+     * إجابة سؤال بتسميات خياراتها
+     * @method formatAnswer
+     */
+    function formatAnswer(question, answer) {
+        if (answer === undefined || answer === null || answer === '') return '';
+
+        const labelOf = (list, value) => ((list || []).find(item => item.value === value) || {}).label || value;
+
+        switch (question.type) {
+            case 'single_choice':
+                return labelOf(question.options, answer);
+            case 'multiple_choice':
+                return [].concat(answer).map(value => labelOf(question.options, value)).join('؛ ');
+            case 'ranking':
+                return [].concat(answer).map(value => labelOf(question.options, value)).join(' > ');
+            case 'matrix':
+                return Object.entries(answer)
+                    .map(([row, column]) => `${labelOf(question.rows, row)}: ${labelOf(question.columns, column)}`)
+                    .join('؛ ');
+            default:
+                return typeof answer === 'number' ? answer : String(answer);
+        }
+    }
+
+    /**
+     * المنهجية العامة مع هامش الخطأ الفعلي للنتيجة
+     * @method getMethodology
+     */
+    function getMethodology(result, base = null) {
+        const methodology = { ...(base || {}), ...(result.methodology || {}) };
+        const demographics = result.demographics || {};
+
+        if (typeof SurveyWeighting !== 'undefined' && demographics.totalParticipants && !(result.methodology || {}).marginOfError) {
+            methodology.marginOfError = SurveyWeighting.formatMarginOfError(
+                demographics.totalParticipants / SurveyWeighting.estimateDesignEffect(demographics));
+        }
+
+        return methodology;
+    }
+
+    function valueOrEmpty(value) {
+        return value === null || value === undefined ? '' : value;
+    }
+
+    // ========== الصيغ ==========
+
+    /**
+     * تحويل الأقسام إلى CSV
+     * @method toCSV
+     *
+     * يبدأ الملف بعلامة BOM حتى يقرأ Excel النص العربي بترميز UTF-8،
+     * وعند تعدد الأقسام يسبق كل جدول سطر بعنوانه
+     */
+    function toCSV(sections) {
+        const blocks = sections.map(section => {
+            const lines = [section.headers, ...section.rows].map(row => row.map(escapeCSV).join(','));
+            return sections.length > 1 ? [escapeCSV(section.title), ...lines].join('\r\n') : lines.join('\r\n');
+        });
+
+        return `\uFEFF${blocks.join('\r\n\r\n')}\r\n`;
+    }
+
+    /**
+     * تهريب خلية CSV
+     * @method escapeCSV
+     *
+     * النص الذي يبدأ بمحرف صيغة يُسبق بعلامة ' حتى لا ينفذه Excel كصيغة عند فتح الملف
+     */
+    function escapeCSV(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * تحويل الأقسام إلى JSON وفق JSON_SCHEMA
+     * @method toJSON
+     */
+    function toJSON(result, sections, options = {}) {
+        return JSON.stringify({
+            schemaVersion: config.schemaVersion,
+            generatedAt: new Date().toISOString(),
+            source: config.organization,
+            license: options.license || null,
+            result: {
+                id: result.id,
+                surveyId: result.surveyId || null,
+                title: result.title || '',
+                category: result.category || null,
+                publishedDate: result.publishedDate || null
+            },
+            sections: Object.fromEntries(sections.map(section => [section.key, section.data]))
+        }, null, 2);
+    }
+
+    // ========== ملفات Excel ==========
+
+    /**
+     * تحويل الأقسام إلى مصنف XLSX بورقة لكل قسم
+     * @method toXLSX
+     *
+     * المصنف بصيغة Office Open XML داخل ملف ZIP غير مضغوط، والأوراق من اليمين لليسار
+     */
+    function toXLSX(sections) {
+        const names = getSheetNames(sections.map(section => section.title));
+        const sheets = sections.map((section, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            content: buildSheetXml(section)
+        }));
+
+        return createZip([
+            {
+                name: '[Content_Types].xml',
+                content: xmlDocument(`<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheets.map((sheet, index) =>
+                        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>')
+            },
+            {
+                name: '_rels/.rels',
+                content: xmlDocument('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>')
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: xmlDocument('<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    '<bookViews><workbookView/></bookViews><sheets>' +
+                    names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                    '</sheets></workbook>')
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: xmlDocument('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheets.map((sheet, index) =>
+                        `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                    '</Relationships>')
+            },
+            {
+                // النمط 1 للصف الأول: خط عريض بخلفية رمادية
+                name: 'xl/styles.xml',
+                content: xmlDocument('<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    '<fonts count="2"><font><sz val="11"/><name val="Arial"/></font><font><b/><sz val="11"/><name val="Arial"/></font></fonts>' +
+                    '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+                    '<fill><patternFill patternType="solid"><fgColor rgb="FFEDF2F7"/></patternFill></fill></fills>' +
+                    '<borders count="1"><border/></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                    '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/></cellXfs>' +
+                    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                    '</styleSheet>')
+            },
+            ...sheets
+        ]);
+    }
+
+    /**
+     * ورقة عمل لقسم
+     * @method buildSheetXml
+     */
+    function buildSheetXml(section) {
+        const rows = [section.headers, ...section.rows];
+        const widths = section.headers.map((header, column) => Math.min(config.maxColumnWidth,
+            Math.max(...rows.map(row => String(valueOrEmpty(row[column])).length)) + 2));
+
+        return xmlDocument('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView rightToLeft="1" workbookViewId="0">' +
+            '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` +
+            '<sheetData>' +
+            rows.map((row, rowIndex) => `<row r="${rowIndex + 1}">${row.map((value, column) =>
+                buildCellXml(`${columnName(column)}${rowIndex + 1}`, value, rowIndex === 0)).join('')}</row>`).join('') +
+            '</sheetData></worksheet>');
+    }
+
+    /**
+     * خلية رقمية أو نصية
+     * @method buildCellXml
+     */
+    function buildCellXml(reference, value, header) {
+        const style = header ? ' s="1"' : '';
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${reference}"${style}><v>${value}</v></c>`;
+        }
+
+        return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(valueOrEmpty(value))}</t></is></c>`;
+    }
+
+    /**
+     * أسماء أوراق صالحة وغير مكررة
+     * @method getSheetNames
+     */
+    function getSheetNames(titles) {
+        const used = new Set();
+
+        return titles.map((title, index) => {
+            const base = String(title || `ورقة ${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, config.sheetNameLength);
+            let name = base;
+            for (let suffix = 2; used.has(name); suffix++) {
+                name = `${base.slice(0, config.sheetNameLength - String(suffix).length - 1)} ${suffix}`;
+            }
+            used.add(name);
+            return name;
+        });
+    }
+
+    /**
+     * اسم العمود بالحروف (A، B، ... AA)
+     * @method columnName
+     */
+    function columnName(index) {
+        let name = '';
+        for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+            name = String.fromCharCode(65 + (value - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    function xmlDocument(body) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+    }
+
+    /**
+     * تهريب النص داخل XML مع حذف محارف التحكم غير المسموحة
+     * @method escapeXml
+     */
+    function escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ========== ملفات ZIP ==========
+
+    // جدول CRC-32 المستخدم في ترويسات ZIP
+    const CRC_TABLE = Array.from({ length: 256 }, (item, index) => {
+        let value = index;
+        for (let bit = 0; bit < 8; bit++) {
+            value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+        }
+        return value >>> 0;
+    });
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let index = 0; index < bytes.length; index++) {
+            crc = CRC_TABLE[(crc ^ bytes[index]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * إنشاء ملف ZIP بطريقة التخزين دون ضغط
+     * @method createZip
+     *
+     * يقبل ملفات بمحتوى نصي (يُرمَّز UTF-8) أو Uint8Array
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const local = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = crc32(data);
+
+            // الرأس المحلي: توقيع، إصدار، علم UTF-8، طريقة التخزين، الوقت، CRC، الأحجام، طول الاسم
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(8, 0, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+
+            local.push(new Uint8Array(header.buffer), name, data);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...local, ...central, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+
+        return output;
+    }
+
+    // ========== التصدير ==========
+
+    /**
+     * تحويل الأقسام إلى محتوى ملف بالصيغة المطلوبة
+     * @method serialize
+     */
+    function serialize(result, sections, format, options = {}) {
+        switch (format) {
+            case 'csv':
+                return toCSV(sections);
+            case 'excel':
+                return toXLSX(sections);
+            case 'json':
+                return toJSON(result, sections, options);
+            default:
+                throw new Error(`صيغة التصدير غير مدعومة: ${format}`);
+        }
+    }
+
+    /**
+     * تصدير نتيجة بالصيغة والأقسام المختارة
+     * @method exportResult
+     *
+     * صيغة PDF تُحال إلى مولد التقارير، والبيانات الخام تُحمَّل من ردود الاستبيان
+     * وتُستبعد لغير الأدوار المخولة
+     */
+    async function exportResult(result, options = {}) {
+        const format = resolveFormat(options.format);
+        const sectionKeys = getAllowedSections(options.sections);
+        if (!format || sectionKeys.length === 0) return false;
+
+        if (format === 'pdf') {
+            if (typeof ReportGenerator === 'undefined') return false;
+
+            const executiveOnly = sectionKeys.length === 1 && sectionKeys[0] === 'executive';
+            return ReportGenerator.exportPdf(result, {
+                type: executiveOnly ? ReportGenerator.TYPES.EXECUTIVE : ReportGenerator.TYPES.FULL,
+                methodology: options.methodology
+            });
+        }
+
+        const sourceData = sectionKeys.includes('raw') ? await loadRawData(result.surveyId) : {};
+        const sections = buildSections(result, { ...options, ...sourceData, sections: sectionKeys });
+        const content = serialize(result, sections, format, options);
+
+        download(content, `${result.id || 'result'}_${sectionKeys.join('_')}.${FORMATS[format].extension}`, FORMATS[format].mimeType);
+        return true;
+    }
+
+    /**
+     * تحميل تعريف الاستبيان وردوده للبيانات الخام
+     * @method loadRawData
+     */
+    async function loadRawData(surveyId) {
+        if (!surveyId || typeof SurveyRunner === 'undefined' || typeof SurveyResponses === 'undefined') return {};
+
+        try {
+            const [survey, responses] = await Promise.all([
+                SurveyRunner.loadSurvey(surveyId),
+                SurveyResponses.load(surveyId)
+            ]);
+            return { survey, responses };
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل البيانات الخام:', error);
+            return {};
+        }
+    }
+
+    /**
+     * تنزيل محتوى كملف بنوعه الصحيح
+     * @method download
+     */
+    function download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    return {
+        config,
+        FORMATS,
+        SECTIONS,
+        JSON_SCHEMA,
+        resolveSections,
+        getAllowedSections,
+        canAccessRespondentData,
+        resolveFormat,
+        buildSections,
+        formatAnswer,
+        toCSV,
+        escapeCSV,
+        toXLSX,
+        toJSON,
+        createZip,
+        exportResult,
+        download
+    };
+})();
+
+/**
+ * تصدير أداة تصدير البيانات للاستخدام العام
+ */
+window.DataExport = DataExport;
+
+// تصدير افتراضي
+export default DataExport;
+```
@@ -0,0 +1,461 @@
+```javascript
+/* ============================================
+   صوت حضرموت - توقع اتجاهات السلاسل الزمنية
+   ============================================ */
+
+/**
+ * توقعات محلية بسيطة للمشاركة الشهرية ومؤشرات الرضا عبر الموجات
+ * @namespace Forecasting
+ *
+ * ثلاث طرق: المتوسط المتحرك، والتمهيد الأسي البسيط، والاتجاه الخطي. تُختار الطريقة
+ * تلقائياً بأقل خطأ في التوقع خطوة واحدة للأمام على نقاط السلسلة نفسها
+ */
+const Forecasting = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        horizon: 3,
+        minPoints: 3,
+        movingAverageWindow: 3,
+        smoothingAlphas: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9],
+        // ترتيب التفضيل عند تساوي الخطأ: الأبسط أولاً
+        methods: ['movingAverage', 'exponential', 'linear'],
+        // التغير النسبي الذي يُعد دونه الاتجاه مستقراً
+        stableChange: 0.02,
+        // أقل درجات حرية لتقدير الفترة من أخطاء التوقع وحدها
+        minDegreesOfFreedom: 2,
+        colors: {
+            interval: 'rgba(160, 174, 192, 0.25)'
+        }
+    };
+
+    // قيم t الحرجة لفترة توقع 95% حسب درجات الحرية، وما بعد 30 يقارب 1.96
+    const T_CRITICAL_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+        2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+        2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+    const METHOD_LABELS = {
+        movingAverage: 'المتوسط المتحرك',
+        exponential: 'التمهيد الأسي',
+        linear: 'الاتجاه الخطي'
+    };
+
+    const MONTHS = ['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو',
+        'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر'];
+
+    // ========== أدوات مساعدة ==========
+
+    /**
+     * تقريب رقم
+     * @method round
+     */
+    function round(value, digits = 2) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * قيمة t الحرجة
+     * @method tCritical
+     */
+    function tCritical(degreesOfFreedom) {
+        if (degreesOfFreedom < 1) return T_CRITICAL_95[0];
+        return T_CRITICAL_95[degreesOfFreedom - 1] || 1.96;
+    }
+
+    /**
+     * مقياس فترة التوقع
+     * @method intervalScale
+     *
+     * أخطاء التوقع داخل سلسلة قصيرة قد تنعدم (ثلاث نقاط على خط مستقيم)، فلا يُعتمد عليها
+     * بأقل من "minDegreesOfFreedom" ولا إن انعدمت، ويُضم إليها تباين المعاينة المخزن لكل
+     * موجة إن وُجد. يعيد null إذا لم يبق ما تُقدّر منه الفترة
+     */
+    function intervalScale(sigma, degreesOfFreedom, samplingVariance) {
+        const reliable = degreesOfFreedom >= config.minDegreesOfFreedom && sigma > 0;
+        if (!reliable && !(samplingVariance > 0)) return null;
+
+        return {
+            sigma: Math.sqrt(Math.max(reliable ? sigma * sigma : 0, samplingVariance || 0)),
+            t: reliable ? tCritical(degreesOfFreedom) : 1.96
+        };
+    }
+
+    /**
+     * الجذر التربيعي لمتوسط مربعات الأخطاء
+     * @method rootMeanSquare
+     */
+    function rootMeanSquare(errors) {
+        if (errors.length === 0) return 0;
+        return Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length);
+    }
+
+    /**
+     * تنظيف السلسلة من القيم غير الرقمية
+     * @method prepareSeries
+     *
+     * الصفر الأخير بعد قيم موجبة يُعد فترة لم تكتمل بعد (كالشهر الحالي في "trends.viewsByMonth")
+     */
+    function prepareSeries(values, labels = []) {
+        const points = values
+            .map((value, index) => ({ value: value === null || value === '' ? NaN : Number(value), label: labels[index], index }))
+            .filter(point => Number.isFinite(point.value));
+
+        if (points.length > 1 && points[points.length - 1].value === 0 && points.slice(0, -1).every(point => point.value > 0)) {
+            points.pop();
+        }
+
+        return {
+            values: points.map(point => point.value),
+            labels: points.map((point, index) => point.label !== undefined ? point.label : String(index + 1)),
+            // مواضع النقاط في السلسلة الأصلية
+            indexes: points.map(point => point.index)
+        };
+    }
+
+    /**
+     * متوسط تباين المعاينة لنقاط السلسلة من أخطائها المعيارية
+     * @method samplingVariance
+     */
+    function samplingVariance(errors, indexes) {
+        const variances = (errors || [])
+            .filter((error, index) => indexes.includes(index) && Number.isFinite(error) && error > 0)
+            .map(error => error * error);
+        return variances.length > 0 ? variances.reduce((sum, variance) => sum + variance, 0) / variances.length : 0;
+    }
+
+    /**
+     * تسميات الفترات التالية
+     * @method nextLabels
+     *
+     * تكمل السنوات والأشهر العربية وصيغة "YYYY-MM"، وما عداها يُرقّم "+1" و"+2"
+     */
+    function nextLabels(labels, horizon) {
+        const last = String(labels[labels.length - 1] || '').trim();
+        const steps = Array.from({ length: horizon }, (item, index) => index + 1);
+
+        if (/^\d{4}$/.test(last)) {
+            return steps.map(step => String(Number(last) + step));
+        }
+
+        const monthMatch = last.match(/^(\d{4})-(\d{2})$/);
+        if (monthMatch) {
+            return steps.map(step => {
+                const date = new Date(Number(monthMatch[1]), Number(monthMatch[2]) - 1 + step, 1);
+                return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            });
+        }
+
+        const month = MONTHS.indexOf(last);
+        if (month !== -1) {
+            return steps.map(step => MONTHS[(month + step) % 12]);
+        }
+
+        return steps.map(step => `+${step}`);
+    }
+
+    // ========== طرق التوقع ==========
+
+    /**
+     * نقطة توقع مع حدي فترتها، والحدان null إذا تعذر تقدير الفترة
+     * @method withInterval
+     */
+    function withInterval(value, spread) {
+        return spread === null ?
+            { value, lower: null, upper: null } :
+            { value, lower: value - spread, upper: value + spread };
+    }
+
+    /**
+     * المتوسط المتحرك
+     * @method movingAverage
+     */
+    function movingAverage(values, options = {}) {
+        // نافذة أقصر من السلسلة حتى يبقى خطأ واحد على الأقل لتقدير الفترة
+        const window = Math.max(1, Math.min(options.window || config.movingAverageWindow, values.length - 1));
+        const horizon = options.horizon || config.horizon;
+        const level = values.slice(-window).reduce((sum, value) => sum + value, 0) / window;
+
+        // أخطاء التوقع خطوة واحدة للأمام داخل السلسلة
+        const errors = [];
+        for (let t = window; t < values.length; t++) {
+            const mean = values.slice(t - window, t).reduce((sum, value) => sum + value, 0) / window;
+            errors.push(values[t] - mean);
+        }
+
+        const scale = intervalScale(rootMeanSquare(errors), errors.length - 1, options.samplingVariance);
+        const spread = scale ? scale.t * scale.sigma * Math.sqrt(1 + 1 / window) : null;
+
+        return {
+            method: 'movingAverage',
+            parameters: { window },
+            points: Array.from({ length: horizon }, () => withInterval(level, spread))
+        };
+    }
+
+    /**
+     * التمهيد الأسي البسيط
+     * @method exponentialSmoothing
+     *
+     * عند عدم تحديد معامل التمهيد يُختار من "smoothingAlphas" بأقل مجموع مربعات أخطاء
+     */
+    function exponentialSmoothing(values, options = {}) {
+        const horizon = options.horizon || config.horizon;
+
+        const fit = alpha => {
+            let level = values[0];
+            const errors = [];
+            for (let t = 1; t < values.length; t++) {
+                errors.push(values[t] - level);
+                level = alpha * values[t] + (1 - alpha) * level;
+            }
+            return { alpha, level, errors, sse: errors.reduce((sum, error) => sum + error * error, 0) };
+        };
+
+        const best = options.alpha ? fit(options.alpha) :
+            config.smoothingAlphas.map(fit).reduce((min, item) => item.sse < min.sse ? item : min);
+        const scale = intervalScale(rootMeanSquare(best.errors), best.errors.length - 1, options.samplingVariance);
+
+        return {
+            method: 'exponential',
+            parameters: { alpha: best.alpha },
+            points: Array.from({ length: horizon }, (item, index) => {
+                // تتسع الفترة مع البعد: σ√(1 + (h-1)α²)
+                const spread = scale ? scale.t * scale.sigma * Math.sqrt(1 + index * best.alpha * best.alpha) : null;
+                return withInterval(best.level, spread);
+            })
+        };
+    }
+
+    /**
+     * الاتجاه الخطي بالمربعات الصغرى
+     * @method linearTrend
+     */
+    function linearTrend(values, options = {}) {
+        const horizon = options.horizon || config.horizon;
+        const n = values.length;
+        const meanX = (n - 1) / 2;
+        const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+        const sxx = values.reduce((sum, value, x) => sum + (x - meanX) * (x - meanX), 0);
+        const slope = sxx === 0 ? 0 : values.reduce((sum, value, x) => sum + (x - meanX) * (value - meanY), 0) / sxx;
+        const intercept = meanY - slope * meanX;
+
+        const residuals = values.map((value, x) => value - (intercept + slope * x));
+        const sigma = n > 2 ? Math.sqrt(residuals.reduce((sum, error) => sum + error * error, 0) / (n - 2)) : 0;
+        const scale = sxx === 0 ? null : intervalScale(sigma, n - 2, options.samplingVariance);
+
+        return {
+            method: 'linear',
+            parameters: { slope: round(slope, 4), intercept: round(intercept, 4) },
+            points: Array.from({ length: horizon }, (item, index) => {
+                const x = n + index;
+                const value = intercept + slope * x;
+                const spread = scale ? scale.t * scale.sigma * Math.sqrt(1 + 1 / n + (x - meanX) * (x - meanX) / sxx) : null;
+                return withInterval(value, spread);
+            })
+        };
+    }
+
+    const METHODS = {
+        movingAverage,
+        exponential: exponentialSmoothing,
+        linear: linearTrend
+    };
+
+    /**
+     * خطأ الطريقة في توقع كل نقطة من النقاط السابقة لها
+     * @method backtest
+     */
+    function backtest(method, values) {
+        const errors = [];
+        for (let t = 2; t < values.length; t++) {
+            const [point] = METHODS[method](values.slice(0, t), { horizon: 1 }).points;
+            errors.push(values[t] - point.value);
+        }
+        return rootMeanSquare(errors);
+    }
+
+    /**
+     * توقع سلسلة زمنية
+     * @method forecast
+     *
+     * يعيد null إذا قلت النقاط عن "minPoints". الخيارات: method ("auto" افتراضياً)، horizon،
+     * labels، و min/max لحصر القيم وحدود الفترة (مثل 0 و100 للنسب)، و errors للأخطاء المعيارية
+     * للمعاينة بترتيب السلسلة (مثل هامش خطأ كل موجة مقسوماً على 1.96)
+     */
+    function forecast(series, options = {}) {
+        const prepared = prepareSeries(series, options.labels);
+        if (prepared.values.length < config.minPoints) return null;
+
+        const horizon = options.horizon || config.horizon;
+        const errors = {};
+        config.methods.forEach(method => { errors[method] = backtest(method, prepared.values); });
+
+        const method = METHODS[options.method] ? options.method :
+            config.methods.reduce((best, item) => errors[item] < errors[best] ? item : best);
+        const result = METHODS[method](prepared.values, {
+            ...options,
+            horizon,
+            samplingVariance: samplingVariance(options.errors, prepared.indexes)
+        });
+
+        const clamp = value => {
+            if (value === null) return null;
+            let clamped = value;
+            if (options.min !== undefined) clamped = Math.max(options.min, clamped);
+            if (options.max !== undefined) clamped = Math.min(options.max, clamped);
+            return round(clamped);
+        };
+        const labels = nextLabels(prepared.labels, horizon);
+
+        return {
+            method,
+            methodLabel: METHOD_LABELS[method],
+            parameters: result.parameters,
+            error: round(errors[method]),
+            history: prepared,
+            points: result.points.map((point, index) => ({
+                label: labels[index],
+                value: clamp(point.value),
+                lower: clamp(point.lower),
+                upper: clamp(point.upper)
+            }))
+        };
+    }
+
+    // ========== العرض ==========
+
+    /**
+     * إضافة امتداد متقطع للتوقعات إلى رسم خطي
+     * @method extendChart
+     *
+     * لا يعدّل الرسم الأصلي، ويتجاهل الرسوم غير الخطية والرسوم الممتدة سابقاً والسلاسل القصيرة
+     */
+    function extendChart(chart, options = {}) {
+        if (!chart || chart.type !== 'line' || !chart.data) return chart;
+
+        const datasets = chart.data.datasets || [];
+        if (datasets.some(dataset => dataset.forecast || dataset.forecastInterval)) return chart;
+
+        const labels = chart.data.labels || [];
+        const horizon = options.horizon || config.horizon;
+        const forecasts = datasets.map(dataset => forecast(dataset.data || [], { ...options, labels, horizon }));
+        if (forecasts.every(item => !item)) return chart;
+
+        // يبدأ التوقع بعد آخر قيمة فعلية، فقد يشغل فترة موجودة لم تكتمل بعد
+        const anchors = forecasts.map(prediction => prediction ?
+            prediction.history.indexes[prediction.history.indexes.length - 1] : -1);
+        const length = Math.max(labels.length, ...anchors.map(anchor => anchor + 1 + horizon));
+        const newLabels = [...labels, ...nextLabels(labels, length - labels.length)];
+        const extended = [];
+
+        datasets.forEach((dataset, index) => {
+            const prediction = forecasts[index];
+            const anchor = anchors[index];
+            const actual = (dataset.data || []).map((value, position) => prediction && position > anchor ? null : value);
+            extended.push({ ...dataset, data: [...actual, ...Array(Math.max(0, length - actual.length)).fill(null)] });
+
+            if (!prediction) return;
+
+            // يبدأ الامتداد من آخر قيمة فعلية حتى يتصل الخطان
+            const tail = values => {
+                const data = Array(length).fill(null);
+                data[anchor] = prediction.history.values[prediction.history.values.length - 1];
+                values.forEach((value, step) => { data[anchor + 1 + step] = value; });
+                return data;
+            };
+
+            // فترة التوقع تُرسم فقط إذا أمكن تقديرها
+            if (prediction.points[0].lower !== null) extended.push({
+                label: `الحد الأدنى المتوقع - ${dataset.label || ''}`,
+                data: tail(prediction.points.map(point => point.lower)),
+                borderWidth: 0,
+                pointRadius: 0,
+                fill: false,
+                forecastInterval: true
+            }, {
+                label: `الحد الأعلى المتوقع - ${dataset.label || ''}`,
+                data: tail(prediction.points.map(point => point.upper)),
+                borderWidth: 0,
+                pointRadius: 0,
+                backgroundColor: config.colors.interval,
+                fill: '-1',
+                forecastInterval: true
+            });
+
+            extended.push({
+                label: `${dataset.label || ''} (متوقع)`,
+                data: tail(prediction.points.map(point => point.value)),
+                borderColor: dataset.borderColor,
+                backgroundColor: 'transparent',
+                borderDash: [6, 4],
+                fill: false,
+                forecast: true,
+                method: prediction.method
+            });
+        });
+
+        return { ...chart, data: { ...chart.data, labels: newLabels, datasets: extended } };
+    }
+
+    /**
+     * تنسيق قيمة متوقعة
+     * @method formatValue
+     */
+    function formatValue(value, unit) {
+        const formatted = Utils.formatNumber(round(value, unit === '%' ? 0 : 1));
+        return unit === '%' ? `${formatted}%` : formatted;
+    }
+
+    /**
+     * جملة عربية لحقل "aiInsights.trendPrediction"
+     * @method describe
+     *
+     * الاتجاه مستقر إذا شملت فترة التوقع القيمة الأخيرة أو كان التغير دون "stableChange".
+     * الخيارات: subject، unit ("%" للنسب)، period لتسمية الفترة حين لا تكون سنة أو شهراً
+     */
+    function describe(prediction, options = {}) {
+        if (!prediction || prediction.points.length === 0) return '';
+
+        const subject = options.subject || 'المؤشر';
+        const unit = options.unit || '';
+        const last = prediction.history.values[prediction.history.values.length - 1];
+        const point = prediction.points[prediction.points.length - 1];
+        const change = last === 0 ? point.value - last : (point.value - last) / Math.abs(last);
+        // التسميات المرقمة مثل "+1" تُستبدل باسم الفترة
+        const period = /^\+\d+$/.test(point.label) ? (options.period || 'الفترة القادمة') : point.label;
+        const hasRange = point.lower !== null && point.upper !== null;
+        const range = hasRange ?
+            ` (بين ${formatValue(point.lower, unit)} و${formatValue(point.upper, unit)} بدرجة ثقة 95%)` :
+            '، دون فترة ثقة لعدم كفاية البيانات لتقديرها';
+
+        if ((hasRange && point.lower <= last && last <= point.upper && point.lower !== point.upper) || Math.abs(change) < config.stableChange) {
+            return `من المتوقع أن يبقى ${subject} قريباً من ${formatValue(point.value, unit)} حتى ${period}${range}`;
+        }
+
+        const direction = point.value > last ? 'يرتفع' : 'ينخفض';
+        return `من المتوقع أن ${direction} ${subject} من ${formatValue(last, unit)} إلى نحو ${formatValue(point.value, unit)} بحلول ${period}${range}`;
+    }
+
+    return {
+        config,
+        prepareSeries,
+        nextLabels,
+        movingAverage,
+        exponentialSmoothing,
+        linearTrend,
+        forecast,
+        extendChart,
+        describe
+    };
+})();
+
+/**
+ * تصدير وحدة التوقعات للاستخدام العام
+ */
+window.Forecasting = Forecasting;
+
+// تصدير افتراضي
+export default Forecasting;
+```
@@ -0,0 +1,724 @@
+```javascript
+/* ============================================
+   صوت حضرموت - مولد التقارير
+   ============================================ */
+
+/**
+ * توليد التقرير الكامل والملخص التنفيذي من سجل النتيجة محلياً
+ * @namespace ReportGenerator
+ *
+ * التقرير مبني من قوالب نصية ثابتة، فتعطي النتيجة نفسها التقرير نفسه في كل مرة
+ * ويُصدَّر كملف HTML قابل للطباعة أو كـ PDF عبر نافذة الطباعة في المتصفح
+ */
+const ReportGenerator = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        localResults: '../data/results.json',
+        organization: 'صوت حضرموت',
+        fontUrl: 'https://fonts.googleapis.com/css2?family=Cairo:wght@400;600;700&display=swap',
+        executiveFindings: 3,
+        executiveRecommendations: 3,
+        forecastHorizon: 2,
+        chartSize: { width: 800, height: 400 },
+        trendLabels: {
+            up: 'بارتفاع',
+            down: 'بانخفاض',
+            stable: 'باستقرار'
+        },
+        genderLabels: {
+            male: 'ذكر',
+            female: 'أنثى'
+        },
+        demographicSections: {
+            gender: 'الجنس',
+            ageGroups: 'الفئات العمرية',
+            regions: 'المناطق'
+        },
+        sentimentLabels: {
+            positive: { label: 'إيجابية', tone: 'الإيجابي' },
+            neutral: { label: 'محايدة', tone: 'المحايد' },
+            negative: { label: 'سلبية', tone: 'السلبي' }
+        },
+        methodologyLabels: {
+            dataCollection: 'طريقة جمع البيانات',
+            sampleSize: 'حجم العينة',
+            marginOfError: 'هامش الخطأ',
+            designEffect: 'أثر التصميم',
+            analysisTools: 'أدوات التحليل',
+            qualityAssurance: 'ضمان الجودة'
+        }
+    };
+
+    // أنواع التقارير مع حقل الرابط المقابل في سجل النتيجة
+    const TYPES = {
+        FULL: 'full',
+        EXECUTIVE: 'executive'
+    };
+
+    const typeInfo = {
+        full: { label: 'التقرير الكامل', urlKey: 'fullReportUrl' },
+        executive: { label: 'الملخص التنفيذي', urlKey: 'executiveSummaryUrl' }
+    };
+
+    // ========== بناء التقرير ==========
+
+    /**
+     * بناء هيكل التقرير من سجل النتيجة
+     * @method buildReport
+     *
+     * يعيد أقساماً من كتل (فقرة، قائمة، جدول، رسم، تعريفات) مستقلة عن طريقة العرض
+     */
+    function buildReport(result, options = {}) {
+        const type = typeInfo[options.type] ? options.type : TYPES.FULL;
+        const methodology = getMethodology(result, options.methodology);
+        const findings = getFindings(result);
+        const context = { result, methodology, findings };
+
+        const sections = type === TYPES.EXECUTIVE ?
+            buildExecutiveSections(context) :
+            buildFullSections(context);
+
+        return {
+            type,
+            typeLabel: typeInfo[type].label,
+            resultId: result.id || null,
+            title: result.title || '',
+            description: result.description || '',
+            meta: buildMeta(result),
+            sections: sections.filter(section => section.blocks.length > 0),
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * أقسام الملخص التنفيذي
+     * @method buildExecutiveSections
+     */
+    function buildExecutiveSections({ result, methodology, findings }) {
+        return [
+            {
+                title: 'الملخص',
+                blocks: [
+                    paragraph(result.summary),
+                    paragraph(describeParticipation(result.demographics, methodology))
+                ].filter(Boolean)
+            },
+            {
+                title: 'أبرز النتائج',
+                blocks: findings.length ? [list(findings.slice(0, config.executiveFindings).map(describeFinding))] : []
+            },
+            {
+                title: 'أهم التوصيات',
+                blocks: (result.recommendations || []).length ?
+                    [list(result.recommendations.slice(0, config.executiveRecommendations), true)] : []
+            },
+            {
+                title: 'المنهجية باختصار',
+                blocks: buildMethodologyBlocks(methodology, ['dataCollection', 'sampleSize', 'marginOfError'])
+            }
+        ];
+    }
+
+    /**
+     * أقسام التقرير الكامل
+     * @method buildFullSections
+     */
+    function buildFullSections({ result, methodology, findings }) {
+        const insights = result.aiInsights || {};
+
+        return [
+            {
+                title: 'الملخص التنفيذي',
+                blocks: [
+                    paragraph(result.summary),
+                    paragraph(describeParticipation(result.demographics, methodology))
+                ].filter(Boolean)
+            },
+            {
+                title: 'النتائج الرئيسية',
+                blocks: findings.length ? [
+                    table(
+                        ['المؤشر', 'القيمة', 'التغير', 'هامش الخطأ'],
+                        findings.map(finding => [finding.title, finding.value, finding.change || '—', finding.marginOfError || '—'])
+                    ),
+                    list(findings.map(describeFinding))
+                ] : []
+            },
+            {
+                title: 'الرسوم البيانية',
+                blocks: (result.charts || []).map((chart, index) => ({
+                    type: 'chart',
+                    index,
+                    title: chart.title || '',
+                    chart: typeof Forecasting !== 'undefined' ?
+                        Forecasting.extendChart(chart, { horizon: config.forecastHorizon, min: 0 }) : chart,
+                    table: chartTable(chart)
+                }))
+            },
+            {
+                title: 'المشاركون',
+                blocks: buildDemographicBlocks(result.demographics)
+            },
+            {
+                title: 'تحليل الإجابات المفتوحة',
+                blocks: buildInsightBlocks(insights)
+            },
+            {
+                title: 'توقع الاتجاه',
+                blocks: [paragraph(insights.trendPrediction)].filter(Boolean)
+            },
+            {
+                title: 'التوصيات',
+                blocks: (result.recommendations || []).length ? [list(result.recommendations, true)] : []
+            },
+            {
+                title: 'المنهجية',
+                blocks: buildMethodologyBlocks(methodology, Object.keys(config.methodologyLabels))
+            }
+        ];
+    }
+
+    /**
+     * بيانات الغلاف
+     * @method buildMeta
+     */
+    function buildMeta(result) {
+        return [
+            { label: 'التصنيف', value: [result.category, result.subcategory].filter(Boolean).join(' - ') },
+            { label: 'تاريخ النشر', value: formatDate(result.publishedDate) },
+            { label: 'إعداد', value: result.author || '' }
+        ].filter(item => item.value);
+    }
+
+    /**
+     * جداول توزيع المشاركين
+     * @method buildDemographicBlocks
+     */
+    function buildDemographicBlocks(demographics) {
+        if (!demographics) return [];
+
+        const blocks = [];
+        if (demographics.totalParticipants) {
+            blocks.push(paragraph(`توزع ${Utils.formatNumber(demographics.totalParticipants)} مشارك على الفئات التالية:`));
+        }
+
+        Object.entries(config.demographicSections).forEach(([key, title]) => {
+            const shares = demographics[key];
+            if (!shares || Object.keys(shares).length === 0) return;
+
+            blocks.push(table(
+                [title, 'النسبة'],
+                Object.entries(shares).map(([label, share]) => [
+                    key === 'gender' ? (config.genderLabels[label] || label) : label,
+                    `${share}%`
+                ])
+            ));
+        });
+
+        return blocks;
+    }
+
+    /**
+     * المشاعر والمواضيع في الإجابات المفتوحة
+     * @method buildInsightBlocks
+     */
+    function buildInsightBlocks(insights) {
+        const blocks = [];
+        const sentiment = describeSentiment(insights.sentimentAnalysis);
+        if (sentiment) blocks.push(paragraph(sentiment));
+
+        const topics = insights.keyTopics || [];
+        if (topics.length === 0) return blocks;
+
+        // المواضيع المستخرجة من التجميع أو الترميز تحمل عددها واقتباساتها
+        if (topics.every(topic => typeof topic === 'string')) {
+            blocks.push(paragraph(`أبرز المواضيع التي تكررت في الإجابات: ${topics.join('، ')}.`));
+            return blocks;
+        }
+
+        blocks.push(table(
+            ['الموضوع', 'عدد الإجابات', 'النسبة'],
+            topics.map(topic => typeof topic === 'string' ?
+                [topic, '—', '—'] :
+                [topic.label, Utils.formatNumber(topic.count || 0), topic.percentage !== undefined ? `${topic.percentage}%` : '—'])
+        ));
+
+        topics
+            .filter(topic => topic && Array.isArray(topic.quotes) && topic.quotes.length > 0)
+            .forEach(topic => blocks.push({ type: 'quotes', title: topic.label, items: topic.quotes }));
+
+        return blocks;
+    }
+
+    /**
+     * تعريفات المنهجية
+     * @method buildMethodologyBlocks
+     */
+    function buildMethodologyBlocks(methodology, keys) {
+        const items = keys
+            .filter(key => methodology[key] !== undefined && methodology[key] !== null && methodology[key] !== '')
+            .map(key => ({
+                label: config.methodologyLabels[key],
+                value: Array.isArray(methodology[key]) ? methodology[key].join('، ') : String(methodology[key])
+            }));
+
+        return items.length ? [{ type: 'definitions', items }] : [];
+    }
+
+    // ========== القوالب النصية ==========
+
+    /**
+     * جملة وصف نتيجة رئيسية مع اتجاهها ودلالتها
+     * @method describeFinding
+     */
+    function describeFinding(finding) {
+        const parts = [`${finding.title}: ${finding.value}${finding.description ? ` (${finding.description})` : ''}`];
+
+        if (finding.trend && config.trendLabels[finding.trend]) {
+            parts.push(`${config.trendLabels[finding.trend]}${finding.change ? ` (${finding.change})` : ''}`);
+        } else if (finding.change) {
+            parts.push(finding.change);
+        }
+
+        const comparison = finding.comparison;
+        if (comparison && comparison.significant !== null && comparison.significant !== undefined) {
+            parts.push(`والفرق عن ${comparison.previousWave} (${comparison.previousValue}) ${comparison.significant ? 'دال إحصائياً' : 'غير دال إحصائياً'}`);
+        }
+
+        if (finding.marginOfError) parts.push(`بهامش خطأ ${finding.marginOfError}`);
+
+        return `${parts.join('، ')}.`;
+    }
+
+    /**
+     * جملة حجم العينة وأبرز فئات المشاركين
+     * @method describeParticipation
+     */
+    function describeParticipation(demographics, methodology) {
+        if (!demographics || !demographics.totalParticipants) return '';
+
+        let text = `شارك في الاستبيان ${Utils.formatNumber(demographics.totalParticipants)} مشارك`;
+
+        const region = getLargestShare(demographics.regions);
+        const age = getLargestShare(demographics.ageGroups);
+        if (region) text += `، أكثرهم من ${region[0]} (${region[1]}%)`;
+        if (age) text += `${region ? ' و' : '، أكثرهم '}من الفئة العمرية ${age[0]} (${age[1]}%)`;
+        if (methodology.marginOfError) text += `، وبلغ هامش الخطأ ${methodology.marginOfError}`;
+
+        return `${text}.`;
+    }
+
+    /**
+     * جملة توزيع المشاعر في الإجابات المفتوحة
+     * @method describeSentiment
+     */
+    function describeSentiment(sentiment) {
+        if (!sentiment) return '';
+
+        const entries = Object.keys(config.sentimentLabels)
+            .filter(key => sentiment[key] !== undefined)
+            .map(key => [key, Number(sentiment[key]) || 0]);
+        if (entries.length === 0) return '';
+
+        const shares = entries.map(([key, value]) => `${value}% ${config.sentimentLabels[key].label}`);
+        const dominant = entries.reduce((best, entry) => entry[1] > best[1] ? entry : best);
+
+        return `أظهر تحليل المشاعر في الإجابات المفتوحة أن ${shares.join(' و')}، ويغلب عليها الطابع ${config.sentimentLabels[dominant[0]].tone}.`;
+    }
+
+    /**
+     * الفئة صاحبة النسبة الأكبر
+     * @method getLargestShare
+     */
+    function getLargestShare(shares) {
+        const entries = Object.entries(shares || {});
+        if (entries.length === 0) return null;
+
+        return entries.reduce((best, entry) => Number(entry[1]) > Number(best[1]) ? entry : best);
+    }
+
+    // ========== بيانات التقرير ==========
+
+    /**
+     * النتائج الرئيسية مع هامش الخطأ إن لم يكن منشوراً
+     * @method getFindings
+     */
+    function getFindings(result) {
+        const findings = result.keyFindings || [];
+        if (typeof SurveyWeighting === 'undefined' || findings.every(finding => finding.marginOfError)) return findings;
+
+        return SurveyWeighting.annotateFindings(result).map((finding, index) => ({
+            ...finding,
+            marginOfError: findings[index].marginOfError || finding.marginOfError
+        }));
+    }
+
+    /**
+     * المنهجية العامة مع حجم العينة وهامش الخطأ الفعليين للنتيجة
+     * @method getMethodology
+     */
+    function getMethodology(result, base = null) {
+        const methodology = { ...(base || {}), ...(result.methodology || {}) };
+        const demographics = result.demographics || {};
+
+        if (typeof SurveyWeighting !== 'undefined' && demographics.totalParticipants && !(result.methodology || {}).marginOfError) {
+            const designEffect = SurveyWeighting.estimateDesignEffect(demographics);
+            methodology.marginOfError = SurveyWeighting.formatMarginOfError(demographics.totalParticipants / designEffect);
+            methodology.designEffect = methodology.designEffect || designEffect;
+        }
+        if (demographics.totalParticipants && !(result.methodology || {}).sampleSize) {
+            methodology.sampleSize = demographics.totalParticipants;
+        }
+        if (typeof methodology.sampleSize === 'number') {
+            methodology.sampleSize = `${Utils.formatNumber(methodology.sampleSize)} مشارك`;
+        }
+
+        return methodology;
+    }
+
+    /**
+     * جدول بيانات الرسم ليبقى مقروءاً عند الطباعة دون ألوان
+     * @method chartTable
+     */
+    function chartTable(chart) {
+        const data = chart.data || {};
+        const datasets = (data.datasets || []).filter(dataset => !dataset.forecast && !dataset.forecastInterval);
+
+        return {
+            type: 'table',
+            headers: ['', ...datasets.map(dataset => dataset.label || 'القيمة')],
+            rows: (data.labels || []).map((label, index) => [
+                label,
+                ...datasets.map(dataset => {
+                    const value = (dataset.data || [])[index];
+                    return value === null || value === undefined ? '—' : String(value);
+                })
+            ])
+        };
+    }
+
+    /**
+     * تاريخ بالتقويم المعتمد في الموقع
+     * @method formatDate
+     */
+    function formatDate(date) {
+        if (!date) return '';
+
+        return typeof ResultsManager !== 'undefined' ?
+            ResultsManager.formatPublishedDate(date) :
+            new Date(date).toLocaleDateString('ar-SA', { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    function paragraph(text) {
+        return text ? { type: 'paragraph', text } : null;
+    }
+
+    function list(items, ordered = false) {
+        return { type: 'list', ordered, items };
+    }
+
+    function table(headers, rows) {
+        return { type: 'table', headers, rows };
+    }
+
+    // ========== العرض ==========
+
+    /**
+     * تحويل الرسوم إلى صور لتضمينها في الملف
+     * @method renderChartImages
+     *
+     * يُرسم كل مخطط في لوحة مخفية بلا حركة ثم يُحذف بعد أخذ صورته
+     */
+    function renderChartImages(report) {
+        const images = {};
+        if (typeof ChartManager === 'undefined' || typeof Chart === 'undefined') return images;
+
+        const holder = document.createElement('div');
+        holder.style.cssText = 'position: fixed; top: 0; left: -10000px;';
+        document.body.appendChild(holder);
+
+        report.sections.forEach(section => section.blocks
+            .filter(block => block.type === 'chart')
+            .forEach(block => {
+                const canvas = document.createElement('canvas');
+                canvas.width = config.chartSize.width;
+                canvas.height = config.chartSize.height;
+                holder.appendChild(canvas);
+
+                try {
+                    const chart = ChartManager.renderResultChart(canvas, block.chart, `report_${block.index}`, {
+                        animation: false,
+                        responsive: false,
+                        devicePixelRatio: 2
+                    });
+                    if (chart) {
+                        images[block.index] = canvas.toDataURL('image/png');
+                        chart.destroy();
+                    }
+                } catch (error) {
+                    console.warn('⚠️ تعذر تحويل الرسم إلى صورة:', error);
+                }
+            }));
+
+        holder.remove();
+        return images;
+    }
+
+    /**
+     * مستند HTML مستقل قابل للطباعة
+     * @method renderHtml
+     */
+    function renderHtml(report, images = {}) {
+        return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+    <meta charset="UTF-8">
+    <title>${Utils.escapeHtml(report.title)} - ${Utils.escapeHtml(report.typeLabel)}</title>
+    <link href="${config.fontUrl}" rel="stylesheet">
+    <style>${getStyles()}</style>
+</head>
+<body>
+    <header class="report-cover">
+        <div class="report-organization">${Utils.escapeHtml(config.organization)}</div>
+        <div class="report-type">${Utils.escapeHtml(report.typeLabel)}</div>
+        <h1>${Utils.escapeHtml(report.title)}</h1>
+        ${report.description ? `<p class="report-description">${Utils.escapeHtml(report.description)}</p>` : ''}
+        <dl class="report-meta">
+            ${report.meta.map(item => `<div><dt>${Utils.escapeHtml(item.label)}</dt><dd>${Utils.escapeHtml(item.value)}</dd></div>`).join('')}
+        </dl>
+    </header>
+    ${report.sections.map((section, index) => `
+    <section class="report-section">
+        <h2>${index + 1}. ${Utils.escapeHtml(section.title)}</h2>
+        ${section.blocks.map(block => renderBlock(block, images)).join('')}
+    </section>`).join('')}
+    <footer class="report-footer">
+        ${Utils.escapeHtml(config.organization)} - ${Utils.escapeHtml(report.typeLabel)} - أُعد في ${Utils.escapeHtml(formatDate(report.generatedAt))}
+    </footer>
+</body>
+</html>`;
+    }
+
+    /**
+     * عرض كتلة واحدة
+     * @method renderBlock
+     */
+    function renderBlock(block, images) {
+        switch (block.type) {
+            case 'paragraph':
+                return `<p>${Utils.escapeHtml(block.text)}</p>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                return `<${tag}>${block.items.map(item => `<li>${Utils.escapeHtml(item)}</li>`).join('')}</${tag}>`;
+            }
+            case 'table':
+                return `
+        <table>
+            <thead><tr>${block.headers.map(header => `<th>${Utils.escapeHtml(header)}</th>`).join('')}</tr></thead>
+            <tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${Utils.escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+            case 'chart':
+                return `
+        <figure class="report-chart">
+            <figcaption>${Utils.escapeHtml(block.title)}</figcaption>
+            ${images[block.index] ? `<img src="${images[block.index]}" alt="${Utils.escapeHtml(block.title)}">` : ''}
+            ${renderBlock(block.table, images)}
+        </figure>`;
+            case 'quotes':
+                return `
+        <div class="report-quotes">
+            <h3>${Utils.escapeHtml(block.title)}</h3>
+            ${block.items.map(item => `<blockquote>«${Utils.escapeHtml(item)}»</blockquote>`).join('')}
+        </div>`;
+            case 'definitions':
+                return `
+        <dl class="report-definitions">
+            ${block.items.map(item => `<dt>${Utils.escapeHtml(item.label)}</dt><dd>${Utils.escapeHtml(item.value)}</dd>`).join('')}
+        </dl>`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * أنماط التقرير للشاشة والطباعة
+     * @method getStyles
+     */
+    function getStyles() {
+        return `
+        @page { size: A4; margin: 18mm 15mm; }
+        body { font-family: 'Cairo', sans-serif; color: #2d3748; line-height: 1.8; max-width: 900px; margin: 0 auto; padding: 24px; }
+        .report-cover { border-bottom: 4px solid #1a5f7a; padding-bottom: 16px; margin-bottom: 24px; }
+        .report-organization { color: #1a5f7a; font-weight: 700; }
+        .report-type { color: #718096; }
+        h1 { font-size: 26px; margin: 8px 0; }
+        h2 { font-size: 20px; color: #1a5f7a; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+        h3 { font-size: 16px; margin: 12px 0 4px; }
+        .report-description { color: #4a5568; }
+        .report-meta { display: flex; flex-wrap: wrap; gap: 24px; margin: 0; }
+        .report-meta dt { color: #718096; font-size: 13px; }
+        .report-meta dd { margin: 0; font-weight: 600; }
+        table { width: 100%; border-collapse: collapse; margin: 12px 0; font-size: 14px; }
+        th, td { border: 1px solid #e2e8f0; padding: 6px 10px; text-align: right; }
+        th { background: #f7fafc; }
+        .report-chart { margin: 16px 0; break-inside: avoid; }
+        .report-chart figcaption { font-weight: 600; }
+        .report-chart img { width: 100%; height: auto; }
+        blockquote { margin: 4px 0; padding-right: 12px; border-right: 3px solid #e2e8f0; color: #4a5568; }
+        .report-definitions dt { font-weight: 600; }
+        .report-definitions dd { margin: 0 0 8px; }
+        .report-footer { margin-top: 32px; font-size: 12px; color: #718096; text-align: center; }
+        @media print {
+            body { padding: 0; max-width: none; }
+            .report-section { break-inside: auto; }
+            h2, h3 { break-after: avoid; }
+            table, blockquote { break-inside: avoid; }
+        }`;
+    }
+
+    // ========== التوليد والتصدير ==========
+
+    /**
+     * توليد التقرير ومستنده
+     * @method generate
+     */
+    async function generate(result, options = {}) {
+        const report = buildReport(result, options);
+
+        // انتظار خط Cairo حتى تظهر النصوص العربية صحيحة في صور الرسوم
+        if (typeof document !== 'undefined' && document.fonts) {
+            await document.fonts.ready;
+        }
+
+        const images = options.images === false || typeof document === 'undefined' ? {} : renderChartImages(report);
+        return { report, html: renderHtml(report, images) };
+    }
+
+    /**
+     * اسم الملف المطابق لرابط التقرير المنشور
+     * @method getFileName
+     */
+    function getFileName(result, type, extension) {
+        const url = result[typeInfo[type].urlKey];
+        const base = url ?
+            url.split('/').pop().replace(/\.[^.]+$/, '') :
+            `${result.id || 'report'}-${type}`;
+
+        return `${base}.${extension}`;
+    }
+
+    /**
+     * تحميل التقرير كملف HTML
+     * @method exportHtml
+     */
+    async function exportHtml(result, options = {}) {
+        const type = typeInfo[options.type] ? options.type : TYPES.FULL;
+        const { html } = await generate(result, { ...options, type });
+
+        const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+
+        a.href = url;
+        a.download = getFileName(result, type, 'html');
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        return true;
+    }
+
+    /**
+     * فتح التقرير في نافذة الطباعة لحفظه PDF
+     * @method exportPdf
+     *
+     * الطباعة من المتصفح تحافظ على تشكيل الحروف العربية واتجاهها دون مكتبة PDF
+     */
+    async function exportPdf(result, options = {}) {
+        const type = typeInfo[options.type] ? options.type : TYPES.FULL;
+
+        // تُفتح النافذة قبل التوليد ما دامت ضمن نقرة المستخدم، وإلا حجبها المتصفح
+        const win = window.open('', '_blank');
+        if (!win) return false;
+
+        const { html } = await generate(result, { ...options, type });
+        win.onload = () => {
+            win.focus();
+            win.print();
+        };
+        win.document.open();
+        win.document.write(html);
+        win.document.close();
+
+        return true;
+    }
+
+    /**
+     * تحميل سجل نتيجة الاستبيان مع المنهجية العامة
+     * @method loadResult
+     */
+    async function loadResult(surveyId) {
+        let result = null;
+        let methodology = null;
+
+        try {
+            const response = await ApiManager.getResults({ surveyId });
+            const results = response && Array.isArray(response.data) ? response.data : [];
+            result = results.find(item => item.surveyId === surveyId) || null;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل النتيجة من API:', error);
+        }
+
+        try {
+            const response = await fetch(config.localResults);
+            const data = await response.json();
+            methodology = data.methodology || null;
+            result = result || (data.results || []).find(item => item.surveyId === surveyId || item.id === surveyId) || null;
+        } catch (error) {
+            console.error('❌ فشل تحميل النتائج المحلية:', error);
+        }
+
+        return { result, methodology };
+    }
+
+    /**
+     * توليد تقرير استبيان بصيغة استجابة API
+     * @method generateForSurvey
+     */
+    async function generateForSurvey(surveyId, options = {}) {
+        const { result, methodology } = await loadResult(surveyId);
+        if (!result) {
+            return { success: false, message: 'لا توجد نتيجة منشورة لهذا الاستبيان' };
+        }
+
+        const { report, html } = await generate(result, { methodology, ...options });
+        return {
+            success: true,
+            offline: true,
+            data: { type: report.type, report, html }
+        };
+    }
+
+    return {
+        config,
+        TYPES,
+        buildReport,
+        renderHtml,
+        generate,
+        exportHtml,
+        exportPdf,
+        generateForSurvey
+    };
+})();
+
+/**
+ * تصدير مولد التقارير للاستخدام العام
+ */
+window.ReportGenerator = ReportGenerator;
+
+// تصدير افتراضي
+export default ReportGenerator;
+```
@@ -0,0 +1,753 @@
+```javascript
+/* ============================================
+   صوت حضرموت - إعداد تقارير النتائج من الاستبيانات المغلقة
+   ============================================ */
+
+/**
+ * مسار إعداد سجل النتيجة: الإغلاق ← المعالجة ← التحليل ← المراجعة ← النشر
+ * @namespace ResultPipeline
+ *
+ * عند إغلاق الاستبيان تُجمع الردود ويُبنى سجل نتيجة مبدئي بنفس بنية data/results.json
+ * (الملخص، النتائج الرئيسية مع التغير عن الموجة السابقة، التوزيع الديموغرافي، الرسوم،
+ * التوصيات)، ثم يراجعه المحرر وينشره عبر ApiManager.createResult
+ */
+const ResultPipeline = (function() {
+    'use strict';
+
+    // مراحل المسار، الثلاث الأولى هي حالات "upcomingResults" في results.json
+    const STAGES = {
+        DATA_COLLECTION: 'data_collection',
+        DATA_PROCESSING: 'data_processing',
+        ANALYSIS: 'analysis',
+        REVIEW: 'review',
+        PUBLISHED: 'published'
+    };
+
+    // تسميات المراحل
+    const STAGE_LABELS = {
+        data_collection: 'جمع البيانات',
+        data_processing: 'معالجة البيانات',
+        analysis: 'التحليل',
+        review: 'مراجعة المحرر',
+        published: 'منشور'
+    };
+
+    // التكوين
+    const config = {
+        storageKey: 'hadhramaut_result_drafts',
+        localResults: '../data/results.json',
+        author: 'فريق صوت حضرموت',
+        maxFindings: 3,
+        maxRecommendations: 5,
+        // الفرق الأدنى بالنقاط المئوية لاعتبار النتيجة متغيرة عن الموجة السابقة
+        trendThreshold: 1,
+        // النسبة التي دونها تُقترح توصية لمعالجة البند
+        lowScoreThreshold: 50
+    };
+
+    // ========== المسودات ==========
+
+    /**
+     * قراءة جميع المسودات
+     * @method getDrafts
+     */
+    function getDrafts() {
+        try {
+            return JSON.parse(localStorage.getItem(config.storageKey)) || {};
+        } catch (error) {
+            console.warn('⚠️ فشل قراءة مسودات النتائج:', error);
+            return {};
+        }
+    }
+
+    /**
+     * مسودة نتيجة استبيان
+     * @method getDraft
+     */
+    function getDraft(surveyId) {
+        return getDrafts()[surveyId] || null;
+    }
+
+    /**
+     * حفظ مسودة
+     * @method saveDraft
+     */
+    function saveDraft(draft) {
+        const drafts = getDrafts();
+        drafts[draft.surveyId] = draft;
+        localStorage.setItem(config.storageKey, JSON.stringify(drafts));
+        return draft;
+    }
+
+    /**
+     * حذف مسودة
+     * @method removeDraft
+     */
+    function removeDraft(surveyId) {
+        const drafts = getDrafts();
+        delete drafts[surveyId];
+        localStorage.setItem(config.storageKey, JSON.stringify(drafts));
+    }
+
+    /**
+     * نقل المسودة إلى مرحلة وتسجيلها
+     * @method setStage
+     */
+    function setStage(draft, stage, note = '') {
+        const user = typeof AuthenticationSystem !== 'undefined' ? AuthenticationSystem.getCurrentUser() : null;
+        const pipeline = draft.pipeline || { history: [] };
+
+        return {
+            ...draft,
+            pipeline: {
+                ...pipeline,
+                stage,
+                history: [...pipeline.history, {
+                    stage,
+                    at: new Date().toISOString(),
+                    by: user ? { id: user.id, name: user.name || user.email || user.id } : { id: 'system', name: 'النظام' },
+                    note
+                }]
+            }
+        };
+    }
+
+    /**
+     * عناصر "upcomingResults" للتقارير قيد الإعداد
+     * @method getUpcoming
+     */
+    function getUpcoming() {
+        const progress = { data_collection: 25, data_processing: 50, analysis: 75, review: 90 };
+
+        return Object.values(getDrafts())
+            .filter(draft => draft.pipeline && draft.pipeline.stage !== STAGES.PUBLISHED)
+            .map(draft => ({
+                surveyId: draft.surveyId,
+                title: draft.title,
+                expectedDate: draft.expectedDate || null,
+                // المراجعة تظهر للزوار كمرحلة تحليل
+                status: draft.pipeline.stage === STAGES.REVIEW ? STAGES.ANALYSIS : draft.pipeline.stage,
+                progress: progress[draft.pipeline.stage] || 0
+            }));
+    }
+
+    // ========== الموجة السابقة ==========
+
+    /**
+     * تحميل النتائج المنشورة
+     * @method loadResults
+     */
+    async function loadResults(params = {}) {
+        try {
+            const response = await ApiManager.getResults(params);
+            if (Array.isArray(response.data)) return response.data;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل النتائج من API:', error);
+        }
+
+        try {
+            const response = await fetch(config.localResults);
+            const data = await response.json();
+            return data.results || [];
+        } catch (error) {
+            console.error('❌ فشل تحميل النتائج المحلية:', error);
+            return [];
+        }
+    }
+
+    /**
+     * نتيجة الموجة السابقة من الاستبيان
+     * @method findPreviousResult
+     */
+    async function findPreviousResult(survey) {
+        if (!survey.previousSurveyId) return null;
+
+        const results = await loadResults({ surveyId: survey.previousSurveyId });
+        return results
+            .filter(result => result.surveyId === survey.previousSurveyId && result.status === 'published')
+            .sort((a, b) => new Date(b.publishedDate) - new Date(a.publishedDate))[0] || null;
+    }
+
+    /**
+     * نتائج الموجات السابقة من الأقدم إلى الأحدث
+     * @method findWaveResults
+     *
+     * تتبع "previousResultId" للخلف بدءاً من نتيجة الموجة السابقة
+     */
+    async function findWaveResults(previousResult) {
+        if (!previousResult) return [];
+
+        const results = await loadResults();
+        const byId = new Map(results.map(result => [result.id, result]));
+        const waves = [];
+        const seen = new Set();
+        let current = previousResult;
+
+        while (current && !seen.has(current.id)) {
+            seen.add(current.id);
+            waves.unshift(current);
+            current = current.previousResultId ? byId.get(current.previousResultId) : null;
+        }
+
+        return waves;
+    }
+
+    // ========== بناء المسودة ==========
+
+    /**
+     * النتائج الرئيسية المرشحة من تجميع الإجابات
+     * @method selectFindings
+     */
+    function selectFindings(survey, aggregation) {
+        const types = SurveyEngine.QUESTION_TYPES;
+        const questions = SurveyEngine.getQuestions(survey).filter(question => !question.screening);
+        // أسئلة المقاييس أولاً لأنها تعبر عن التقييم، ثم الأرقام ثم الاختيارات
+        const priority = [types.LIKERT, types.RATING, types.NUMBER, types.MULTIPLE_CHOICE, types.SINGLE_CHOICE];
+        const candidates = [];
+
+        questions.forEach(question => {
+            const item = aggregation.questions[question.id];
+            if (!item || item.n === 0) return;
+
+            switch (question.type) {
+                case types.LIKERT:
+                case types.RATING: {
+                    const top = item.distribution.slice(-2);
+                    candidates.push({
+                        title: question.text,
+                        value: `${item.topBox}%`,
+                        description: `نسبة من اختاروا ${top.map(row => `"${row.label}"`).join(' أو ')}`,
+                        measure: { question: question.id, values: top.map(row => row.value) },
+                        score: item.topBox,
+                        type: question.type
+                    });
+                    break;
+                }
+                case types.NUMBER:
+                    candidates.push({
+                        title: question.text,
+                        value: String(item.mean),
+                        description: `متوسط الإجابات من ${Utils.formatNumber(item.n)} مشارك`,
+                        measure: { question: question.id, statistic: 'mean' },
+                        type: question.type
+                    });
+                    break;
+                case types.SINGLE_CHOICE:
+                case types.MULTIPLE_CHOICE: {
+                    const top = [...item.frequencies].sort((a, b) => b.count - a.count)[0];
+                    candidates.push({
+                        title: question.text,
+                        value: `${top.percentage}%`,
+                        description: `الإجابة الأكثر اختياراً: "${top.label}"`,
+                        measure: { question: question.id, values: [top.value] },
+                        type: question.type
+                    });
+                    break;
+                }
+            }
+        });
+
+        return candidates
+            .sort((a, b) => priority.indexOf(a.type) - priority.indexOf(b.type))
+            .slice(0, config.maxFindings);
+    }
+
+    /**
+     * الاستبيان السابق في السلسلة لمطابقة هوية الأسئلة
+     * @method findPreviousSurvey
+     */
+    async function findPreviousSurvey(survey) {
+        if (!survey.previousSurveyId || typeof SurveyRunner === 'undefined') return null;
+
+        try {
+            return await SurveyRunner.loadSurvey(survey.previousSurveyId);
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل الموجة السابقة:', error);
+            return null;
+        }
+    }
+
+    /**
+     * مقارنة نتيجة بالموجة السابقة
+     * @method compareFinding
+     *
+     * مع SurveySeries يُختبر الفرق إحصائياً وتُطابق الأسئلة بهويتها عبر الموجات،
+     * وإلا يُقارن بالفرق المطلق مع حد "trendThreshold"
+     */
+    function compareFinding(finding, previousResult, questionMap = {}) {
+        if (typeof SurveySeries !== 'undefined') {
+            return SurveySeries.compareFinding(finding, previousResult, { questionMap });
+        }
+
+        const previous = previousResult && (previousResult.keyFindings || []).find(item =>
+            item.measure && item.measure.question === (questionMap[finding.measure.question] || finding.measure.question) &&
+            (item.measure.statistic || '') === (finding.measure.statistic || '')
+        );
+        if (!previous) return { trend: null, change: null };
+
+        const isPercent = String(finding.value).endsWith('%');
+        const difference = Math.round((parseFloat(finding.value) - parseFloat(previous.value)) * 10) / 10;
+        const threshold = isPercent ? config.trendThreshold : config.trendThreshold / 10;
+        const trend = Math.abs(difference) < threshold ? 'stable' : (difference > 0 ? 'up' : 'down');
+
+        return {
+            trend,
+            change: `${difference > 0 ? '+' : ''}${difference}${isPercent ? '%' : ''} عن الموجة السابقة`
+        };
+    }
+
+    /**
+     * التوزيع الديموغرافي للمشاركين بالنسب المئوية
+     * @method buildDemographics
+     */
+    function buildDemographics(records) {
+        const distribution = (variable, categories) => {
+            const counts = {};
+            let total = 0;
+            records.forEach(record => {
+                const value = record.profile[variable];
+                if (!value) return;
+                counts[value] = (counts[value] || 0) + 1;
+                total++;
+            });
+
+            const keys = categories || Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+            const shares = {};
+            keys.forEach(key => {
+                shares[key] = total > 0 ? Math.round(((counts[key] || 0) / total) * 100) : 0;
+            });
+            return shares;
+        };
+
+        const dimensions = SurveyCrossTab.config.dimensions;
+        return {
+            totalParticipants: records.length,
+            gender: distribution('gender', dimensions.gender.categories.map(item => item.value)),
+            ageGroups: distribution('ageBand', dimensions.ageBand.categories.map(item => item.value)),
+            regions: distribution('city')
+        };
+    }
+
+    /**
+     * توصيات مقترحة يعدلها المحرر
+     * @method suggestRecommendations
+     */
+    function suggestRecommendations(survey, aggregation, findings) {
+        const types = SurveyEngine.QUESTION_TYPES;
+        const recommendations = [];
+
+        findings
+            .filter(finding => finding.score !== undefined && finding.score < config.lowScoreThreshold)
+            .forEach(finding => {
+                recommendations.push(`معالجة أسباب انخفاض التقييم في: ${finding.title}`);
+            });
+
+        // البند الأول في أسئلة الترتيب هو أولوية المشاركين
+        Object.values(aggregation.questions)
+            .filter(item => item.type === types.RANKING && item.rankings && item.rankings[0] && item.rankings[0].meanRank)
+            .forEach(item => {
+                recommendations.push(`إعطاء الأولوية لـ"${item.rankings[0].label}" وفق ترتيب المشاركين`);
+            });
+
+        // أكثر مشكلة ذُكرت في أسئلة الاختيار المتعدد
+        Object.values(aggregation.questions)
+            .filter(item => item.type === types.MULTIPLE_CHOICE && item.n > 0)
+            .forEach(item => {
+                const top = [...item.frequencies].sort((a, b) => b.count - a.count)[0];
+                recommendations.push(`التركيز على "${top.label}" التي ذكرها ${top.percentage}% من المشاركين`);
+            });
+
+        return recommendations.slice(0, config.maxRecommendations);
+    }
+
+    /**
+     * ملخص نصي من النتائج الرئيسية
+     * @method buildSummary
+     */
+    function buildSummary(survey, total, findings) {
+        const parts = findings.slice(0, 2).map(finding => `${finding.description} في "${finding.title}" ${finding.value}`);
+        const base = `شارك في استبيان "${survey.title}" ${Utils.formatNumber(total)} مشارك.`;
+        return parts.length > 0 ? `${base} ${parts.join('، و')}.` : base;
+    }
+
+    /**
+     * بناء مسودة سجل النتيجة من الردود
+     * @method buildDraft
+     */
+    function buildDraft(survey, responses, options = {}) {
+        const aggregation = SurveyResponses.aggregate(survey, responses);
+        const records = SurveyCrossTab.join(responses, options.users || []);
+        let findings = selectFindings(survey, aggregation);
+        let methodology = null;
+
+        // هامش الخطأ لكل نتيجة محسوب من الردود نفسها، والقيمة المعروضة هي التقدير المرجح
+        if (typeof SurveyWeighting !== 'undefined') {
+            const weighting = SurveyWeighting.rake(records, SurveyWeighting.getTargets(survey));
+
+            findings = SurveyWeighting.annotateFindings({ keyFindings: findings }, { records: weighting.records })
+                .map(({ statistics, ...finding }) => {
+                    const weighted = statistics && statistics.weighted;
+                    if (!weighted) return statistics ? { ...finding, interval: statistics.unweighted } : finding;
+
+                    // الفترة محفوظة في السجل لاختبار الفرق عند مقارنة الموجة التالية
+                    return {
+                        ...finding,
+                        value: finding.measure.statistic === 'mean' ? String(weighted.value) : `${weighted.value}%`,
+                        unweightedValue: finding.value,
+                        interval: weighted,
+                        score: finding.score !== undefined ? weighted.value : undefined
+                    };
+                });
+
+            methodology = {
+                sampleSize: aggregation.total,
+                designEffect: weighting.designEffect,
+                marginOfError: SurveyWeighting.formatMarginOfError(weighting.effectiveSampleSize)
+            };
+        }
+
+        findings = findings.map(finding => ({
+            ...finding,
+            ...compareFinding(finding, options.previousResult, options.questionMap)
+        }));
+
+        const result = {
+            id: null,
+            surveyId: survey.id,
+            previousResultId: options.previousResult ? options.previousResult.id : null,
+            title: `تقرير ${survey.title}`,
+            description: survey.description || '',
+            summary: buildSummary(survey, aggregation.total, findings),
+            category: survey.category || '',
+            subcategory: survey.subcategory || '',
+            publishedDate: null,
+            author: config.author,
+            views: 0,
+            downloads: 0,
+            shares: 0,
+            rating: 0,
+            status: 'draft',
+            tags: survey.tags || [],
+            keyFindings: findings.map(({ score, type, ...finding }) => finding),
+            demographics: buildDemographics(records),
+            charts: SurveyResponses.buildCharts(aggregation),
+            recommendations: suggestRecommendations(survey, aggregation, findings)
+        };
+
+        if (methodology) result.methodology = methodology;
+
+        // رسوم الإجابات المفتوحة المرمّزة
+        if (typeof SurveyCoding !== 'undefined') {
+            result.charts.push(...SurveyCoding.buildCharts(survey, responses));
+        }
+
+        const keyTopics = buildKeyTopics(survey, responses);
+        if (keyTopics.length > 0) result.aiInsights = { keyTopics };
+
+        // مشاعر الإجابات المفتوحة محلياً، ويمكن للمحرر استبدالها بتحليل الخادم
+        if (typeof ArabicSentiment !== 'undefined') {
+            const sentiment = ArabicSentiment.summarize(getTextAnswers(survey, getArabicResponses(survey, responses)));
+            if (sentiment.total > 0) {
+                const { total, ...sentimentAnalysis } = sentiment;
+                result.aiInsights = { ...(result.aiInsights || {}), sentimentAnalysis };
+            }
+        }
+        // تسمية الموجة تظهر في مقارنة الموجة التالية
+        if (survey.series) result.series = survey.series;
+
+        const trend = buildTrendPrediction(survey, result.keyFindings[0], options);
+        if (trend) {
+            result.charts.push(trend.chart);
+            result.aiInsights = { ...(result.aiInsights || {}), trendPrediction: trend.sentence };
+        }
+
+        return result;
+    }
+
+    /**
+     * توقع النتيجة الرئيسية الأولى في الموجة القادمة
+     * @method buildTrendPrediction
+     *
+     * يحتاج موجتين سابقتين على الأقل، ويعيد رسماً خطياً بامتداد التوقع وجملة "trendPrediction"
+     */
+    function buildTrendPrediction(survey, finding, options = {}) {
+        if (!finding || typeof Forecasting === 'undefined' || typeof SurveySeries === 'undefined') return null;
+
+        const series = SurveySeries.buildFindingSeries(finding, survey, options.waveResults || [], {
+            questionMap: options.questionMap
+        });
+        // أخطاء المعاينة لكل موجة تُضم لفترة التوقع فلا تنعدم مع موجات قليلة
+        const range = series.unit === 'percent' ? { min: 0, max: 100 } : {};
+        const prediction = Forecasting.forecast(series.values, { labels: series.labels, horizon: 1, errors: series.errors, ...range });
+        if (!prediction) return null;
+
+        const chart = {
+            type: 'line',
+            title: `تطور "${finding.title}" عبر الموجات`,
+            source: { question: finding.measure ? finding.measure.question : null, method: 'forecast' },
+            data: {
+                labels: series.labels,
+                datasets: [{
+                    label: finding.title,
+                    data: series.values,
+                    borderColor: '#1a5f7a',
+                    backgroundColor: 'rgba(26, 95, 122, 0.1)'
+                }]
+            }
+        };
+
+        return {
+            chart: Forecasting.extendChart(chart, { horizon: 1, errors: series.errors, ...range }),
+            sentence: Forecasting.describe(prediction, {
+                subject: `مؤشر "${finding.title}"`,
+                unit: series.unit === 'percent' ? '%' : '',
+                period: 'الموجة القادمة'
+            })
+        };
+    }
+
+    /**
+     * أبرز مواضيع الإجابات المفتوحة
+     * @method buildKeyTopics
+     *
+     * رموز المحللين أولى من التجميع التلقائي لأنها رُوجعت يدوياً
+     */
+    function buildKeyTopics(survey, responses) {
+        if (typeof SurveyCoding !== 'undefined') {
+            const codes = SurveyCoding.getTopCodes(survey, responses);
+            if (codes.length > 0) return codes;
+        }
+
+        if (typeof TopicClustering !== 'undefined') {
+            return TopicClustering.clusterSurvey(survey, getArabicResponses(survey, responses));
+        }
+
+        return [];
+    }
+
+    /**
+     * الردود العربية فقط، فمحللا المشاعر والمواضيع لا يفهمان غيرها
+     * @method getArabicResponses
+     */
+    function getArabicResponses(survey, responses) {
+        if (typeof SurveyI18n === 'undefined') return responses;
+        return SurveyI18n.filterResponsesByLanguage(survey, responses, 'ar');
+    }
+
+    /**
+     * نصوص إجابات الأسئلة المفتوحة في كل الردود
+     * @method getTextAnswers
+     */
+    function getTextAnswers(survey, responses) {
+        const questionIds = (survey.questions || [])
+            .filter(question => question.type === 'text')
+            .map(question => question.id);
+
+        return responses.flatMap(response => questionIds
+            .map(id => String((response.answers || {})[id] || '').trim())
+            .filter(Boolean));
+    }
+
+    /**
+     * إعداد مسودة نتيجة لاستبيان مغلق
+     * @method handleSurveyClosed
+     */
+    async function handleSurveyClosed(survey) {
+        const existing = getDraft(survey.id);
+        if (existing && existing.pipeline.stage !== STAGES.DATA_COLLECTION) return existing;
+
+        let draft = setStage(existing || { surveyId: survey.id, title: `تقرير ${survey.title}` }, STAGES.DATA_PROCESSING);
+        saveDraft(draft);
+
+        try {
+            const [responses, users, previousResult, previousSurvey] = await Promise.all([
+                SurveyResponses.load(survey.id),
+                SurveyCrossTab.loadProfiles(survey.id),
+                findPreviousResult(survey),
+                findPreviousSurvey(survey),
+                typeof SurveyCoding !== 'undefined' ? SurveyCoding.load(survey.id) : null
+            ]);
+
+            const questionMap = typeof SurveySeries !== 'undefined' ? SurveySeries.matchQuestions(survey, previousSurvey) : {};
+            const waveResults = await findWaveResults(previousResult);
+            draft = setStage({ ...draft, ...buildDraft(survey, responses, { users, previousResult, questionMap, waveResults }) }, STAGES.ANALYSIS);
+            draft = setStage(draft, STAGES.REVIEW, `تم تجميع ${responses.length} رد`);
+
+            if (typeof AnalyticsSystem !== 'undefined') {
+                AnalyticsSystem.trackSurvey(survey.id, 'result_draft_ready', { responses: responses.length });
+            }
+        } catch (error) {
+            console.error('❌ فشل إعداد مسودة النتيجة:', error);
+            draft = { ...draft, error: error.message };
+        }
+
+        return saveDraft(draft);
+    }
+
+    /**
+     * إعداد مسودات لكل الاستبيانات المغلقة التي لا تملك مسودة
+     * @method syncClosedSurveys
+     */
+    async function syncClosedSurveys(surveys) {
+        // لوحة المراجعة جلسة مخولة فتحفظ الانتقالات التلقائية المستحقة
+        const closed = SurveyLifecycle.syncSchedule(surveys).surveys
+            .filter(survey => SurveyLifecycle.getState(survey) === SurveyLifecycle.STATES.CLOSED);
+        const pending = closed.filter(survey => !getDraft(survey.id));
+
+        for (const survey of pending) {
+            await handleSurveyClosed(survey);
+        }
+
+        return pending.length;
+    }
+
+    // ========== المراجعة والنشر ==========
+
+    /**
+     * تعديل المسودة أثناء المراجعة
+     * @method updateDraft
+     */
+    function updateDraft(surveyId, changes) {
+        const draft = getDraft(surveyId);
+        if (!draft) return null;
+
+        return saveDraft({ ...draft, ...changes, editedAt: new Date().toISOString() });
+    }
+
+    /**
+     * تحديث رسوم الترميز في مسودة قيد المراجعة دون المساس بتعديلات المحرر
+     * @method applyCoding
+     */
+    async function applyCoding(survey) {
+        const draft = getDraft(survey.id);
+        if (!draft || draft.pipeline.stage !== STAGES.REVIEW || typeof SurveyCoding === 'undefined') return null;
+
+        const [responses] = await Promise.all([
+            SurveyResponses.load(survey.id),
+            SurveyCoding.load(survey.id)
+        ]);
+        const keyTopics = buildKeyTopics(survey, responses);
+
+        return updateDraft(survey.id, {
+            charts: [
+                ...draft.charts.filter(chart => !SurveyCoding.isCodedChart(chart)),
+                ...SurveyCoding.buildCharts(survey, responses)
+            ],
+            aiInsights: { ...(draft.aiInsights || {}), keyTopics }
+        });
+    }
+
+    /**
+     * التحقق من اكتمال المسودة قبل النشر
+     * @method validateDraft
+     */
+    function validateDraft(draft) {
+        const errors = [];
+
+        if (!draft.title || !draft.title.trim()) errors.push('عنوان التقرير مطلوب');
+        if (!draft.summary || !draft.summary.trim()) errors.push('ملخص التقرير مطلوب');
+        if (!Array.isArray(draft.keyFindings) || draft.keyFindings.length === 0) {
+            errors.push('يجب أن يتضمن التقرير نتيجة رئيسية واحدة على الأقل');
+        }
+        (draft.keyFindings || []).forEach((finding, index) => {
+            if (!finding.title || !String(finding.value || '').trim()) {
+                errors.push(`النتيجة الرئيسية ${index + 1} تحتاج عنواناً وقيمة`);
+            }
+        });
+        if (!draft.demographics || !draft.demographics.totalParticipants) {
+            errors.push('لا توجد ردود كافية لنشر النتيجة');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * إزالة حقول المسار الداخلية من سجل النتيجة
+     * @method toResultRecord
+     */
+    function toResultRecord(draft) {
+        const { pipeline, error, editedAt, expectedDate, ...record } = draft;
+        return {
+            ...record,
+            status: 'published',
+            publishedDate: new Date().toISOString().split('T')[0]
+        };
+    }
+
+    /**
+     * اعتماد المسودة ونشرها
+     * @method publish
+     */
+    async function publish(surveyId) {
+        const draft = getDraft(surveyId);
+        if (!draft) return { success: false, message: 'لا توجد مسودة لهذا الاستبيان' };
+
+        if (draft.pipeline.stage !== STAGES.REVIEW) {
+            return { success: false, message: `لا يمكن النشر في مرحلة "${STAGE_LABELS[draft.pipeline.stage]}"` };
+        }
+
+        const validation = validateDraft(draft);
+        if (!validation.valid) {
+            return { success: false, message: validation.errors.join('، '), errors: validation.errors };
+        }
+
+        try {
+            const response = await ApiManager.createResult(toResultRecord(draft));
+            const published = setStage({
+                ...draft,
+                id: (response.data && response.data.id) || draft.id,
+                status: 'published'
+            }, STAGES.PUBLISHED);
+            saveDraft(published);
+
+            if (typeof AnalyticsSystem !== 'undefined') {
+                AnalyticsSystem.trackSurvey(surveyId, 'result_published', { resultId: published.id });
+            }
+
+            return { success: true, result: published, message: 'تم نشر النتيجة' };
+        } catch (error) {
+            console.error('❌ فشل نشر النتيجة:', error);
+            return { success: false, message: error.message || 'تعذر نشر النتيجة، حاول مرة أخرى' };
+        }
+    }
+
+    /**
+     * إعادة المسودة للتحليل وإعادة بنائها من الردود
+     * @method rebuild
+     */
+    async function rebuild(survey) {
+        const draft = getDraft(survey.id);
+        if (draft && draft.pipeline.stage === STAGES.PUBLISHED) return draft;
+        if (draft) saveDraft(setStage(draft, STAGES.DATA_COLLECTION, 'إعادة بناء المسودة'));
+
+        return handleSurveyClosed(survey);
+    }
+
+    return {
+        STAGES,
+        STAGE_LABELS,
+        config,
+        getDrafts,
+        getDraft,
+        removeDraft,
+        getUpcoming,
+        findPreviousResult,
+        buildDraft,
+        handleSurveyClosed,
+        syncClosedSurveys,
+        updateDraft,
+        applyCoding,
+        validateDraft,
+        publish,
+        rebuild
+    };
+})();
+
+/**
+ * تصدير مسار إعداد النتائج للاستخدام العام
+ */
+window.ResultPipeline = ResultPipeline;
+
+// تصدير افتراضي
+export default ResultPipeline;
+```
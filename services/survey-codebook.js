@@ -0,0 +1,540 @@
+```javascript
+/* ============================================
+   صوت حضرموت - دليل المتغيرات وتصدير البيانات الإحصائية
+   ============================================ */
+
+/**
+ * تحويل تعريف الاستبيان وردوده الخام إلى متغيرات مرمّزة للتحليل الإحصائي
+ * @namespace SurveyCodebook
+ *
+ * يصف قاموس البيانات كل متغير: السؤال المأخوذ منه، وترميز خياراته، ومستوى قياسه،
+ * وقيم الإجابات المفقودة. ومنه تُكتب ملفات SPSS (بيانات CSV مع أوامر .sps)
+ * وملفات R (بيانات CSV مع دليل ترميز وسكربت تحميل)
+ */
+const SurveyCodebook = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        organization: 'صوت حضرموت',
+        dictionaryVersion: '1.0',
+        // قيم الإجابات المفقودة في المتغيرات الرقمية
+        missingCodes: {
+            notShown: { code: -99, label: 'لم يُعرض السؤال (تخطٍّ بالمنطق)' },
+            noAnswer: { code: -98, label: 'لم يُجب' }
+        },
+        dummyLabels: { 0: 'لم يُختر', 1: 'اختير' },
+        weightVariable: 'weight',
+        // حدود SPSS لأسماء المتغيرات وعرض النصوص بالبايت
+        maxNameLength: 64,
+        maxStringWidth: 32767,
+        maxDecimals: 6,
+        reservedNames: ['ALL', 'AND', 'BY', 'EQ', 'GE', 'GT', 'LE', 'LT', 'NE', 'NOT', 'OR', 'TO', 'WITH']
+    };
+
+    // طرق ترميز المتغيرات كما تظهر في القاموس
+    const SCHEMES = {
+        CODE: 'code',       // رقم الخيار بترتيبه في تعريف السؤال
+        DUMMY: 'dummy',     // 1 عند اختيار الخيار و0 عند عدمه
+        RANK: 'rank',       // ترتيب الخيار في إجابة الترتيب
+        NUMBER: 'number',   // القيمة الرقمية كما أُدخلت
+        TEXT: 'text'        // النص كما أُدخل
+    };
+
+    const encoder = new TextEncoder();
+
+    // ========== قاموس البيانات ==========
+
+    /**
+     * بناء قاموس البيانات من تعريف الاستبيان وردوده
+     * @method buildDictionary
+     *
+     * تُمرر أوزان الترجيح مرتبة كالردود في "options.weighting" كما يعيدها SurveyWeighting.rake
+     */
+    function buildDictionary(survey, responses, options = {}) {
+        const questions = SurveyEngine.getQuestions(survey);
+        const weighting = options.weighting || null;
+        const usedNames = new Set();
+        const weightName = weighting ? uniqueName(config.weightVariable, usedNames) : null;
+
+        const variables = [
+            {
+                name: uniqueName('resp_id', usedNames),
+                label: 'معرف الرد',
+                type: 'string',
+                measure: 'nominal',
+                scheme: SCHEMES.TEXT,
+                source: { field: 'id' }
+            },
+            {
+                name: uniqueName('submitted', usedNames),
+                label: 'تاريخ الإرسال (ISO 8601)',
+                type: 'string',
+                measure: 'nominal',
+                scheme: SCHEMES.TEXT,
+                source: { field: 'submittedAt' }
+            },
+            ...(weighting ? [{
+                name: weightName,
+                label: 'وزن الترجيح',
+                type: 'numeric',
+                measure: 'scale',
+                scheme: SCHEMES.NUMBER,
+                decimals: 4,
+                source: { field: 'weight' }
+            }] : []),
+            ...questions.flatMap(question => buildQuestionVariables(question, usedNames))
+        ];
+
+        // عرض المتغيرات النصية وعدد المنازل العشرية من البيانات الفعلية
+        const rows = codeResponses({ variables }, survey, responses, weighting);
+        variables.forEach(variable => {
+            const values = rows.map(row => row[variable.name]).filter(value => value !== null && value !== '');
+            if (variable.type === 'string') {
+                variable.width = Math.min(config.maxStringWidth,
+                    Math.max(1, ...values.map(value => encoder.encode(String(value)).length)));
+            } else if (variable.decimals === undefined) {
+                variable.decimals = Math.min(config.maxDecimals, Math.max(0, ...values.map(countDecimals)));
+            }
+        });
+
+        return {
+            version: config.dictionaryVersion,
+            generatedAt: new Date().toISOString(),
+            source: config.organization,
+            survey: {
+                id: survey.id,
+                title: survey.title || '',
+                schemaVersion: survey.schemaVersion || null
+            },
+            cases: responses.length,
+            missingValues: {
+                numeric: Object.entries(config.missingCodes).map(([key, item]) => ({ key, code: item.code, label: item.label })),
+                string: 'النص الفارغ يعني أن السؤال لم يُعرض أو لم يُجب',
+                r: 'تُكتب القيم المفقودة NA في ملفات R'
+            },
+            weighting: weighting ? {
+                variable: weightName,
+                method: 'raking',
+                targets: Object.entries(options.targets || {}).map(([key, target]) => ({ key, label: target.label || key })),
+                designEffect: weighting.designEffect,
+                effectiveSampleSize: weighting.effectiveSampleSize,
+                converged: weighting.converged
+            } : null,
+            variables
+        };
+    }
+
+    /**
+     * متغيرات سؤال واحد حسب نوعه
+     * @method buildQuestionVariables
+     */
+    function buildQuestionVariables(question, usedNames) {
+        const base = {
+            label: question.text || question.id,
+            source: { question: question.id, section: question.section || null, questionType: question.type }
+        };
+        const missing = Object.values(config.missingCodes).map(item => item.code);
+        const codes = list => (list || []).map((item, index) => ({ code: index + 1, value: item.value, label: item.label }));
+
+        switch (question.type) {
+            case 'single_choice':
+                return [{
+                    ...base,
+                    name: uniqueName(question.id, usedNames),
+                    type: 'numeric',
+                    measure: 'nominal',
+                    scheme: SCHEMES.CODE,
+                    values: codes(question.options),
+                    missing
+                }];
+
+            case 'multiple_choice':
+            case 'ranking':
+                return (question.options || []).map((option, index) => ({
+                    ...base,
+                    name: uniqueName(`${question.id}_${index + 1}`, usedNames),
+                    label: `${base.label}: ${option.label}`,
+                    source: { ...base.source, option: option.value },
+                    type: 'numeric',
+                    measure: question.type === 'ranking' ? 'ordinal' : 'nominal',
+                    scheme: question.type === 'ranking' ? SCHEMES.RANK : SCHEMES.DUMMY,
+                    values: question.type === 'ranking' ?
+                        [] :
+                        Object.entries(config.dummyLabels).map(([code, label]) => ({ code: Number(code), label })),
+                    missing
+                }));
+
+            case 'matrix':
+                return (question.rows || []).map((row, index) => ({
+                    ...base,
+                    name: uniqueName(`${question.id}_${index + 1}`, usedNames),
+                    label: `${base.label}: ${row.label}`,
+                    source: { ...base.source, row: row.value },
+                    type: 'numeric',
+                    measure: 'ordinal',
+                    scheme: SCHEMES.CODE,
+                    values: codes(question.columns),
+                    missing
+                }));
+
+            case 'likert':
+                return [{
+                    ...base,
+                    name: uniqueName(question.id, usedNames),
+                    type: 'numeric',
+                    measure: 'ordinal',
+                    scheme: SCHEMES.NUMBER,
+                    values: (question.labels || []).map((label, index) => ({ code: index + 1, label })),
+                    missing
+                }];
+
+            case 'rating':
+            case 'number':
+                return [{
+                    ...base,
+                    name: uniqueName(question.id, usedNames),
+                    type: 'numeric',
+                    measure: question.type === 'rating' ? 'ordinal' : 'scale',
+                    scheme: SCHEMES.NUMBER,
+                    values: [],
+                    missing
+                }];
+
+            default:
+                // النصوص والتواريخ تبقى نصاً بالصيغة المخزنة
+                return [{
+                    ...base,
+                    name: uniqueName(question.id, usedNames),
+                    type: 'string',
+                    measure: 'nominal',
+                    scheme: SCHEMES.TEXT,
+                    values: []
+                }];
+        }
+    }
+
+    /**
+     * اسم متغير صالح في SPSS وR وغير مكرر
+     * @method uniqueName
+     */
+    function uniqueName(id, usedNames) {
+        let base = String(id).replace(/[^A-Za-z0-9_]/g, '_').replace(/^([^A-Za-z])/, 'v$1');
+        if (config.reservedNames.includes(base.toUpperCase())) base = `${base}_`;
+        base = base.slice(0, config.maxNameLength);
+
+        let name = base;
+        for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+            name = `${base.slice(0, config.maxNameLength - String(suffix).length - 1)}_${suffix}`;
+        }
+        usedNames.add(name.toLowerCase());
+        return name;
+    }
+
+    function countDecimals(value) {
+        const text = String(value);
+        return text.includes('.') ? text.split('.')[1].length : 0;
+    }
+
+    // ========== ترميز الردود ==========
+
+    /**
+     * ترميز الردود حسب متغيرات القاموس
+     * @method codeResponses
+     *
+     * يعيد صفاً لكل رد بقيمة لكل متغير، والمفقود رقمياً يأخذ رمز "لم يُعرض" أو "لم يُجب"
+     */
+    function codeResponses(dictionary, survey, responses, weighting = null) {
+        const questions = {};
+        SurveyEngine.getQuestions(survey).forEach(question => { questions[question.id] = question; });
+
+        return responses.map((response, index) => {
+            const answers = response.answers || {};
+            const row = {};
+
+            dictionary.variables.forEach(variable => {
+                const source = variable.source || {};
+                if (source.field === 'weight') {
+                    row[variable.name] = weighting ? Math.round(weighting.weights[index] * 10000) / 10000 : 1;
+                } else if (source.field) {
+                    row[variable.name] = response[source.field] || '';
+                } else {
+                    row[variable.name] = codeValue(variable, questions[source.question], survey, answers);
+                }
+            });
+
+            return row;
+        });
+    }
+
+    /**
+     * قيمة متغير واحد في رد
+     * @method codeValue
+     */
+    function codeValue(variable, question, survey, answers) {
+        const source = variable.source;
+        const answer = answers[source.question];
+        const empty = answer === undefined || answer === null || answer === '' ||
+            (Array.isArray(answer) && answer.length === 0) ||
+            (typeof answer === 'object' && !Array.isArray(answer) && Object.keys(answer).length === 0);
+
+        if (empty || !question) {
+            if (variable.type === 'string') return '';
+
+            const visible = !question || typeof SurveyLogic === 'undefined' || SurveyLogic.isQuestionVisible(survey, question, answers);
+            return visible ? config.missingCodes.noAnswer.code : config.missingCodes.notShown.code;
+        }
+
+        switch (variable.scheme) {
+            case SCHEMES.CODE: {
+                const value = source.row !== undefined ? answer[source.row] : answer;
+                const item = variable.values.find(entry => entry.value === value);
+                return item ? item.code : config.missingCodes.noAnswer.code;
+            }
+            case SCHEMES.DUMMY:
+                return [].concat(answer).includes(source.option) ? 1 : 0;
+            case SCHEMES.RANK: {
+                const position = [].concat(answer).indexOf(source.option);
+                return position === -1 ? config.missingCodes.noAnswer.code : position + 1;
+            }
+            case SCHEMES.NUMBER: {
+                const number = Number(answer);
+                return Number.isFinite(number) ? number : config.missingCodes.noAnswer.code;
+            }
+            default:
+                return typeof answer === 'string' ? answer : JSON.stringify(answer);
+        }
+    }
+
+    /**
+     * تحويل الصفوف المرمزة إلى CSV
+     * @method toCSV
+     *
+     * بلا علامة BOM لأن SPSS وread.csv يقرآن UTF-8 مباشرة، و"missing" تحدد كتابة القيم المفقودة
+     */
+    function toCSV(dictionary, rows, missing = 'codes') {
+        const missingCodes = Object.values(config.missingCodes).map(item => item.code);
+        const names = dictionary.variables.map(variable => variable.name);
+
+        const lines = rows.map(row => dictionary.variables.map(variable => {
+            const value = row[variable.name];
+            if (missing === 'na' && (missingCodes.includes(value) || value === '')) return 'NA';
+            return DataExport.escapeCSV(value);
+        }).join(','));
+
+        return `${[names.join(','), ...lines].join('\r\n')}\r\n`;
+    }
+
+    // ========== SPSS ==========
+
+    /**
+     * أوامر SPSS لقراءة ملف البيانات وتعريف التسميات والقيم المفقودة
+     * @method toSPSSSyntax
+     */
+    function toSPSSSyntax(dictionary, dataFile) {
+        const quote = text => `'${String(text).replace(/'/g, "''").replace(/[\r\n]+/g, ' ')}'`;
+        const variables = dictionary.variables;
+        const numeric = variables.filter(variable => variable.type === 'numeric');
+        const labelled = variables.filter(variable => (variable.values || []).length > 0);
+        const withMissing = numeric.filter(variable => (variable.missing || []).length > 0);
+        const format = variable => variable.type === 'string' ?
+            `A${variable.width || 1}` :
+            `F${10 + (variable.decimals || 0)}.${variable.decimals || 0}`;
+
+        const lines = [
+            '* Encoding: UTF-8.',
+            `* ${config.organization} - ${dictionary.survey.title}.`,
+            `* الاستبيان ${dictionary.survey.id}، ${dictionary.cases} رد، صُدّر في ${dictionary.generatedAt}.`,
+            `* القيم المفقودة: ${dictionary.missingValues.numeric.map(item => `${item.code} = ${item.label}`).join('، ')}.`,
+            '',
+            'SET UNICODE=ON.',
+            '',
+            'GET DATA',
+            '  /TYPE=TXT',
+            `  /FILE=${quote(dataFile)}`,
+            "  /ENCODING='UTF8'",
+            '  /DELCASE=LINE',
+            '  /DELIMITERS=","',
+            '  /QUALIFIER=\'"\'',
+            '  /ARRANGEMENT=DELIMITED',
+            '  /FIRSTCASE=2',
+            '  /VARIABLES=',
+            ...variables.map(variable => `    ${variable.name} ${format(variable)}`),
+            '.',
+            'CACHE.',
+            'EXECUTE.',
+            '',
+            'VARIABLE LABELS',
+            `  ${variables.map(variable => `${variable.name} ${quote(variable.label)}`).join('\n  /')}.`
+        ];
+
+        if (labelled.length > 0) {
+            lines.push('', 'VALUE LABELS',
+                `  ${labelled.map(variable => `${variable.name} ${variable.values.map(item => `${item.code} ${quote(item.label)}`).join(' ')}`)
+                    .join('\n  /')}.`);
+        }
+
+        if (withMissing.length > 0) {
+            lines.push('',
+                `ADD VALUE LABELS ${withMissing.map(variable => variable.name).join(' ')} ` +
+                    `${dictionary.missingValues.numeric.map(item => `${item.code} ${quote(item.label)}`).join(' ')}.`,
+                `MISSING VALUES ${withMissing.map(variable => variable.name).join(' ')} ` +
+                    `(${dictionary.missingValues.numeric.map(item => item.code).join(', ')}).`);
+        }
+
+        const levels = ['nominal', 'ordinal', 'scale']
+            .map(level => [level, variables.filter(variable => variable.type === 'numeric' && variable.measure === level)])
+            .filter(([, items]) => items.length > 0);
+        if (levels.length > 0) {
+            lines.push('', `VARIABLE LEVEL ${levels.map(([level, items]) =>
+                `${items.map(variable => variable.name).join(' ')} (${level.toUpperCase()})`).join('\n  /')}.`);
+        }
+
+        if (dictionary.weighting) {
+            lines.push('', '* الأوزان محسوبة بالموازنة التكرارية على التوزيعات السكانية، أزل النجمة لتفعيلها.',
+                `* WEIGHT BY ${dictionary.weighting.variable}.`);
+        }
+
+        lines.push('', 'EXECUTE.', '');
+        return lines.join('\n');
+    }
+
+    // ========== R ==========
+
+    /**
+     * دليل الترميز لـ R بصف لكل قيمة مسماة
+     * @method toRCodebook
+     */
+    function toRCodebook(dictionary) {
+        const header = ['variable', 'label', 'type', 'measure', 'question', 'option', 'code', 'value_label'];
+        const rows = dictionary.variables.flatMap(variable => {
+            const source = variable.source || {};
+            const base = [variable.name, variable.label, variable.type, variable.measure,
+                source.question || source.field || '', source.option || source.row || ''];
+            const values = variable.values || [];
+
+            return values.length > 0 ?
+                values.map(item => [...base, item.code, item.label]) :
+                [[...base, 'NA', 'NA']];
+        });
+
+        return `${[header, ...rows].map(row => row.map(DataExport.escapeCSV).join(',')).join('\r\n')}\r\n`;
+    }
+
+    /**
+     * سكربت R يقرأ البيانات ويحول المتغيرات المسماة إلى factors
+     * @method toRScript
+     */
+    function toRScript(dictionary, dataFile, codebookFile) {
+        return [
+            `# ${config.organization} - ${dictionary.survey.title}`,
+            `# الاستبيان ${dictionary.survey.id}، ${dictionary.cases} رد`,
+            '# القيم المفقودة مكتوبة NA، وتفاصيلها في قاموس البيانات',
+            '',
+            `data <- read.csv("${dataFile}", fileEncoding = "UTF-8", stringsAsFactors = FALSE, na.strings = "NA")`,
+            `codebook <- read.csv("${codebookFile}", fileEncoding = "UTF-8", stringsAsFactors = FALSE)`,
+            '',
+            'labelled <- codebook[!is.na(codebook$code), ]',
+            'for (variable in unique(labelled$variable)) {',
+            '  if (variable %in% names(data)) {',
+            '    values <- labelled[labelled$variable == variable, ]',
+            '    data[[variable]] <- factor(data[[variable]], levels = values$code, labels = values$value_label,',
+            '                               ordered = values$measure[1] == "ordinal")',
+            '  }',
+            '}',
+            ...(dictionary.weighting ? [
+                '',
+                `# الأوزان في العمود ${dictionary.weighting.variable}، مثلاً: survey::svydesign(ids = ~1, weights = ~${dictionary.weighting.variable}, data = data)`
+            ] : []),
+            ''
+        ].join('\n');
+    }
+
+    // ========== التصدير ==========
+
+    /**
+     * تحميل الاستبيان وردوده وحساب أوزانه
+     * @method loadSurveyData
+     */
+    async function loadSurveyData(surveyId) {
+        const survey = await SurveyRunner.loadSurvey(surveyId);
+        if (!survey) return null;
+
+        const responses = await SurveyResponses.load(surveyId);
+        let weighting = null;
+        let targets = null;
+
+        if (typeof SurveyWeighting !== 'undefined' && typeof SurveyCrossTab !== 'undefined' && responses.length > 0) {
+            const users = await SurveyCrossTab.loadProfiles(surveyId);
+            targets = SurveyWeighting.getTargets(survey);
+            weighting = SurveyWeighting.rake(SurveyCrossTab.join(responses, users), targets);
+        }
+
+        return { survey, responses, weighting, targets };
+    }
+
+    /**
+     * تصدير بيانات استبيان للتحليل الإحصائي
+     * @method exportSurvey
+     *
+     * "spss" و"r" حزمتا ZIP، و"dictionary" ملف JSON، ولا تُصدَّر إلا للأدوار المخولة
+     * بالردود الفردية في DataExport
+     */
+    async function exportSurvey(surveyId, format) {
+        if (typeof DataExport === 'undefined' || !DataExport.canAccessRespondentData()) return false;
+
+        const data = await loadSurveyData(surveyId);
+        if (!data || data.responses.length === 0) return false;
+
+        const dictionary = buildDictionary(data.survey, data.responses, { weighting: data.weighting, targets: data.targets });
+        const rows = codeResponses(dictionary, data.survey, data.responses, data.weighting);
+        const base = String(data.survey.id).replace(/[^A-Za-z0-9_-]/g, '_');
+
+        switch (format) {
+            case 'spss':
+                DataExport.download(DataExport.createZip([
+                    { name: `${base}.sps`, content: toSPSSSyntax(dictionary, `${base}.csv`) },
+                    { name: `${base}.csv`, content: toCSV(dictionary, rows, 'codes') },
+                    { name: `${base}_dictionary.json`, content: JSON.stringify(dictionary, null, 2) }
+                ]), `${base}_spss.zip`, 'application/zip');
+                return true;
+
+            case 'r':
+                DataExport.download(DataExport.createZip([
+                    { name: `${base}_data.csv`, content: toCSV(dictionary, rows, 'na') },
+                    { name: `${base}_codebook.csv`, content: toRCodebook(dictionary) },
+                    { name: `${base}_load.R`, content: toRScript(dictionary, `${base}_data.csv`, `${base}_codebook.csv`) },
+                    { name: `${base}_dictionary.json`, content: JSON.stringify(dictionary, null, 2) }
+                ]), `${base}_r.zip`, 'application/zip');
+                return true;
+
+            case 'dictionary':
+                DataExport.download(JSON.stringify(dictionary, null, 2), `${base}_dictionary.json`, 'application/json;charset=utf-8');
+                return true;
+
+            default:
+                return false;
+        }
+    }
+
+    return {
+        config,
+        SCHEMES,
+        buildDictionary,
+        codeResponses,
+        toCSV,
+        toSPSSSyntax,
+        toRCodebook,
+        toRScript,
+        exportSurvey
+    };
+})();
+
+/**
+ * تصدير دليل المتغيرات للاستخدام العام
+ */
+window.SurveyCodebook = SurveyCodebook;
+
+// تصدير افتراضي
+export default SurveyCodebook;
+```
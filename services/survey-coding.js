@@ -0,0 +1,586 @@
+```javascript
+/* ============================================
+   صوت حضرموت - ترميز الإجابات المفتوحة
+   ============================================ */
+
+/**
+ * دليل الترميز وتعيين الرموز للإجابات النصية وقياس اتفاق المرمّزين
+ * @namespace SurveyCoding
+ *
+ * يُحفظ لكل سؤال نصي دليل رموز وتعيينات كل مرمّز لكل رد:
+ * { "codebook": [{ "id": "code_x", "label": "التأخير", "keywords": ["تأخير", "انتظار"] }],
+ *   "assignments": { "معرف الرد": { "معرف المرمّز": ["code_x"] } } }
+ *
+ * الترميز مشترك بين المحللين على الخادم ويُحمَّل عبر load، والتخزين المحلي نسخة مؤقتة
+ * تُعدَّل فوراً ثم تُرسل تعديلاتها للخادم أو لطابور المزامنة عند انقطاع الاتصال
+ */
+const SurveyCoding = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        storageKey: 'hadhramaut_coding',
+        maxLabelLength: 60,
+        maxTopics: 5,
+        // تصنيف لانديس وكوخ لقيم كابا
+        kappaLevels: [
+            { min: 0.81, label: 'اتفاق شبه تام' },
+            { min: 0.61, label: 'اتفاق جيد' },
+            { min: 0.41, label: 'اتفاق متوسط' },
+            { min: 0.21, label: 'اتفاق مقبول' },
+            { min: -1, label: 'اتفاق ضعيف' }
+        ],
+        minimumKappa: 0.61,
+        chartColor: '#2d829e'
+    };
+
+    // ========== التخزين ==========
+
+    /**
+     * قراءة بيانات الترميز
+     * @method readStore
+     */
+    function readStore() {
+        try {
+            return JSON.parse(localStorage.getItem(config.storageKey)) || {};
+        } catch (error) {
+            console.warn('⚠️ فشل قراءة بيانات الترميز:', error);
+            return {};
+        }
+    }
+
+    /**
+     * ترميز سؤال نصي
+     * @method getQuestionCoding
+     */
+    function getQuestionCoding(surveyId, questionId) {
+        const store = readStore();
+        const coding = store[surveyId] && store[surveyId][questionId];
+        return {
+            codebook: (coding && coding.codebook) || [],
+            assignments: (coding && coding.assignments) || {}
+        };
+    }
+
+    /**
+     * حفظ ترميز سؤال في النسخة المحلية
+     * @method saveQuestionCoding
+     */
+    function saveQuestionCoding(surveyId, questionId, coding) {
+        const store = readStore();
+        store[surveyId] = { ...(store[surveyId] || {}), [questionId]: coding };
+        localStorage.setItem(config.storageKey, JSON.stringify(store));
+        return coding;
+    }
+
+    /**
+     * تحميل ترميز استبيان المشترك من الخادم إلى النسخة المحلية
+     * @method load
+     *
+     * تُعاد التعديلات التي تنتظر المزامنة فوق نسخة الخادم حتى لا تضيع
+     */
+    async function load(surveyId) {
+        if (navigator.onLine) {
+            try {
+                const response = await ApiManager.getSurveyCoding(surveyId);
+                if (response && response.data && typeof response.data === 'object') {
+                    const store = readStore();
+                    store[surveyId] = response.data;
+                    localStorage.setItem(config.storageKey, JSON.stringify(store));
+                    replayPending(surveyId);
+                }
+            } catch (error) {
+                console.warn('⚠️ فشل تحميل الترميز من الخادم، سيُستخدم المحفوظ محلياً:', error);
+            }
+        }
+
+        return readStore()[surveyId] || {};
+    }
+
+    /**
+     * إعادة تطبيق تعديلات الترميز المعلقة في طابور المزامنة
+     * @method replayPending
+     */
+    function replayPending(surveyId) {
+        LocalDataService.getOfflineData()
+            .filter(item => item.data && item.data.surveyId === surveyId)
+            .forEach(({ type, data }) => {
+                const coding = getQuestionCoding(surveyId, data.questionId);
+                if (type === 'coding_codebook') {
+                    coding.codebook = data.codebook;
+                } else if (type === 'coding_assignment') {
+                    coding.assignments[data.responseId] = {
+                        ...(coding.assignments[data.responseId] || {}),
+                        [data.coderId]: data.codes
+                    };
+                } else {
+                    return;
+                }
+                saveQuestionCoding(surveyId, data.questionId, coding);
+            });
+    }
+
+    /**
+     * إرسال تعديل للخادم أو حفظه للمزامنة
+     * @method push
+     */
+    function push(type, data, send) {
+        const queue = () => LocalDataService.saveOfflineData(type, data);
+        if (!navigator.onLine) {
+            queue();
+            return;
+        }
+
+        send().catch(error => {
+            if (error instanceof ApiManager.ApiError && error.status >= 400 && error.status < 500) {
+                console.warn('⚠️ رفض الخادم تعديل الترميز:', error);
+                return;
+            }
+
+            console.warn('⚠️ فشل حفظ الترميز على الخادم، سيتم إرساله عند المزامنة:', error);
+            queue();
+        });
+    }
+
+    /**
+     * مشاركة دليل رموز سؤال
+     * @method pushCodebook
+     *
+     * يحذف الخادم تعيينات الرموز المحذوفة من الدليل كما يفعل removeCode محلياً
+     */
+    function pushCodebook(surveyId, questionId, codebook) {
+        push('coding_codebook', { surveyId, questionId, codebook },
+            () => ApiManager.saveCodingCodebook(surveyId, questionId, codebook));
+    }
+
+    // ========== دليل الترميز ==========
+
+    /**
+     * دليل رموز سؤال
+     * @method getCodebook
+     */
+    function getCodebook(surveyId, questionId) {
+        return getQuestionCoding(surveyId, questionId).codebook;
+    }
+
+    /**
+     * التحقق من رمز قبل إضافته
+     * @method validateCode
+     */
+    function validateCode(code, codebook = []) {
+        const errors = [];
+        const label = String(code.label || '').trim();
+
+        if (!label) errors.push('اسم الرمز مطلوب');
+        if (label.length > config.maxLabelLength) errors.push(`اسم الرمز أطول من ${config.maxLabelLength} حرفاً`);
+        if (codebook.some(item => item.id !== code.id && item.label === label)) {
+            errors.push(`الرمز "${label}" موجود في الدليل`);
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * إضافة رمز أو تعديله
+     * @method saveCode
+     */
+    function saveCode(surveyId, questionId, code) {
+        const coding = getQuestionCoding(surveyId, questionId);
+        const validation = validateCode(code, coding.codebook);
+        if (!validation.valid) return { success: false, errors: validation.errors };
+
+        const saved = {
+            id: code.id || `code_${Utils.generateId()}`,
+            label: code.label.trim(),
+            description: (code.description || '').trim(),
+            keywords: (code.keywords || []).map(keyword => keyword.trim()).filter(Boolean)
+        };
+
+        const index = coding.codebook.findIndex(item => item.id === saved.id);
+        if (index === -1) coding.codebook.push(saved);
+        else coding.codebook[index] = saved;
+
+        saveQuestionCoding(surveyId, questionId, coding);
+        pushCodebook(surveyId, questionId, coding.codebook);
+        return { success: true, code: saved };
+    }
+
+    /**
+     * حذف رمز وإزالته من التعيينات
+     * @method removeCode
+     */
+    function removeCode(surveyId, questionId, codeId) {
+        const coding = getQuestionCoding(surveyId, questionId);
+        coding.codebook = coding.codebook.filter(item => item.id !== codeId);
+
+        Object.values(coding.assignments).forEach(byCoder => {
+            Object.keys(byCoder).forEach(coder => {
+                byCoder[coder] = byCoder[coder].filter(id => id !== codeId);
+            });
+        });
+
+        saveQuestionCoding(surveyId, questionId, coding);
+        pushCodebook(surveyId, questionId, coding.codebook);
+    }
+
+    // ========== التعيين ==========
+
+    /**
+     * الإجابات النصية لسؤال مع معرفات ردودها
+     * @method getTextAnswers
+     */
+    function getTextAnswers(responses, questionId) {
+        return responses
+            .map(response => ({
+                id: response.id,
+                text: String((response.answers || {})[questionId] || '').trim()
+            }))
+            .filter(item => item.id && item.text);
+    }
+
+    /**
+     * تعيين رموز مرمّز لرد
+     * @method assign
+     *
+     * مصفوفة فارغة تعني أن المرمّز راجع الرد ولم يجد رمزاً مناسباً
+     */
+    function assign(surveyId, questionId, responseId, coderId, codeIds) {
+        const coding = getQuestionCoding(surveyId, questionId);
+        const valid = new Set(coding.codebook.map(code => code.id));
+
+        const codes = [...new Set(codeIds)].filter(id => valid.has(id));
+        coding.assignments[responseId] = {
+            ...(coding.assignments[responseId] || {}),
+            [coderId]: codes
+        };
+
+        saveQuestionCoding(surveyId, questionId, coding);
+        push('coding_assignment', { surveyId, questionId, responseId, coderId, codes },
+            () => ApiManager.saveCodingAssignment(surveyId, questionId, responseId, coderId, codes));
+        return codes;
+    }
+
+    /**
+     * المرمّزون الذين عملوا على سؤال
+     * @method getCoders
+     */
+    function getCoders(surveyId, questionId) {
+        const coders = new Set();
+        Object.values(getQuestionCoding(surveyId, questionId).assignments)
+            .forEach(byCoder => Object.keys(byCoder).forEach(coder => coders.add(coder)));
+        return [...coders];
+    }
+
+    /**
+     * الرموز المتفق عليها لرد: ما اختاره نصف المرمّزين على الأقل
+     * @method getConsensus
+     */
+    function getConsensus(byCoder) {
+        const coders = Object.keys(byCoder || {});
+        if (coders.length === 0) return null;
+
+        const votes = {};
+        coders.forEach(coder => byCoder[coder].forEach(codeId => {
+            votes[codeId] = (votes[codeId] || 0) + 1;
+        }));
+
+        return Object.keys(votes).filter(codeId => votes[codeId] * 2 >= coders.length);
+    }
+
+    // ========== الاقتراحات ==========
+
+    /**
+     * مطابقة نص وكلمات مفتاحية برموز الدليل
+     * @method matchCodes
+     *
+     * يطابق الرمز إذا ورد أحد مصطلحاته في النص، أو وردت كل كلماته بعد التجذيع ("الأسعار" و"أسعارها")
+     */
+    function matchCodes(text, codebook, keywords = []) {
+        const normalizedText = Utils.normalizeArabic(text);
+        const stems = new Set(Utils.tokenizeArabic(text, { removeStopWords: true, stem: true }));
+        const normalizedKeywords = keywords.map(Utils.normalizeArabic).filter(Boolean);
+
+        return codebook
+            .filter(code => {
+                const terms = [code.label, ...(code.keywords || [])].map(Utils.normalizeArabic).filter(Boolean);
+                return terms.some(term => {
+                    const termStems = Utils.tokenizeArabic(term, { removeStopWords: true, stem: true });
+
+                    return normalizedText.includes(term) ||
+                        (termStems.length > 0 && termStems.every(stem => stems.has(stem))) ||
+                        normalizedKeywords.some(keyword => keyword.includes(term) || term.includes(keyword));
+                });
+            })
+            .map(code => code.id);
+    }
+
+    /**
+     * اقتراح رموز لإجابة نصية
+     * @method suggest
+     *
+     * تبدأ من تحليل ApiManager.analyzeArabicText ثم تطابق الكلمات المفتاحية محلياً
+     */
+    async function suggest(text, codebook) {
+        let keywords = [];
+
+        try {
+            const response = await ApiManager.analyzeArabicText(text, {
+                tasks: ['keywords', 'topics'],
+                codebook: codebook.map(code => code.label)
+            });
+            const data = (response && response.data) || {};
+
+            // الخادم قد يعيد أسماء الرموز المطابقة مباشرة
+            if (Array.isArray(data.codes)) {
+                const labels = data.codes.map(code => typeof code === 'string' ? code : code.label);
+                return codebook.filter(code => labels.includes(code.label)).map(code => code.id);
+            }
+
+            keywords = [...(data.keywords || []), ...(data.topics || [])]
+                .map(item => typeof item === 'string' ? item : (item.text || item.label || item.word || ''));
+        } catch (error) {
+            console.warn('⚠️ تعذر تحليل النص، الاقتراح من الكلمات المفتاحية فقط:', error);
+        }
+
+        return matchCodes(text, codebook, keywords);
+    }
+
+    // ========== اتفاق المرمّزين ==========
+
+    /**
+     * تقريب رقم
+     * @method round
+     */
+    function round(value, digits = 2) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * معامل كابا لكوهين من قرارات ثنائية
+     * @method cohensKappa
+     */
+    function cohensKappa(pairs) {
+        if (pairs.length === 0) return null;
+
+        const n = pairs.length;
+        const agree = pairs.filter(([a, b]) => a === b).length / n;
+        const pA = pairs.filter(([a]) => a).length / n;
+        const pB = pairs.filter(([, b]) => b).length / n;
+        const expected = pA * pB + (1 - pA) * (1 - pB);
+
+        // عند تطابق التوزيعين بالكامل يكون الاتفاق تاماً
+        if (expected === 1) return agree === 1 ? 1 : 0;
+        return round((agree - expected) / (1 - expected), 3);
+    }
+
+    /**
+     * تصنيف قيمة كابا
+     * @method describeKappa
+     */
+    function describeKappa(kappa) {
+        if (kappa === null) return '';
+        return config.kappaLevels.find(level => kappa >= level.min).label;
+    }
+
+    /**
+     * اتفاق مرمّزين على سؤال
+     * @method agreement
+     */
+    function agreement(surveyId, questionId, coderA, coderB) {
+        const coding = getQuestionCoding(surveyId, questionId);
+        const items = Object.values(coding.assignments)
+            .filter(byCoder => byCoder[coderA] && byCoder[coderB]);
+
+        const byCode = coding.codebook.map(code => {
+            const pairs = items.map(byCoder => [byCoder[coderA].includes(code.id), byCoder[coderB].includes(code.id)]);
+            const kappa = cohensKappa(pairs);
+            return { codeId: code.id, label: code.label, kappa, level: describeKappa(kappa) };
+        });
+
+        // كابا مجمّعة على جميع قرارات (رد × رمز)
+        const allPairs = [];
+        items.forEach(byCoder => coding.codebook.forEach(code => {
+            allPairs.push([byCoder[coderA].includes(code.id), byCoder[coderB].includes(code.id)]);
+        }));
+        const kappa = cohensKappa(allPairs);
+        const exact = items.filter(byCoder =>
+            [...byCoder[coderA]].sort().join('|') === [...byCoder[coderB]].sort().join('|')
+        ).length;
+
+        return {
+            coders: [coderA, coderB],
+            items: items.length,
+            kappa,
+            level: describeKappa(kappa),
+            acceptable: kappa !== null && kappa >= config.minimumKappa,
+            percentAgreement: allPairs.length ? round(allPairs.filter(([a, b]) => a === b).length / allPairs.length * 100, 1) : null,
+            exactMatch: items.length ? round(exact / items.length * 100, 1) : null,
+            byCode
+        };
+    }
+
+    /**
+     * اتفاق كل أزواج المرمّزين
+     * @method agreementMatrix
+     */
+    function agreementMatrix(surveyId, questionId) {
+        const coders = getCoders(surveyId, questionId);
+        const pairs = [];
+
+        coders.forEach((coderA, i) => coders.slice(i + 1).forEach(coderB => {
+            const result = agreement(surveyId, questionId, coderA, coderB);
+            if (result.items > 0) pairs.push(result);
+        }));
+
+        return pairs;
+    }
+
+    /**
+     * الردود التي اختلف عليها المرمّزون
+     * @method getDisagreements
+     */
+    function getDisagreements(surveyId, questionId) {
+        const assignments = getQuestionCoding(surveyId, questionId).assignments;
+
+        return Object.keys(assignments).filter(responseId => {
+            const sets = Object.values(assignments[responseId]).map(codes => [...codes].sort().join('|'));
+            return sets.length > 1 && new Set(sets).size > 1;
+        });
+    }
+
+    // ========== العد والرسوم ==========
+
+    /**
+     * تكرارات الرموز في الردود المرمّزة
+     * @method countCodes
+     *
+     * تُعد الرموز المتفق عليها افتراضياً، أو رموز مرمّز واحد عند تحديده
+     */
+    function countCodes(surveyId, questionId, responses, options = {}) {
+        const coding = getQuestionCoding(surveyId, questionId);
+        const answers = getTextAnswers(responses, questionId);
+        const counts = {};
+        let coded = 0;
+
+        answers.forEach(answer => {
+            const byCoder = coding.assignments[answer.id];
+            const codes = options.coder ?
+                (byCoder && byCoder[options.coder]) :
+                getConsensus(byCoder);
+            if (!codes) return;
+
+            coded++;
+            codes.forEach(codeId => { counts[codeId] = (counts[codeId] || 0) + 1; });
+        });
+
+        return {
+            questionId,
+            total: answers.length,
+            coded,
+            frequencies: coding.codebook
+                .map(code => ({
+                    codeId: code.id,
+                    label: code.label,
+                    count: counts[code.id] || 0,
+                    percentage: coded > 0 ? round((counts[code.id] || 0) / coded * 100, 1) : 0
+                }))
+                .sort((a, b) => b.count - a.count)
+        };
+    }
+
+    /**
+     * رسم تكرارات الرموز بصيغة رسوم results.json
+     * @method buildChart
+     */
+    function buildChart(question, counts) {
+        const rows = counts.frequencies.filter(row => row.count > 0);
+        if (counts.coded === 0 || rows.length === 0) return null;
+
+        return {
+            type: 'horizontalBar',
+            title: question.text,
+            source: { question: question.id, method: 'coding', coded: counts.coded },
+            data: {
+                labels: rows.map(row => row.label),
+                datasets: [{
+                    label: 'نسبة الإجابات المرمّزة (%)',
+                    data: rows.map(row => row.percentage),
+                    backgroundColor: config.chartColor
+                }]
+            }
+        };
+    }
+
+    /**
+     * التحقق إذا كان الرسم مبنياً من الترميز
+     * @method isCodedChart
+     */
+    function isCodedChart(chart) {
+        return Boolean(chart && chart.source && chart.source.method === 'coding');
+    }
+
+    /**
+     * رسوم كل الأسئلة النصية المرمّزة في استبيان
+     * @method buildCharts
+     */
+    function buildCharts(survey, responses) {
+        return (survey.questions || [])
+            .filter(question => question.type === 'text' && getCodebook(survey.id, question.id).length > 0)
+            .map(question => buildChart(question, countCodes(survey.id, question.id, responses)))
+            .filter(Boolean);
+    }
+
+    /**
+     * أكثر الرموز تكراراً لحقل "aiInsights.keyTopics"
+     * @method getTopCodes
+     */
+    function getTopCodes(survey, responses, limit = config.maxTopics) {
+        const totals = {};
+
+        (survey.questions || [])
+            .filter(question => question.type === 'text')
+            .forEach(question => {
+                countCodes(survey.id, question.id, responses).frequencies.forEach(row => {
+                    if (row.count > 0) totals[row.label] = (totals[row.label] || 0) + row.count;
+                });
+            });
+
+        return Object.keys(totals).sort((a, b) => totals[b] - totals[a]).slice(0, limit);
+    }
+
+    return {
+        config,
+        load,
+        getQuestionCoding,
+        getCodebook,
+        validateCode,
+        saveCode,
+        removeCode,
+        getTextAnswers,
+        assign,
+        getCoders,
+        getConsensus,
+        matchCodes,
+        suggest,
+        cohensKappa,
+        describeKappa,
+        agreement,
+        agreementMatrix,
+        getDisagreements,
+        countCodes,
+        buildChart,
+        isCodedChart,
+        buildCharts,
+        getTopCodes
+    };
+})();
+
+/**
+ * تصدير ترميز الإجابات المفتوحة للاستخدام العام
+ */
+window.SurveyCoding = SurveyCoding;
+
+// تصدير افتراضي
+export default SurveyCoding;
+```
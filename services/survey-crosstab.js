@@ -0,0 +1,683 @@
+```javascript
+/* ============================================
+   صوت حضرموت - الجداول المتقاطعة والتحليل الديموغرافي
+   ============================================ */
+
+/**
+ * جداول متقاطعة بين إجابات الاستبيان وبيانات المشاركين
+ * @namespace SurveyCrossTab
+ *
+ * تُربط الردود الخام بملفات المشاركين (المنطقة، المدينة، المديرية، الفئة العمرية،
+ * الجنس، المؤهل) ثم تُحسب النسب حسب الصف والعمود واختبار مربع كاي، مع حجب
+ * الخلايا التي يقل عددها عن الحد الأدنى حتى لا يُستدل على أفراد بعينهم، وحجب
+ * خلايا أو أسس مكمّلة لها حتى لا يُستنتج العدد المحجوب بطرح الظاهر من المجموع
+ */
+const SurveyCrossTab = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        localData: '../data/users.json',
+        minCellCount: 5,
+        significanceLevel: 0.05,
+        // قاعدة كوكران: لا يصح الاختبار إذا قلّ التكرار المتوقع عن 5 في أكثر من 20% من الخلايا
+        maxLowExpectedShare: 0.2,
+        dimensions: {
+            region: { label: 'المحافظة' },
+            city: { label: 'المدينة' },
+            district: { label: 'المديرية' },
+            ageBand: {
+                label: 'الفئة العمرية',
+                categories: [
+                    { value: '18-25', label: '18-25', min: 18, max: 25 },
+                    { value: '26-35', label: '26-35', min: 26, max: 35 },
+                    { value: '36-50', label: '36-50', min: 36, max: 50 },
+                    { value: '51+', label: '51+', min: 51, max: Infinity }
+                ]
+            },
+            gender: {
+                label: 'الجنس',
+                categories: [
+                    { value: 'male', label: 'ذكر' },
+                    { value: 'female', label: 'أنثى' }
+                ]
+            },
+            education: {
+                label: 'المؤهل الدراسي',
+                // نفس فئات إحصاءات المستخدمين في data/users.json
+                categories: [
+                    { value: 'ثانوية', label: 'ثانوية', keywords: ['ثانوي'] },
+                    { value: 'دبلوم', label: 'دبلوم', keywords: ['دبلوم'] },
+                    { value: 'بكالوريوس', label: 'بكالوريوس', keywords: ['بكالوريوس', 'ليسانس'] },
+                    { value: 'دراسات عليا', label: 'دراسات عليا', keywords: ['ماجستير', 'دكتوراه', 'دكتوراة'] }
+                ]
+            }
+        },
+        suppressedLabel: '<5',
+        // الخلايا المحجوبة لحماية غيرها
+        complementaryLabel: 'x'
+    };
+
+    // ========== ملفات المشاركين ==========
+
+    /**
+     * تحميل ملفات المشاركين في استبيان
+     * @method loadProfiles
+     */
+    async function loadProfiles(surveyId) {
+        if (navigator.onLine) {
+            try {
+                const response = await ApiManager.getSurveyRespondents(surveyId);
+                if (Array.isArray(response.data)) return response.data;
+            } catch (error) {
+                console.warn('⚠️ فشل تحميل ملفات المشاركين من API:', error);
+            }
+        }
+
+        // استخدام ملف المستخدمين المحلي كنسخة احتياطية
+        try {
+            const response = await fetch(config.localData);
+            const data = await response.json();
+            return data.users || [];
+        } catch (error) {
+            console.error('❌ فشل تحميل ملفات المشاركين:', error);
+            return [];
+        }
+    }
+
+    /**
+     * الفئة العمرية للمستخدم
+     * @method getAgeBand
+     */
+    function getAgeBand(user) {
+        const age = AuthenticationSystem.getUserAge(user);
+        if (age === null) return null;
+
+        const band = config.dimensions.ageBand.categories.find(item => age >= item.min && age <= item.max);
+        return band ? band.value : null;
+    }
+
+    /**
+     * فئة المؤهل الدراسي من وصفه النصي
+     * @method getEducationLevel
+     */
+    function getEducationLevel(education) {
+        if (!education) return null;
+
+        const level = config.dimensions.education.categories.find(item =>
+            item.keywords.some(keyword => education.includes(keyword))
+        );
+        return level ? level.value : null;
+    }
+
+    /**
+     * استخراج الخصائص الديموغرافية من ملف المستخدم
+     * @method getProfile
+     */
+    function getProfile(user) {
+        const profile = user.profile || {};
+        const location = user.location || {};
+
+        return {
+            region: location.region || null,
+            city: location.city || null,
+            district: location.district || null,
+            ageBand: getAgeBand(user),
+            gender: profile.gender || null,
+            education: getEducationLevel(profile.education)
+        };
+    }
+
+    /**
+     * ربط الردود بملفات أصحابها
+     * @method join
+     */
+    function join(responses, users) {
+        const profiles = {};
+        users.forEach(user => {
+            profiles[user.id] = getProfile(user);
+        });
+
+        // الردود المجهولة تبقى بلا خصائص ديموغرافية
+        return responses.map(response => ({
+            id: response.id,
+            answers: response.answers || {},
+            weight: response.weight || 1,
+            profile: profiles[response.respondentId] || {}
+        }));
+    }
+
+    // ========== المتغيرات ==========
+
+    /**
+     * التحقق إذا كان المتغير خاصية ديموغرافية
+     * @method isDimension
+     */
+    function isDimension(variable) {
+        return Object.prototype.hasOwnProperty.call(config.dimensions, variable);
+    }
+
+    /**
+     * المتغيرات المتاحة للجدولة في استبيان
+     * @method getVariables
+     */
+    function getVariables(survey) {
+        const types = SurveyEngine.QUESTION_TYPES;
+        const categorical = [types.SINGLE_CHOICE, types.MULTIPLE_CHOICE, types.LIKERT, types.RATING];
+
+        const questions = SurveyEngine.getQuestions(survey)
+            .filter(question => categorical.includes(question.type))
+            .map(question => ({ id: question.id, label: question.text, source: 'question' }));
+
+        const dimensions = Object.entries(config.dimensions)
+            .map(([id, dimension]) => ({ id, label: dimension.label, source: 'profile' }));
+
+        return [...questions, ...dimensions];
+    }
+
+    /**
+     * تعريف متغير: التسمية والفئات وهل يقبل أكثر من قيمة
+     * @method describeVariable
+     */
+    function describeVariable(survey, variable, records) {
+        if (isDimension(variable)) {
+            const dimension = config.dimensions[variable];
+            let categories = dimension.categories;
+
+            // فئات المواقع تُستخرج من البيانات مرتبة حسب العدد
+            if (!categories) {
+                const counts = {};
+                records.forEach(record => {
+                    const value = record.profile[variable];
+                    if (value) counts[value] = (counts[value] || 0) + 1;
+                });
+                categories = Object.keys(counts)
+                    .sort((a, b) => counts[b] - counts[a])
+                    .map(value => ({ value, label: value }));
+            }
+
+            return { id: variable, label: dimension.label, categories, multiple: false };
+        }
+
+        const types = SurveyEngine.QUESTION_TYPES;
+        const question = SurveyEngine.getQuestions(survey).find(item => item.id === variable);
+        if (!question) throw new Error(`المتغير غير معروف: ${variable}`);
+
+        let categories;
+        switch (question.type) {
+            case types.SINGLE_CHOICE:
+            case types.MULTIPLE_CHOICE:
+                categories = question.options.map(option => ({ value: option.value, label: option.label }));
+                break;
+            case types.LIKERT:
+                categories = question.labels.map((label, index) => ({ value: index + 1, label }));
+                break;
+            case types.RATING:
+                categories = Array.from({ length: question.max }, (item, index) => ({ value: index + 1, label: String(index + 1) }));
+                break;
+            default:
+                throw new Error(`لا يمكن جدولة سؤال من نوع ${question.type}`);
+        }
+
+        return {
+            id: variable,
+            label: question.text,
+            categories,
+            multiple: question.type === types.MULTIPLE_CHOICE
+        };
+    }
+
+    /**
+     * قيم المتغير في سجل واحد
+     * @method getValues
+     */
+    function getValues(record, variable) {
+        const value = isDimension(variable) ? record.profile[variable] : record.answers[variable];
+        if (value === undefined || value === null || value === '') return [];
+        return Array.isArray(value) ? value : [value];
+    }
+
+    // ========== الإحصاء ==========
+
+    /**
+     * لوغاريتم دالة جاما (تقريب لانكزوس)
+     * @method logGamma
+     */
+    function logGamma(x) {
+        const coefficients = [
+            76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+        ];
+        let y = x;
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        let series = 1.000000000190015;
+        coefficients.forEach(coefficient => {
+            series += coefficient / ++y;
+        });
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    }
+
+    /**
+     * دالة جاما غير المكتملة المنتظمة العليا Q(a, x)
+     * @method upperGamma
+     */
+    function upperGamma(a, x) {
+        if (x <= 0) return 1;
+
+        const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+        // متسلسلة للقيم الصغيرة
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 200; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+            }
+            return 1 - sum * Math.exp(logPrefix);
+        }
+
+        // كسر مستمر للقيم الكبيرة (طريقة لنتز)
+        let b = x + 1 - a;
+        let c = 1 / 1e-300;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < 200; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = b + an / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-12) break;
+        }
+        return Math.exp(logPrefix) * h;
+    }
+
+    /**
+     * القيمة الاحتمالية لتوزيع مربع كاي
+     * @method chiSquarePValue
+     */
+    function chiSquarePValue(statistic, df) {
+        if (df <= 0) return null;
+        return Math.min(1, Math.max(0, upperGamma(df / 2, statistic / 2)));
+    }
+
+    /**
+     * اختبار مربع كاي للاستقلال على جدول تكرارات
+     * @method chiSquareTest
+     */
+    function chiSquareTest(counts) {
+        // استبعاد الصفوف والأعمدة الفارغة
+        const rowTotals = counts.map(row => row.reduce((sum, value) => sum + value, 0));
+        const columnTotals = counts[0] ? counts[0].map((item, c) => counts.reduce((sum, row) => sum + row[c], 0)) : [];
+        const rows = rowTotals.map((total, r) => r).filter(r => rowTotals[r] > 0);
+        const columns = columnTotals.map((total, c) => c).filter(c => columnTotals[c] > 0);
+        const total = rowTotals.reduce((sum, value) => sum + value, 0);
+        const df = (rows.length - 1) * (columns.length - 1);
+
+        if (total === 0 || df <= 0) {
+            return { statistic: null, df: Math.max(df, 0), pValue: null, cramersV: null, significant: false, reliable: false };
+        }
+
+        let statistic = 0;
+        let lowExpected = 0;
+        rows.forEach(r => columns.forEach(c => {
+            const expected = rowTotals[r] * columnTotals[c] / total;
+            if (expected < 5) lowExpected++;
+            statistic += Math.pow(counts[r][c] - expected, 2) / expected;
+        }));
+
+        const pValue = chiSquarePValue(statistic, df);
+        const lowExpectedShare = lowExpected / (rows.length * columns.length);
+
+        return {
+            statistic: Math.round(statistic * 1000) / 1000,
+            df,
+            pValue: Math.round(pValue * 10000) / 10000,
+            // قوة الارتباط بين 0 و1
+            cramersV: Math.round(Math.sqrt(statistic / (total * (Math.min(rows.length, columns.length) - 1))) * 1000) / 1000,
+            significant: pValue < config.significanceLevel,
+            lowExpectedShare: Math.round(lowExpectedShare * 100) / 100,
+            reliable: lowExpectedShare <= config.maxLowExpectedShare
+        };
+    }
+
+    // ========== الجداول ==========
+
+    /**
+     * نسبة مئوية بمنزلة عشرية واحدة
+     * @method percent
+     */
+    function percent(value, base) {
+        return base > 0 ? Math.round((value / base) * 1000) / 10 : 0;
+    }
+
+    /**
+     * التحقق إذا كان العدد يجب حجبه
+     * @method isSuppressed
+     */
+    function isSuppressed(count, minCount) {
+        return count > 0 && count < minCount;
+    }
+
+    /**
+     * الحجب التكميلي حتى لا تُستنتج قيمة محجوبة بالطرح من المجاميع
+     * @method suppressComplements
+     *
+     * تُمرر لكل جدول مصفوفة موسّعة: آخر عمود فيها أسس الصفوف وآخر صف أسس الأعمدة وفي زاويتهما الإجمالي،
+     * فكل صف أو عمود فيها قيم مع مجموعها. الجدول الأول هو الجدول الكلي والبقية طبقاته، فالخلية نفسها
+     * في الطبقات تجمع خليته في الجدول الكلي. ما دام في خط قيمة محجوبة واحدة تُحجب معها أصغر قيمة ظاهرة فيه،
+     * والخلية المحجوبة في طبقة تُحجب نظيرتها في الجدول الكلي وفي طبقة أخرى على الأقل
+     */
+    function suppressComplements(values, hidden) {
+        const [overall, ...layers] = values;
+        const lines = values.flatMap((table, t) => [
+            ...table.map((items, r) => items.map((_, c) => [t, r, c])),
+            ...table[0].map((_, c) => table.map((_, r) => [t, r, c]))
+        ]);
+
+        // الخط العابر للطبقات: الخلية في الجدول الكلي مع نظيراتها، ثم النظيرات وحدها
+        const layerLines = [];
+        if (layers.length > 0) {
+            overall.forEach((items, r) => items.forEach((_, c) => {
+                const counterparts = layers.map((_, index) => [index + 1, r, c]);
+                lines.push([[0, r, c], ...counterparts]);
+                lines.push(counterparts);
+                layerLines.push(counterparts);
+            }));
+        }
+
+        // الأصفار آخر الخيارات لأنها قد تكون معروفة مسبقاً فلا تحمي القيمة المحجوبة معها
+        const cost = ([t, r, c]) => values[t][r][c] > 0 ? values[t][r][c] : Infinity;
+        const isHidden = ([t, r, c]) => hidden[t][r][c];
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+
+            layerLines.forEach(line => {
+                const [, r, c] = line[0];
+                if (!hidden[0][r][c] && line.some(isHidden)) {
+                    hidden[0][r][c] = true;
+                    changed = true;
+                }
+            });
+
+            lines.forEach(line => {
+                const visible = line.filter(cell => !isHidden(cell));
+                if (line.length - visible.length !== 1 || visible.length === 0) return;
+
+                const [t, r, c] = visible.reduce((best, cell) => cost(cell) < cost(best) ? cell : best);
+                hidden[t][r][c] = true;
+                changed = true;
+            });
+        }
+
+        return hidden;
+    }
+
+    /**
+     * عدّ المشاركين في خلايا جدول متقاطع وهوامشه
+     * @method countTable
+     */
+    function countTable(records, row, column) {
+        const rowIndex = new Map(row.categories.map((category, index) => [String(category.value), index]));
+        const columnIndex = new Map(column.categories.map((category, index) => [String(category.value), index]));
+
+        const tally = {
+            counts: row.categories.map(() => column.categories.map(() => 0)),
+            rowBases: row.categories.map(() => 0),
+            columnBases: column.categories.map(() => 0),
+            // الأعداد الفعلية قبل الترجيح تُستخدم للحجب
+            rawCounts: row.categories.map(() => column.categories.map(() => 0)),
+            rawRowBases: row.categories.map(() => 0),
+            rawColumnBases: column.categories.map(() => 0),
+            total: 0,
+            rawTotal: 0,
+            squaredWeights: 0
+        };
+
+        // الأساس هو عدد المشاركين، فمتعدد الاختيار قد يُحسب في أكثر من خلية
+        records.forEach(record => {
+            const rows = getValues(record, row.id).map(value => rowIndex.get(String(value))).filter(index => index !== undefined);
+            const columns = getValues(record, column.id).map(value => columnIndex.get(String(value))).filter(index => index !== undefined);
+            if (rows.length === 0 || columns.length === 0) return;
+
+            const weight = record.weight;
+            tally.total += weight;
+            tally.rawTotal++;
+            tally.squaredWeights += weight * weight;
+            rows.forEach(r => { tally.rowBases[r] += weight; tally.rawRowBases[r]++; });
+            columns.forEach(c => { tally.columnBases[c] += weight; tally.rawColumnBases[c]++; });
+            rows.forEach(r => columns.forEach(c => { tally.counts[r][c] += weight; tally.rawCounts[r][c]++; }));
+        });
+
+        // المصفوفة الموسّعة بالهوامش للحجب
+        tally.values = [
+            ...tally.rawCounts.map((items, r) => [...items, tally.rawRowBases[r]]),
+            [...tally.rawColumnBases, tally.rawTotal]
+        ];
+
+        return tally;
+    }
+
+    /**
+     * الحجب الأولي للأعداد الصغيرة في المصفوفة الموسّعة
+     * @method findSmallCells
+     */
+    function findSmallCells(tally, minCount) {
+        const baseRow = tally.rowBases.length;
+        const baseColumn = tally.columnBases.length;
+
+        return tally.values.map((items, r) => items.map((count, c) => {
+            if (r === baseRow || c === baseColumn) return isSuppressed(count, minCount);
+            return isSuppressed(count, minCount) ||
+                isSuppressed(tally.rawRowBases[r], minCount) || isSuppressed(tally.rawColumnBases[c], minCount);
+        }));
+    }
+
+    /**
+     * بناء جدول متقاطع واحد من أعداده وخلاياه المحجوبة
+     * @method buildTable
+     */
+    function buildTable(tally, row, column, small, hidden) {
+        const { counts, rowBases, columnBases, total, squaredWeights } = tally;
+        const baseRow = rowBases.length;
+        const baseColumn = columnBases.length;
+
+        const round = value => Math.round(value * 100) / 100;
+        const share = (value, base, baseHidden) => baseHidden ? null : percent(value, base);
+        const totalHidden = hidden[baseRow][baseColumn];
+
+        const cells = counts.map((items, r) => items.map((count, c) => {
+            if (hidden[r][c]) {
+                return {
+                    count: null,
+                    rowPercent: null,
+                    columnPercent: null,
+                    totalPercent: null,
+                    suppressed: true,
+                    // محجوبة لحماية خلية أخرى لا لصغر عددها
+                    complementary: !small[r][c]
+                };
+            }
+
+            return {
+                count: round(count),
+                rowPercent: share(count, rowBases[r], hidden[r][baseColumn]),
+                columnPercent: share(count, columnBases[c], hidden[baseRow][c]),
+                totalPercent: share(count, total, totalHidden),
+                suppressed: false,
+                complementary: false
+            };
+        }));
+
+        // اختبار الاستقلال لا يصح مع متغير متعدد الاختيار
+        const chiSquare = row.multiple || column.multiple ?
+            { statistic: null, df: null, pValue: null, cramersV: null, significant: false, reliable: false, reason: 'multiple_response' } :
+            // مع الأوزان تُصغّر التكرارات إلى حجم العينة الفعّال (تصحيح راو-سكوت من الدرجة الأولى)
+            chiSquareTest(squaredWeights > 0 && total !== squaredWeights ?
+                counts.map(values => values.map(count => count * total / squaredWeights)) : counts);
+
+        return {
+            rows: row.categories.map((category, r) => ({
+                value: category.value,
+                label: category.label,
+                base: hidden[r][baseColumn] ? null : round(rowBases[r]),
+                percent: hidden[r][baseColumn] ? null : share(rowBases[r], total, totalHidden),
+                complementary: hidden[r][baseColumn] && !small[r][baseColumn]
+            })),
+            columns: column.categories.map((category, c) => ({
+                value: category.value,
+                label: category.label,
+                base: hidden[baseRow][c] ? null : round(columnBases[c]),
+                percent: hidden[baseRow][c] ? null : share(columnBases[c], total, totalHidden),
+                complementary: hidden[baseRow][c] && !small[baseRow][c]
+            })),
+            cells,
+            total: totalHidden ? null : round(total),
+            suppressedCells: cells.reduce((sum, values) => sum + values.filter(cell => cell.suppressed).length, 0),
+            chiSquare
+        };
+    }
+
+    /**
+     * حساب جدول متقاطع مع متغير طبقة اختياري (مثل الرضا حسب المدينة حسب الجنس)
+     * @method crossTab
+     *
+     * يُحجب الجدول الكلي وطبقاته معاً حتى لا تُستنتج خلية طبقة بطرح الطبقات الأخرى من الجدول الكلي
+     */
+    function crossTab(survey, records, spec) {
+        const minCount = spec.minCount !== undefined ? spec.minCount : config.minCellCount;
+        const row = describeVariable(survey, spec.row, records);
+        const column = describeVariable(survey, spec.column, records);
+        const layer = spec.layer ? describeVariable(survey, spec.layer, records) : null;
+
+        const subsets = layer ? layer.categories.map(category => records.filter(record =>
+            getValues(record, layer.id).some(value => String(value) === String(category.value))
+        )) : [];
+        const tallies = [records, ...subsets].map(items => countTable(items, row, column));
+        const small = tallies.map(tally => findSmallCells(tally, minCount));
+        const hidden = suppressComplements(
+            tallies.map(tally => tally.values),
+            small.map(table => table.map(items => [...items]))
+        );
+        const tables = tallies.map((tally, index) => buildTable(tally, row, column, small[index], hidden[index]));
+
+        return {
+            surveyId: survey.id,
+            row: { id: row.id, label: row.label },
+            column: { id: column.id, label: column.label },
+            layer: layer ? { id: layer.id, label: layer.label } : null,
+            minCount,
+            weighted: records.some(record => record.weight !== 1),
+            table: tables[0],
+            layers: layer ? layer.categories.map((category, index) => ({
+                value: category.value,
+                label: category.label,
+                table: tables[index + 1]
+            })) : [],
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * تحميل البيانات وحساب الجدول المتقاطع لاستبيان
+     * @method build
+     */
+    async function build(survey, spec) {
+        if (typeof survey === 'string') {
+            const surveyId = survey;
+            survey = await SurveyRunner.loadSurvey(surveyId);
+            if (!survey) throw new Error(`الاستبيان غير موجود: ${surveyId}`);
+        }
+
+        const [responses, users] = await Promise.all([
+            SurveyResponses.load(survey.id),
+            loadProfiles(survey.id)
+        ]);
+
+        return crossTab(survey, join(responses, users), spec);
+    }
+
+    /**
+     * تحويل الجدول إلى صفوف مسطحة للتصدير
+     * @method flatten
+     */
+    function flatten(result) {
+        const tables = [{ value: null, label: 'الكل', table: result.table }, ...result.layers];
+        const rows = [];
+
+        tables.forEach(layer => {
+            layer.table.rows.forEach((row, r) => {
+                layer.table.columns.forEach((column, c) => {
+                    const cell = layer.table.cells[r][c];
+                    rows.push({
+                        layer: layer.label,
+                        row: row.label,
+                        column: column.label,
+                        count: cell.suppressed ?
+                            (cell.complementary ? config.complementaryLabel : config.suppressedLabel) : cell.count,
+                        rowPercent: cell.rowPercent,
+                        columnPercent: cell.columnPercent,
+                        totalPercent: cell.totalPercent
+                    });
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * تحويل الجدول إلى نص CSV
+     * @method toCSV
+     */
+    function toCSV(result) {
+        const header = [result.layer ? result.layer.label : 'الطبقة', result.row.label, result.column.label,
+            'العدد', 'نسبة الصف %', 'نسبة العمود %', 'النسبة من الإجمالي %'];
+        const escape = value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            // التسميات قد تأتي من ملفات المشاركين فلا تُترك لتُنفذ كصيغ في Excel
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = flatten(result).map(item =>
+            [item.layer, item.row, item.column, item.count, item.rowPercent, item.columnPercent, item.totalPercent]
+                .map(escape).join(',')
+        );
+
+        return [header.map(escape).join(','), ...lines].join('\n');
+    }
+
+    return {
+        config,
+        loadProfiles,
+        getProfile,
+        join,
+        isDimension,
+        getVariables,
+        describeVariable,
+        chiSquarePValue,
+        chiSquareTest,
+        crossTab,
+        build,
+        flatten,
+        toCSV
+    };
+})();
+
+/**
+ * تصدير محرك الجداول المتقاطعة للاستخدام العام
+ */
+window.SurveyCrossTab = SurveyCrossTab;
+
+// تصدير افتراضي
+export default SurveyCrossTab;
+```
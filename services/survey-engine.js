@@ -0,0 +1,1922 @@
+```javascript
+/* ============================================
+   صوت حضرموت - محرك الاستبيانات ومشغلها
+   ============================================ */
+
+/**
+ * محرك الاستبيانات: مخطط الأسئلة والتحقق من الإجابات
+ * @namespace SurveyEngine
+ */
+const SurveyEngine = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        schemaVersion: '1.0',
+        supportedVersions: ['1.0'],
+        defaultRatingMax: 5,
+        defaultLikertScale: 5,
+        textMaxLength: 2000,
+        likertLabels: {
+            5: ['غير موافق بشدة', 'غير موافق', 'محايد', 'موافق', 'موافق بشدة'],
+            7: ['غير موافق بشدة', 'غير موافق', 'غير موافق نوعاً ما', 'محايد', 'موافق نوعاً ما', 'موافق', 'موافق بشدة']
+        }
+    };
+
+    // أنواع الأسئلة المدعومة
+    const QUESTION_TYPES = {
+        SINGLE_CHOICE: 'single_choice',
+        MULTIPLE_CHOICE: 'multiple_choice',
+        LIKERT: 'likert',
+        RATING: 'rating',
+        TEXT: 'text',
+        NUMBER: 'number',
+        DATE: 'date',
+        RANKING: 'ranking',
+        MATRIX: 'matrix'
+    };
+
+    // الأنواع التي تعتمد على قائمة خيارات
+    const OPTION_TYPES = [
+        QUESTION_TYPES.SINGLE_CHOICE,
+        QUESTION_TYPES.MULTIPLE_CHOICE,
+        QUESTION_TYPES.RANKING
+    ];
+
+    /**
+     * التحقق من صحة مخطط الاستبيان
+     * @method validateSurvey
+     */
+    function validateSurvey(survey) {
+        const errors = [];
+
+        if (!survey || !survey.id) {
+            return { valid: false, errors: ['الاستبيان يفتقد إلى المعرف'] };
+        }
+
+        if (!config.supportedVersions.includes(survey.schemaVersion)) {
+            errors.push(`إصدار المخطط غير مدعوم: ${survey.schemaVersion}`);
+        }
+
+        if (!Array.isArray(survey.questions) || survey.questions.length === 0) {
+            errors.push('الاستبيان لا يحتوي على أسئلة');
+            return { valid: false, errors };
+        }
+
+        const seenIds = new Set();
+        survey.questions.forEach((question, index) => {
+            if (question.id && seenIds.has(question.id)) {
+                errors.push(`معرف السؤال مكرر: ${question.id}`);
+            }
+            seenIds.add(question.id);
+            validateQuestion(question).forEach(error => {
+                errors.push(`السؤال ${question.id || index + 1}: ${error}`);
+            });
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * التحقق من صحة تعريف سؤال
+     * @method validateQuestion
+     */
+    function validateQuestion(question) {
+        const errors = [];
+
+        if (!question.id) errors.push('المعرف مفقود');
+        if (!question.text) errors.push('نص السؤال مفقود');
+
+        if (!Object.values(QUESTION_TYPES).includes(question.type)) {
+            errors.push(`نوع سؤال غير معروف: ${question.type}`);
+            return errors;
+        }
+
+        if (OPTION_TYPES.includes(question.type)) {
+            errors.push(...validateOptionList(question.options, 'الخيارات'));
+        }
+
+        switch (question.type) {
+            case QUESTION_TYPES.MULTIPLE_CHOICE:
+                if (question.maxSelections && question.minSelections &&
+                    question.minSelections > question.maxSelections) {
+                    errors.push('الحد الأدنى للاختيارات أكبر من الحد الأقصى');
+                }
+                break;
+            case QUESTION_TYPES.LIKERT:
+                if (question.scale && !config.likertLabels[question.scale] && !question.labels) {
+                    errors.push(`مقياس ليكرت ${question.scale} يتطلب تسميات مخصصة`);
+                }
+                if (question.labels && question.scale && question.labels.length !== question.scale) {
+                    errors.push('عدد تسميات المقياس لا يطابق طوله');
+                }
+                break;
+            case QUESTION_TYPES.RATING:
+                if (question.max !== undefined && (!Number.isInteger(question.max) || question.max < 2)) {
+                    errors.push('الحد الأقصى للتقييم يجب أن يكون عدداً صحيحاً أكبر من 1');
+                }
+                break;
+            case QUESTION_TYPES.NUMBER:
+                if (question.min !== undefined && question.max !== undefined && question.min > question.max) {
+                    errors.push('الحد الأدنى أكبر من الحد الأقصى');
+                }
+                break;
+            case QUESTION_TYPES.TEXT:
+                errors.push(...Validator.checkConstraintDefinition(question));
+                break;
+            case QUESTION_TYPES.MATRIX:
+                errors.push(...validateOptionList(question.rows, 'بنود المصفوفة'));
+                errors.push(...validateOptionList(question.columns, 'أعمدة المصفوفة'));
+                break;
+        }
+
+        return errors;
+    }
+
+    /**
+     * التحقق من قائمة خيارات
+     * @method validateOptionList
+     */
+    function validateOptionList(options, name) {
+        if (!Array.isArray(options) || options.length < 2) {
+            return [`${name} يجب أن تحتوي على عنصرين على الأقل`];
+        }
+
+        const values = options.map(option => option.value);
+        if (values.some(value => value === undefined || value === '')) {
+            return [`${name} تحتوي على عنصر بدون قيمة`];
+        }
+        if (new Set(values).size !== values.length) {
+            return [`${name} تحتوي على قيم مكررة`];
+        }
+
+        return [];
+    }
+
+    /**
+     * إكمال القيم الافتراضية للسؤال
+     * @method normalizeQuestion
+     */
+    function normalizeQuestion(question) {
+        const normalized = {
+            required: true,
+            ...question
+        };
+
+        if (normalized.type === QUESTION_TYPES.LIKERT) {
+            normalized.scale = normalized.scale || config.defaultLikertScale;
+            normalized.labels = normalized.labels || config.likertLabels[normalized.scale];
+        }
+
+        if (normalized.type === QUESTION_TYPES.RATING) {
+            normalized.max = normalized.max || config.defaultRatingMax;
+        }
+
+        if (normalized.type === QUESTION_TYPES.TEXT) {
+            normalized.maxLength = normalized.maxLength || config.textMaxLength;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * الحصول على أسئلة الاستبيان بعد إكمال القيم الافتراضية
+     * @method getQuestions
+     */
+    function getQuestions(survey) {
+        return (survey.questions || []).map(normalizeQuestion);
+    }
+
+    /**
+     * التحقق إذا كانت الإجابة فارغة
+     * @method isAnswerEmpty
+     */
+    function isAnswerEmpty(question, answer) {
+        if (answer === undefined || answer === null || answer === '') return true;
+        if (Array.isArray(answer)) return answer.length === 0;
+
+        if (question.type === QUESTION_TYPES.MATRIX) {
+            return Object.keys(answer).length === 0;
+        }
+
+        return false;
+    }
+
+    /**
+     * التحقق من صحة إجابة سؤال
+     * @method validateAnswer
+     *
+     * رسائل الخطأ بالعربية، ومع كل منها مفتاحها في "code" وقيمها في "params" ليترجمها المشغل
+     */
+    function validateAnswer(question, answer) {
+        const q = normalizeQuestion(question);
+
+        if (isAnswerEmpty(q, answer)) {
+            return q.required ?
+                { valid: false, message: 'هذا السؤال إلزامي', code: 'required' } :
+                { valid: true, message: '' };
+        }
+
+        switch (q.type) {
+            case QUESTION_TYPES.SINGLE_CHOICE:
+                return hasOption(q.options, answer) ?
+                    { valid: true, message: '' } :
+                    { valid: false, message: 'الخيار المحدد غير صالح', code: 'invalidOption' };
+
+            case QUESTION_TYPES.MULTIPLE_CHOICE:
+                return validateMultipleChoice(q, answer);
+
+            case QUESTION_TYPES.LIKERT:
+                return validateScale(answer, q.scale);
+
+            case QUESTION_TYPES.RATING:
+                return validateScale(answer, q.max);
+
+            case QUESTION_TYPES.TEXT:
+                return validateText(q, answer);
+
+            case QUESTION_TYPES.NUMBER:
+                return validateNumber(q, answer);
+
+            case QUESTION_TYPES.DATE:
+                return validateDate(q, answer);
+
+            case QUESTION_TYPES.RANKING:
+                return validateRanking(q, answer);
+
+            case QUESTION_TYPES.MATRIX:
+                return validateMatrix(q, answer);
+
+            default:
+                return { valid: false, message: 'نوع سؤال غير معروف', code: 'unknownType' };
+        }
+    }
+
+    /**
+     * التحقق من وجود خيار
+     * @method hasOption
+     */
+    function hasOption(options, value) {
+        return (options || []).some(option => option.value === value);
+    }
+
+    /**
+     * التحقق من إجابة الاختيار المتعدد
+     * @method validateMultipleChoice
+     */
+    function validateMultipleChoice(question, answer) {
+        if (!Array.isArray(answer) || !answer.every(value => hasOption(question.options, value))) {
+            return { valid: false, message: 'الخيارات المحددة غير صالحة', code: 'invalidOptions' };
+        }
+
+        if (new Set(answer).size !== answer.length) {
+            return { valid: false, message: 'الخيارات المحددة مكررة', code: 'duplicateOptions' };
+        }
+
+        if (question.minSelections && answer.length < question.minSelections) {
+            return {
+                valid: false,
+                message: `يرجى اختيار ${question.minSelections} خيارات على الأقل`,
+                code: 'minSelections',
+                params: { min: question.minSelections }
+            };
+        }
+
+        if (question.maxSelections && answer.length > question.maxSelections) {
+            return {
+                valid: false,
+                message: `يمكن اختيار ${question.maxSelections} خيارات كحد أقصى`,
+                code: 'maxSelections',
+                params: { max: question.maxSelections }
+            };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * التحقق من قيمة على مقياس
+     * @method validateScale
+     */
+    function validateScale(answer, max) {
+        if (!Number.isInteger(answer) || answer < 1 || answer > max) {
+            return { valid: false, message: 'القيمة خارج نطاق المقياس', code: 'outOfScale' };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * التحقق من إجابة نصية
+     * @method validateText
+     */
+    function validateText(question, answer) {
+        if (typeof answer !== 'string') {
+            return { valid: false, message: 'يرجى إدخال نص صحيح', code: 'invalidText' };
+        }
+
+        // الطول والتعبير النمطي والصيغة المعرّفة في مخطط السؤال
+        return Validator.validateConstraints(answer, question);
+    }
+
+    /**
+     * التحقق من إجابة رقمية
+     * @method validateNumber
+     */
+    function validateNumber(question, answer) {
+        if (typeof answer !== 'number' || !Number.isFinite(answer)) {
+            return { valid: false, message: 'يرجى إدخال رقم صحيح', code: 'invalidNumber' };
+        }
+
+        if (question.integer && !Number.isInteger(answer)) {
+            return { valid: false, message: 'يرجى إدخال عدد صحيح بدون كسور', code: 'integerOnly' };
+        }
+
+        return Validator.validateConstraints(answer, question);
+    }
+
+    /**
+     * التحقق من إجابة التاريخ
+     * @method validateDate
+     */
+    function validateDate(question, answer) {
+        if (typeof answer !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(answer) ||
+            isNaN(new Date(answer).getTime())) {
+            return { valid: false, message: 'يرجى إدخال تاريخ صحيح', code: 'invalidDate' };
+        }
+
+        // مقارنة نصية آمنة لأن الصيغة YYYY-MM-DD
+        if (question.min && answer < question.min) {
+            return { valid: false, message: `يجب ألا يسبق التاريخ ${question.min}`, code: 'dateMin', params: { min: question.min } };
+        }
+
+        if (question.max && answer > question.max) {
+            return { valid: false, message: `يجب ألا يتجاوز التاريخ ${question.max}`, code: 'dateMax', params: { max: question.max } };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * التحقق من إجابة الترتيب
+     * @method validateRanking
+     */
+    function validateRanking(question, answer) {
+        const values = question.options.map(option => option.value);
+
+        if (!Array.isArray(answer) || answer.length !== values.length ||
+            new Set(answer).size !== answer.length ||
+            !answer.every(value => values.includes(value))) {
+            return { valid: false, message: 'يرجى ترتيب جميع الخيارات', code: 'rankAll' };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * التحقق من إجابة المصفوفة
+     * @method validateMatrix
+     */
+    function validateMatrix(question, answer) {
+        if (typeof answer !== 'object' || Array.isArray(answer)) {
+            return { valid: false, message: 'إجابة المصفوفة غير صالحة', code: 'invalidMatrix' };
+        }
+
+        const invalidRow = Object.entries(answer).some(([row, column]) =>
+            !hasOption(question.rows, row) || !hasOption(question.columns, column)
+        );
+        if (invalidRow) {
+            return { valid: false, message: 'إجابة المصفوفة غير صالحة', code: 'invalidMatrix' };
+        }
+
+        if (question.required && question.rows.some(row => !answer[row.value])) {
+            return { valid: false, message: 'يرجى الإجابة عن جميع البنود', code: 'matrixRows' };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * التحقق من جميع إجابات الاستبيان
+     * @method validateAnswers
+     */
+    function validateAnswers(survey, answers, questions = getQuestions(survey)) {
+        const errors = {};
+
+        questions.forEach(question => {
+            const result = validateAnswer(question, answers[question.id]);
+            if (!result.valid) {
+                errors[question.id] = result.message;
+            }
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * الحصول على تسمية خيار
+     * @method getOptionLabel
+     */
+    function getOptionLabel(question, value) {
+        const option = (question.options || []).find(item => item.value === value);
+        return option ? option.label : value;
+    }
+
+    /**
+     * بناء حمولة الرد للإرسال
+     * @method buildResponsePayload
+     */
+    function buildResponsePayload(survey, answers, meta = {}) {
+        const cleanAnswers = {};
+
+        getQuestions(survey).forEach(question => {
+            const answer = answers[question.id];
+            if (!isAnswerEmpty(question, answer)) {
+                cleanAnswers[question.id] = answer;
+            }
+        });
+
+        const submittedAt = new Date();
+        const startedAt = meta.startedAt ? new Date(meta.startedAt) : submittedAt;
+
+        return {
+            surveyId: survey.id,
+            schemaVersion: survey.schemaVersion,
+            respondentId: meta.respondentId || null,
+            anonymousId: meta.anonymousId || null,
+            language: meta.language || null,
+            answers: cleanAnswers,
+            endedBy: meta.endedBy || null,
+            randomization: meta.randomization || null,
+            startedAt: startedAt.toISOString(),
+            submittedAt: submittedAt.toISOString(),
+            duration: Math.round((submittedAt - startedAt) / 1000) // بالثواني
+        };
+    }
+
+    /**
+     * إنشاء بذرة رقمية ثابتة من نص (FNV-1a)
+     * @method createSeed
+     */
+    function createSeed(text) {
+        let hash = 2166136261;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+
+        return hash >>> 0;
+    }
+
+    /**
+     * مولد أرقام عشوائية قابل لإعادة الإنتاج من البذرة (mulberry32)
+     * @method createRandom
+     */
+    function createRandom(seed) {
+        let value = seed >>> 0;
+
+        return function() {
+            value = (value + 0x6D2B79F5) >>> 0;
+            let t = value;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * خلط العناصر غير المثبتة مع إبقاء المثبتة في مواضعها
+     * @method shuffleUnpinned
+     */
+    function shuffleUnpinned(items, isPinned, random) {
+        const free = items.filter(item => !isPinned(item));
+
+        for (let i = free.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [free[i], free[j]] = [free[j], free[i]];
+        }
+
+        let cursor = 0;
+        return items.map(item => isPinned(item) ? item : free[cursor++]);
+    }
+
+    /**
+     * ترتيب الأسئلة والخيارات عشوائياً لكل مشارك
+     * تُخلط الأسئلة داخل قسمها فقط، وتبقى الأسئلة المثبتة أو المرتبطة بقواعد التفرع في مواضعها
+     * @method randomizeQuestions
+     */
+    function randomizeQuestions(survey, questions, seed, pinnedIds = []) {
+        const random = createRandom(seed);
+        const pinned = new Set(pinnedIds);
+        let ordered = questions;
+
+        if (survey.settings && survey.settings.randomizeQuestions) {
+            // تقسيم الأسئلة إلى مجموعات متتالية حسب القسم
+            const groups = [];
+            questions.forEach(question => {
+                const section = question.section || null;
+                const last = groups[groups.length - 1];
+                if (last && last.section === section) {
+                    last.items.push(question);
+                } else {
+                    groups.push({ section, items: [question] });
+                }
+            });
+
+            ordered = groups.flatMap(group =>
+                shuffleUnpinned(group.items, question => question.fixed || pinned.has(question.id), random)
+            );
+        }
+
+        const optionOrders = {};
+        const randomized = ordered.map(question => {
+            if (!question.randomizeOptions) return question;
+
+            const key = question.type === QUESTION_TYPES.MATRIX ? 'rows' : 'options';
+            const items = shuffleUnpinned(question[key], option => option.fixed, random);
+            optionOrders[question.id] = items.map(option => option.value);
+
+            return { ...question, [key]: items };
+        });
+
+        return {
+            questions: randomized,
+            randomization: {
+                seed,
+                questionOrder: randomized.map(question => question.id),
+                optionOrders
+            }
+        };
+    }
+
+    return {
+        config,
+        QUESTION_TYPES,
+        validateSurvey,
+        validateQuestion,
+        normalizeQuestion,
+        getQuestions,
+        isAnswerEmpty,
+        validateAnswer,
+        validateAnswers,
+        getOptionLabel,
+        buildResponsePayload,
+        createSeed,
+        createRandom,
+        randomizeQuestions
+    };
+})();
+
+/**
+ * مشغل الاستبيانات في صفحة pages/survey.html
+ * @namespace SurveyRunner
+ */
+const SurveyRunner = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        containerId: 'surveyRunner',
+        localData: '../data/surveys.json'
+    };
+
+    // الحالة
+    const state = {
+        survey: null,
+        sourceSurvey: null,
+        language: null,
+        questions: [],
+        currentIndex: 0,
+        answers: {},
+        startedAt: null,
+        respondentKey: null,
+        randomization: null,
+        isSubmitting: false,
+        isPreview: false,
+        isResumed: false,
+        container: null
+    };
+
+    /**
+     * تهيئة المشغل
+     * @method init
+     */
+    async function init(containerId = config.containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        bindContainer(container);
+
+        const { id } = Utils.getUrlParams();
+        if (!id) {
+            renderError('لم يتم تحديد الاستبيان المطلوب');
+            return;
+        }
+
+        renderLoading();
+
+        const survey = await loadSurvey(id);
+        if (!survey) {
+            renderError('تعذر العثور على الاستبيان المطلوب');
+            return;
+        }
+
+        await start(survey);
+    }
+
+    /**
+     * ربط المشغل بعنصر العرض
+     * @method bindContainer
+     */
+    function bindContainer(container) {
+        if (state.container !== container) {
+            container.addEventListener('click', handleClick);
+            container.addEventListener('change', handleAnswerChange);
+        }
+        state.container = container;
+    }
+
+    /**
+     * معاينة الاستبيان كما يراه المشارك دون حفظ الإجابات
+     * @method preview
+     */
+    async function preview(survey, container) {
+        bindContainer(container);
+        state.isPreview = true;
+        await start(survey);
+    }
+
+    /**
+     * تحميل الاستبيان
+     * @method loadSurvey
+     */
+    async function loadSurvey(surveyId) {
+        try {
+            const response = await ApiManager.getSurvey(surveyId);
+            const survey = response.data || response;
+            if (survey && survey.questions) return survey;
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل الاستبيان من API:', error);
+        }
+
+        // البحث في البيانات المحفوظة محلياً
+        const cached = LocalDataService.getSurveys();
+        const cachedSurvey = Array.isArray(cached) ?
+            cached.find(survey => survey.id === surveyId && survey.questions) : null;
+        if (cachedSurvey) return cachedSurvey;
+
+        // استخدام ملف البيانات المحلي كنسخة احتياطية
+        try {
+            const response = await fetch(config.localData);
+            const data = await response.json();
+            return (data.surveys || []).find(survey => survey.id === surveyId) || null;
+        } catch (error) {
+            console.error('❌ فشل تحميل البيانات المحلية:', error);
+            return null;
+        }
+    }
+
+    /**
+     * بدء الاستبيان
+     * @method start
+     */
+    async function start(survey) {
+        const validation = SurveyEngine.validateSurvey(survey);
+        if (!validation.valid) {
+            console.error('❌ مخطط الاستبيان غير صالح:', validation.errors);
+            renderError('تعذر عرض الاستبيان بسبب خطأ في تعريف الأسئلة');
+            return;
+        }
+
+        if (typeof SurveyLogic !== 'undefined') {
+            const rulesCheck = SurveyLogic.checkRules(survey);
+            if (!rulesCheck.valid) {
+                console.error('❌ قواعد التفرع غير صالحة:', rulesCheck.errors);
+                renderError('تعذر عرض الاستبيان بسبب خطأ في قواعد التفرع');
+                return;
+            }
+        }
+
+        if (typeof SurveyQuotas !== 'undefined') {
+            const quotasCheck = SurveyQuotas.checkQuotas(survey);
+            if (!quotasCheck.valid) {
+                console.error('❌ حصص العينة غير صالحة:', quotasCheck.errors);
+                renderError('تعذر عرض الاستبيان بسبب خطأ في حصص العينة');
+                return;
+            }
+        }
+
+        // قبول المشاركات في الاستبيانات النشطة فقط، وتُحسب الحالة محلياً دون حفظ الانتقالات
+        if (!state.isPreview && typeof SurveyLifecycle !== 'undefined') {
+            const current = SurveyLifecycle.applySchedule([survey]).surveys[0];
+            const lifecycleState = SurveyLifecycle.getState(current);
+
+            if (lifecycleState !== SurveyLifecycle.STATES.ACTIVE) {
+                renderError(`هذا الاستبيان غير متاح للمشاركة حالياً (${SurveyLifecycle.STATE_LABELS[lifecycleState]})`);
+                return;
+            }
+        }
+
+        // الاستبيانات التي تتطلب حساباً
+        if (!state.isPreview && survey.requiresLogin !== false && !AuthenticationSystem.getCurrentUser()) {
+            renderLoginRequired(survey);
+            return;
+        }
+
+        // شروط الأهلية تُقيّم على الملف الشخصي للمستخدم قبل البدء
+        if (!state.isPreview && survey.eligibility && Object.keys(survey.eligibility).length > 0) {
+            if (!AuthenticationSystem.getCurrentUser()) {
+                renderLoginRequired(survey);
+                return;
+            }
+
+            const eligibility = AuthenticationSystem.checkSurveyEligibility(survey);
+            if (!eligibility.eligible) {
+                AnalyticsSystem.trackSurvey(survey.id, 'ineligible', { reasons: eligibility.reasons });
+                renderIneligible(survey, eligibility);
+                return;
+            }
+        }
+
+        // عرض المحتوى بلغة المشارك المفضلة مع الاحتفاظ بالنسخة الأصلية
+        state.sourceSurvey = survey;
+        state.language = null;
+        if (typeof SurveyI18n !== 'undefined') {
+            state.language = SurveyI18n.resolveLanguage(survey);
+            ApiManager.setLanguage(state.language, SurveyI18n.getFallbackChain(survey, state.language).slice(1));
+            survey = SurveyI18n.localizeSurvey(survey, state.language);
+        }
+
+        const settings = survey.settings || {};
+
+        state.survey = survey;
+        state.respondentKey = state.isPreview ? `preview_${Date.now()}` : getRespondentKey();
+
+        // منع المشاركة المتكررة
+        if (!state.isPreview && !settings.allowMultipleAttempts &&
+            await hasPreviousResponse(survey.id, state.respondentKey)) {
+            renderAlreadySubmitted();
+            return;
+        }
+
+        // ترتيب عشوائي ثابت لكل مشارك
+        const pinned = typeof SurveyLogic !== 'undefined' ? SurveyLogic.getReferencedQuestions(survey) : [];
+        if (typeof SurveyQuotas !== 'undefined') {
+            pinned.push(...SurveyQuotas.getScreeningQuestions(survey).map(question => question.id));
+        }
+        const seed = SurveyEngine.createSeed(`${survey.id}:${state.respondentKey}`);
+        const { questions, randomization } = SurveyEngine.randomizeQuestions(
+            survey, SurveyEngine.getQuestions(survey), seed, pinned
+        );
+
+        state.questions = questions;
+        state.randomization = randomization;
+        state.currentIndex = 0;
+        state.answers = {};
+        state.startedAt = new Date().toISOString();
+        state.isResumed = false;
+
+        // استئناف الإجابات غير المكتملة إن وجدت
+        const draft = state.isPreview ? null : await loadDraft(survey.id, state.respondentKey);
+        if (draft) {
+            restoreDraft(draft);
+            AnalyticsSystem.trackSurvey(survey.id, 'resume', { answered: draft.answeredCount });
+
+            // قد تمتلئ الحصص بين بدء المشاركة واستئنافها
+            if (typeof SurveyQuotas !== 'undefined' && SurveyQuotas.getScreeningQuestions(survey).length > 0 &&
+                !SurveyQuotas.isScreeningQuestion(state.questions[state.currentIndex])) {
+                const eligibility = await checkEligibility();
+                if (!eligibility.allowed) {
+                    screenOut(eligibility);
+                    return;
+                }
+            }
+        } else if (!state.isPreview) {
+            AnalyticsSystem.trackSurvey(survey.id, 'start');
+        }
+        render();
+    }
+
+    /**
+     * الحصول على معرف المشارك الحالي أو المعرف المجهول للجهاز
+     * @method getRespondentKey
+     */
+    function getRespondentKey() {
+        const user = AuthenticationSystem.getCurrentUser();
+        return user ? user.id : AnalyticsSystem.generateAnonymousId();
+    }
+
+    /**
+     * التحقق من وجود مشاركة سابقة محلياً أو على الخادم
+     * @method hasPreviousResponse
+     */
+    async function hasPreviousResponse(surveyId, respondentKey) {
+        const local = LocalDataService.getUserResponse(surveyId);
+        if (local && (!local.respondentKey || local.respondentKey === respondentKey)) {
+            return true;
+        }
+
+        if (!navigator.onLine) return false;
+
+        try {
+            const response = await ApiManager.checkSurveyParticipation(surveyId, respondentKey);
+            return Boolean(response.data && response.data.submitted);
+        } catch (error) {
+            console.warn('⚠️ فشل التحقق من المشاركة السابقة:', error);
+            return false;
+        }
+    }
+
+    /**
+     * عرض السؤال الحالي
+     * @method render
+     */
+    function render() {
+        const question = state.questions[state.currentIndex];
+        const isFirst = findVisibleIndex(state.currentIndex, -1) === -1;
+        const isLast = findVisibleIndex(state.currentIndex, 1) === -1;
+
+        state.container.innerHTML = `
+            <div class="survey-runner" ${state.language ? `lang="${state.language}" dir="${SurveyI18n.getDirection(state.language)}"` : ''}>
+                <div class="survey-runner-header">
+                    ${renderLanguageSwitcher()}
+                    <h2>${Utils.escapeHtml(state.survey.title)}</h2>
+                    <p class="text-muted">${Utils.escapeHtml(state.survey.description || '')}</p>
+                </div>
+
+                ${state.isResumed ? `
+                    <div class="survey-resume-notice alert alert-info">
+                        <span><i class="fas fa-history"></i> تابعت الاستبيان من حيث توقفت، وإجاباتك السابقة محفوظة.</span>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="restart">البدء من جديد</button>
+                    </div>
+                ` : ''}
+
+                ${state.survey.settings && state.survey.settings.showProgress ? renderProgress(question) : ''}
+
+                <div class="survey-question" data-question-id="${question.id}">
+                    <h4 class="question-text">
+                        ${Utils.escapeHtml(question.text)}
+                        ${question.required ? '<span class="required-mark">*</span>' : ''}
+                    </h4>
+                    ${question.description ? `<p class="question-description">${Utils.escapeHtml(question.description)}</p>` : ''}
+                    <div class="question-body">
+                        ${renderQuestionBody(question)}
+                    </div>
+                    <div class="question-error text-danger" role="alert"></div>
+                </div>
+
+                <div class="survey-runner-nav">
+                    <button class="btn btn-outline-secondary" data-action="prev" ${isFirst ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-right"></i> ${translate('previous', 'السابق')}
+                    </button>
+                    ${isLast ? `
+                        <button class="btn btn-primary" data-action="submit">
+                            <i class="fas fa-paper-plane"></i> ${translate('submit', 'إرسال الإجابات')}
+                        </button>
+                    ` : `
+                        <button class="btn btn-primary" data-action="next">
+                            ${translate('next', 'التالي')} <i class="fas fa-arrow-left"></i>
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض قائمة اختيار لغة الاستبيان
+     * @method renderLanguageSwitcher
+     */
+    function renderLanguageSwitcher() {
+        if (!state.language) return '';
+
+        const languages = SurveyI18n.getSurveyLanguages(state.sourceSurvey);
+        if (languages.length < 2) return '';
+
+        return `
+            <div class="survey-language-switcher">
+                <label for="surveyLanguage"><i class="fas fa-globe"></i> ${translate('language', 'اللغة')}</label>
+                <select id="surveyLanguage" class="form-select form-select-sm" data-action="switch-language">
+                    ${languages.map(language => `
+                        <option value="${language}" ${language === state.language ? 'selected' : ''}>
+                            ${Utils.escapeHtml(SurveyI18n.config.languages[language].label)}
+                        </option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * نص من واجهة المشغل بلغة العرض
+     * @method translate
+     */
+    function translate(key, fallback, params) {
+        return state.language ? SurveyI18n.translate(state.language, key, params) : fallback;
+    }
+
+    /**
+     * رسالة خطأ التحقق بلغة العرض
+     * @method translateError
+     */
+    function translateError(result) {
+        return result.code ? translate(result.code, result.message, result.params) : result.message;
+    }
+
+    /**
+     * تبديل لغة عرض الاستبيان مع الحفاظ على الإجابات والترتيب
+     * @method switchLanguage
+     */
+    function switchLanguage(language) {
+        if (!state.language || language === state.language) return;
+
+        // حفظ إجابة السؤال الحالي قبل إعادة العرض
+        const current = state.questions[state.currentIndex];
+        const answer = readAnswer(current);
+        if (!SurveyEngine.isAnswerEmpty(current, answer)) state.answers[current.id] = answer;
+
+        state.language = SurveyI18n.setLanguage(language, state.sourceSurvey);
+        state.survey = SurveyI18n.localizeSurvey(state.sourceSurvey, state.language);
+        state.questions = state.questions.map(question =>
+            SurveyI18n.localizeQuestion(state.sourceSurvey, question, state.language)
+        );
+
+        AnalyticsSystem.trackSurvey(state.survey.id, 'language_changed', { language: state.language });
+        render();
+    }
+
+    /**
+     * عرض مؤشر التقدم حسب الأسئلة الظاهرة
+     * @method renderProgress
+     */
+    function renderProgress(question) {
+        const visible = getVisibleQuestions();
+        const position = visible.indexOf(question) + 1;
+        const answered = visible.filter(item => !SurveyEngine.isAnswerEmpty(item, state.answers[item.id])).length;
+        const percentage = Math.round((answered / visible.length) * 100);
+
+        return `
+            <div class="survey-progress" aria-live="polite">
+                <div class="survey-progress-meta">
+                    <small>${translate('progress', `السؤال ${position} من ${visible.length}`, { position, total: visible.length })}</small>
+                    <small>${translate('completed', `تم إكمال ${percentage}%`, { percentage })}</small>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${percentage}%"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض محتوى السؤال حسب نوعه
+     * @method renderQuestionBody
+     */
+    function renderQuestionBody(question) {
+        const answer = state.answers[question.id];
+        const name = `q_${question.id}`;
+        const types = SurveyEngine.QUESTION_TYPES;
+
+        switch (question.type) {
+            case types.SINGLE_CHOICE:
+                return question.options.map(option => renderChoice('radio', name, option.value, option.label, answer === option.value)).join('');
+
+            case types.MULTIPLE_CHOICE:
+                return question.options.map(option => renderChoice('checkbox', name, option.value, option.label,
+                    Array.isArray(answer) && answer.includes(option.value))).join('');
+
+            case types.LIKERT:
+                return `
+                    <div class="likert-scale">
+                        ${question.labels.map((label, index) => renderChoice('radio', name, index + 1, label, answer === index + 1)).join('')}
+                    </div>
+                `;
+
+            case types.RATING:
+                return `
+                    <div class="rating-scale">
+                        ${Array.from({ length: question.max }, (_, index) => renderChoice('radio', name, index + 1, index + 1, answer === index + 1)).join('')}
+                    </div>
+                `;
+
+            case types.TEXT: {
+                if (question.multiline) {
+                    return `<textarea class="form-control" name="${name}" rows="4" maxlength="${question.maxLength}">${Utils.escapeHtml(answer || '')}</textarea>`;
+                }
+
+                // الهاتف والبريد والأرقام تُكتب من اليسار إلى اليمين
+                const inputType = { phone: 'tel', email: 'email' }[question.format] || 'text';
+                const isLtr = ['phone', 'email', 'digits'].includes(question.format);
+                return `<input type="${inputType}" class="form-control" name="${name}" maxlength="${question.maxLength}"
+                    ${isLtr ? 'dir="ltr"' : ''} value="${Utils.escapeHtml(answer || '')}">`;
+            }
+
+            case types.NUMBER:
+                return `
+                    <div class="input-group">
+                        <input type="text" class="form-control" name="${name}" dir="ltr"
+                            inputmode="${question.integer ? 'numeric' : 'decimal'}"
+                            value="${answer !== undefined && answer !== null ? answer : ''}">
+                        ${question.unit ? `<span class="input-group-text">${Utils.escapeHtml(question.unit)}</span>` : ''}
+                    </div>
+                `;
+
+            case types.DATE:
+                return `<input type="date" class="form-control" name="${name}"
+                    ${question.min ? `min="${question.min}"` : ''}
+                    ${question.max ? `max="${question.max}"` : ''}
+                    value="${answer || ''}">`;
+
+            case types.RANKING:
+                return renderRanking(question, answer);
+
+            case types.MATRIX:
+                return renderMatrix(question, answer || {});
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * عرض خيار اختيار واحد أو متعدد
+     * @method renderChoice
+     */
+    function renderChoice(type, name, value, label, checked) {
+        const id = `${name}_${value}`;
+        return `
+            <div class="form-check">
+                <input class="form-check-input" type="${type}" name="${name}" id="${id}"
+                    value="${Utils.escapeHtml(String(value))}" ${checked ? 'checked' : ''}>
+                <label class="form-check-label" for="${id}">${Utils.escapeHtml(String(label))}</label>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض سؤال الترتيب
+     * @method renderRanking
+     */
+    function renderRanking(question, answer) {
+        // الترتيب المعروض ليس إجابة حتى يحرّك المشارك عنصراً أو يعتمده
+        const touched = Array.isArray(answer);
+        const order = touched ? answer : question.options.map(option => option.value);
+
+        return `
+            <ol class="ranking-list" data-touched="${touched}">
+                ${order.map((value, index) => `
+                    <li class="ranking-item" data-value="${Utils.escapeHtml(value)}">
+                        <span>${Utils.escapeHtml(SurveyEngine.getOptionLabel(question, value))}</span>
+                        <span class="ranking-controls">
+                            <button type="button" class="btn btn-sm btn-light" data-action="rank-up" data-index="${index}" ${index === 0 ? 'disabled' : ''}>
+                                <i class="fas fa-chevron-up"></i>
+                            </button>
+                            <button type="button" class="btn btn-sm btn-light" data-action="rank-down" data-index="${index}" ${index === order.length - 1 ? 'disabled' : ''}>
+                                <i class="fas fa-chevron-down"></i>
+                            </button>
+                        </span>
+                    </li>
+                `).join('')}
+            </ol>
+            ${touched ? '' : `
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="rank-confirm">
+                    <i class="fas fa-check"></i> ${translate('rankConfirm', 'اعتماد هذا الترتيب')}
+                </button>
+            `}
+        `;
+    }
+
+    /**
+     * عرض سؤال المصفوفة
+     * @method renderMatrix
+     */
+    function renderMatrix(question, answer) {
+        return `
+            <div class="table-responsive">
+                <table class="table matrix-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${question.columns.map(column => `<th>${Utils.escapeHtml(column.label)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${question.rows.map(row => `
+                            <tr data-row="${Utils.escapeHtml(row.value)}">
+                                <th>${Utils.escapeHtml(row.label)}</th>
+                                ${question.columns.map(column => `
+                                    <td>
+                                        <input class="form-check-input" type="radio"
+                                            name="q_${question.id}_${Utils.escapeHtml(row.value)}"
+                                            value="${Utils.escapeHtml(column.value)}"
+                                            aria-label="${Utils.escapeHtml(row.label)} - ${Utils.escapeHtml(column.label)}"
+                                            ${answer[row.value] === column.value ? 'checked' : ''}>
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * قراءة إجابة السؤال الحالي من الواجهة
+     * @method readAnswer
+     */
+    function readAnswer(question) {
+        const root = state.container.querySelector('.question-body');
+        const name = `q_${question.id}`;
+        const types = SurveyEngine.QUESTION_TYPES;
+
+        switch (question.type) {
+            case types.SINGLE_CHOICE: {
+                const checked = root.querySelector(`input[name="${name}"]:checked`);
+                return checked ? checked.value : null;
+            }
+            case types.MULTIPLE_CHOICE:
+                return Array.from(root.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+
+            case types.LIKERT:
+            case types.RATING: {
+                const checked = root.querySelector(`input[name="${name}"]:checked`);
+                return checked ? parseInt(checked.value, 10) : null;
+            }
+            case types.TEXT: {
+                const field = root.querySelector(`[name="${name}"]`);
+                return Validator.normalizeText(field.value, question.format);
+            }
+            case types.NUMBER: {
+                // قبول الأرقام العربية الهندية مثل ٣٥
+                const field = root.querySelector(`[name="${name}"]`);
+                return Validator.parseNumber(field.value);
+            }
+            case types.DATE: {
+                const field = root.querySelector(`[name="${name}"]`);
+                return field.value || null;
+            }
+            case types.RANKING: {
+                const list = root.querySelector('.ranking-list');
+                return list && list.getAttribute('data-touched') === 'true' ? readRankingOrder() : null;
+            }
+
+            case types.MATRIX: {
+                const answer = {};
+                root.querySelectorAll('tr[data-row]').forEach(row => {
+                    const checked = row.querySelector('input:checked');
+                    if (checked) {
+                        answer[row.getAttribute('data-row')] = checked.value;
+                    }
+                });
+                return answer;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * التعامل مع النقر داخل المشغل
+     * @method handleClick
+     */
+    function handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || !state.survey) return;
+
+        switch (button.getAttribute('data-action')) {
+            case 'next':
+                handleNext();
+                break;
+            case 'prev':
+                handlePrevious();
+                break;
+            case 'submit':
+                handleSubmit();
+                break;
+            case 'restart-preview':
+                start(state.survey);
+                break;
+            case 'restart':
+                restartSurvey();
+                break;
+            case 'rank-up':
+            case 'rank-down':
+                moveRankingItem(
+                    parseInt(button.getAttribute('data-index'), 10),
+                    button.getAttribute('data-action') === 'rank-up' ? -1 : 1
+                );
+                break;
+            case 'rank-confirm':
+                moveRankingItem(0, 0);
+                break;
+        }
+    }
+
+    /**
+     * الترتيب المعروض حالياً في قائمة الترتيب
+     * @method readRankingOrder
+     */
+    function readRankingOrder() {
+        const root = state.container.querySelector('.question-body');
+        return Array.from(root.querySelectorAll('.ranking-item')).map(item => item.getAttribute('data-value'));
+    }
+
+    /**
+     * تحريك عنصر في قائمة الترتيب واعتماد الترتيب كإجابة
+     * @method moveRankingItem
+     */
+    function moveRankingItem(index, direction) {
+        const question = state.questions[state.currentIndex];
+        const order = readRankingOrder();
+        const target = index + direction;
+
+        if (target < 0 || target >= order.length) return;
+
+        [order[index], order[target]] = [order[target], order[index]];
+        state.answers[question.id] = order;
+        saveDraft();
+        render();
+    }
+
+    /**
+     * حفظ إجابة السؤال الحالي والتحقق منها
+     * @method commitCurrentAnswer
+     */
+    function commitCurrentAnswer() {
+        const question = state.questions[state.currentIndex];
+        const answer = readAnswer(question);
+        const result = SurveyEngine.validateAnswer(question, answer);
+
+        state.answers[question.id] = answer;
+
+        const errorElement = state.container.querySelector('.question-error');
+        if (errorElement) {
+            errorElement.textContent = result.valid ? '' : translateError(result);
+        }
+
+        return result.valid;
+    }
+
+    /**
+     * الحصول على الأسئلة الظاهرة حسب قواعد التفرع
+     * @method getVisibleQuestions
+     */
+    function getVisibleQuestions() {
+        if (typeof SurveyLogic === 'undefined') return state.questions;
+        return SurveyLogic.getVisibleQuestions(state.survey, state.questions, state.answers);
+    }
+
+    /**
+     * البحث عن أقرب سؤال ظاهر في اتجاه معين
+     * @method findVisibleIndex
+     */
+    function findVisibleIndex(fromIndex, direction) {
+        const visible = getVisibleQuestions();
+
+        for (let index = fromIndex + direction; index >= 0 && index < state.questions.length; index += direction) {
+            if (visible.includes(state.questions[index])) return index;
+        }
+
+        return -1;
+    }
+
+    /**
+     * الحصول على قاعدة إنهاء متحققة
+     * @method getEndRule
+     */
+    function getEndRule() {
+        if (typeof SurveyLogic === 'undefined') return null;
+        return SurveyLogic.getEndRule(state.survey, state.answers);
+    }
+
+    /**
+     * الانتقال للسؤال التالي
+     * @method handleNext
+     */
+    async function handleNext() {
+        if (state.isSubmitting || !commitCurrentAnswer()) return;
+
+        const endRule = getEndRule();
+        if (endRule) {
+            await submit(endRule);
+            return;
+        }
+
+        const nextIndex = findVisibleIndex(state.currentIndex, 1);
+        if (nextIndex === -1) {
+            // لم يتبق أسئلة ظاهرة بعد تغيير الإجابة
+            render();
+            return;
+        }
+
+        // التحقق من الحصص عند الانتهاء من أسئلة الفرز
+        if (isLeavingScreening(nextIndex)) {
+            const eligibility = await checkEligibility();
+            if (!eligibility.allowed) {
+                screenOut(eligibility);
+                return;
+            }
+        }
+
+        state.currentIndex = nextIndex;
+        state.isResumed = false;
+        saveDraft(true);
+        render();
+    }
+
+    /**
+     * التحقق إذا كان الانتقال يتجاوز آخر أسئلة الفرز
+     * @method isLeavingScreening
+     */
+    function isLeavingScreening(nextIndex) {
+        if (typeof SurveyQuotas === 'undefined' || state.isPreview) return false;
+
+        return SurveyQuotas.isScreeningQuestion(state.questions[state.currentIndex]) &&
+            !SurveyQuotas.isScreeningQuestion(state.questions[nextIndex]);
+    }
+
+    /**
+     * التحقق من أهلية المشارك حسب امتلاء الحصص
+     * @method checkEligibility
+     */
+    async function checkEligibility() {
+        const status = await SurveyQuotas.getStatus(state.survey);
+        return SurveyQuotas.checkEligibility(state.survey, state.answers, status);
+    }
+
+    /**
+     * إنهاء مشاركة مستبعدة بسبب امتلاء الحصص
+     * @method screenOut
+     */
+    function screenOut(eligibility) {
+        clearDraft();
+
+        AnalyticsSystem.trackSurvey(state.survey.id, 'screened_out', {
+            quota: eligibility.quota
+        });
+
+        state.container.innerHTML = `
+            <div class="survey-runner text-center">
+                <i class="fas fa-users fa-3x text-muted mb-3"></i>
+                <h3>${translate('screenedOutTitle', 'شكراً لاهتمامك بالمشاركة')}</h3>
+                <p>${Utils.escapeHtml(eligibility.message)}</p>
+                <a href="../index.html" class="btn btn-primary">${translate('browseSurveys', 'تصفح استبيانات أخرى')}</a>
+            </div>
+        `;
+    }
+
+    /**
+     * العودة للسؤال السابق
+     * @method handlePrevious
+     */
+    function handlePrevious() {
+        // حفظ الإجابة الحالية بدون فرض التحقق
+        const question = state.questions[state.currentIndex];
+        state.answers[question.id] = readAnswer(question);
+
+        const previousIndex = findVisibleIndex(state.currentIndex, -1);
+        if (previousIndex === -1) return;
+
+        state.currentIndex = previousIndex;
+        saveDraft(true);
+        render();
+    }
+
+    /**
+     * التعامل مع إرسال الاستبيان
+     * @method handleSubmit
+     */
+    async function handleSubmit() {
+        if (state.isSubmitting || !commitCurrentAnswer()) return;
+
+        const endRule = getEndRule();
+        if (endRule) {
+            await submit(endRule);
+            return;
+        }
+
+        // قد يؤدي تغيير الإجابة الأخيرة إلى إظهار أسئلة لاحقة
+        const nextIndex = findVisibleIndex(state.currentIndex, 1);
+        if (nextIndex !== -1) {
+            state.currentIndex = nextIndex;
+            render();
+            return;
+        }
+
+        const visible = getVisibleQuestions();
+        const validation = SurveyEngine.validateAnswers(state.survey, state.answers, visible);
+        if (!validation.valid) {
+            // العودة لأول سؤال يحتوي على خطأ
+            const firstInvalid = state.questions.findIndex(question => validation.errors[question.id]);
+            state.currentIndex = firstInvalid;
+            render();
+            state.container.querySelector('.question-error').textContent = validation.errors[state.questions[firstInvalid].id];
+            return;
+        }
+
+        await submit();
+    }
+
+    /**
+     * إرسال الإجابات
+     * @method submit
+     */
+    async function submit(endRule = null) {
+        if (state.isSubmitting) return;
+
+        state.isSubmitting = true;
+        setSubmitLoading(true);
+
+        // استبعاد إجابات الأسئلة التي أخفتها قواعد التفرع
+        const answers = typeof SurveyLogic !== 'undefined' ?
+            SurveyLogic.filterAnswers(state.survey, state.questions, state.answers) :
+            state.answers;
+
+        const user = AuthenticationSystem.getCurrentUser();
+        const payload = SurveyEngine.buildResponsePayload(state.survey, answers, {
+            startedAt: state.startedAt,
+            respondentId: user ? user.id : null,
+            anonymousId: user ? null : state.respondentKey,
+            language: state.language,
+            endedBy: endRule ? endRule.id : null,
+            randomization: state.randomization
+        });
+
+        // لا تُرسل إجابات المعاينة
+        if (state.isPreview) {
+            state.isSubmitting = false;
+            renderPreviewEnd(payload, endRule);
+            return;
+        }
+
+        let synced = false;
+
+        try {
+            if (navigator.onLine) {
+                await ApiManager.submitSurveyResponse(state.survey.id, payload);
+                synced = true;
+            }
+        } catch (error) {
+            // سبق للمشارك إرسال إجاباته
+            if (error instanceof ApiManager.ApiError && error.status === 409 &&
+                !(state.survey.settings && state.survey.settings.allowMultipleAttempts)) {
+                state.isSubmitting = false;
+                renderAlreadySubmitted();
+                return;
+            }
+
+            // رفض الخادم للإجابات لا يُعاد إرساله لاحقاً
+            if (error instanceof ApiManager.ApiError && error.status >= 400 && error.status < 500) {
+                console.error('❌ رفض الخادم الإجابات:', error);
+                App.showToast(error.message || translate('submitRejected', 'تعذر قبول الإجابات'), 'error');
+                state.isSubmitting = false;
+                setSubmitLoading(false);
+                return;
+            }
+
+            console.warn('⚠️ فشل إرسال الإجابات، سيتم إرسالها عند المزامنة:', error);
+        }
+
+        // كل رد غير متزامن يدخل طابور عدم الاتصال مستقلاً، فلا تحل محاولة أو مشارك آخر على الجهاز محله
+        if (!synced) {
+            LocalDataService.saveOfflineData('survey_response', { surveyId: state.survey.id, responses: payload });
+        }
+
+        // سجل آخر مشاركة في الاستبيان لمنع التكرار وعرض النتائج وربط الردود المجهولة
+        LocalDataService.saveUserResponse(state.survey.id, payload, {
+            synced,
+            queued: !synced,
+            respondentKey: state.respondentKey,
+            anonymous: !user
+        });
+
+        clearDraft();
+
+        AnalyticsSystem.trackSurvey(state.survey.id, 'complete', {
+            duration: payload.duration,
+            endedBy: payload.endedBy
+        });
+
+        state.isSubmitting = false;
+        renderCompletion(synced, endRule ? endRule.then.message : null);
+    }
+
+    // ========== حفظ التقدم والاستئناف ==========
+
+    /**
+     * حفظ الإجابة عند تغييرها دون انتظار الانتقال
+     * @method handleAnswerChange
+     */
+    function handleAnswerChange(event) {
+        if (event.target.getAttribute('data-action') === 'switch-language') {
+            switchLanguage(event.target.value);
+            return;
+        }
+
+        if (!state.survey || state.isPreview || !event.target.closest('.survey-question')) return;
+
+        const question = state.questions[state.currentIndex];
+        state.answers[question.id] = readAnswer(question);
+        saveDraft();
+    }
+
+    /**
+     * بناء مسودة بالإجابات الحالية
+     * @method buildDraft
+     */
+    function buildDraft() {
+        const visible = getVisibleQuestions();
+
+        return {
+            answers: state.answers,
+            currentQuestionId: state.questions[state.currentIndex].id,
+            startedAt: state.startedAt,
+            randomization: state.randomization,
+            answeredCount: visible.filter(question => !SurveyEngine.isAnswerEmpty(question, state.answers[question.id])).length,
+            totalQuestions: visible.length,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * حفظ المسودة محلياً وعلى الخادم للمستخدمين المسجلين
+     * @method saveDraft
+     */
+    function saveDraft(syncServer = false) {
+        if (state.isPreview || !state.survey) return;
+
+        const draft = buildDraft();
+        LocalDataService.saveResponseDraft(state.survey.id, state.respondentKey, draft);
+
+        const user = AuthenticationSystem.getCurrentUser();
+        if (syncServer && user && navigator.onLine) {
+            ApiManager.saveResponseDraft(state.survey.id, { ...draft, respondentId: user.id }).catch(error => {
+                console.warn('⚠️ فشل حفظ المسودة على الخادم:', error);
+            });
+        }
+    }
+
+    /**
+     * تحميل أحدث مسودة من الجهاز أو الخادم
+     * @method loadDraft
+     */
+    async function loadDraft(surveyId, respondentKey) {
+        const user = AuthenticationSystem.getCurrentUser();
+        let draft = LocalDataService.getResponseDraft(surveyId, respondentKey);
+
+        // نقل مسودة بدأها المستخدم قبل تسجيل الدخول
+        if (!draft && user) {
+            const anonymousKey = AnalyticsSystem.generateAnonymousId();
+            draft = LocalDataService.getResponseDraft(surveyId, anonymousKey);
+            if (draft) LocalDataService.removeResponseDraft(surveyId, anonymousKey);
+        }
+
+        if (user && navigator.onLine) {
+            try {
+                const response = await ApiManager.getResponseDraft(surveyId, user.id);
+                const serverDraft = response.data;
+                if (serverDraft && serverDraft.answers &&
+                    (!draft || new Date(serverDraft.updatedAt) > new Date(draft.updatedAt))) {
+                    draft = serverDraft;
+                }
+            } catch (error) {
+                console.warn('⚠️ فشل تحميل المسودة من الخادم:', error);
+            }
+        }
+
+        return draft && draft.answers && Object.keys(draft.answers).length > 0 ? draft : null;
+    }
+
+    /**
+     * استعادة الإجابات والموضع من المسودة
+     * @method restoreDraft
+     */
+    function restoreDraft(draft) {
+        state.answers = { ...draft.answers };
+        state.startedAt = draft.startedAt || state.startedAt;
+        state.isResumed = true;
+
+        const index = state.questions.findIndex(question => question.id === draft.currentQuestionId);
+        const isVisible = index !== -1 && getVisibleQuestions().includes(state.questions[index]);
+        state.currentIndex = isVisible ? index : Math.max(findVisibleIndex(-1, 1), 0);
+    }
+
+    /**
+     * حذف المسودة بعد الإرسال
+     * @method clearDraft
+     */
+    function clearDraft() {
+        LocalDataService.removeResponseDraft(state.survey.id, state.respondentKey);
+
+        const user = AuthenticationSystem.getCurrentUser();
+        if (user && navigator.onLine) {
+            ApiManager.deleteResponseDraft(state.survey.id, user.id).catch(error => {
+                console.warn('⚠️ فشل حذف المسودة من الخادم:', error);
+            });
+        }
+    }
+
+    /**
+     * تجاهل المسودة والبدء من السؤال الأول
+     * @method restartSurvey
+     */
+    function restartSurvey() {
+        if (!window.confirm(translate('restartConfirm', 'سيتم حذف إجاباتك المحفوظة والبدء من جديد. هل تريد المتابعة؟'))) return;
+
+        clearDraft();
+        state.answers = {};
+        state.startedAt = new Date().toISOString();
+        state.isResumed = false;
+        state.currentIndex = Math.max(findVisibleIndex(-1, 1), 0);
+        render();
+    }
+
+    /**
+     * تحديث حالة زر الإرسال
+     * @method setSubmitLoading
+     */
+    function setSubmitLoading(isLoading) {
+        const button = state.container.querySelector('[data-action="submit"]');
+        if (!button) return;
+
+        button.disabled = isLoading;
+        button.innerHTML = isLoading ?
+            `<i class="fas fa-spinner fa-spin"></i> ${translate('submitting', 'جاري الإرسال...')}` :
+            `<i class="fas fa-paper-plane"></i> ${translate('submit', 'إرسال الإجابات')}`;
+    }
+
+    /**
+     * عرض شاشة الإكمال
+     * @method renderCompletion
+     */
+    function renderCompletion(synced, message = null) {
+        state.container.innerHTML = `
+            <div class="survey-runner survey-complete text-center">
+                <i class="fas fa-check-circle fa-4x text-success mb-3"></i>
+                <h3>${translate('thankYou', 'شكراً لمشاركتك!')}</h3>
+                ${message ? `<p>${Utils.escapeHtml(message)}</p>` : ''}
+                <p>${synced ?
+                    translate('received', 'تم استلام إجاباتك بنجاح.') :
+                    translate('savedOffline', 'تم حفظ إجاباتك على جهازك وسيتم إرسالها تلقائياً عند عودة الاتصال.')}</p>
+                ${shouldShowResults() ? '<div class="survey-results-summary"></div>' : ''}
+                ${AuthenticationSystem.getCurrentUser() ? '' : `
+                    <div class="survey-claim-hint">
+                        <p class="text-muted mb-2">${translate('claimHint', 'شاركت بدون حساب. يمكنك لاحقاً ربط مشاركاتك من هذا الجهاز بحسابك عند التسجيل أو تسجيل الدخول.')}</p>
+                        <a href="${getLoginUrl()}" class="btn btn-sm btn-outline-primary">
+                            <i class="fas fa-link"></i> ${translate('claimLink', 'ربط إجاباتي بحساب')}
+                        </a>
+                    </div>
+                `}
+                <a href="../index.html" class="btn btn-primary mt-3">
+                    <i class="fas fa-home"></i> ${translate('backHome', 'العودة للرئيسية')}
+                </a>
+            </div>
+        `;
+
+        loadResultsSummary();
+    }
+
+    /**
+     * رابط تسجيل الدخول مع العودة للاستبيان الحالي
+     * @method getLoginUrl
+     */
+    function getLoginUrl() {
+        const surveyId = state.survey ? state.survey.id : '';
+        return `dashboard/login.html?redirect=${encodeURIComponent(`../survey.html?id=${surveyId}`)}`;
+    }
+
+    /**
+     * عرض رسالة تطلب تسجيل الدخول
+     * @method renderLoginRequired
+     */
+    function renderLoginRequired(survey) {
+        state.survey = survey;
+        state.container.innerHTML = `
+            <div class="survey-runner text-center">
+                <i class="fas fa-user-lock fa-3x text-primary mb-3"></i>
+                <h3>${Utils.escapeHtml(survey.title)}</h3>
+                <p>يتطلب هذا الاستبيان تسجيل الدخول للمشاركة.</p>
+                <a href="${getLoginUrl()}" class="btn btn-primary">
+                    <i class="fas fa-sign-in-alt"></i> تسجيل الدخول
+                </a>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض أسباب عدم أهلية المستخدم للاستبيان
+     * @method renderIneligible
+     */
+    function renderIneligible(survey, eligibility) {
+        state.survey = survey;
+        state.container.innerHTML = `
+            <div class="survey-runner text-center">
+                <i class="fas fa-user-slash fa-3x text-muted mb-3"></i>
+                <h3>${Utils.escapeHtml(survey.title)}</h3>
+                <p>${Utils.escapeHtml(eligibility.message)}</p>
+                <ul class="survey-ineligible-reasons">
+                    ${eligibility.reasons.map(reason => `<li>${Utils.escapeHtml(reason)}</li>`).join('')}
+                </ul>
+                <a href="../index.html" class="btn btn-primary mt-3">تصفح استبيانات أخرى</a>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض نهاية المعاينة مع الإجابات المجمعة
+     * @method renderPreviewEnd
+     */
+    function renderPreviewEnd(payload, endRule) {
+        state.container.innerHTML = `
+            <div class="survey-runner survey-complete text-center">
+                <i class="fas fa-eye fa-3x text-primary mb-3"></i>
+                <h3>انتهت المعاينة</h3>
+                ${endRule && endRule.then.message ? `<p>${Utils.escapeHtml(endRule.then.message)}</p>` : ''}
+                <p class="text-muted">لم يتم حفظ أي إجابات. هذه هي البيانات التي كانت ستُرسل:</p>
+                <pre class="survey-preview-payload">${Utils.escapeHtml(JSON.stringify(payload.answers, null, 2))}</pre>
+                <button type="button" class="btn btn-outline-primary" data-action="restart-preview">
+                    <i class="fas fa-redo"></i> إعادة المعاينة
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض رسالة المشاركة السابقة
+     * @method renderAlreadySubmitted
+     */
+    function renderAlreadySubmitted() {
+        state.container.innerHTML = `
+            <div class="survey-runner survey-complete text-center">
+                <i class="fas fa-clipboard-check fa-4x text-primary mb-3"></i>
+                <h3>${translate('alreadySubmittedTitle', 'لقد شاركت في هذا الاستبيان مسبقاً')}</h3>
+                <p>${translate('alreadySubmitted', 'لا يسمح هذا الاستبيان بأكثر من مشاركة واحدة. شكراً لمساهمتك!')}</p>
+                ${shouldShowResults() ? '<div class="survey-results-summary"></div>' : ''}
+                <a href="../index.html" class="btn btn-primary mt-3">
+                    <i class="fas fa-home"></i> ${translate('backHome', 'العودة للرئيسية')}
+                </a>
+            </div>
+        `;
+
+        loadResultsSummary();
+    }
+
+    /**
+     * التحقق من إتاحة النتائج للمشارك بعد الإرسال
+     * @method shouldShowResults
+     */
+    function shouldShowResults() {
+        return Boolean(state.survey && state.survey.settings && state.survey.settings.showResults);
+    }
+
+    /**
+     * تحميل ملخص إجابات المشاركين وعرضه
+     * @method loadResultsSummary
+     */
+    async function loadResultsSummary() {
+        const target = state.container.querySelector('.survey-results-summary');
+        if (!target) return;
+
+        const local = LocalDataService.getUserResponse(state.survey.id);
+        const ownAnswers = local && local.responses ? local.responses.answers || {} : {};
+
+        target.innerHTML = `
+            <div class="spinner-border spinner-border-sm text-primary" role="status">
+                <span class="visually-hidden">${translate('resultsLoading', 'جاري تحميل النتائج...')}</span>
+            </div>
+        `;
+
+        try {
+            const response = await ApiManager.getSurveyResponseSummary(state.survey.id);
+            target.innerHTML = renderResultsSummary(response.data || response, ownAnswers);
+        } catch (error) {
+            console.warn('⚠️ فشل تحميل ملخص النتائج:', error);
+
+            // حساب الملخص من الردود المحفوظة على هذا الجهاز
+            const stored = typeof SurveyResponses !== 'undefined' ? SurveyResponses.getStored(state.survey.id) : [];
+            target.innerHTML = stored.length
+                ? renderResultsSummary(SurveyResponses.summarize(state.survey, stored), ownAnswers)
+                : `<p class="text-muted">${translate('resultsOffline', 'ستتوفر نتائج المشاركين عند عودة الاتصال.')}</p>`;
+        }
+    }
+
+    /**
+     * عرض توزيع الإجابات لكل سؤال مع إبراز إجابة المشارك
+     * @method renderResultsSummary
+     */
+    function renderResultsSummary(summary, ownAnswers) {
+        const types = SurveyEngine.QUESTION_TYPES;
+        const counts = summary.questions || {};
+
+        const blocks = SurveyEngine.getQuestions(state.survey)
+            .filter(question => counts[question.id] && [
+                types.SINGLE_CHOICE, types.MULTIPLE_CHOICE, types.LIKERT, types.RATING
+            ].includes(question.type))
+            .map(question => {
+                const questionCounts = counts[question.id];
+                const own = ownAnswers[question.id];
+                const total = question.type === types.MULTIPLE_CHOICE ?
+                    summary.total :
+                    Object.values(questionCounts).reduce((sum, count) => sum + count, 0);
+
+                const rows = Object.entries(questionCounts).map(([value, count]) => {
+                    const percentage = total > 0 ? Math.round((count / total) * 100) : 0;
+                    const isOwn = Array.isArray(own) ? own.includes(value) : String(own) === value;
+
+                    return `
+                        <div class="result-row ${isOwn ? 'is-own' : ''}">
+                            <div class="result-row-label">
+                                <span>${Utils.escapeHtml(getAnswerLabel(question, value))}</span>
+                                <span>${percentage}%</span>
+                            </div>
+                            <div class="progress-bar">
+                                <div class="progress-fill" style="width: ${percentage}%"></div>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+
+                return `
+                    <div class="survey-result-question">
+                        <h6>${Utils.escapeHtml(question.text)}</h6>
+                        ${rows}
+                    </div>
+                `;
+            });
+
+        const count = Utils.formatNumber(summary.total || 0);
+
+        if (blocks.length === 0) {
+            return `<p class="text-muted">${translate('resultsEmpty', 'لا تتوفر نتائج كافية للعرض بعد.')}</p>`;
+        }
+
+        return `
+            <h5 class="mt-4">${translate('resultsTitle', 'كيف أجاب الآخرون؟')}</h5>
+            <p class="text-muted small">${translate('resultsCount', `عدد المشاركين حتى الآن: ${count} • إجابتك مميزة باللون`, { count })}</p>
+            ${blocks.join('')}
+        `;
+    }
+
+    /**
+     * الحصول على تسمية الإجابة حسب نوع السؤال
+     * @method getAnswerLabel
+     */
+    function getAnswerLabel(question, value) {
+        if (question.type === SurveyEngine.QUESTION_TYPES.LIKERT) {
+            return question.labels[parseInt(value, 10) - 1] || value;
+        }
+        if (question.type === SurveyEngine.QUESTION_TYPES.RATING) {
+            return translate('ratingValue', `${value} من ${question.max}`, { value, max: question.max });
+        }
+        return SurveyEngine.getOptionLabel(question, value);
+    }
+
+    /**
+     * عرض حالة التحميل
+     * @method renderLoading
+     */
+    function renderLoading() {
+        state.container.innerHTML = `
+            <div class="survey-runner text-center">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">جاري التحميل...</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * عرض رسالة خطأ
+     * @method renderError
+     */
+    function renderError(message) {
+        state.container.innerHTML = `
+            <div class="survey-runner text-center">
+                <i class="fas fa-exclamation-circle fa-3x text-danger mb-3"></i>
+                <p>${Utils.escapeHtml(message)}</p>
+                <a href="../index.html" class="btn btn-outline-primary">العودة للرئيسية</a>
+            </div>
+        `;
+    }
+
+    return {
+        init,
+        config,
+        start,
+        preview,
+        loadSurvey,
+        getState: () => ({ ...state })
+    };
+})();
+
+/**
+ * تصدير الكائنات للاستخدام العام
+ */
+window.SurveyEngine = SurveyEngine;
+window.SurveyRunner = SurveyRunner;
+
+// تصدير افتراضي
+export { SurveyEngine, SurveyRunner };
+```
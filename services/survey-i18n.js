@@ -0,0 +1,536 @@
+```javascript
+/* ============================================
+   صوت حضرموت - تعدد لغات محتوى الاستبيانات
+   ============================================ */
+
+/**
+ * ترجمات الاستبيانات وسلسلة اللغات البديلة
+ * @namespace SurveyI18n
+ *
+ * تُضاف الترجمات في الحقل "translations" من تعريف الاستبيان، وتبقى معرفات الأسئلة
+ * وقيم الخيارات واحدة في كل اللغات حتى تُدمج الإجابات عند التحليل:
+ * { "en": { "title": "...", "questions": { "q1": { "text": "...", "options": { "yes": "Yes" } } } } }
+ */
+const SurveyI18n = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        defaultLanguage: 'ar',
+        storageKey: 'hadhramaut_survey_language',
+        languages: {
+            ar: { label: 'العربية', dir: 'rtl' },
+            en: { label: 'English', dir: 'ltr' },
+            ms: { label: 'Bahasa Melayu', dir: 'ltr' },
+            id: { label: 'Bahasa Indonesia', dir: 'ltr' }
+        },
+        // اللغات البديلة قبل الرجوع إلى لغة الاستبيان الأصلية
+        fallbacks: {
+            ms: ['id', 'en'],
+            id: ['ms', 'en'],
+            en: [],
+            ar: []
+        },
+        // أسماء اللغات كما تُكتب في الحقل "language"
+        aliases: {
+            'عربي': 'ar',
+            'العربية': 'ar',
+            'إنجليزي': 'en',
+            'English': 'en'
+        },
+        likertLabels: {
+            en: {
+                5: ['Strongly disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly agree'],
+                7: ['Strongly disagree', 'Disagree', 'Somewhat disagree', 'Neutral', 'Somewhat agree', 'Agree', 'Strongly agree']
+            },
+            ms: {
+                5: ['Sangat tidak setuju', 'Tidak setuju', 'Neutral', 'Setuju', 'Sangat setuju']
+            },
+            id: {
+                5: ['Sangat tidak setuju', 'Tidak setuju', 'Netral', 'Setuju', 'Sangat setuju']
+            }
+        },
+        // نصوص واجهة المشغل
+        strings: {
+            ar: {
+                previous: 'السابق',
+                next: 'التالي',
+                submit: 'إرسال الإجابات',
+                progress: 'السؤال {position} من {total}',
+                completed: 'تم إكمال {percentage}%',
+                language: 'اللغة',
+                submitting: 'جاري الإرسال...',
+                thankYou: 'شكراً لمشاركتك!',
+                received: 'تم استلام إجاباتك بنجاح.',
+                savedOffline: 'تم حفظ إجاباتك على جهازك وسيتم إرسالها تلقائياً عند عودة الاتصال.',
+                claimHint: 'شاركت بدون حساب. يمكنك لاحقاً ربط مشاركاتك من هذا الجهاز بحسابك عند التسجيل أو تسجيل الدخول.',
+                claimLink: 'ربط إجاباتي بحساب',
+                backHome: 'العودة للرئيسية',
+                submitRejected: 'تعذر قبول الإجابات',
+                restartConfirm: 'سيتم حذف إجاباتك المحفوظة والبدء من جديد. هل تريد المتابعة؟',
+                alreadySubmittedTitle: 'لقد شاركت في هذا الاستبيان مسبقاً',
+                alreadySubmitted: 'لا يسمح هذا الاستبيان بأكثر من مشاركة واحدة. شكراً لمساهمتك!',
+                screenedOutTitle: 'شكراً لاهتمامك بالمشاركة',
+                browseSurveys: 'تصفح استبيانات أخرى',
+                resultsTitle: 'كيف أجاب الآخرون؟',
+                resultsCount: 'عدد المشاركين حتى الآن: {count} • إجابتك مميزة باللون',
+                resultsLoading: 'جاري تحميل النتائج...',
+                resultsOffline: 'ستتوفر نتائج المشاركين عند عودة الاتصال.',
+                resultsEmpty: 'لا تتوفر نتائج كافية للعرض بعد.',
+                ratingValue: '{value} من {max}',
+                rankConfirm: 'اعتماد هذا الترتيب',
+                // رسائل التحقق من الإجابات بمفاتيح "code" في SurveyEngine.validateAnswer وValidator.validateConstraints
+                required: 'هذا السؤال إلزامي',
+                invalidOption: 'الخيار المحدد غير صالح',
+                invalidOptions: 'الخيارات المحددة غير صالحة',
+                duplicateOptions: 'الخيارات المحددة مكررة',
+                minSelections: 'يرجى اختيار {min} خيارات على الأقل',
+                maxSelections: 'يمكن اختيار {max} خيارات كحد أقصى',
+                outOfScale: 'القيمة خارج نطاق المقياس',
+                invalidText: 'يرجى إدخال نص صحيح',
+                invalidNumber: 'يرجى إدخال رقم صحيح',
+                integerOnly: 'يرجى إدخال عدد صحيح بدون كسور',
+                invalidDate: 'يرجى إدخال تاريخ صحيح',
+                dateMin: 'يجب ألا يسبق التاريخ {min}',
+                dateMax: 'يجب ألا يتجاوز التاريخ {max}',
+                rankAll: 'يرجى ترتيب جميع الخيارات',
+                invalidMatrix: 'إجابة المصفوفة غير صالحة',
+                matrixRows: 'يرجى الإجابة عن جميع البنود',
+                unknownType: 'نوع سؤال غير معروف',
+                minLength: 'يجب ألا يقل النص عن {min} حرفاً',
+                maxLength: 'يجب ألا يزيد النص عن {max} حرفاً',
+                min: 'يجب ألا تقل القيمة عن {min}',
+                max: 'يجب ألا تزيد القيمة عن {max}',
+                pattern: 'القيمة المدخلة لا تطابق الصيغة المطلوبة'
+            },
+            en: {
+                previous: 'Previous',
+                next: 'Next',
+                submit: 'Submit answers',
+                progress: 'Question {position} of {total}',
+                completed: '{percentage}% completed',
+                language: 'Language',
+                submitting: 'Submitting...',
+                thankYou: 'Thank you for taking part!',
+                received: 'Your answers have been received.',
+                savedOffline: 'Your answers are saved on this device and will be sent automatically when you are back online.',
+                claimHint: 'You took part without an account. You can link your answers from this device to an account later when you register or log in.',
+                claimLink: 'Link my answers to an account',
+                backHome: 'Back to home',
+                submitRejected: 'Your answers could not be accepted',
+                restartConfirm: 'Your saved answers will be deleted and you will start over. Continue?',
+                alreadySubmittedTitle: 'You have already taken part in this survey',
+                alreadySubmitted: 'This survey allows only one response. Thank you for your contribution!',
+                screenedOutTitle: 'Thank you for your interest in taking part',
+                browseSurveys: 'Browse other surveys',
+                resultsTitle: 'How did others answer?',
+                resultsCount: 'Participants so far: {count} • your answer is highlighted',
+                resultsLoading: 'Loading results...',
+                resultsOffline: 'Results will be available when you are back online.',
+                resultsEmpty: 'There are not enough results to show yet.',
+                ratingValue: '{value} of {max}',
+                rankConfirm: 'Keep this order',
+                required: 'This question is required',
+                invalidOption: 'The selected option is not valid',
+                invalidOptions: 'The selected options are not valid',
+                duplicateOptions: 'The selected options contain duplicates',
+                minSelections: 'Please select at least {min} options',
+                maxSelections: 'You can select at most {max} options',
+                outOfScale: 'The value is outside the scale',
+                invalidText: 'Please enter valid text',
+                invalidNumber: 'Please enter a valid number',
+                integerOnly: 'Please enter a whole number',
+                invalidDate: 'Please enter a valid date',
+                dateMin: 'The date must not be before {min}',
+                dateMax: 'The date must not be after {max}',
+                rankAll: 'Please rank all the options',
+                invalidMatrix: 'The grid answer is not valid',
+                matrixRows: 'Please answer every row',
+                unknownType: 'Unknown question type',
+                minLength: 'The text must be at least {min} characters',
+                maxLength: 'The text must be at most {max} characters',
+                min: 'The value must be at least {min}',
+                max: 'The value must be at most {max}',
+                pattern: 'The value does not match the required format'
+            },
+            ms: {
+                previous: 'Sebelumnya',
+                next: 'Seterusnya',
+                submit: 'Hantar jawapan',
+                progress: 'Soalan {position} daripada {total}',
+                completed: '{percentage}% selesai',
+                language: 'Bahasa',
+                submitting: 'Menghantar...',
+                thankYou: 'Terima kasih atas penyertaan anda!',
+                received: 'Jawapan anda telah diterima.',
+                savedOffline: 'Jawapan anda disimpan pada peranti ini dan akan dihantar secara automatik apabila sambungan pulih.',
+                claimHint: 'Anda mengambil bahagian tanpa akaun. Anda boleh memautkan jawapan dari peranti ini ke akaun kemudian apabila mendaftar atau log masuk.',
+                claimLink: 'Pautkan jawapan saya ke akaun',
+                backHome: 'Kembali ke laman utama',
+                submitRejected: 'Jawapan anda tidak dapat diterima',
+                restartConfirm: 'Jawapan yang disimpan akan dipadam dan anda akan bermula semula. Teruskan?',
+                alreadySubmittedTitle: 'Anda telah mengambil bahagian dalam tinjauan ini',
+                alreadySubmitted: 'Tinjauan ini hanya membenarkan satu penyertaan. Terima kasih atas sumbangan anda!',
+                screenedOutTitle: 'Terima kasih atas minat anda untuk mengambil bahagian',
+                browseSurveys: 'Lihat tinjauan lain',
+                resultsTitle: 'Bagaimana orang lain menjawab?',
+                resultsCount: 'Peserta setakat ini: {count} • jawapan anda ditonjolkan',
+                resultsLoading: 'Memuatkan keputusan...',
+                resultsOffline: 'Keputusan akan tersedia apabila sambungan pulih.',
+                resultsEmpty: 'Belum ada keputusan yang mencukupi untuk dipaparkan.',
+                ratingValue: '{value} daripada {max}',
+                rankConfirm: 'Kekalkan susunan ini',
+                required: 'Soalan ini wajib dijawab',
+                invalidOption: 'Pilihan yang dipilih tidak sah',
+                invalidOptions: 'Pilihan yang dipilih tidak sah',
+                duplicateOptions: 'Pilihan yang dipilih berulang',
+                minSelections: 'Sila pilih sekurang-kurangnya {min} pilihan',
+                maxSelections: 'Anda boleh memilih paling banyak {max} pilihan',
+                outOfScale: 'Nilai berada di luar skala',
+                invalidText: 'Sila masukkan teks yang sah',
+                invalidNumber: 'Sila masukkan nombor yang sah',
+                integerOnly: 'Sila masukkan nombor bulat',
+                invalidDate: 'Sila masukkan tarikh yang sah',
+                dateMin: 'Tarikh tidak boleh sebelum {min}',
+                dateMax: 'Tarikh tidak boleh selepas {max}',
+                rankAll: 'Sila susun semua pilihan',
+                invalidMatrix: 'Jawapan grid tidak sah',
+                matrixRows: 'Sila jawab semua baris',
+                unknownType: 'Jenis soalan tidak diketahui',
+                minLength: 'Teks mestilah sekurang-kurangnya {min} aksara',
+                maxLength: 'Teks tidak boleh melebihi {max} aksara',
+                min: 'Nilai mestilah sekurang-kurangnya {min}',
+                max: 'Nilai tidak boleh melebihi {max}',
+                pattern: 'Nilai tidak sepadan dengan format yang diperlukan'
+            },
+            id: {
+                previous: 'Sebelumnya',
+                next: 'Berikutnya',
+                submit: 'Kirim jawaban',
+                progress: 'Pertanyaan {position} dari {total}',
+                completed: '{percentage}% selesai',
+                language: 'Bahasa',
+                submitting: 'Mengirim...',
+                thankYou: 'Terima kasih atas partisipasi Anda!',
+                received: 'Jawaban Anda telah diterima.',
+                savedOffline: 'Jawaban Anda disimpan di perangkat ini dan akan dikirim otomatis saat koneksi kembali.',
+                claimHint: 'Anda berpartisipasi tanpa akun. Anda dapat menautkan jawaban dari perangkat ini ke akun nanti saat mendaftar atau masuk.',
+                claimLink: 'Tautkan jawaban saya ke akun',
+                backHome: 'Kembali ke beranda',
+                submitRejected: 'Jawaban Anda tidak dapat diterima',
+                restartConfirm: 'Jawaban yang tersimpan akan dihapus dan Anda akan mulai dari awal. Lanjutkan?',
+                alreadySubmittedTitle: 'Anda sudah berpartisipasi dalam survei ini',
+                alreadySubmitted: 'Survei ini hanya mengizinkan satu partisipasi. Terima kasih atas kontribusi Anda!',
+                screenedOutTitle: 'Terima kasih atas minat Anda untuk berpartisipasi',
+                browseSurveys: 'Lihat survei lainnya',
+                resultsTitle: 'Bagaimana orang lain menjawab?',
+                resultsCount: 'Peserta sejauh ini: {count} • jawaban Anda disorot',
+                resultsLoading: 'Memuat hasil...',
+                resultsOffline: 'Hasil akan tersedia saat koneksi kembali.',
+                resultsEmpty: 'Belum ada cukup hasil untuk ditampilkan.',
+                ratingValue: '{value} dari {max}',
+                rankConfirm: 'Gunakan urutan ini',
+                required: 'Pertanyaan ini wajib diisi',
+                invalidOption: 'Pilihan yang dipilih tidak valid',
+                invalidOptions: 'Pilihan yang dipilih tidak valid',
+                duplicateOptions: 'Pilihan yang dipilih duplikat',
+                minSelections: 'Pilih setidaknya {min} pilihan',
+                maxSelections: 'Anda dapat memilih paling banyak {max} pilihan',
+                outOfScale: 'Nilai berada di luar skala',
+                invalidText: 'Masukkan teks yang valid',
+                invalidNumber: 'Masukkan angka yang valid',
+                integerOnly: 'Masukkan bilangan bulat',
+                invalidDate: 'Masukkan tanggal yang valid',
+                dateMin: 'Tanggal tidak boleh sebelum {min}',
+                dateMax: 'Tanggal tidak boleh setelah {max}',
+                rankAll: 'Urutkan semua pilihan',
+                invalidMatrix: 'Jawaban matriks tidak valid',
+                matrixRows: 'Jawab semua baris',
+                unknownType: 'Jenis pertanyaan tidak dikenal',
+                minLength: 'Teks minimal {min} karakter',
+                maxLength: 'Teks maksimal {max} karakter',
+                min: 'Nilai minimal {min}',
+                max: 'Nilai maksimal {max}',
+                pattern: 'Nilai tidak sesuai dengan format yang diperlukan'
+            }
+        }
+    };
+
+    /**
+     * توحيد رمز اللغة
+     * @method normalizeLanguage
+     */
+    function normalizeLanguage(language) {
+        if (!language) return null;
+        if (config.aliases[language]) return config.aliases[language];
+
+        const code = String(language).toLowerCase().split(/[-_]/)[0];
+        return config.languages[code] ? code : null;
+    }
+
+    /**
+     * اللغة الأصلية التي كُتب بها الاستبيان
+     * @method getSourceLanguage
+     */
+    function getSourceLanguage(survey) {
+        return normalizeLanguage(survey.defaultLanguage) || normalizeLanguage(survey.language) || config.defaultLanguage;
+    }
+
+    /**
+     * اللغات المتاحة في الاستبيان
+     * @method getSurveyLanguages
+     */
+    function getSurveyLanguages(survey) {
+        const languages = [getSourceLanguage(survey)];
+        Object.keys(survey.translations || {}).forEach(language => {
+            if (config.languages[language] && !languages.includes(language)) languages.push(language);
+        });
+        return languages;
+    }
+
+    /**
+     * سلسلة اللغات المعتمدة لعرض المحتوى بلغة معينة
+     * @method getFallbackChain
+     */
+    function getFallbackChain(survey, language) {
+        const chain = [language, ...(config.fallbacks[language] || []), getSourceLanguage(survey)];
+        return chain.filter((item, index) => item && chain.indexOf(item) === index);
+    }
+
+    /**
+     * اللغات المفضلة للمشارك مرتبة حسب الأولوية
+     * @method getPreferredLanguages
+     */
+    function getPreferredLanguages() {
+        const preferred = [];
+
+        if (typeof Utils !== 'undefined') {
+            preferred.push(Utils.getUrlParams().lang);
+        }
+
+        preferred.push(localStorage.getItem(config.storageKey));
+
+        const user = typeof AuthenticationSystem !== 'undefined' ? AuthenticationSystem.getCurrentUser() : null;
+        if (user && user.preferences) preferred.push(user.preferences.language);
+
+        preferred.push(...(navigator.languages || [navigator.language]));
+
+        return preferred
+            .map(normalizeLanguage)
+            .filter((language, index, list) => language && list.indexOf(language) === index);
+    }
+
+    /**
+     * اختيار لغة العرض من اللغات المفضلة والمتاحة
+     * @method resolveLanguage
+     */
+    function resolveLanguage(survey, preferred = getPreferredLanguages()) {
+        const available = getSurveyLanguages(survey);
+
+        for (const language of preferred) {
+            const match = [language, ...(config.fallbacks[language] || [])].find(item => available.includes(item));
+            if (match) return match;
+        }
+
+        return getSourceLanguage(survey);
+    }
+
+    /**
+     * حفظ اختيار المشارك للغة وتحديث لغة طلبات API
+     * @method setLanguage
+     */
+    function setLanguage(language, survey = null) {
+        const code = normalizeLanguage(language) || config.defaultLanguage;
+        localStorage.setItem(config.storageKey, code);
+
+        if (typeof ApiManager !== 'undefined') {
+            ApiManager.setLanguage(code, survey ? getFallbackChain(survey, code).slice(1) : config.fallbacks[code]);
+        }
+
+        return code;
+    }
+
+    /**
+     * البحث عن قيمة مترجمة عبر سلسلة اللغات
+     * @method lookup
+     */
+    function lookup(survey, chain, read) {
+        const translations = survey.translations || {};
+        for (const language of chain) {
+            const translation = translations[language];
+            if (!translation) continue;
+
+            const value = read(translation);
+            if (value !== undefined && value !== null && value !== '') return value;
+        }
+        return undefined;
+    }
+
+    /**
+     * ترجمة قائمة خيارات مع الحفاظ على ترتيبها الحالي
+     * @method localizeOptions
+     */
+    function localizeOptions(survey, chain, options, sourceOptions, read) {
+        if (!Array.isArray(options)) return options;
+
+        return options.map(option => {
+            const source = (sourceOptions || []).find(item => item.value === option.value) || option;
+            const label = lookup(survey, chain, translation => {
+                const labels = read(translation);
+                return labels ? labels[option.value] : undefined;
+            });
+            return { ...option, label: label !== undefined ? label : source.label };
+        });
+    }
+
+    /**
+     * ترجمة سؤال إلى لغة العرض
+     * @method localizeQuestion
+     */
+    function localizeQuestion(survey, question, language) {
+        const chain = getFallbackChain(survey, language);
+        const source = (survey.questions || []).find(item => item.id === question.id) || question;
+        const read = key => translation => translation.questions && translation.questions[question.id] ?
+            translation.questions[question.id][key] : undefined;
+
+        const localized = {
+            ...question,
+            text: lookup(survey, chain, read('text')) || source.text
+        };
+
+        const description = lookup(survey, chain, read('description'));
+        if (description || source.description) localized.description = description || source.description;
+
+        const placeholder = lookup(survey, chain, read('placeholder'));
+        if (placeholder || source.placeholder) localized.placeholder = placeholder || source.placeholder;
+
+        localized.options = localizeOptions(survey, chain, question.options, source.options, read('options'));
+        localized.rows = localizeOptions(survey, chain, question.rows, source.rows, read('rows'));
+        localized.columns = localizeOptions(survey, chain, question.columns, source.columns, read('columns'));
+        ['options', 'rows', 'columns'].forEach(key => {
+            if (localized[key] === undefined) delete localized[key];
+        });
+
+        // تسميات مقياس ليكرت: المترجمة ثم المخصصة في الأصل ثم الافتراضية للغة
+        if (question.type === 'likert') {
+            const scale = question.scale || SurveyEngine.config.defaultLikertScale;
+            const defaults = chain
+                .map(item => config.likertLabels[item] && config.likertLabels[item][scale])
+                .find(Boolean);
+            localized.labels = lookup(survey, chain, read('labels')) || source.labels || defaults ||
+                SurveyEngine.config.likertLabels[scale];
+        }
+
+        return localized;
+    }
+
+    /**
+     * ترجمة الاستبيان كاملاً إلى لغة العرض
+     * @method localizeSurvey
+     */
+    function localizeSurvey(survey, language) {
+        const chain = getFallbackChain(survey, language);
+
+        return {
+            ...survey,
+            title: lookup(survey, chain, translation => translation.title) || survey.title,
+            description: lookup(survey, chain, translation => translation.description) || survey.description,
+            sections: Array.isArray(survey.sections) ? survey.sections.map(section => ({
+                ...section,
+                title: lookup(survey, chain, translation => translation.sections && translation.sections[section.id]) ||
+                    section.title
+            })) : survey.sections,
+            questions: (survey.questions || []).map(question => localizeQuestion(survey, question, language)),
+            displayLanguage: language
+        };
+    }
+
+    /**
+     * نص من واجهة المشغل بلغة العرض
+     * @method translate
+     */
+    function translate(language, key, params = {}) {
+        const strings = config.strings[language] || config.strings[config.defaultLanguage];
+        const text = strings[key] || config.strings[config.defaultLanguage][key] || key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * اتجاه الكتابة للغة
+     * @method getDirection
+     */
+    function getDirection(language) {
+        return (config.languages[language] || config.languages[config.defaultLanguage]).dir;
+    }
+
+    /**
+     * الردود المرسلة بلغة معينة، والرد بلا لغة يُعد بلغة الاستبيان الأصلية
+     * @method filterResponsesByLanguage
+     */
+    function filterResponsesByLanguage(survey, responses, language) {
+        return responses.filter(response =>
+            (normalizeLanguage(response.language) || getSourceLanguage(survey)) === language);
+    }
+
+    /**
+     * التحقق من أن الترجمات تشير إلى أسئلة وخيارات موجودة
+     * @method checkTranslations
+     */
+    function checkTranslations(survey) {
+        const errors = [];
+        const questions = new Map((survey.questions || []).map(question => [question.id, question]));
+
+        Object.entries(survey.translations || {}).forEach(([language, translation]) => {
+            if (!config.languages[language]) {
+                errors.push(`الترجمة: لغة غير مدعومة: ${language}`);
+                return;
+            }
+
+            Object.entries(translation.questions || {}).forEach(([questionId, text]) => {
+                const question = questions.get(questionId);
+                if (!question) {
+                    errors.push(`الترجمة (${language}): سؤال غير معروف: ${questionId}`);
+                    return;
+                }
+
+                ['options', 'rows', 'columns'].forEach(key => {
+                    Object.keys(text[key] || {})
+                        .filter(value => !(question[key] || []).some(option => String(option.value) === value))
+                        .forEach(value => errors.push(`الترجمة (${language}): القيمة ${value} ليست من خيارات السؤال ${questionId}`));
+                });
+
+                if (text.labels && question.scale && text.labels.length !== question.scale) {
+                    errors.push(`الترجمة (${language}): عدد تسميات المقياس في السؤال ${questionId} لا يطابق المقياس`);
+                }
+            });
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    return {
+        config,
+        normalizeLanguage,
+        getSourceLanguage,
+        getSurveyLanguages,
+        getFallbackChain,
+        getPreferredLanguages,
+        resolveLanguage,
+        setLanguage,
+        localizeQuestion,
+        localizeSurvey,
+        translate,
+        getDirection,
+        filterResponsesByLanguage,
+        checkTranslations
+    };
+})();
+
+/**
+ * تصدير تعدد اللغات للاستخدام العام
+ */
+window.SurveyI18n = SurveyI18n;
+
+// تصدير افتراضي
+export default SurveyI18n;
+```
@@ -0,0 +1,448 @@
+```javascript
+/* ============================================
+   صوت حضرموت - دورة حياة الاستبيانات
+   ============================================ */
+
+/**
+ * آلة حالات دورة حياة الاستبيان
+ * @namespace SurveyLifecycle
+ */
+const SurveyLifecycle = (function() {
+    'use strict';
+
+    // الحالات المدعومة
+    const STATES = {
+        DRAFT: 'draft',
+        SCHEDULED: 'scheduled',
+        ACTIVE: 'active',
+        PAUSED: 'paused',
+        CLOSED: 'closed',
+        ARCHIVED: 'archived'
+    };
+
+    // تسميات الحالات
+    const STATE_LABELS = {
+        draft: 'مسودة',
+        scheduled: 'مجدول',
+        active: 'نشط',
+        paused: 'متوقف مؤقتاً',
+        closed: 'مغلق',
+        archived: 'مؤرشف'
+    };
+
+    // الانتقالات المسموحة من كل حالة
+    const TRANSITIONS = {
+        draft: ['scheduled', 'active', 'archived'],
+        scheduled: ['draft', 'active', 'archived'],
+        active: ['paused', 'closed'],
+        paused: ['active', 'closed'],
+        closed: ['archived'],
+        archived: []
+    };
+
+    // حالات قديمة في البيانات وما يقابلها
+    const LEGACY_STATES = {
+        completed: 'closed'
+    };
+
+    // المنفذ الافتراضي للانتقالات التلقائية
+    const SYSTEM_ACTOR = { id: 'system', name: 'النظام' };
+
+    // الانتقالات التلقائية التي حُفظت من هذا الجهاز
+    const RECORDED_KEY = 'hadhramaut_lifecycle_recorded';
+
+    // الأدوار التي تحفظ جلساتها الانتقالات التلقائية، أما صفحات المشاركين فتحسب الحالة محلياً فقط
+    const RECORDER_ROLES = ['admin', 'moderator'];
+
+    // الانتقالات الجاري إرسالها في هذه الجلسة
+    const inFlight = new Set();
+
+    /**
+     * الحصول على حالة الاستبيان الحالية
+     * @method getState
+     */
+    function getState(survey) {
+        const status = LEGACY_STATES[survey.status] || survey.status;
+
+        if (Object.values(STATES).includes(status)) return status;
+
+        // الاستبيانات القادمة بدون حالة تعتبر مجدولة
+        return survey.plannedDate ? STATES.SCHEDULED : STATES.DRAFT;
+    }
+
+    /**
+     * الحصول على الانتقالات المسموحة
+     * @method getAllowedTransitions
+     */
+    function getAllowedTransitions(survey) {
+        return TRANSITIONS[getState(survey)] || [];
+    }
+
+    /**
+     * التحقق من إمكانية الانتقال
+     * @method canTransition
+     */
+    function canTransition(survey, toState) {
+        return getAllowedTransitions(survey).includes(toState);
+    }
+
+    /**
+     * الحصول على منفذ التغيير الحالي
+     * @method getActor
+     */
+    function getActor() {
+        const user = typeof AuthenticationSystem !== 'undefined' ? AuthenticationSystem.getCurrentUser() : null;
+        return user ? { id: user.id, name: user.name || user.email || user.id } : SYSTEM_ACTOR;
+    }
+
+    /**
+     * التحقق من شروط الانتقال الخاصة بكل حالة
+     * @method validateTransition
+     */
+    function validateTransition(survey, toState, now) {
+        if (toState === STATES.SCHEDULED && !getStartDate(survey)) {
+            return { valid: false, message: 'يجب تحديد تاريخ البدء قبل جدولة الاستبيان' };
+        }
+
+        if (toState === STATES.SCHEDULED && getStartDate(survey) <= now) {
+            return { valid: false, message: 'تاريخ البدء المحدد قد مضى، يمكن تفعيل الاستبيان مباشرة' };
+        }
+
+        if (toState === STATES.ACTIVE && getEndDate(survey) && getEndDate(survey) < now) {
+            return { valid: false, message: 'لا يمكن تفعيل استبيان انتهى تاريخه، يرجى تمديد تاريخ الانتهاء' };
+        }
+
+        if (toState === STATES.ACTIVE && isTargetReached(survey)) {
+            return { valid: false, message: 'بلغ الاستبيان العدد المستهدف، يرجى رفع العدد المستهدف قبل إعادة تفعيله' };
+        }
+
+        if ([STATES.SCHEDULED, STATES.ACTIVE].includes(toState) &&
+            (!Array.isArray(survey.questions) || survey.questions.length === 0)) {
+            return { valid: false, message: 'لا يمكن نشر استبيان بدون أسئلة' };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * تنفيذ انتقال وإضافته لسجل التدقيق
+     * @method transition
+     */
+    function transition(survey, toState, options = {}) {
+        const fromState = getState(survey);
+        const now = options.now || new Date();
+
+        if (!canTransition(survey, toState)) {
+            return {
+                success: false,
+                survey,
+                message: `لا يمكن نقل الاستبيان من "${STATE_LABELS[fromState]}" إلى "${STATE_LABELS[toState] || toState}"`
+            };
+        }
+
+        const validation = validateTransition(survey, toState, now);
+        if (!validation.valid) {
+            return { success: false, survey, message: validation.message };
+        }
+
+        const entry = {
+            from: fromState,
+            to: toState,
+            at: now.toISOString(),
+            by: options.automatic ? SYSTEM_ACTOR : (options.actor || getActor()),
+            automatic: Boolean(options.automatic),
+            reason: options.reason || ''
+        };
+
+        const lifecycle = survey.lifecycle || {};
+
+        return {
+            success: true,
+            entry,
+            message: '',
+            survey: {
+                ...survey,
+                status: toState,
+                lifecycle: {
+                    ...lifecycle,
+                    history: [...(lifecycle.history || []), entry]
+                }
+            }
+        };
+    }
+
+    /**
+     * تاريخ بدء الاستبيان المجدول
+     * @method getStartDate
+     */
+    function getStartDate(survey) {
+        const date = survey.plannedDate || survey.startDate;
+        return date ? new Date(`${date}T00:00:00`) : null;
+    }
+
+    /**
+     * نهاية يوم تاريخ الانتهاء
+     * @method getEndDate
+     */
+    function getEndDate(survey) {
+        return survey.endDate ? new Date(`${survey.endDate}T23:59:59`) : null;
+    }
+
+    /**
+     * التحقق من بلوغ العدد المستهدف من المشاركين
+     * @method isTargetReached
+     */
+    function isTargetReached(survey) {
+        const participants = survey.participants || {};
+        return Boolean(participants.target) && participants.total >= participants.target;
+    }
+
+    /**
+     * الانتقال التلقائي المستحق حسب التواريخ والعدد المستهدف
+     * @method getScheduledTransition
+     *
+     * يُعاد مع الانتقال وقت استحقاقه، فالاستبيان المجدول الذي مضى تاريخ انتهائه
+     * يُفعّل في تاريخ بدئه ثم يُغلق في تاريخ انتهائه
+     */
+    function getScheduledTransition(survey, now = new Date()) {
+        const state = getState(survey);
+        const startDate = getStartDate(survey);
+        const endDate = getEndDate(survey);
+
+        if (state === STATES.SCHEDULED && startDate && startDate <= now) {
+            return { state: STATES.ACTIVE, reason: 'بلوغ تاريخ البدء المخطط', at: startDate };
+        }
+
+        if ([STATES.ACTIVE, STATES.PAUSED].includes(state)) {
+            if (endDate && endDate < now) {
+                return { state: STATES.CLOSED, reason: 'انتهاء مدة الاستبيان', at: endDate };
+            }
+            if (isTargetReached(survey)) {
+                return { state: STATES.CLOSED, reason: 'بلوغ العدد المستهدف من المشاركين', at: now };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * تطبيق الانتقالات التلقائية على قائمة استبيانات
+     * @method applySchedule
+     */
+    function applySchedule(surveys, now = new Date()) {
+        const changes = [];
+
+        const updated = surveys.map(survey => {
+            let current = survey;
+            let next = getScheduledTransition(current, now);
+
+            // قد يستحق الاستبيان التفعيل ثم الإغلاق في المرور نفسه
+            while (next) {
+                const result = transition(current, next.state, {
+                    automatic: true,
+                    now: next.at,
+                    reason: next.reason
+                });
+                if (!result.success) break;
+
+                changes.push({ surveyId: survey.id, entry: result.entry, survey: result.survey });
+                current = result.survey;
+                next = getScheduledTransition(current, now);
+            }
+
+            return current;
+        });
+
+        return { surveys: updated, changes };
+    }
+
+    /**
+     * تطبيق الانتقالات التلقائية وحفظ المستحق منها مع سجل التدقيق
+     * @method syncSchedule
+     *
+     * لا تُحفظ الانتقالات إلا من جلسة لوحة تحكم مخولة، وفي غيرها يكتفي بتطبيقها محلياً
+     */
+    function syncSchedule(surveys, now = new Date()) {
+        const result = applySchedule(surveys, now);
+
+        if (canRecord()) {
+            recordChanges(result.changes).catch(error => {
+                console.warn('⚠️ فشل حفظ الانتقالات التلقائية:', error);
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * التحقق من أن المستخدم الحالي مخول بحفظ الانتقالات التلقائية
+     * @method canRecord
+     */
+    function canRecord() {
+        const user = typeof AuthenticationSystem !== 'undefined' ? AuthenticationSystem.getCurrentUser() : null;
+        return Boolean(user) && RECORDER_ROLES.includes(user.role);
+    }
+
+    /**
+     * حفظ الانتقالات التلقائية على الخادم مرة واحدة لكل انتقال
+     * @method recordChanges
+     *
+     * لا يُقيد الانتقال إلا بعد قبوله أو حفظه للمزامنة، فالمرفوض يُعاد في العرض التالي
+     */
+    async function recordChanges(changes) {
+        const pending = changes.filter(change => {
+            const key = getChangeKey(change);
+            return !inFlight.has(key) && !getRecorded().includes(key);
+        });
+        if (pending.length === 0) return 0;
+
+        // تُحجز في الجلسة حتى لا يُكرر عرض آخر إرسال الانتقال نفسه قبل اكتماله
+        pending.forEach(change => inFlight.add(getChangeKey(change)));
+
+        let saved = 0;
+        for (const change of pending) {
+            const key = getChangeKey(change);
+            try {
+                const result = await saveTransition(change.survey, change.entry);
+                if (result.success) {
+                    saveRecorded([...getRecorded(), key]);
+                    saved++;
+                }
+            } finally {
+                inFlight.delete(key);
+            }
+        }
+
+        return saved;
+    }
+
+    /**
+     * مفتاح الانتقال التلقائي، ويتغير بتغير تاريخ الانتهاء أو العدد المستهدف
+     * @method getChangeKey
+     */
+    function getChangeKey(change) {
+        const participants = change.survey.participants || {};
+        return [change.surveyId, change.entry.from, change.entry.to, change.survey.endDate || '', participants.target || ''].join('|');
+    }
+
+    /**
+     * الانتقالات التلقائية المحفوظة
+     * @method getRecorded
+     */
+    function getRecorded() {
+        try {
+            return JSON.parse(localStorage.getItem(RECORDED_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * حفظ مفاتيح الانتقالات التلقائية
+     * @method saveRecorded
+     */
+    function saveRecorded(keys) {
+        try {
+            localStorage.setItem(RECORDED_KEY, JSON.stringify(keys));
+        } catch (error) {
+            console.warn('⚠️ فشل حفظ سجل الانتقالات التلقائية:', error);
+        }
+    }
+
+    /**
+     * تصفية الاستبيانات حسب حالتها الفعلية
+     * @method filterByState
+     */
+    function filterByState(surveys, state, now = new Date()) {
+        return applySchedule(surveys, now).surveys.filter(survey => getState(survey) === state);
+    }
+
+    /**
+     * التحقق من قبول الاستبيان للمشاركات
+     * @method isOpen
+     */
+    function isOpen(survey, now = new Date()) {
+        return getState(applySchedule([survey], now).surveys[0]) === STATES.ACTIVE;
+    }
+
+    /**
+     * تغيير حالة استبيان وحفظها على الخادم
+     * @method changeStatus
+     */
+    async function changeStatus(survey, toState, options = {}) {
+        const result = transition(survey, toState, options);
+        if (!result.success) return result;
+
+        const saved = await saveTransition(result.survey, result.entry);
+        if (!saved.success) return { success: false, survey, message: saved.message };
+
+        return result;
+    }
+
+    /**
+     * إرسال الانتقال للخادم أو حفظه للمزامنة، وبدء إعداد النتيجة بعد الإغلاق
+     * @method saveTransition
+     */
+    async function saveTransition(survey, entry) {
+        try {
+            await ApiManager.updateSurveyStatus(survey.id, entry.to, entry);
+        } catch (error) {
+            if (error instanceof ApiManager.ApiError && error.status >= 400 && error.status < 500) {
+                console.warn('⚠️ رفض الخادم تغيير حالة الاستبيان:', error);
+                return { success: false, message: error.message || 'رفض الخادم تغيير الحالة' };
+            }
+
+            console.warn('⚠️ فشل حفظ حالة الاستبيان، سيتم إرسالها عند المزامنة:', error);
+            LocalDataService.saveOfflineData('survey_status', {
+                id: survey.id,
+                status: entry.to,
+                entry
+            });
+        }
+
+        // بدء إعداد تقرير النتائج بعد الإغلاق
+        if (entry.to === STATES.CLOSED && typeof ResultPipeline !== 'undefined') {
+            ResultPipeline.handleSurveyClosed(survey).catch(error => {
+                console.error('❌ فشل بدء إعداد النتيجة:', error);
+            });
+        }
+
+        return { success: true, message: '' };
+    }
+
+    /**
+     * الحصول على سجل التدقيق مرتباً من الأحدث
+     * @method getAuditTrail
+     */
+    function getAuditTrail(survey) {
+        const history = (survey.lifecycle && survey.lifecycle.history) || [];
+        return [...history].sort((a, b) => new Date(b.at) - new Date(a.at));
+    }
+
+    return {
+        STATES,
+        STATE_LABELS,
+        TRANSITIONS,
+        getState,
+        getAllowedTransitions,
+        canTransition,
+        transition,
+        getScheduledTransition,
+        isTargetReached,
+        applySchedule,
+        syncSchedule,
+        filterByState,
+        isOpen,
+        changeStatus,
+        getAuditTrail
+    };
+})();
+
+/**
+ * تصدير دورة حياة الاستبيانات للاستخدام العام
+ */
+window.SurveyLifecycle = SurveyLifecycle;
+
+// تصدير افتراضي
+export default SurveyLifecycle;
+```
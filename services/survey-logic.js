@@ -0,0 +1,345 @@
+```javascript
+/* ============================================
+   صوت حضرموت - منطق التفرع وقواعد التخطي
+   ============================================ */
+
+/**
+ * منطق التفرع في الاستبيانات
+ * @namespace SurveyLogic
+ *
+ * تُخزن القواعد في مصفوفة "rules" داخل تعريف الاستبيان:
+ * { "id": "r1", "if": { "question": "q1", "operator": "equals", "value": "no" },
+ *   "then": { "action": "skip", "section": "visit" } }
+ */
+const SurveyLogic = (function() {
+    'use strict';
+
+    // الإجراءات المدعومة
+    const ACTIONS = {
+        SHOW: 'show',   // إظهار الهدف فقط عند تحقق الشرط
+        SKIP: 'skip',   // إخفاء الهدف عند تحقق الشرط
+        END: 'end'      // إنهاء الاستبيان عند تحقق الشرط
+    };
+
+    // العوامل المدعومة
+    const OPERATORS = {
+        equals: (answer, value) => answer === value,
+        not_equals: (answer, value) => answer !== value,
+        in: (answer, value) => Array.isArray(value) && value.includes(answer),
+        not_in: (answer, value) => Array.isArray(value) && !value.includes(answer),
+        contains: (answer, value) => Array.isArray(answer) && answer.includes(value),
+        not_contains: (answer, value) => !Array.isArray(answer) || !answer.includes(value),
+        greater_than: (answer, value) => typeof answer === 'number' && answer > value,
+        greater_or_equal: (answer, value) => typeof answer === 'number' && answer >= value,
+        less_than: (answer, value) => typeof answer === 'number' && answer < value,
+        less_or_equal: (answer, value) => typeof answer === 'number' && answer <= value,
+        answered: answer => !isEmpty(answer),
+        not_answered: answer => isEmpty(answer)
+    };
+
+    /**
+     * التحقق إذا كانت الإجابة فارغة
+     * @method isEmpty
+     */
+    function isEmpty(answer) {
+        if (answer === undefined || answer === null || answer === '') return true;
+        if (Array.isArray(answer)) return answer.length === 0;
+        if (typeof answer === 'object') return Object.keys(answer).length === 0;
+        return false;
+    }
+
+    /**
+     * تقييم شرط على الإجابات
+     * @method evaluateCondition
+     */
+    function evaluateCondition(condition, answers) {
+        if (!condition) return true;
+
+        if (Array.isArray(condition.all)) {
+            return condition.all.every(item => evaluateCondition(item, answers));
+        }
+
+        if (Array.isArray(condition.any)) {
+            return condition.any.some(item => evaluateCondition(item, answers));
+        }
+
+        if (condition.not) {
+            return !evaluateCondition(condition.not, answers);
+        }
+
+        const operator = OPERATORS[condition.operator];
+        if (!operator) return false;
+
+        return operator(answers[condition.question], condition.value);
+    }
+
+    /**
+     * الحصول على قواعد الاستبيان
+     * @method getRules
+     */
+    function getRules(survey) {
+        return Array.isArray(survey.rules) ? survey.rules : [];
+    }
+
+    /**
+     * التحقق إذا كانت القاعدة تستهدف السؤال مباشرة أو عبر قسمه
+     * @method targetsQuestion
+     */
+    function targetsQuestion(rule, question) {
+        const target = rule.then || {};
+        return target.question === question.id ||
+            (target.section !== undefined && target.section === question.section);
+    }
+
+    /**
+     * التحقق من ظهور سؤال وفق قواعده وحدها
+     * @method matchesRules
+     */
+    function matchesRules(survey, question, answers) {
+        const rules = getRules(survey).filter(rule => targetsQuestion(rule, question));
+
+        const showRules = rules.filter(rule => rule.then.action === ACTIONS.SHOW);
+        if (showRules.length > 0 && !showRules.some(rule => evaluateCondition(rule.if, answers))) {
+            return false;
+        }
+
+        return !rules.some(rule => rule.then.action === ACTIONS.SKIP && evaluateCondition(rule.if, answers));
+    }
+
+    /**
+     * الإجابات بعد حذف إجابات الأسئلة المخفية
+     * @method getEffectiveAnswers
+     *
+     * تُقيَّم الأسئلة بترتيب تعريفها لأن الشروط تشير إلى أسئلة سابقة فقط، فيُخفي
+     * السؤال المخفي بدوره الأسئلة المشروطة بإجابته
+     */
+    function getEffectiveAnswers(survey, answers) {
+        const effective = { ...answers };
+
+        (survey.questions || []).forEach(question => {
+            if (!matchesRules(survey, question, effective)) {
+                delete effective[question.id];
+            }
+        });
+
+        return effective;
+    }
+
+    /**
+     * التحقق من ظهور سؤال
+     * @method isQuestionVisible
+     */
+    function isQuestionVisible(survey, question, answers) {
+        return matchesRules(survey, question, getEffectiveAnswers(survey, answers));
+    }
+
+    /**
+     * الحصول على الأسئلة الظاهرة حسب الإجابات الحالية
+     * @method getVisibleQuestions
+     */
+    function getVisibleQuestions(survey, questions, answers) {
+        const effective = getEffectiveAnswers(survey, answers);
+        return questions.filter(question => matchesRules(survey, question, effective));
+    }
+
+    /**
+     * الحصول على قاعدة الإنهاء المتحققة إن وجدت
+     * @method getEndRule
+     */
+    function getEndRule(survey, answers) {
+        const effective = getEffectiveAnswers(survey, answers);
+        return getRules(survey).find(rule =>
+            rule.then && rule.then.action === ACTIONS.END && evaluateCondition(rule.if, effective)
+        ) || null;
+    }
+
+    /**
+     * إزالة إجابات الأسئلة المخفية
+     * @method filterAnswers
+     */
+    function filterAnswers(survey, questions, answers) {
+        const filtered = {};
+
+        getVisibleQuestions(survey, questions, answers).forEach(question => {
+            if (answers[question.id] !== undefined) {
+                filtered[question.id] = answers[question.id];
+            }
+        });
+
+        return filtered;
+    }
+
+    /**
+     * جمع الأسئلة المشار إليها في شرط
+     * @method collectConditionQuestions
+     */
+    function collectConditionQuestions(condition, result = []) {
+        if (!condition) return result;
+
+        if (Array.isArray(condition.all)) {
+            condition.all.forEach(item => collectConditionQuestions(item, result));
+        } else if (Array.isArray(condition.any)) {
+            condition.any.forEach(item => collectConditionQuestions(item, result));
+        } else if (condition.not) {
+            collectConditionQuestions(condition.not, result);
+        } else {
+            result.push(condition);
+        }
+
+        return result;
+    }
+
+    /**
+     * الحصول على الأسئلة المرتبطة بالقواعد كشروط أو أهداف مباشرة
+     * @method getReferencedQuestions
+     */
+    function getReferencedQuestions(survey) {
+        const referenced = new Set();
+
+        getRules(survey).forEach(rule => {
+            collectConditionQuestions(rule.if).forEach(condition => referenced.add(condition.question));
+            if (rule.then && rule.then.question) referenced.add(rule.then.question);
+        });
+
+        return Array.from(referenced);
+    }
+
+    /**
+     * الفحص الثابت لقواعد الاستبيان قبل حفظه
+     * @method checkRules
+     */
+    function checkRules(survey) {
+        const errors = [];
+        const questions = survey.questions || [];
+        const questionIndex = new Map(questions.map((question, index) => [question.id, index]));
+        const sectionIds = new Set((survey.sections || []).map(section => section.id));
+        const ruleIds = new Set();
+
+        // أقسام معرفة في الأسئلة دون تعريف في قائمة الأقسام
+        questions.forEach(question => {
+            if (question.section && !sectionIds.has(question.section)) {
+                errors.push(`السؤال ${question.id} يشير إلى قسم غير معروف: ${question.section}`);
+            }
+        });
+
+        // رسم الاعتماديات: السؤال المشروط ← الأسئلة التي يعتمد عليها
+        const dependencies = new Map(questions.map(question => [question.id, new Set()]));
+
+        getRules(survey).forEach((rule, index) => {
+            const label = rule.id || `#${index + 1}`;
+
+            if (rule.id) {
+                if (ruleIds.has(rule.id)) errors.push(`معرف القاعدة مكرر: ${rule.id}`);
+                ruleIds.add(rule.id);
+            }
+
+            if (!rule.then || !Object.values(ACTIONS).includes(rule.then.action)) {
+                errors.push(`القاعدة ${label}: إجراء غير معروف`);
+                return;
+            }
+
+            const conditions = collectConditionQuestions(rule.if);
+            if (conditions.length === 0) {
+                errors.push(`القاعدة ${label}: لا تحتوي على شرط`);
+            }
+
+            conditions.forEach(condition => {
+                if (!questionIndex.has(condition.question)) {
+                    errors.push(`القاعدة ${label}: تشير إلى سؤال غير معروف: ${condition.question}`);
+                }
+                if (!OPERATORS[condition.operator]) {
+                    errors.push(`القاعدة ${label}: عامل غير معروف: ${condition.operator}`);
+                }
+            });
+
+            if (rule.then.action === ACTIONS.END) return;
+
+            // تحديد الأسئلة المستهدفة
+            let targets = [];
+            if (rule.then.question) {
+                if (!questionIndex.has(rule.then.question)) {
+                    errors.push(`القاعدة ${label}: تستهدف سؤالاً غير معروف: ${rule.then.question}`);
+                    return;
+                }
+                targets = [rule.then.question];
+            } else if (rule.then.section) {
+                if (!sectionIds.has(rule.then.section)) {
+                    errors.push(`القاعدة ${label}: تستهدف قسماً غير معروف: ${rule.then.section}`);
+                    return;
+                }
+                targets = questions.filter(question => question.section === rule.then.section).map(question => question.id);
+            } else {
+                errors.push(`القاعدة ${label}: لا تحدد سؤالاً أو قسماً مستهدفاً`);
+                return;
+            }
+
+            targets.forEach(target => {
+                conditions.forEach(condition => {
+                    if (!questionIndex.has(condition.question)) return;
+
+                    dependencies.get(target).add(condition.question);
+
+                    if (questionIndex.get(condition.question) >= questionIndex.get(target)) {
+                        errors.push(`القاعدة ${label}: السؤال ${target} يعتمد على السؤال ${condition.question} الذي لا يسبقه`);
+                    }
+                });
+            });
+        });
+
+        findCycles(dependencies).forEach(cycle => {
+            errors.push(`اعتماد دائري بين الأسئلة: ${cycle.join(' ← ')}`);
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * البحث عن الحلقات في رسم الاعتماديات
+     * @method findCycles
+     */
+    function findCycles(dependencies) {
+        const cycles = [];
+        const visiting = new Set();
+        const visited = new Set();
+        const path = [];
+
+        function visit(node) {
+            if (visited.has(node)) return;
+            if (visiting.has(node)) {
+                cycles.push([...path.slice(path.indexOf(node)), node]);
+                return;
+            }
+
+            visiting.add(node);
+            path.push(node);
+            (dependencies.get(node) || []).forEach(visit);
+            path.pop();
+            visiting.delete(node);
+            visited.add(node);
+        }
+
+        dependencies.forEach((_, node) => visit(node));
+        return cycles;
+    }
+
+    return {
+        ACTIONS,
+        OPERATORS,
+        evaluateCondition,
+        isQuestionVisible,
+        getVisibleQuestions,
+        getEndRule,
+        filterAnswers,
+        getReferencedQuestions,
+        checkRules
+    };
+})();
+
+/**
+ * تصدير منطق التفرع للاستخدام العام
+ */
+window.SurveyLogic = SurveyLogic;
+
+// تصدير افتراضي
+export default SurveyLogic;
+```
@@ -0,0 +1,294 @@
+```javascript
+/* ============================================
+   صوت حضرموت - حصص العينة وأسئلة الفرز
+   ============================================ */
+
+/**
+ * حصص العينة في الاستبيانات
+ * @namespace SurveyQuotas
+ *
+ * تُعرّف الحصص في مصفوفة "quotas" داخل تعريف الاستبيان وتعتمد على أسئلة الفرز:
+ * { "id": "quota_male", "label": "الذكور", "question": "q2", "values": ["male"],
+ *   "max": 50, "unit": "percent" }
+ */
+const SurveyQuotas = (function() {
+    'use strict';
+
+    // وحدات حدود الحصص
+    const UNITS = {
+        COUNT: 'count',       // عدد المشاركين
+        PERCENT: 'percent'    // نسبة من العدد المستهدف
+    };
+
+    // حالات امتلاء الحصة
+    const FILL_STATES = {
+        OPEN: 'open',
+        BELOW_MIN: 'below_min',
+        MET: 'met',
+        FULL: 'full'
+    };
+
+    /**
+     * الحصول على حصص الاستبيان
+     * @method getQuotas
+     */
+    function getQuotas(survey) {
+        return Array.isArray(survey.quotas) ? survey.quotas : [];
+    }
+
+    /**
+     * الحصول على العدد المستهدف من المشاركين
+     * @method getTarget
+     */
+    function getTarget(survey) {
+        return (survey.participants && survey.participants.target) || 0;
+    }
+
+    /**
+     * التحقق إذا كان السؤال من أسئلة الفرز
+     * @method isScreeningQuestion
+     */
+    function isScreeningQuestion(question) {
+        return question.screening === true;
+    }
+
+    /**
+     * الحصول على أسئلة الفرز بترتيبها
+     * @method getScreeningQuestions
+     */
+    function getScreeningQuestions(survey) {
+        return (survey.questions || []).filter(isScreeningQuestion);
+    }
+
+    /**
+     * تحويل حد الحصة إلى عدد مشاركين
+     * @method resolveLimit
+     */
+    function resolveLimit(survey, quota, value) {
+        if (value === undefined || value === null) return null;
+        return quota.unit === UNITS.PERCENT ? Math.floor(getTarget(survey) * value / 100) : value;
+    }
+
+    /**
+     * التحقق من انطباق الحصة على إجابات المشارك
+     * @method matchesQuota
+     */
+    function matchesQuota(quota, answers) {
+        const answer = answers[quota.question];
+        if (Array.isArray(answer)) {
+            return answer.some(value => quota.values.includes(value));
+        }
+        return quota.values.includes(answer);
+    }
+
+    /**
+     * حساب امتلاء الحصص من أعداد المشاركين الحالية
+     * @method getFill
+     */
+    function getFill(survey, status) {
+        const counts = status.counts || {};
+        const target = getTarget(survey);
+
+        const quotas = getQuotas(survey).map(quota => {
+            const count = counts[quota.id] || 0;
+            const min = resolveLimit(survey, quota, quota.min);
+            const max = resolveLimit(survey, quota, quota.max);
+            const goal = max !== null ? max : min;
+
+            let fillState = FILL_STATES.OPEN;
+            if (max !== null && count >= max) fillState = FILL_STATES.FULL;
+            else if (min !== null) fillState = count >= min ? FILL_STATES.MET : FILL_STATES.BELOW_MIN;
+
+            return {
+                id: quota.id,
+                label: quota.label || quota.id,
+                count,
+                min,
+                max,
+                percentage: goal ? Math.min(100, Math.round((count / goal) * 100)) : 0,
+                state: fillState
+            };
+        });
+
+        return {
+            total: status.total || 0,
+            target,
+            percentage: target ? Math.min(100, Math.round(((status.total || 0) / target) * 100)) : 0,
+            targetMet: Boolean(target) && status.total >= target,
+            quotas
+        };
+    }
+
+    /**
+     * التحقق من أهلية المشارك حسب الحصص بعد أسئلة الفرز
+     * @method checkEligibility
+     */
+    function checkEligibility(survey, answers, status) {
+        const fill = getFill(survey, status);
+
+        if (fill.targetMet) {
+            return { allowed: false, quota: null, message: 'اكتمل العدد المستهدف من المشاركين في هذا الاستبيان' };
+        }
+
+        const quotas = getQuotas(survey);
+
+        // الحصص الممتلئة التي تنطبق على المشارك
+        const fullQuota = quotas.find((quota, index) =>
+            fill.quotas[index].state === FILL_STATES.FULL && matchesQuota(quota, answers)
+        );
+        if (fullQuota) {
+            return {
+                allowed: false,
+                quota: fullQuota.id,
+                message: `اكتمل العدد المطلوب من فئة "${fullQuota.label || fullQuota.id}" في هذا الاستبيان`
+            };
+        }
+
+        // المقاعد المتبقية محجوزة للحصص الدنيا التي لم تكتمل
+        if (fill.target) {
+            const remaining = fill.target - fill.total;
+            const reserved = quotas.reduce((sum, quota, index) => {
+                const item = fill.quotas[index];
+                if (item.min === null || matchesQuota(quota, answers)) return sum;
+                return sum + Math.max(0, item.min - item.count);
+            }, 0);
+
+            if (reserved > 0 && remaining <= reserved) {
+                return {
+                    allowed: false,
+                    quota: null,
+                    message: 'المقاعد المتبقية في هذا الاستبيان مخصصة لفئات لم تكتمل حصصها بعد'
+                };
+            }
+        }
+
+        return { allowed: true, quota: null, message: '' };
+    }
+
+    /**
+     * الحصول على أعداد الحصص من الخادم أو من بيانات الاستبيان
+     * @method getStatus
+     */
+    async function getStatus(survey) {
+        if (navigator.onLine) {
+            try {
+                const response = await ApiManager.getSurveyQuotaStatus(survey.id);
+                if (response.data) return response.data;
+            } catch (error) {
+                console.warn('⚠️ فشل تحميل امتلاء الحصص من الخادم:', error);
+            }
+        }
+
+        // آخر أعداد معروفة في تعريف الاستبيان
+        const counts = {};
+        getQuotas(survey).forEach(quota => {
+            counts[quota.id] = quota.filled || 0;
+        });
+
+        return {
+            total: (survey.participants && survey.participants.total) || 0,
+            counts
+        };
+    }
+
+    /**
+     * الفحص الثابت لتعريف الحصص وأسئلة الفرز
+     * @method checkQuotas
+     */
+    function checkQuotas(survey) {
+        const errors = [];
+        const questions = survey.questions || [];
+        const questionMap = new Map(questions.map(question => [question.id, question]));
+        const quotaIds = new Set();
+
+        // أسئلة الفرز تسبق باقي الأسئلة
+        const firstRegular = questions.findIndex(question => !isScreeningQuestion(question));
+        questions.forEach((question, index) => {
+            if (isScreeningQuestion(question) && firstRegular !== -1 && index > firstRegular) {
+                errors.push(`سؤال الفرز ${question.id} يجب أن يسبق أسئلة الاستبيان الرئيسية`);
+            }
+        });
+
+        getQuotas(survey).forEach((quota, index) => {
+            const label = quota.id || `#${index + 1}`;
+
+            if (!quota.id) errors.push(`الحصة ${label}: المعرف مفقود`);
+            if (quota.id && quotaIds.has(quota.id)) errors.push(`معرف الحصة مكرر: ${quota.id}`);
+            quotaIds.add(quota.id);
+
+            const question = questionMap.get(quota.question);
+            if (!question) {
+                errors.push(`الحصة ${label}: تشير إلى سؤال غير معروف: ${quota.question}`);
+                return;
+            }
+
+            if (!isScreeningQuestion(question)) {
+                errors.push(`الحصة ${label}: السؤال ${question.id} يجب أن يكون من أسئلة الفرز`);
+            }
+
+            if (!Array.isArray(quota.values) || quota.values.length === 0) {
+                errors.push(`الحصة ${label}: لا تحدد قيم الإجابة المشمولة`);
+            } else if (Array.isArray(question.options)) {
+                quota.values
+                    .filter(value => !question.options.some(option => option.value === value))
+                    .forEach(value => errors.push(`الحصة ${label}: القيمة ${value} ليست من خيارات السؤال ${question.id}`));
+            }
+
+            if (quota.min === undefined && quota.max === undefined) {
+                errors.push(`الحصة ${label}: يجب تحديد حد أدنى أو أقصى`);
+            }
+
+            if (quota.unit && !Object.values(UNITS).includes(quota.unit)) {
+                errors.push(`الحصة ${label}: وحدة غير معروفة: ${quota.unit}`);
+            }
+
+            if (quota.unit === UNITS.PERCENT && [quota.min, quota.max].some(value => value > 100)) {
+                errors.push(`الحصة ${label}: النسبة لا يمكن أن تتجاوز 100%`);
+            }
+
+            if (quota.min !== undefined && quota.max !== undefined && quota.min > quota.max) {
+                errors.push(`الحصة ${label}: الحد الأدنى أكبر من الحد الأقصى`);
+            }
+
+            if (quota.unit === UNITS.PERCENT && !getTarget(survey)) {
+                errors.push(`الحصة ${label}: الحصص النسبية تتطلب تحديد العدد المستهدف`);
+            }
+        });
+
+        // مجموع الحدود الدنيا لحصص السؤال الواحد لا يتجاوز العدد المستهدف
+        const target = getTarget(survey);
+        const minimums = {};
+        getQuotas(survey).forEach(quota => {
+            minimums[quota.question] = (minimums[quota.question] || 0) + (resolveLimit(survey, quota, quota.min) || 0);
+        });
+        Object.entries(minimums).forEach(([questionId, total]) => {
+            if (target && total > target) {
+                errors.push(`مجموع الحدود الدنيا لحصص السؤال ${questionId} يتجاوز العدد المستهدف من المشاركين`);
+            }
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    return {
+        UNITS,
+        FILL_STATES,
+        getQuotas,
+        isScreeningQuestion,
+        getScreeningQuestions,
+        matchesQuota,
+        getFill,
+        checkEligibility,
+        getStatus,
+        checkQuotas
+    };
+})();
+
+/**
+ * تصدير حصص العينة للاستخدام العام
+ */
+window.SurveyQuotas = SurveyQuotas;
+
+// تصدير افتراضي
+export default SurveyQuotas;
+```
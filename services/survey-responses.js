@@ -0,0 +1,520 @@
+```javascript
+/* ============================================
+   صوت حضرموت - مخزن الردود الخام وتجميع النتائج
+   ============================================ */
+
+/**
+ * حفظ الردود الخام وحساب نتائج كل سؤال
+ * @namespace SurveyResponses
+ *
+ * تُحفظ الردود التي قبلها الخادم أو أُجّل إرسالها لانقطاع الاتصال عبر ApiManager.submitSurveyResponse
+ * كما هي، ثم تُحسب منها جداول التكرار والمتوسطات والوسيط وتوزيعات ليكرت، وتُبنى رسوم بيانية بنفس بنية
+ * "charts" في data/results.json: { type, title, data: { labels, datasets } }
+ */
+const SurveyResponses = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        storageKey: 'hadhramaut_raw_responses',
+        maxStoredPerSurvey: 5000,
+        histogramBins: 5,
+        palette: ['#1a5f7a', '#2d829e', '#48bb78', '#ed8936', '#9f7aea', '#38b2ac', '#e53e3e', '#718096'],
+        // من الأضعف إلى الأقوى كما في رسوم التقييم المنشورة
+        scaleColors: {
+            3: ['#dc3545', '#ffc107', '#28a745'],
+            4: ['#dc3545', '#ffc107', '#17a2b8', '#28a745'],
+            5: ['#dc3545', '#fd7e14', '#ffc107', '#17a2b8', '#28a745'],
+            7: ['#dc3545', '#e8590c', '#fd7e14', '#ffc107', '#20c997', '#17a2b8', '#28a745']
+        },
+        primaryColor: '#1a5f7a'
+    };
+
+    // ========== المخزن الخام ==========
+
+    /**
+     * قراءة جميع الردود المخزنة
+     * @method readStore
+     */
+    function readStore() {
+        try {
+            return JSON.parse(localStorage.getItem(config.storageKey)) || {};
+        } catch (error) {
+            console.warn('⚠️ فشل قراءة الردود المخزنة:', error);
+            return {};
+        }
+    }
+
+    /**
+     * حفظ رد خام مرسل
+     * @method record
+     */
+    function record(surveyId, payload) {
+        try {
+            const store = readStore();
+            const responses = store[surveyId] || [];
+            const respondent = payload.respondentId || payload.anonymousId;
+
+            // تجاهل الرد المكرر عند إعادة المزامنة
+            const exists = responses.some(item =>
+                item.submittedAt === payload.submittedAt &&
+                (item.respondentId || item.anonymousId) === respondent
+            );
+            if (exists) return false;
+
+            responses.push({ id: payload.id || Utils.generateId(), ...payload, surveyId });
+            store[surveyId] = responses.slice(-config.maxStoredPerSurvey);
+
+            localStorage.setItem(config.storageKey, JSON.stringify(store));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ فشل حفظ الرد الخام:', error);
+            return false;
+        }
+    }
+
+    /**
+     * الردود الخام المحفوظة محلياً لاستبيان
+     * @method getStored
+     */
+    function getStored(surveyId) {
+        return readStore()[surveyId] || [];
+    }
+
+    /**
+     * كل الردود الخام المحفوظة محلياً لجميع الاستبيانات
+     * @method getAllStored
+     */
+    function getAllStored() {
+        return Object.values(readStore()).flat();
+    }
+
+    /**
+     * حذف الردود المحفوظة لاستبيان
+     * @method clear
+     */
+    function clear(surveyId) {
+        const store = readStore();
+        delete store[surveyId];
+        localStorage.setItem(config.storageKey, JSON.stringify(store));
+    }
+
+    /**
+     * تحميل الردود الخام من الخادم أو من المخزن المحلي
+     * @method load
+     */
+    async function load(surveyId) {
+        if (navigator.onLine) {
+            try {
+                const response = await ApiManager.getSurveyResponses(surveyId);
+                if (Array.isArray(response.data)) return response.data;
+            } catch (error) {
+                console.warn('⚠️ فشل تحميل الردود من الخادم:', error);
+            }
+        }
+
+        return getStored(surveyId);
+    }
+
+    // ========== الإحصاءات ==========
+
+    /**
+     * تقريب إلى منزلتين عشريتين
+     * @method round
+     */
+    function round(value, digits = 2) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * المتوسط الحسابي
+     * @method mean
+     */
+    function mean(values) {
+        return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    /**
+     * الوسيط
+     * @method median
+     */
+    function median(values) {
+        if (!values.length) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * الانحراف المعياري للعينة
+     * @method standardDeviation
+     */
+    function standardDeviation(values) {
+        if (values.length < 2) return null;
+
+        const average = mean(values);
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1);
+        return Math.sqrt(variance);
+    }
+
+    /**
+     * ملخص وصفي لقيم رقمية
+     * @method describe
+     */
+    function describe(values) {
+        return {
+            n: values.length,
+            mean: values.length ? round(mean(values)) : null,
+            median: median(values),
+            min: values.length ? Math.min(...values) : null,
+            max: values.length ? Math.max(...values) : null,
+            standardDeviation: values.length > 1 ? round(standardDeviation(values)) : null
+        };
+    }
+
+    /**
+     * جدول تكرار لقائمة خيارات
+     * @method frequencyTable
+     */
+    function frequencyTable(options, counts, base) {
+        return options.map(option => ({
+            value: option.value,
+            label: option.label,
+            count: counts[option.value] || 0,
+            percentage: base > 0 ? round(((counts[option.value] || 0) / base) * 100, 1) : 0
+        }));
+    }
+
+    // ========== التجميع ==========
+
+    /**
+     * تجميع إجابات سؤال واحد
+     * @method aggregateQuestion
+     */
+    function aggregateQuestion(question, answers, total) {
+        const types = SurveyEngine.QUESTION_TYPES;
+        const answered = answers.filter(answer => !SurveyEngine.isAnswerEmpty(question, answer));
+        const base = {
+            id: question.id,
+            type: question.type,
+            text: question.text,
+            n: answered.length,
+            missing: total - answered.length
+        };
+        const counts = {};
+        const count = value => {
+            counts[value] = (counts[value] || 0) + 1;
+        };
+
+        switch (question.type) {
+            case types.SINGLE_CHOICE:
+                answered.forEach(count);
+                return { ...base, frequencies: frequencyTable(question.options, counts, answered.length) };
+
+            case types.MULTIPLE_CHOICE:
+                // النسبة من عدد من أجابوا لأن المشارك قد يختار أكثر من خيار
+                answered.forEach(values => values.forEach(count));
+                return { ...base, frequencies: frequencyTable(question.options, counts, answered.length) };
+
+            case types.LIKERT:
+            case types.RATING: {
+                const size = question.type === types.LIKERT ? question.scale : question.max;
+                const points = Array.from({ length: size }, (item, index) => ({
+                    value: index + 1,
+                    label: question.type === types.LIKERT ? question.labels[index] : String(index + 1)
+                }));
+                answered.forEach(count);
+
+                const distribution = frequencyTable(points, counts, answered.length);
+                const topBox = distribution.slice(-2).reduce((sum, item) => sum + item.count, 0);
+                const bottomBox = distribution.slice(0, 2).reduce((sum, item) => sum + item.count, 0);
+
+                return {
+                    ...base,
+                    ...describe(answered),
+                    distribution,
+                    // نسبة أعلى درجتين وأدنى درجتين في المقياس
+                    topBox: answered.length ? round((topBox / answered.length) * 100, 1) : 0,
+                    bottomBox: answered.length ? round((bottomBox / answered.length) * 100, 1) : 0
+                };
+            }
+
+            case types.NUMBER:
+                return { ...base, ...describe(answered), histogram: buildHistogram(answered) };
+
+            case types.RANKING: {
+                // متوسط ترتيب كل خيار (1 هو الأهم) وعدد مرات اختياره أولاً
+                const ranks = {};
+                const firstChoice = {};
+                answered.forEach(order => order.forEach((value, index) => {
+                    (ranks[value] = ranks[value] || []).push(index + 1);
+                    if (index === 0) firstChoice[value] = (firstChoice[value] || 0) + 1;
+                }));
+
+                return {
+                    ...base,
+                    rankings: question.options
+                        .map(option => ({
+                            value: option.value,
+                            label: option.label,
+                            meanRank: ranks[option.value] ? round(mean(ranks[option.value])) : null,
+                            firstChoice: firstChoice[option.value] || 0
+                        }))
+                        .sort((a, b) => (a.meanRank || Infinity) - (b.meanRank || Infinity))
+                };
+            }
+
+            case types.MATRIX:
+                return {
+                    ...base,
+                    rows: question.rows.map(row => {
+                        const rowCounts = {};
+                        const rowAnswers = answered.filter(answer => answer[row.value]);
+                        rowAnswers.forEach(answer => {
+                            rowCounts[answer[row.value]] = (rowCounts[answer[row.value]] || 0) + 1;
+                        });
+                        return {
+                            value: row.value,
+                            label: row.label,
+                            n: rowAnswers.length,
+                            frequencies: frequencyTable(question.columns, rowCounts, rowAnswers.length)
+                        };
+                    })
+                };
+
+            case types.DATE: {
+                const sorted = [...answered].sort();
+                return { ...base, earliest: sorted[0] || null, latest: sorted[sorted.length - 1] || null };
+            }
+
+            case types.TEXT:
+                return { ...base, texts: answered };
+
+            default:
+                return base;
+        }
+    }
+
+    /**
+     * توزيع القيم الرقمية على فئات متساوية
+     * @method buildHistogram
+     */
+    function buildHistogram(values) {
+        if (!values.length) return [];
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        if (min === max) return [{ from: min, to: max, label: String(min), count: values.length }];
+
+        const width = (max - min) / config.histogramBins;
+        return Array.from({ length: config.histogramBins }, (item, index) => {
+            const from = min + index * width;
+            const to = index === config.histogramBins - 1 ? max : from + width;
+            return {
+                from: round(from),
+                to: round(to),
+                label: `${Utils.formatNumber(round(from, 1))} - ${Utils.formatNumber(round(to, 1))}`,
+                count: values.filter(value => value >= from && (index === config.histogramBins - 1 ? value <= to : value < to)).length
+            };
+        });
+    }
+
+    /**
+     * تجميع نتائج الاستبيان من الردود الخام
+     * @method aggregate
+     */
+    function aggregate(survey, responses) {
+        const questions = {};
+        const languages = {};
+
+        responses.forEach(response => {
+            if (response.language) languages[response.language] = (languages[response.language] || 0) + 1;
+        });
+
+        SurveyEngine.getQuestions(survey).forEach(question => {
+            const answers = responses.map(response => (response.answers || {})[question.id]);
+            questions[question.id] = aggregateQuestion(question, answers, responses.length);
+        });
+
+        return {
+            surveyId: survey.id,
+            total: responses.length,
+            languages,
+            questions,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * ملخص الأعداد بالصيغة التي يعرضها المشغل بعد الإرسال
+     * @method summarize
+     */
+    function summarize(survey, responses) {
+        const aggregation = aggregate(survey, responses);
+        const questions = {};
+
+        Object.values(aggregation.questions).forEach(item => {
+            const rows = item.frequencies || item.distribution;
+            if (!rows) return;
+
+            questions[item.id] = {};
+            rows.filter(row => row.count > 0).forEach(row => {
+                questions[item.id][row.value] = row.count;
+            });
+        });
+
+        return { total: aggregation.total, questions };
+    }
+
+    // ========== الرسوم البيانية ==========
+
+    /**
+     * ألوان درجات المقياس
+     * @method getScaleColors
+     */
+    function getScaleColors(size) {
+        return config.scaleColors[size] || Array.from({ length: size }, (item, index) => config.palette[index % config.palette.length]);
+    }
+
+    /**
+     * بناء رسم بياني لسؤال بنفس بنية charts في results.json
+     * @method buildChart
+     */
+    function buildChart(item) {
+        const types = SurveyEngine.QUESTION_TYPES;
+
+        switch (item.type) {
+            case types.SINGLE_CHOICE:
+                return {
+                    type: 'pie',
+                    title: item.text,
+                    data: {
+                        labels: item.frequencies.map(row => row.label),
+                        datasets: [{
+                            data: item.frequencies.map(row => row.percentage),
+                            backgroundColor: item.frequencies.map((row, index) => config.palette[index % config.palette.length])
+                        }]
+                    }
+                };
+
+            case types.MULTIPLE_CHOICE:
+                return {
+                    type: 'bar',
+                    title: item.text,
+                    data: {
+                        labels: item.frequencies.map(row => row.label),
+                        datasets: [{
+                            label: 'نسبة المشاركين (%)',
+                            data: item.frequencies.map(row => row.percentage),
+                            backgroundColor: config.primaryColor
+                        }]
+                    }
+                };
+
+            case types.LIKERT:
+            case types.RATING:
+                return {
+                    type: 'bar',
+                    title: item.text,
+                    data: {
+                        labels: item.distribution.map(row => row.label),
+                        datasets: [{
+                            label: 'نسبة المشاركين (%)',
+                            data: item.distribution.map(row => row.percentage),
+                            backgroundColor: getScaleColors(item.distribution.length)
+                        }]
+                    }
+                };
+
+            case types.NUMBER:
+                return {
+                    type: 'bar',
+                    title: item.text,
+                    data: {
+                        labels: item.histogram.map(bin => bin.label),
+                        datasets: [{
+                            label: 'عدد المشاركين',
+                            data: item.histogram.map(bin => bin.count),
+                            backgroundColor: config.primaryColor
+                        }]
+                    }
+                };
+
+            case types.RANKING:
+                return {
+                    type: 'horizontalBar',
+                    title: item.text,
+                    data: {
+                        labels: item.rankings.map(row => row.label),
+                        datasets: [{
+                            label: 'متوسط الترتيب (1 = الأهم)',
+                            data: item.rankings.map(row => row.meanRank),
+                            backgroundColor: config.primaryColor
+                        }]
+                    }
+                };
+
+            case types.MATRIX: {
+                // بنود المصفوفة على المحور وكل عمود مجموعة بيانات كما في رسوم التقييم حسب المنطقة
+                const columns = item.rows.length ? item.rows[0].frequencies : [];
+                const colors = getScaleColors(columns.length).slice().reverse();
+                return {
+                    type: 'bar',
+                    title: item.text,
+                    data: {
+                        labels: item.rows.map(row => row.label),
+                        datasets: columns.map((column, index) => ({
+                            label: column.label,
+                            data: item.rows.map(row => row.frequencies[index].percentage),
+                            backgroundColor: colors[index]
+                        }))
+                    }
+                };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * بناء رسوم النتائج لكل الأسئلة القابلة للعرض
+     * @method buildCharts
+     */
+    function buildCharts(aggregation, questionIds = Object.keys(aggregation.questions)) {
+        return questionIds
+            .map(id => aggregation.questions[id])
+            .filter(item => item && item.n > 0)
+            .map(buildChart)
+            .filter(Boolean);
+    }
+
+    return {
+        config,
+        record,
+        getStored,
+        getAllStored,
+        clear,
+        load,
+        mean,
+        median,
+        standardDeviation,
+        describe,
+        aggregateQuestion,
+        aggregate,
+        summarize,
+        buildChart,
+        buildCharts
+    };
+})();
+
+/**
+ * تصدير مخزن الردود للاستخدام العام
+ */
+window.SurveyResponses = SurveyResponses;
+
+// تصدير افتراضي
+export default SurveyResponses;
+```
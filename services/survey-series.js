@@ -0,0 +1,486 @@
+```javascript
+/* ============================================
+   صوت حضرموت - سلاسل الاستبيانات المتكررة (الموجات)
+   ============================================ */
+
+/**
+ * ربط موجات الاستبيان المتكرر ومقارنة نتائجها
+ * @namespace SurveySeries
+ *
+ * الموجة تشير إلى سابقتها بالحقل "previousSurveyId"، ويمكن تسمية السلسلة والموجة:
+ * { "previousSurveyId": "survey_009", "series": { "id": "transport", "wave": 2, "label": "2024" } }
+ *
+ * هوية السؤال عبر الموجات هي "seriesKey" إن وُجد وإلا معرف السؤال، فيمكن تغيير
+ * المعرف أو النص بين الإصدارات مع بقاء المقارنة:
+ * { "id": "q3", "seriesKey": "transport_satisfaction", "type": "likert", ... }
+ */
+const SurveySeries = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        significanceLevel: 0.05,
+        // أقل فرق يُعرض كتغير حين يتعذر اختبار الدلالة
+        minimumChange: { percent: 1, mean: 0.1 },
+        changeSuffix: 'عن الموجة السابقة',
+        colors: {
+            previous: '#a0aec0',
+            current: '#1a5f7a'
+        }
+    };
+
+    // أنواع الأسئلة المتوافقة للمقارنة عبر الموجات
+    const COMPATIBLE_TYPES = [
+        ['likert', 'rating'],
+        ['single_choice', 'multiple_choice']
+    ];
+
+    // ========== الموجات ==========
+
+    /**
+     * هوية السؤال عبر الموجات
+     * @method getQuestionKey
+     */
+    function getQuestionKey(question) {
+        return question.seriesKey || question.id;
+    }
+
+    /**
+     * معرف السلسلة التي ينتمي إليها الاستبيان
+     * @method getSeriesId
+     */
+    function getSeriesId(survey) {
+        return (survey.series && survey.series.id) || null;
+    }
+
+    /**
+     * تسمية الموجة للعرض
+     * @method getWaveLabel
+     */
+    function getWaveLabel(item) {
+        if (!item) return '';
+        if (item.series && item.series.label) return item.series.label;
+
+        const date = item.publishedDate || item.endDate || item.createdDate;
+        return date ? String(new Date(date).getFullYear()) : (item.title || item.id);
+    }
+
+    /**
+     * موجات السلسلة من الأقدم إلى الأحدث
+     * @method getWaves
+     *
+     * تتبع سلسلة "previousSurveyId" للخلف، ثم تضيف الموجات المسجلة بنفس "series.id"
+     */
+    function getWaves(survey, surveys) {
+        const byId = new Map(surveys.map(item => [item.id, item]));
+        const waves = [];
+        const seen = new Set();
+        let current = survey;
+
+        while (current && !seen.has(current.id)) {
+            seen.add(current.id);
+            waves.unshift(current);
+            current = current.previousSurveyId ? byId.get(current.previousSurveyId) : null;
+        }
+
+        const seriesId = getSeriesId(survey);
+        if (seriesId) {
+            surveys
+                .filter(item => getSeriesId(item) === seriesId && !seen.has(item.id))
+                .forEach(item => waves.push(item));
+        }
+
+        return waves.sort((a, b) => {
+            const waveA = a.series && a.series.wave;
+            const waveB = b.series && b.series.wave;
+            if (waveA && waveB) return waveA - waveB;
+            return new Date(a.endDate || a.createdDate || 0) - new Date(b.endDate || b.createdDate || 0);
+        });
+    }
+
+    /**
+     * الموجة السابقة لاستبيان
+     * @method getPreviousWave
+     */
+    function getPreviousWave(survey, surveys) {
+        const waves = getWaves(survey, surveys);
+        const index = waves.findIndex(item => item.id === survey.id);
+        return index > 0 ? waves[index - 1] : null;
+    }
+
+    // ========== هوية الأسئلة ==========
+
+    /**
+     * التحقق من توافق نوعي سؤالين
+     * @method isCompatible
+     */
+    function isCompatible(current, previous) {
+        if (current.type === previous.type) return true;
+        return COMPATIBLE_TYPES.some(group => group.includes(current.type) && group.includes(previous.type));
+    }
+
+    /**
+     * مطابقة أسئلة الموجة الحالية بأسئلة الموجة السابقة
+     * @method matchQuestions
+     *
+     * تعيد { معرف السؤال الحالي: معرف السؤال في الموجة السابقة }
+     */
+    function matchQuestions(survey, previousSurvey) {
+        const map = {};
+        if (!survey || !previousSurvey) return map;
+
+        const previousByKey = new Map((previousSurvey.questions || []).map(question => [getQuestionKey(question), question]));
+
+        (survey.questions || []).forEach(question => {
+            const previous = previousByKey.get(getQuestionKey(question));
+            if (previous && isCompatible(question, previous)) map[question.id] = previous.id;
+        });
+
+        return map;
+    }
+
+    /**
+     * التحقق من اتساق هوية الأسئلة بين موجتين
+     * @method checkSeries
+     */
+    function checkSeries(survey, previousSurvey) {
+        const errors = [];
+        const warnings = [];
+
+        const keys = new Set();
+        (survey.questions || []).forEach(question => {
+            const key = getQuestionKey(question);
+            if (keys.has(key)) errors.push(`مفتاح السلسلة مكرر: ${key}`);
+            keys.add(key);
+        });
+
+        if (!previousSurvey) return { valid: errors.length === 0, errors, warnings };
+
+        if (survey.previousSurveyId && survey.previousSurveyId !== previousSurvey.id) {
+            errors.push(`الموجة السابقة المحددة ${survey.previousSurveyId} لا تطابق ${previousSurvey.id}`);
+        }
+
+        const previousByKey = new Map((previousSurvey.questions || []).map(question => [getQuestionKey(question), question]));
+        (survey.questions || []).forEach(question => {
+            const previous = previousByKey.get(getQuestionKey(question));
+            if (!previous) return;
+
+            if (!isCompatible(question, previous)) {
+                errors.push(`السؤال ${question.id} تغير نوعه عن الموجة السابقة (${previous.type} ← ${question.type})`);
+                return;
+            }
+
+            // الخيارات المحذوفة تجعل المقارنة على القيم المتبقية فقط
+            const values = new Set((question.options || []).map(option => String(option.value)));
+            const dropped = (previous.options || []).filter(option => !values.has(String(option.value)));
+            if (dropped.length > 0) {
+                warnings.push(`السؤال ${question.id} لم يعد يتضمن: ${dropped.map(option => option.label).join('، ')}`);
+            }
+        });
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    // ========== المقارنة والدلالة ==========
+
+    /**
+     * تقريب رقم
+     * @method round
+     */
+    function round(value, digits = 1) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * وحدة قيمة النتيجة
+     * @method getUnit
+     */
+    function getUnit(finding) {
+        if (finding.measure && finding.measure.statistic === 'mean') return 'mean';
+        return String(finding.value).trim().endsWith('%') ? 'percent' : 'mean';
+    }
+
+    /**
+     * فترة الثقة المرافقة للنتيجة
+     * @method getInterval
+     *
+     * النتائج المبنية من الردود تحمل "interval"، والنتائج المنشورة القديمة تُقدّر
+     * فترتها من حجم العينة المنشور
+     */
+    function getInterval(finding, result) {
+        if (finding.interval) return finding.interval;
+        if (typeof SurveyWeighting === 'undefined' || !result) return null;
+
+        const [annotated] = SurveyWeighting.annotateFindings({ ...result, keyFindings: [finding] });
+        const statistics = annotated && annotated.statistics;
+        return statistics ? (statistics.weighted || statistics.adjusted || statistics.unweighted) : null;
+    }
+
+    /**
+     * الخطأ المعياري لنتيجة من هامش خطأ فترتها
+     * @method getStandardError
+     */
+    function getStandardError(finding, result) {
+        const interval = getInterval(finding, result);
+        if (!interval || typeof interval.marginOfError !== 'number') return null;
+
+        const z = typeof SurveyWeighting !== 'undefined' ? SurveyWeighting.config.zScores[SurveyWeighting.config.confidence] : 1.96;
+        return interval.marginOfError / z;
+    }
+
+    /**
+     * الخطأ المعياري لفرق قيمتين بين موجتين
+     * @method standardErrorOfDifference
+     */
+    function standardErrorOfDifference(unit, current, previous) {
+        if (!current || !previous) return null;
+
+        // النسب تُختبر بالنسبة المجمعة حتى لا ينعدم الخطأ عند 0% أو 100%
+        if (unit === 'percent' && current.n > 0 && previous.n > 0) {
+            const pooled = (current.value / 100 * current.n + previous.value / 100 * previous.n) / (current.n + previous.n);
+            return Math.sqrt(pooled * (1 - pooled) * (1 / current.n + 1 / previous.n)) * 100;
+        }
+
+        if (typeof current.marginOfError !== 'number' || typeof previous.marginOfError !== 'number') return null;
+
+        const z = typeof SurveyWeighting !== 'undefined' ? SurveyWeighting.config.zScores[SurveyWeighting.config.confidence] : 1.96;
+        return Math.sqrt(Math.pow(current.marginOfError / z, 2) + Math.pow(previous.marginOfError / z, 2));
+    }
+
+    /**
+     * القيمة الاحتمالية لاختبار Z ثنائي الطرف
+     * @method twoSidedPValue
+     */
+    function twoSidedPValue(z) {
+        // مربع Z يتبع توزيع مربع كاي بدرجة حرية واحدة
+        if (typeof SurveyCrossTab !== 'undefined') return SurveyCrossTab.chiSquarePValue(z * z, 1);
+
+        // تقريب دالة الخطأ عند غياب محرك الجداول المتقاطعة
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return 1 - erf;
+    }
+
+    /**
+     * مقارنة قيمة نتيجة بقيمتها في الموجة السابقة
+     * @method compareValues
+     */
+    function compareValues(current, previous, options = {}) {
+        const unit = getUnit(current);
+        const difference = round(parseFloat(current.value) - parseFloat(previous.value), unit === 'percent' ? 1 : 2);
+        if (!Number.isFinite(difference)) return null;
+
+        const standardError = standardErrorOfDifference(
+            unit,
+            getInterval(current, options.result),
+            getInterval(previous, options.previousResult)
+        );
+
+        let pValue = null;
+        let significant = null;
+        if (standardError > 0) {
+            pValue = round(twoSidedPValue(difference / standardError), 4);
+            significant = pValue < config.significanceLevel;
+        } else if (standardError === 0) {
+            significant = difference !== 0;
+        }
+
+        // الفرق غير الدال إحصائياً يُعد استقراراً
+        const stable = significant === null ? Math.abs(difference) < config.minimumChange[unit] : !significant;
+
+        return {
+            trend: stable ? 'stable' : (difference > 0 ? 'up' : 'down'),
+            change: `${difference > 0 ? '+' : ''}${difference}${unit === 'percent' ? '%' : ''} ${config.changeSuffix}`,
+            comparison: {
+                previousResultId: options.previousResult ? options.previousResult.id || null : null,
+                previousValue: previous.value,
+                previousWave: getWaveLabel(options.previousResult),
+                difference,
+                standardError: standardError === null ? null : round(standardError, 2),
+                pValue,
+                significant
+            }
+        };
+    }
+
+    /**
+     * النتيجة المقابلة في الموجة السابقة
+     * @method findPreviousFinding
+     *
+     * تطابق بمقياس السؤال بعد ترجمة معرفه، وإلا بعنوان النتيجة
+     */
+    function findPreviousFinding(finding, previousResult, questionMap = {}) {
+        const findings = (previousResult && previousResult.keyFindings) || [];
+
+        if (finding.measure) {
+            const question = questionMap[finding.measure.question] || finding.measure.question;
+            const values = (finding.measure.values || []).map(String).sort().join('|');
+            const match = findings.find(item =>
+                item.measure && item.measure.question === question &&
+                (item.measure.statistic || '') === (finding.measure.statistic || '') &&
+                (item.measure.values || []).map(String).sort().join('|') === values
+            );
+            if (match) return match;
+        }
+
+        return findings.find(item => item.title === finding.title) || null;
+    }
+
+    /**
+     * حساب الاتجاه والتغير لنتيجة رئيسية
+     * @method compareFinding
+     */
+    function compareFinding(finding, previousResult, options = {}) {
+        const previous = findPreviousFinding(finding, previousResult, options.questionMap);
+        if (!previous) return { trend: null, change: null, comparison: null };
+
+        return compareValues(finding, previous, { ...options, previousResult }) ||
+            { trend: null, change: null, comparison: null };
+    }
+
+    /**
+     * إعادة حساب اتجاهات جميع النتائج الرئيسية من الموجة السابقة
+     * @method compareResults
+     */
+    function compareResults(result, previousResult, options = {}) {
+        return (result.keyFindings || []).map(finding => ({
+            ...finding,
+            ...compareFinding(finding, previousResult, { ...options, result })
+        }));
+    }
+
+    /**
+     * قيم نتيجة رئيسية عبر كل الموجات من الأقدم إلى الأحدث
+     * @method buildFindingSeries
+     *
+     * تُطابق الموجة السابقة بهوية الأسئلة، وما قبلها بالنتيجة المطابقة في الموجة التالية لها،
+     * وتتوقف السلسلة عند أول موجة لا تحمل النتيجة. تُعاد مع القيم الأخطاء المعيارية لكل موجة
+     * من فترة ثقتها، أو null إذا لم تُعرف
+     */
+    function buildFindingSeries(finding, result, previousResults, options = {}) {
+        const points = [{ label: getWaveLabel(result), value: parseFloat(finding.value), error: getStandardError(finding, result) }];
+        let current = finding;
+
+        previousResults.slice().reverse().some((previousResult, index) => {
+            const previous = findPreviousFinding(current, previousResult, index === 0 ? options.questionMap : {});
+            if (!previous || getUnit(previous) !== getUnit(finding)) return true;
+
+            points.unshift({
+                label: getWaveLabel(previousResult),
+                value: parseFloat(previous.value),
+                error: getStandardError(previous, previousResult)
+            });
+            current = previous;
+            return false;
+        });
+
+        return {
+            unit: getUnit(finding),
+            labels: points.map(point => point.label),
+            values: points.map(point => point.value),
+            errors: points.map(point => point.error)
+        };
+    }
+
+    // ========== الرسوم البيانية ==========
+
+    /**
+     * رسم مقارنة النتائج الرئيسية بين موجتين
+     * @method buildComparisonChart
+     */
+    function buildComparisonChart(result, previousResult, options = {}) {
+        const pairs = (result.keyFindings || [])
+            .filter(finding => getUnit(finding) === 'percent')
+            .map(finding => ({ finding, previous: findPreviousFinding(finding, previousResult, options.questionMap) }))
+            .filter(pair => pair.previous && getUnit(pair.previous) === 'percent');
+        if (pairs.length === 0) return null;
+
+        return {
+            type: 'bar',
+            title: `مقارنة النتائج الرئيسية: ${getWaveLabel(previousResult)} و${getWaveLabel(result)}`,
+            data: {
+                labels: pairs.map(pair => pair.finding.title),
+                datasets: [
+                    {
+                        label: getWaveLabel(previousResult),
+                        data: pairs.map(pair => parseFloat(pair.previous.value)),
+                        backgroundColor: config.colors.previous
+                    },
+                    {
+                        label: getWaveLabel(result),
+                        data: pairs.map(pair => parseFloat(pair.finding.value)),
+                        backgroundColor: config.colors.current
+                    }
+                ]
+            }
+        };
+    }
+
+    /**
+     * رسم مقارنة لرسم بياني له مقابل بنفس العنوان في الموجة السابقة
+     * @method compareChart
+     *
+     * تُقارن الرسوم ذات مجموعة البيانات الواحدة على التسميات المشتركة بين الموجتين
+     */
+    function compareChart(chart, previousResult, result) {
+        const previous = ((previousResult && previousResult.charts) || []).find(item => item.title === chart.title);
+        if (!previous || chart.data.datasets.length !== 1 || previous.data.datasets.length !== 1) return null;
+
+        const previousData = new Map(previous.data.labels.map((label, index) => [label, previous.data.datasets[0].data[index]]));
+        const labels = chart.data.labels.filter(label => previousData.has(label));
+        if (labels.length === 0) return null;
+
+        const currentData = new Map(chart.data.labels.map((label, index) => [label, chart.data.datasets[0].data[index]]));
+
+        return {
+            type: chart.type === 'line' || chart.type === 'radar' ? chart.type : (chart.type === 'horizontalBar' ? 'horizontalBar' : 'bar'),
+            title: chart.title,
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: getWaveLabel(previousResult),
+                        data: labels.map(label => previousData.get(label)),
+                        backgroundColor: config.colors.previous,
+                        borderColor: config.colors.previous
+                    },
+                    {
+                        label: getWaveLabel(result),
+                        data: labels.map(label => currentData.get(label)),
+                        backgroundColor: config.colors.current,
+                        borderColor: config.colors.current
+                    }
+                ]
+            }
+        };
+    }
+
+    return {
+        config,
+        getQuestionKey,
+        getSeriesId,
+        getWaveLabel,
+        getWaves,
+        getPreviousWave,
+        matchQuestions,
+        checkSeries,
+        compareValues,
+        findPreviousFinding,
+        compareFinding,
+        compareResults,
+        buildFindingSeries,
+        buildComparisonChart,
+        compareChart
+    };
+})();
+
+/**
+ * تصدير سلاسل الاستبيانات للاستخدام العام
+ */
+window.SurveySeries = SurveySeries;
+
+// تصدير افتراضي
+export default SurveySeries;
+```
@@ -0,0 +1,536 @@
+```javascript
+/* ============================================
+   صوت حضرموت - ترجيح العينة وهامش الخطأ
+   ============================================ */
+
+/**
+ * ترجيح الردود لتمثيل سكان حضرموت وحساب فترات الثقة
+ * @namespace SurveyWeighting
+ *
+ * تُحسب الأوزان بطريقة الموازنة التكرارية (Raking) على توزيعات سكانية قابلة للتعديل
+ * لكل من المديرية والجنس والفئة العمرية، ثم تُعرض التقديرات المرجحة بجانب غير المرجحة
+ * مع هامش خطأ محسوب لكل رقم بدلاً من نص ثابت
+ */
+const SurveyWeighting = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        confidence: 0.95,
+        zScores: { 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 },
+        maxIterations: 50,
+        tolerance: 1e-6,
+        // حدود قص الأوزان نسبة إلى الوزن المتوسط
+        trim: { min: 0.2, max: 5 },
+        otherCategory: 'أخرى',
+        // توزيعات تقريبية للسكان البالغين، تُستبدل بإحصاءات رسمية عبر setTargets أو حقل "weighting" في الاستبيان
+        targets: {
+            // المديريات تُطابق بحقل المدينة في ملف المشارك لأن كل مديرية تحمل اسم مركزها
+            city: {
+                label: 'المديرية',
+                shares: {
+                    'المكلا': 0.24,
+                    'سيئون': 0.11,
+                    'الشحر': 0.1,
+                    'تريم': 0.1,
+                    'غيل باوزير': 0.05,
+                    'القطن': 0.05,
+                    'شبام': 0.04,
+                    'أخرى': 0.31
+                }
+            },
+            gender: {
+                label: 'الجنس',
+                shares: { male: 0.51, female: 0.49 }
+            },
+            ageBand: {
+                label: 'الفئة العمرية',
+                shares: { '18-25': 0.31, '26-35': 0.28, '36-50': 0.26, '51+': 0.15 }
+            }
+        },
+        // مفاتيح توزيعات العينة المنشورة في results.json مقابل متغيرات الترجيح
+        demographicKeys: {
+            regions: 'city',
+            gender: 'gender',
+            ageGroups: 'ageBand'
+        }
+    };
+
+    /**
+     * تعديل التوزيعات السكانية الافتراضية
+     * @method setTargets
+     */
+    function setTargets(targets) {
+        const validation = validateTargets(targets);
+        if (!validation.valid) throw new Error(validation.errors.join('، '));
+
+        config.targets = targets;
+    }
+
+    /**
+     * التوزيعات السكانية المعتمدة لاستبيان
+     * @method getTargets
+     */
+    function getTargets(survey) {
+        return survey && survey.weighting && survey.weighting.targets ? survey.weighting.targets : config.targets;
+    }
+
+    /**
+     * التحقق من صحة التوزيعات السكانية
+     * @method validateTargets
+     */
+    function validateTargets(targets) {
+        const errors = [];
+
+        Object.entries(targets || {}).forEach(([variable, target]) => {
+            const shares = Object.values(target.shares || {});
+            if (shares.length < 2) {
+                errors.push(`التوزيع "${variable}" يحتاج فئتين على الأقل`);
+                return;
+            }
+            if (shares.some(share => typeof share !== 'number' || share <= 0)) {
+                errors.push(`نسب التوزيع "${variable}" يجب أن تكون أرقاماً موجبة`);
+            }
+
+            const sum = shares.reduce((total, share) => total + share, 0);
+            if (Math.abs(sum - 1) > 0.01) {
+                errors.push(`مجموع نسب التوزيع "${variable}" يجب أن يساوي 1 (الحالي ${Math.round(sum * 100) / 100})`);
+            }
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    // ========== الترجيح ==========
+
+    /**
+     * فئة السجل في متغير ترجيح
+     * @method getCategory
+     */
+    function getCategory(record, variable, target) {
+        // يمكن أخذ المتغير من سؤال في الاستبيان بدلاً من ملف المشارك
+        let value = target.question ? record.answers[target.question] : record.profile[variable];
+        if (value === undefined || value === null || value === '') return null;
+
+        value = String(value);
+        if (Object.prototype.hasOwnProperty.call(target.shares, value)) return value;
+        return Object.prototype.hasOwnProperty.call(target.shares, config.otherCategory) ? config.otherCategory : null;
+    }
+
+    /**
+     * حساب أوزان الموازنة التكرارية
+     * @method rake
+     */
+    function rake(records, targets = config.targets, options = {}) {
+        const maxIterations = options.maxIterations || config.maxIterations;
+        const trim = options.trim || config.trim;
+        const weights = records.map(record => record.weight || 1);
+        const warnings = [];
+
+        // تجهيز فئات كل سجل ونسب الفئات الموجودة في العينة فقط
+        const margins = Object.entries(targets).map(([variable, target]) => {
+            const categories = records.map(record => getCategory(record, variable, target));
+            const present = new Set(categories.filter(Boolean));
+            const missing = Object.keys(target.shares).filter(category => !present.has(category));
+            if (missing.length > 0) {
+                warnings.push(`لا يوجد مشاركون في فئات ${target.label || variable}: ${missing.join('، ')}`);
+            }
+
+            const presentTotal = [...present].reduce((sum, category) => sum + target.shares[category], 0);
+            const shares = {};
+            present.forEach(category => {
+                shares[category] = target.shares[category] / presentTotal;
+            });
+
+            return { variable, label: target.label || variable, categories, shares };
+        }).filter(margin => Object.keys(margin.shares).length > 0);
+
+        let iterations = 0;
+        let converged = margins.length === 0;
+
+        while (!converged && iterations < maxIterations) {
+            iterations++;
+            let maxChange = 0;
+
+            margins.forEach(margin => {
+                const sums = {};
+                let total = 0;
+                margin.categories.forEach((category, index) => {
+                    if (!category) return;
+                    sums[category] = (sums[category] || 0) + weights[index];
+                    total += weights[index];
+                });
+
+                margin.categories.forEach((category, index) => {
+                    if (!category) return;
+                    const factor = margin.shares[category] * total / sums[category];
+                    maxChange = Math.max(maxChange, Math.abs(factor - 1));
+                    weights[index] *= factor;
+                });
+            });
+
+            // قص الأوزان المتطرفة
+            const average = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+            weights.forEach((weight, index) => {
+                weights[index] = Math.min(Math.max(weight, average * trim.min), average * trim.max);
+            });
+
+            converged = maxChange < config.tolerance;
+        }
+
+        if (!converged) warnings.push(`لم تتقارب الأوزان بعد ${iterations} دورة`);
+
+        // توحيد الأوزان ليكون متوسطها 1
+        const sum = weights.reduce((total, weight) => total + weight, 0);
+        const normalized = weights.map(weight => records.length > 0 ? weight * records.length / sum : 1);
+
+        return {
+            records: records.map((record, index) => ({ ...record, weight: normalized[index] })),
+            weights: normalized,
+            iterations,
+            converged,
+            designEffect: round(designEffect(normalized), 3),
+            effectiveSampleSize: Math.round(effectiveSampleSize(normalized)),
+            margins: margins.map(margin => describeMargin(margin, normalized)),
+            warnings
+        };
+    }
+
+    /**
+     * مقارنة توزيع العينة قبل الترجيح وبعده بالتوزيع السكاني
+     * @method describeMargin
+     */
+    function describeMargin(margin, weights) {
+        const counts = {};
+        const weighted = {};
+        let n = 0;
+        let total = 0;
+
+        margin.categories.forEach((category, index) => {
+            if (!category) return;
+            counts[category] = (counts[category] || 0) + 1;
+            weighted[category] = (weighted[category] || 0) + weights[index];
+            n++;
+            total += weights[index];
+        });
+
+        return {
+            variable: margin.variable,
+            label: margin.label,
+            categories: Object.keys(margin.shares).map(category => ({
+                value: category,
+                target: round(margin.shares[category] * 100, 1),
+                sample: round((counts[category] / n) * 100, 1),
+                weighted: round((weighted[category] / total) * 100, 1)
+            }))
+        };
+    }
+
+    /**
+     * أثر التصميم حسب كيش
+     * @method designEffect
+     */
+    function designEffect(weights) {
+        if (weights.length === 0) return 1;
+
+        const sum = weights.reduce((total, weight) => total + weight, 0);
+        const squares = weights.reduce((total, weight) => total + weight * weight, 0);
+        return weights.length * squares / (sum * sum);
+    }
+
+    /**
+     * حجم العينة الفعّال بعد الترجيح
+     * @method effectiveSampleSize
+     */
+    function effectiveSampleSize(weights) {
+        const sum = weights.reduce((total, weight) => total + weight, 0);
+        const squares = weights.reduce((total, weight) => total + weight * weight, 0);
+        return squares > 0 ? (sum * sum) / squares : 0;
+    }
+
+    /**
+     * أثر التصميم التقريبي من توزيعات العينة المنشورة فقط
+     * @method estimateDesignEffect
+     *
+     * يفترض استقلال المتغيرات فيصبح أثر التصميم حاصل ضرب آثار كل متغير
+     */
+    function estimateDesignEffect(demographics, targets = config.targets) {
+        let effect = 1;
+
+        Object.entries(config.demographicKeys).forEach(([key, variable]) => {
+            const sample = demographics && demographics[key];
+            const target = targets[variable];
+            if (!sample || !target) return;
+
+            // دمج الفئات غير المعرفة في "أخرى"
+            const shares = {};
+            Object.entries(sample).forEach(([category, value]) => {
+                const mapped = Object.prototype.hasOwnProperty.call(target.shares, category) ? category :
+                    (Object.prototype.hasOwnProperty.call(target.shares, config.otherCategory) ? config.otherCategory : null);
+                if (mapped && value > 0) shares[mapped] = (shares[mapped] || 0) + value;
+            });
+
+            const sampleTotal = Object.values(shares).reduce((sum, value) => sum + value, 0);
+            const targetTotal = Object.keys(shares).reduce((sum, category) => sum + target.shares[category], 0);
+            if (sampleTotal === 0 || targetTotal === 0) return;
+
+            effect *= Object.keys(shares).reduce((sum, category) => {
+                const targetShare = target.shares[category] / targetTotal;
+                return sum + targetShare * targetShare / (shares[category] / sampleTotal);
+            }, 0);
+        });
+
+        return round(effect, 3);
+    }
+
+    // ========== التقديرات وفترات الثقة ==========
+
+    /**
+     * تقريب رقم
+     * @method round
+     */
+    function round(value, digits = 2) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * القيمة الحرجة لمستوى الثقة
+     * @method getZ
+     */
+    function getZ(confidence = config.confidence) {
+        return config.zScores[confidence] || config.zScores[config.confidence];
+    }
+
+    /**
+     * فترة ثقة لنسبة مئوية
+     * @method proportionInterval
+     */
+    function proportionInterval(p, n, confidence = config.confidence) {
+        if (!n) return null;
+
+        const moe = getZ(confidence) * Math.sqrt(p * (1 - p) / n);
+        return {
+            value: round(p * 100, 1),
+            lower: round(Math.max(0, p - moe) * 100, 1),
+            upper: round(Math.min(1, p + moe) * 100, 1),
+            marginOfError: round(moe * 100, 1),
+            n: round(n, 1)
+        };
+    }
+
+    /**
+     * هامش الخطأ الأقصى لحجم عينة (عند نسبة 50%)
+     * @method marginOfError
+     */
+    function marginOfError(n, confidence = config.confidence, p = 0.5) {
+        return n > 0 ? round(getZ(confidence) * Math.sqrt(p * (1 - p) / n) * 100, 1) : null;
+    }
+
+    /**
+     * نص هامش الخطأ بصيغة قسم المنهجية
+     * @method formatMarginOfError
+     */
+    function formatMarginOfError(n, confidence = config.confidence) {
+        const moe = marginOfError(n, confidence);
+        return moe === null ? null : `±${moe}% عند مستوى ثقة ${Math.round(confidence * 100)}%`;
+    }
+
+    /**
+     * تقدير نسبة مرجحة وغير مرجحة
+     * @method estimateProportion
+     *
+     * test تعيد true أو false لكل سجل، أو null لاستبعاده من الأساس
+     */
+    function estimateProportion(records, test, confidence = config.confidence) {
+        const included = records.map(record => ({ weight: record.weight || 1, hit: test(record) }))
+            .filter(item => item.hit !== null);
+        if (included.length === 0) return { unweighted: null, weighted: null };
+
+        const hits = included.filter(item => item.hit);
+        const weights = included.map(item => item.weight);
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+        const weightedHits = hits.reduce((sum, item) => sum + item.weight, 0);
+
+        return {
+            unweighted: proportionInterval(hits.length / included.length, included.length, confidence),
+            weighted: proportionInterval(weightedHits / weightSum, effectiveSampleSize(weights), confidence)
+        };
+    }
+
+    /**
+     * فترة ثقة لمتوسط
+     * @method meanInterval
+     */
+    function meanInterval(values, weights, confidence = config.confidence) {
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+        const average = values.reduce((sum, value, index) => sum + value * weights[index], 0) / weightSum;
+        const n = effectiveSampleSize(weights);
+        if (n < 2) return { value: round(average), lower: null, upper: null, marginOfError: null, n: round(n, 1) };
+
+        const variance = values.reduce((sum, value, index) => sum + weights[index] * Math.pow(value - average, 2), 0) / weightSum;
+        const moe = getZ(confidence) * Math.sqrt(variance * n / (n - 1) / n);
+
+        return {
+            value: round(average),
+            lower: round(average - moe),
+            upper: round(average + moe),
+            marginOfError: round(moe),
+            n: round(n, 1)
+        };
+    }
+
+    /**
+     * تقدير متوسط مرجح وغير مرجح
+     * @method estimateMean
+     */
+    function estimateMean(records, accessor, confidence = config.confidence) {
+        const included = records.map(record => ({ weight: record.weight || 1, value: accessor(record) }))
+            .filter(item => typeof item.value === 'number' && !isNaN(item.value));
+        if (included.length === 0) return { unweighted: null, weighted: null };
+
+        const values = included.map(item => item.value);
+        return {
+            unweighted: meanInterval(values, values.map(() => 1), confidence),
+            weighted: meanInterval(values, included.map(item => item.weight), confidence)
+        };
+    }
+
+    /**
+     * توزيع سؤال مرجح وغير مرجح مع فترات الثقة
+     * @method compareFrequencies
+     */
+    function compareFrequencies(survey, records, questionId, confidence = config.confidence) {
+        const variable = SurveyCrossTab.describeVariable(survey, questionId, records);
+        const answered = record => {
+            const answer = record.answers[questionId];
+            return answer !== undefined && answer !== null && answer !== '' && !(Array.isArray(answer) && answer.length === 0);
+        };
+
+        return variable.categories.map(category => ({
+            value: category.value,
+            label: category.label,
+            ...estimateProportion(records, record => {
+                if (!answered(record)) return null;
+                const answer = record.answers[questionId];
+                return Array.isArray(answer) ? answer.includes(category.value) : String(answer) === String(category.value);
+            }, confidence)
+        }));
+    }
+
+    // ========== النتائج الرئيسية ==========
+
+    /**
+     * تقدير قيمة نتيجة رئيسية من الردود الخام
+     * @method estimateMeasure
+     *
+     * measure: { question, values } لنسبة من اختاروا القيم، أو { question, statistic: 'mean' } لمتوسط
+     */
+    function estimateMeasure(records, measure, confidence = config.confidence) {
+        const answerOf = record => record.answers[measure.question];
+
+        if (measure.statistic === 'mean') {
+            return estimateMean(records, record => answerOf(record), confidence);
+        }
+
+        const values = (measure.values || []).map(String);
+        return estimateProportion(records, record => {
+            const answer = answerOf(record);
+            if (answer === undefined || answer === null || answer === '') return null;
+            return Array.isArray(answer) ?
+                answer.some(value => values.includes(String(value))) :
+                values.includes(String(answer));
+        }, confidence);
+    }
+
+    /**
+     * إضافة هامش الخطأ وفترة الثقة لكل نتيجة رئيسية
+     * @method annotateFindings
+     *
+     * تُحسب من الردود الخام عند توفرها وحقل "measure" في النتيجة، وإلا من حجم العينة المنشور
+     * مع أثر تصميم تقريبي من توزيعات المشاركين
+     */
+    function annotateFindings(result, options = {}) {
+        const confidence = options.confidence || config.confidence;
+        const records = options.records || [];
+        const demographics = result.demographics || {};
+        const designEffectEstimate = estimateDesignEffect(demographics, options.targets);
+        const publishedN = demographics.totalParticipants ? demographics.totalParticipants / designEffectEstimate : 0;
+
+        return (result.keyFindings || []).map(finding => {
+            let statistics = null;
+
+            if (finding.measure && records.length > 0) {
+                const estimate = estimateMeasure(records, finding.measure, confidence);
+                if (estimate.unweighted) {
+                    statistics = {
+                        basis: 'responses',
+                        unit: finding.measure.statistic === 'mean' ? 'mean' : 'percent',
+                        ...estimate
+                    };
+                }
+            }
+
+            // القيم المنشورة بالنسبة المئوية فقط يمكن حساب هامش خطئها دون بيانات خام
+            const published = /^([\d.]+)%$/.exec(String(finding.value).trim());
+            if (!statistics && published && publishedN > 0) {
+                const p = parseFloat(published[1]) / 100;
+                statistics = {
+                    basis: 'published',
+                    unit: 'percent',
+                    unweighted: proportionInterval(p, demographics.totalParticipants, confidence),
+                    weighted: null,
+                    designEffect: designEffectEstimate,
+                    adjusted: proportionInterval(p, publishedN, confidence)
+                };
+            }
+
+            return {
+                ...finding,
+                statistics,
+                marginOfError: statistics ? formatFindingMargin(statistics) : null
+            };
+        });
+    }
+
+    /**
+     * نص هامش الخطأ لنتيجة
+     * @method formatFindingMargin
+     */
+    function formatFindingMargin(statistics) {
+        const interval = statistics.weighted || statistics.adjusted || statistics.unweighted;
+        if (!interval || interval.marginOfError === null) return null;
+
+        return statistics.unit === 'percent' ?
+            `±${interval.marginOfError}% (${interval.lower}% - ${interval.upper}%)` :
+            `±${interval.marginOfError} (${interval.lower} - ${interval.upper})`;
+    }
+
+    return {
+        config,
+        setTargets,
+        getTargets,
+        validateTargets,
+        rake,
+        designEffect,
+        effectiveSampleSize,
+        estimateDesignEffect,
+        proportionInterval,
+        marginOfError,
+        formatMarginOfError,
+        estimateProportion,
+        estimateMean,
+        compareFrequencies,
+        estimateMeasure,
+        annotateFindings
+    };
+})();
+
+/**
+ * تصدير نظام الترجيح للاستخدام العام
+ */
+window.SurveyWeighting = SurveyWeighting;
+
+// تصدير افتراضي
+export default SurveyWeighting;
+```
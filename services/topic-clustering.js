@@ -0,0 +1,285 @@
+```javascript
+/* ============================================
+   صوت حضرموت - التصنيف التلقائي للإجابات المفتوحة
+   ============================================ */
+
+/**
+ * تجميع الإجابات النصية في مواضيع محلياً دون نموذج خارجي
+ * @namespace TopicClustering
+ *
+ * تُمثَّل كل إجابة بأوزان TF-IDF لكلماتها المجذّعة، ثم تُجمع بخوارزمية k-means الكروية
+ * مع بداية حتمية حتى تعطي الردود نفسها المواضيع نفسها في كل مرة
+ */
+const TopicClustering = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        maxTopics: 5,
+        // أقل عدد إجابات تذكر الكلمة حتى تدخل في التحليل
+        minDocumentFrequency: 2,
+        // الكلمات الواردة في أكثر من هذه النسبة من الإجابات لا تميز موضوعاً
+        maxDocumentShare: 0.6,
+        minTopicSize: 2,
+        maxIterations: 20,
+        keywordsPerTopic: 3,
+        quotesPerTopic: 3,
+        quoteLength: 160
+    };
+
+    // ========== تمثيل الإجابات ==========
+
+    /**
+     * كلمات الإجابة بصيغتها المكتوبة مع جذعها
+     * @method getWords
+     */
+    function getWords(text) {
+        return String(text || '')
+            .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+            .split(/[^ء-ي0-9٠-٩a-zA-Z]+/)
+            .filter(word => word && !Utils.isArabicStopWord(word))
+            .map(word => ({ word, stem: Utils.stemArabic(word) }))
+            .filter(item => item.stem.length > 1 && !/^\d+$/.test(item.stem));
+    }
+
+    /**
+     * بناء متجهات TF-IDF للإجابات
+     * @method buildVectors
+     */
+    function buildVectors(texts) {
+        const documents = texts.map(getWords);
+        const documentFrequency = {};
+        const surfaceForms = {};
+
+        documents.forEach(words => {
+            new Set(words.map(item => item.stem)).forEach(stem => {
+                documentFrequency[stem] = (documentFrequency[stem] || 0) + 1;
+            });
+            words.forEach(({ word, stem }) => {
+                surfaceForms[stem] = surfaceForms[stem] || {};
+                surfaceForms[stem][word] = (surfaceForms[stem][word] || 0) + 1;
+            });
+        });
+
+        const maxFrequency = Math.max(config.minDocumentFrequency, Math.floor(texts.length * config.maxDocumentShare));
+        const vocabulary = Object.keys(documentFrequency).filter(stem =>
+            documentFrequency[stem] >= config.minDocumentFrequency && documentFrequency[stem] <= maxFrequency);
+        const vocabularySet = new Set(vocabulary);
+
+        const vectors = documents.map(words => {
+            const vector = {};
+            words.forEach(({ stem }) => {
+                if (vocabularySet.has(stem)) vector[stem] = (vector[stem] || 0) + 1;
+            });
+            Object.keys(vector).forEach(stem => {
+                vector[stem] *= Math.log(texts.length / documentFrequency[stem]) + 1;
+            });
+            return normalizeVector(vector);
+        });
+
+        return { vectors, vocabulary, documentFrequency, surfaceForms };
+    }
+
+    /**
+     * تطبيع المتجه إلى طول 1
+     * @method normalizeVector
+     */
+    function normalizeVector(vector) {
+        const length = Math.sqrt(Object.values(vector).reduce((sum, value) => sum + value * value, 0));
+        if (length === 0) return {};
+
+        return Object.fromEntries(Object.entries(vector).map(([key, value]) => [key, value / length]));
+    }
+
+    /**
+     * تشابه جيب التمام بين متجهين مطبّعين
+     * @method similarity
+     */
+    function similarity(a, b) {
+        return Object.keys(a).reduce((sum, key) => sum + a[key] * (b[key] || 0), 0);
+    }
+
+    /**
+     * مركز مجموعة متجهات
+     * @method centroid
+     */
+    function centroid(vectors) {
+        const sum = {};
+        vectors.forEach(vector => {
+            Object.entries(vector).forEach(([key, value]) => { sum[key] = (sum[key] || 0) + value; });
+        });
+        return normalizeVector(sum);
+    }
+
+    // ========== التجميع ==========
+
+    /**
+     * اختيار المراكز الأولى بطريقة الأبعد أولاً
+     * @method seedCentroids
+     *
+     * تبدأ بالإجابة الأكثر تمثيلاً للكلمات الشائعة، ثم تضيف كل مرة الإجابة الأبعد عن المراكز المختارة
+     */
+    function seedCentroids(vectors, k, documentFrequency) {
+        const candidates = vectors.map((vector, index) => index).filter(index => Object.keys(vectors[index]).length > 0);
+        if (candidates.length === 0) return [];
+
+        const typicality = index => Object.keys(vectors[index])
+            .reduce((sum, stem) => sum + documentFrequency[stem] * vectors[index][stem], 0);
+        const seeds = [candidates.reduce((best, index) => typicality(index) > typicality(best) ? index : best)];
+
+        while (seeds.length < k) {
+            let farthest = null;
+            let farthestSimilarity = Infinity;
+
+            candidates.forEach(index => {
+                if (seeds.includes(index)) return;
+                const closest = Math.max(...seeds.map(seed => similarity(vectors[index], vectors[seed])));
+                if (closest < farthestSimilarity) {
+                    farthest = index;
+                    farthestSimilarity = closest;
+                }
+            });
+
+            // لم تبقَ إجابات مختلفة عن المراكز الحالية
+            if (farthest === null || farthestSimilarity >= 0.999) break;
+            seeds.push(farthest);
+        }
+
+        return seeds.map(index => vectors[index]);
+    }
+
+    /**
+     * k-means الكروي على المتجهات غير الفارغة
+     * @method kMeans
+     */
+    function kMeans(vectors, k, documentFrequency) {
+        let centroids = seedCentroids(vectors, k, documentFrequency);
+        let assignments = vectors.map(() => -1);
+
+        for (let iteration = 0; iteration < config.maxIterations && centroids.length > 0; iteration++) {
+            const next = vectors.map(vector => {
+                if (Object.keys(vector).length === 0) return -1;
+
+                let best = -1;
+                let bestSimilarity = 0;
+                centroids.forEach((center, index) => {
+                    const value = similarity(vector, center);
+                    if (value > bestSimilarity) {
+                        best = index;
+                        bestSimilarity = value;
+                    }
+                });
+                return best;
+            });
+
+            const changed = next.some((cluster, index) => cluster !== assignments[index]);
+            assignments = next;
+            if (!changed) break;
+
+            centroids = centroids.map((center, cluster) => {
+                const members = vectors.filter((vector, index) => assignments[index] === cluster);
+                return members.length > 0 ? centroid(members) : center;
+            });
+        }
+
+        return { assignments, centroids };
+    }
+
+    /**
+     * الصيغة الأكثر كتابة لجذع
+     * @method getSurfaceForm
+     */
+    function getSurfaceForm(stem, surfaceForms) {
+        const forms = surfaceForms[stem] || {};
+        return Object.keys(forms).sort((a, b) => forms[b] - forms[a])[0] || stem;
+    }
+
+    /**
+     * تجميع إجابات نصية في مواضيع
+     * @method cluster
+     *
+     * يعيد لكل موضوع عنوانه وكلماته المميزة وعدد إجاباته ونسبتها وأقرب الإجابات لمركزه اقتباساً
+     */
+    function cluster(texts, options = {}) {
+        const settings = { ...config, ...options };
+        const items = (texts || []).map(text => String(text || '').trim()).filter(Boolean);
+        if (items.length < settings.minTopicSize) return [];
+
+        const { vectors, documentFrequency, surfaceForms } = buildVectors(items);
+        const k = Math.min(settings.maxTopics, Math.ceil(Math.sqrt(items.length)));
+        const { assignments, centroids } = kMeans(vectors, k, documentFrequency);
+
+        const topics = centroids.map((center, index) => {
+            const members = assignments
+                .map((cluster, position) => cluster === index ? position : -1)
+                .filter(position => position !== -1);
+            // تُقدَّم الكلمات التي تخص الموضوع على الكلمات الشائعة في كل الإجابات
+            const distinctiveness = stem => center[stem] *
+                members.filter(position => vectors[position][stem]).length / documentFrequency[stem];
+            const stems = Object.keys(center).sort((a, b) => distinctiveness(b) - distinctiveness(a));
+            const quotes = members
+                .slice()
+                .sort((a, b) => similarity(vectors[b], center) - similarity(vectors[a], center))
+                .map(position => Utils.truncateText(items[position], settings.quoteLength))
+                .filter((quote, position, list) => list.indexOf(quote) === position)
+                .slice(0, settings.quotesPerTopic);
+
+            return {
+                label: getSurfaceForm(stems[0], surfaceForms),
+                keywords: stems.slice(0, settings.keywordsPerTopic).map(stem => getSurfaceForm(stem, surfaceForms)),
+                count: members.length,
+                percentage: Math.round(members.length / items.length * 1000) / 10,
+                quotes
+            };
+        });
+
+        // دمج المواضيع التي انتهت إلى العنوان نفسه
+        const merged = [];
+        topics.forEach(topic => {
+            const existing = merged.find(item => item.label === topic.label);
+            if (!existing) {
+                merged.push(topic);
+                return;
+            }
+            existing.count += topic.count;
+            existing.percentage = Math.round(existing.count / items.length * 1000) / 10;
+            existing.quotes = [...existing.quotes, ...topic.quotes].slice(0, settings.quotesPerTopic);
+        });
+
+        return merged
+            .filter(topic => topic.label && topic.count >= settings.minTopicSize)
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * مواضيع كل الأسئلة النصية في استبيان
+     * @method clusterSurvey
+     */
+    function clusterSurvey(survey, responses, options = {}) {
+        const questionIds = (survey.questions || [])
+            .filter(question => question.type === 'text')
+            .map(question => question.id);
+
+        const texts = responses.flatMap(response => questionIds
+            .map(id => (response.answers || {})[id])
+            .filter(answer => typeof answer === 'string' && answer.trim()));
+
+        return cluster(texts, options);
+    }
+
+    return {
+        config,
+        buildVectors,
+        cluster,
+        clusterSurvey
+    };
+})();
+
+/**
+ * تصدير مصنف المواضيع للاستخدام العام
+ */
+window.TopicClustering = TopicClustering;
+
+// تصدير افتراضي
+export default TopicClustering;
+```
@@ -0,0 +1,377 @@
+```javascript
+/* ============================================
+   صوت حضرموت - مكتبة التحقق من المدخلات
+   ============================================ */
+
+/**
+ * التحقق المشترك من مدخلات النماذج وإجابات الاستبيانات
+ * @namespace Validator
+ *
+ * تُرجع دوال التحقق { valid, message } مع القيمة الموحدة في "value" عند الحاجة،
+ * وتُحوّل الأرقام العربية الهندية (٠-٩) إلى أرقام لاتينية قبل الفحص.
+ */
+const Validator = (function() {
+    'use strict';
+
+    // التكوين
+    const config = {
+        defaultCountry: 'YE',
+
+        // أرقام الجوال والهاتف الثابت بالصيغة الوطنية بدون الصفر الأول
+        phoneCountries: {
+            YE: { code: '967', label: 'اليمن', patterns: [/^7\d{8}$/, /^[1-7]\d{6,7}$/] },
+            SA: { code: '966', label: 'السعودية', patterns: [/^5\d{8}$/] },
+            AE: { code: '971', label: 'الإمارات', patterns: [/^5[024568]\d{7}$/] },
+            OM: { code: '968', label: 'عُمان', patterns: [/^[79]\d{7}$/] },
+            KW: { code: '965', label: 'الكويت', patterns: [/^[569]\d{7}$/] },
+            QA: { code: '974', label: 'قطر', patterns: [/^[3567]\d{7}$/] },
+            BH: { code: '973', label: 'البحرين', patterns: [/^[36]\d{7}$/] }
+        },
+
+        // الصيغ المتاحة لأسئلة النص في مخطط الاستبيان
+        formats: ['phone', 'email', 'arabic_name', 'name', 'digits'],
+
+        name: {
+            minLength: 2,
+            maxLength: 60
+        },
+
+        password: {
+            minLength: 8,
+            requireNumbers: true,
+            requireSpecialChars: true
+        },
+
+        messages: {
+            required: 'هذا الحقل مطلوب',
+            email: 'البريد الإلكتروني غير صحيح',
+            phone: 'رقم الهاتف غير صحيح، أدخل رقماً يمنياً أو خليجياً مثل 777123456 أو +966501234567',
+            phoneCountry: 'رمز الدولة غير مدعوم، الأرقام المقبولة من اليمن ودول الخليج',
+            nameLength: 'الاسم يجب أن يكون بين {min} و{max} حرفاً',
+            nameDigits: 'الاسم لا يمكن أن يحتوي على أرقام',
+            nameArabic: 'يرجى كتابة الاسم بالحروف العربية',
+            nameCharacters: 'الاسم يحتوي على رموز غير مسموح بها',
+            nameMixed: 'لا يمكن الخلط بين الحروف العربية واللاتينية في الاسم',
+            nameRepeated: 'الاسم يحتوي على حرف مكرر بشكل غير صحيح',
+            passwordLength: 'كلمة المرور يجب أن تكون {min} أحرف على الأقل',
+            passwordNumbers: 'كلمة المرور يجب أن تحتوي على رقم واحد على الأقل',
+            passwordSpecial: 'كلمة المرور يجب أن تحتوي على رمز خاص واحد على الأقل مثل ! أو @',
+            digits: 'يرجى إدخال أرقام فقط',
+            minLength: 'يجب ألا يقل النص عن {min} حرفاً',
+            maxLength: 'يجب ألا يزيد النص عن {max} حرفاً',
+            min: 'يجب ألا تقل القيمة عن {min}',
+            max: 'يجب ألا تزيد القيمة عن {max}',
+            pattern: 'القيمة المدخلة لا تطابق الصيغة المطلوبة'
+        }
+    };
+
+    // الحروف العربية مع التشكيل، والحروف اللاتينية للأسماء المكتوبة بها
+    const ARABIC_LETTERS = /[\u0621-\u063A\u0641-\u064A\u0671-\u06D3]/;
+    const LATIN_LETTERS = /[A-Za-z]/;
+    const NAME_CHARACTERS = /^[\u0621-\u063A\u0640-\u065F\u0670-\u06D3A-Za-z\s'\-]+$/;
+
+    /**
+     * صياغة رسالة خطأ مع قيمها
+     * @method message
+     */
+    function message(key, params = {}) {
+        const text = config.messages[key] || key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * تحويل الأرقام العربية الهندية والفارسية إلى أرقام لاتينية
+     * @method normalizeDigits
+     */
+    function normalizeDigits(value) {
+        if (value === undefined || value === null) return '';
+
+        return String(value)
+            .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+            .replace(/\u066B/g, '.')   // الفاصلة العشرية العربية
+            .replace(/\u066C/g, '');   // فاصل الآلاف العربي
+    }
+
+    /**
+     * قراءة رقم من نص قد يحتوي أرقاماً عربية
+     * @method parseNumber
+     */
+    function parseNumber(value) {
+        const text = normalizeDigits(value).trim().replace(/,/g, '');
+        return text === '' ? null : Number(text);
+    }
+
+    /**
+     * توحيد رقم الهاتف إلى صيغة E.164
+     * @method normalizePhone
+     */
+    function normalizePhone(value, defaultCountry = config.defaultCountry) {
+        let phone = normalizeDigits(value).replace(/[\s\-().]/g, '');
+        if (phone.startsWith('00')) phone = `+${phone.slice(2)}`;
+
+        if (!/^\+?\d+$/.test(phone)) {
+            return { valid: false, e164: null, country: null, message: message('phone') };
+        }
+
+        let country = defaultCountry;
+        let national = phone;
+
+        if (phone.startsWith('+')) {
+            const digits = phone.slice(1);
+            country = Object.keys(config.phoneCountries)
+                .find(key => digits.startsWith(config.phoneCountries[key].code));
+
+            if (!country) {
+                return { valid: false, e164: null, country: null, message: message('phoneCountry') };
+            }
+            national = digits.slice(config.phoneCountries[country].code.length);
+        }
+
+        // حذف الصفر الأول من الصيغة الوطنية
+        national = national.replace(/^0/, '');
+
+        const rules = config.phoneCountries[country];
+        if (!rules || !rules.patterns.some(pattern => pattern.test(national))) {
+            return { valid: false, e164: null, country, message: message('phone') };
+        }
+
+        return { valid: true, e164: `+${rules.code}${national}`, country, message: '' };
+    }
+
+    /**
+     * التحقق من رقم الهاتف
+     * @method validatePhone
+     */
+    function validatePhone(value, options = {}) {
+        const result = normalizePhone(value, options.defaultCountry);
+
+        if (result.valid && options.countries && !options.countries.includes(result.country)) {
+            return { valid: false, message: message('phoneCountry'), value: null };
+        }
+
+        return { valid: result.valid, message: result.message, value: result.e164 };
+    }
+
+    /**
+     * التحقق من البريد الإلكتروني
+     * @method validateEmail
+     */
+    function validateEmail(value) {
+        const email = String(value || '').trim();
+        const valid = email.length <= 254 && /^[A-Za-z0-9._%+\-]+@[A-Za-z0-9.\-]+\.[A-Za-z]{2,}$/.test(email);
+
+        return { valid, message: valid ? '' : message('email'), value: valid ? email.toLowerCase() : null };
+    }
+
+    /**
+     * التحقق من الاسم وفق قواعد الأسماء العربية
+     * @method validateName
+     */
+    function validateName(value, options = {}) {
+        const minLength = options.minLength || config.name.minLength;
+        const maxLength = options.maxLength || config.name.maxLength;
+        const name = String(value || '').trim().replace(/\s+/g, ' ');
+
+        // الطول بعد حذف التشكيل والتطويل
+        const letters = name.replace(/[\u0640\u064B-\u065F\u0670\s'\-]/g, '');
+        if (letters.length < minLength || name.length > maxLength) {
+            return { valid: false, message: message('nameLength', { min: minLength, max: maxLength }), value: null };
+        }
+
+        if (/[\d\u0660-\u0669\u06F0-\u06F9]/.test(name)) {
+            return { valid: false, message: message('nameDigits'), value: null };
+        }
+
+        if (!NAME_CHARACTERS.test(name)) {
+            return { valid: false, message: message('nameCharacters'), value: null };
+        }
+
+        const hasArabic = ARABIC_LETTERS.test(name);
+        const hasLatin = LATIN_LETTERS.test(name);
+
+        if (hasLatin && !options.allowLatin) {
+            return { valid: false, message: message('nameArabic'), value: null };
+        }
+
+        if (hasArabic && hasLatin) {
+            return { valid: false, message: message('nameMixed'), value: null };
+        }
+
+        if (/(.)\1\1/.test(letters)) {
+            return { valid: false, message: message('nameRepeated'), value: null };
+        }
+
+        return { valid: true, message: '', value: name };
+    }
+
+    /**
+     * التحقق من قوة كلمة المرور
+     * @method validatePassword
+     */
+    function validatePassword(value, options = {}) {
+        const rules = { ...config.password, ...options };
+        const password = String(value || '');
+
+        if (password.length < rules.minLength) {
+            return { valid: false, message: message('passwordLength', { min: rules.minLength }) };
+        }
+
+        if (rules.requireNumbers && !/\d/.test(normalizeDigits(password))) {
+            return { valid: false, message: message('passwordNumbers') };
+        }
+
+        if (rules.requireSpecialChars && !/[!@#$%^&*(),.?":{}|<>]/.test(password)) {
+            return { valid: false, message: message('passwordSpecial') };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * التحقق من قيمة حسب صيغتها المعرّفة
+     * @method validateFormat
+     */
+    function validateFormat(value, format) {
+        switch (format) {
+            case 'phone':
+                return validatePhone(value);
+            case 'email':
+                return validateEmail(value);
+            case 'arabic_name':
+                return validateName(value);
+            case 'name':
+                return validateName(value, { allowLatin: true });
+            case 'digits': {
+                const digits = normalizeDigits(value).trim();
+                return /^\d+$/.test(digits) ?
+                    { valid: true, message: '', value: digits } :
+                    { valid: false, message: message('digits'), value: null };
+            }
+            default:
+                return { valid: true, message: '', value };
+        }
+    }
+
+    /**
+     * التحقق من قيمة مقابل قيود المخطط: الطول والحدود والتعبير النمطي والصيغة
+     * @method validateConstraints
+     *
+     * يُعاد مع الرسالة مفتاحها في "code" وقيمها في "params" لترجمتها بلغة المشارك
+     */
+    function validateConstraints(value, rules = {}) {
+        if (typeof value === 'number') {
+            if (rules.min !== undefined && value < rules.min) {
+                return { valid: false, message: message('min', { min: rules.min }), code: 'min', params: { min: rules.min } };
+            }
+            if (rules.max !== undefined && value > rules.max) {
+                return { valid: false, message: message('max', { max: rules.max }), code: 'max', params: { max: rules.max } };
+            }
+            return { valid: true, message: '' };
+        }
+
+        const text = String(value);
+
+        if (rules.minLength && text.length < rules.minLength) {
+            return {
+                valid: false,
+                message: message('minLength', { min: rules.minLength }),
+                code: 'minLength',
+                params: { min: rules.minLength }
+            };
+        }
+
+        if (rules.maxLength && text.length > rules.maxLength) {
+            return {
+                valid: false,
+                message: message('maxLength', { max: rules.maxLength }),
+                code: 'maxLength',
+                params: { max: rules.maxLength }
+            };
+        }
+
+        if (rules.pattern && !new RegExp(rules.pattern, 'u').test(normalizeDigits(text))) {
+            // الرسالة المخصصة في المخطط تُعرض كما كُتبت
+            return rules.patternMessage ?
+                { valid: false, message: rules.patternMessage } :
+                { valid: false, message: message('pattern'), code: 'pattern' };
+        }
+
+        if (rules.format) {
+            const result = validateFormat(text, rules.format);
+            if (!result.valid) return { valid: false, message: result.message };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * التحقق من صحة تعريف القيود في المخطط
+     * @method checkConstraintDefinition
+     */
+    function checkConstraintDefinition(rules) {
+        const errors = [];
+
+        if (rules.pattern !== undefined) {
+            try {
+                new RegExp(rules.pattern, 'u');
+            } catch (error) {
+                errors.push(`التعبير النمطي غير صالح: ${rules.pattern}`);
+            }
+        }
+
+        if (rules.format !== undefined && !config.formats.includes(rules.format)) {
+            errors.push(`صيغة غير معروفة: ${rules.format}`);
+        }
+
+        if (rules.minLength && rules.maxLength && rules.minLength > rules.maxLength) {
+            errors.push('الحد الأدنى لطول النص أكبر من الحد الأقصى');
+        }
+
+        return errors;
+    }
+
+    /**
+     * توحيد قيمة نصية قبل حفظها حسب صيغتها
+     * @method normalizeText
+     */
+    function normalizeText(value, format) {
+        const text = String(value || '').trim();
+
+        if (format === 'phone') {
+            const phone = normalizePhone(text);
+            return phone.valid ? phone.e164 : normalizeDigits(text);
+        }
+
+        if (format === 'digits') return normalizeDigits(text);
+        if (format === 'email') return text.toLowerCase();
+        if (format === 'arabic_name' || format === 'name') return text.replace(/\s+/g, ' ');
+
+        return text;
+    }
+
+    return {
+        config,
+        message,
+        normalizeDigits,
+        parseNumber,
+        normalizePhone,
+        validatePhone,
+        validateEmail,
+        validateName,
+        validatePassword,
+        validateFormat,
+        validateConstraints,
+        checkConstraintDefinition,
+        normalizeText
+    };
+})();
+
+/**
+ * تصدير مكتبة التحقق للاستخدام العام
+ */
+window.Validator = Validator;
+
+// تصدير افتراضي
+export default Validator;
+```